@@ -1,103 +1,46 @@
 /* deploy-commands.js
-   Run: node deploy-commands.js
-   Env: DISCORD_TOKEN, CLIENT_ID, GUILD_ID
+   Run: node deploy-commands.js            (to GUILD_ID; updates instantly)
+        node deploy-commands.js --all      (to each server the bot is in, one by one; updates instantly)
+        node deploy-commands.js --global   (to every guild; Discord may take up to an hour)
+   Env: DISCORD_TOKEN, CLIENT_ID, GUILD_ID (optional with --all or --global)
+   The command definitions come from the registry in src/commands, the same
+   modules the bot dispatches to. The running bot also deploys them to every server
+   it is in when it connects or joins one (src/guilds.js), so this is for changes
+   while it is down or with DEPLOY_COMMANDS=0.
 */
 
 import 'dotenv/config';
-import { REST, Routes, SlashCommandBuilder } from 'discord.js';
+import { REST, Routes } from 'discord.js';
+import { commandData } from './src/commands/index.js';
 
-const commands = [
-  new SlashCommandBuilder()
-    .setName('task-create')
-    .setDescription('Create a new task')
-    .addStringOption(opt => opt.setName('title').setDescription('Task title').setRequired(true))
-    .addStringOption(opt => opt.setName('description').setDescription('Task description'))
-    .addStringOption(opt => opt.setName('due').setDescription('Due date/time (ISO or YYYY-MM-DDTHH:MM)')),
+const global = process.argv.includes('--global');
+const all = !global && process.argv.includes('--all');
+const { DISCORD_TOKEN, CLIENT_ID, GUILD_ID } = process.env;
+if(!DISCORD_TOKEN || !CLIENT_ID || (!global && !all && !GUILD_ID)){
+  console.error(`DISCORD_TOKEN, CLIENT_ID${global||all?'':' and GUILD_ID'} must be set${global||all?'':' (or pass --all or --global)'}`);
+  process.exit(1);
+}
 
-  new SlashCommandBuilder()
-    .setName('task-list')
-    .setDescription('List your tasks'),
-
-  new SlashCommandBuilder()
-    .setName('task-search')
-    .setDescription('Search tasks')
-    .addStringOption(opt => opt.setName('q').setDescription('Search query').setRequired(true)),
-
-  new SlashCommandBuilder()
-    .setName('task-update')
-    .setDescription('Update task status')
-    .addIntegerOption(opt => opt.setName('id').setDescription('Task ID'))
-    .addIntegerOption(opt => opt.setName('index').setDescription('Task index in your list'))
-    .addStringOption(opt => opt.setName('status').setDescription('New status').setRequired(true)),
-
-  new SlashCommandBuilder()
-    .setName('task-delete')
-    .setDescription('Delete a task')
-    .addIntegerOption(opt => opt.setName('id').setDescription('Task ID'))
-    .addIntegerOption(opt => opt.setName('index').setDescription('Task index in your list')),
-
-  new SlashCommandBuilder()
-    .setName('task-assign')
-    .setDescription('Assign task to users or department')
-    .addStringOption(opt => opt.setName('title').setDescription('Task title').setRequired(true))
-    .addStringOption(opt => opt.setName('description').setDescription('Task description'))
-    .addStringOption(opt => opt.setName('due').setDescription('Due date/time'))
-    .addStringOption(opt => opt.setName('department').setDescription('Department name'))
-    .addMentionableOption(opt => opt.setName('users').setDescription('Mention users to assign')),
-
-  new SlashCommandBuilder()
-    .setName('department-add')
-    .setDescription('Add a department')
-    .addStringOption(opt => opt.setName('name').setDescription('Department name').setRequired(true))
-    .addMentionableOption(opt => opt.setName('members').setDescription('Initial members')),
-
-  new SlashCommandBuilder()
-    .setName('department-list')
-    .setDescription('List all departments'),
-
-  new SlashCommandBuilder()
-    .setName('manager-add')
-    .setDescription('Add manager(s)')
-    .addMentionableOption(opt => opt.setName('users').setDescription('Users to make managers')),
-
-  new SlashCommandBuilder()
-    .setName('set-reminders')
-    .setDescription('Set reminder windows (comma-separated, e.g., 24h,1h,30m)')
-    .addStringOption(opt => opt.setName('value').setDescription('Reminder windows').setRequired(true)),
-
-  new SlashCommandBuilder()
-    .setName('export')
-    .setDescription('Export tasks')
-    .addStringOption(opt => opt.setName('format').setDescription('json, csv, html'))
-    .addStringOption(opt => opt.setName('theme').setDescription('default or dark')),
-
-  new SlashCommandBuilder()
-    .setName('help')
-    .setDescription('Show help message'),
-    
-  new SlashCommandBuilder()
-  .setName('task-add-assignee')
-  .setDescription('Add users or a department to an existing task (Admin/Manager)')
-  .addIntegerOption(opt => opt.setName('id').setDescription('Task ID').setRequired(true))
-  .addStringOption(opt => opt.setName('department').setDescription('Department name'))
-  .addMentionableOption(opt => opt.setName('users').setDescription('Mention users to add')),
-
-new SlashCommandBuilder()
-  .setName('task-remove-assignee')
-  .setDescription('Remove users from an existing task (Admin/Manager)')
-  .addIntegerOption(opt => opt.setName('id').setDescription('Task ID').setRequired(true))
-  .addMentionableOption(opt => opt.setName('users').setDescription('Mention users to remove')),
-  
-   
-].map(cmd=>cmd.toJSON());
-
-const rest = new REST({ version:'10' }).setToken(process.env.DISCORD_TOKEN);
+const commands = commandData();
+const rest = new REST({ version:'10' }).setToken(DISCORD_TOKEN);
 
 (async ()=>{
   try{
-    console.log('🚀 Started refreshing application (/) commands.');
+    if(all){
+      const guilds = await rest.get(Routes.userGuilds());
+      console.log(`🚀 Started refreshing ${commands.length} application (/) commands in ${guilds.length} guild(s).`);
+      let failed = 0;
+      for(const guild of guilds){
+        try{ await rest.put(Routes.applicationGuildCommands(CLIENT_ID, guild.id), { body: commands }); console.log(`  ✅ ${guild.name} (${guild.id})`); }
+        catch(err){ failed++; console.error(`  ❌ ${guild.name} (${guild.id}): ${err.message}`); }
+      }
+      console.log(failed ? `⚠️ Reloaded commands in ${guilds.length-failed} of ${guilds.length} guild(s).` : '✅ Successfully reloaded application (/) commands.');
+      if(failed) process.exitCode = 1;
+      return;
+    }
+    console.log(`🚀 Started refreshing ${commands.length} application (/) commands ${global?'globally':`in guild ${GUILD_ID}`}.`);
     await rest.put(
-      Routes.applicationGuildCommands(process.env.CLIENT_ID, process.env.GUILD_ID),
+      global ? Routes.applicationCommands(CLIENT_ID) : Routes.applicationGuildCommands(CLIENT_ID, GUILD_ID),
       { body: commands }
     );
     console.log('✅ Successfully reloaded application (/) commands.');
@@ -0,0 +1,53 @@
+/* scripts/migrate-storage.js
+   Copies all data from one storage backend to another.
+   Run: node scripts/migrate-storage.js <from> <to> [--guild=<id>] [--force]
+        e.g. node scripts/migrate-storage.js json sqlite --guild=123456789012345678
+   Env: DATA_DIR (defaults to the repo root), SQLITE_FILE
+   With --guild it works on that server's partition (DATA_DIR/guilds/<id>, see
+   src/guilds.js; its database is always zans.db there); without, on DATA_DIR itself
+   as before multi-guild support. The target must be empty unless --force is given.
+*/
+
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createStorage, DOCUMENTS } from '../src/storage/index.js';
+import { guildDir } from '../src/guilds.js';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+const dataDir = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : rootDir;
+const guild = process.argv.find(a=>a.startsWith('--guild='))?.slice('--guild='.length);
+const dir = guild ? guildDir(dataDir, guild) : dataDir;
+const sqliteFile = guild ? path.join(dir, 'zans.db') : undefined;
+
+const [from, to] = process.argv.slice(2).filter(a=>!a.startsWith('--'));
+const force = process.argv.includes('--force');
+if(!from || !to || from===to){
+  console.error('Usage: node scripts/migrate-storage.js <json|sqlite> <json|sqlite> [--guild=<id>] [--force]');
+  process.exit(1);
+}
+
+if(guild && !fs.existsSync(dir)){
+  console.error(`❌ No data for guild ${guild} in ${dir}`);
+  process.exit(1);
+}
+
+const source = await createStorage({ type: from, dir, sqliteFile });
+const target = await createStorage({ type: to, dir, sqliteFile });
+try{
+  const tasks = source.loadTasks();
+  if(target.loadTasks().length && !force){
+    console.error(`❌ ${to} storage already has tasks; re-run with --force to overwrite`);
+    process.exitCode = 1;
+  } else {
+    await target.transaction(()=>{
+      target.saveTasks(tasks);
+      for(const name of DOCUMENTS) target.saveDocument(name, source.loadDocument(name));
+    });
+    console.log(`✅ Copied ${tasks.length} task(s) and ${DOCUMENTS.length} document(s) from ${from} to ${to}`);
+  }
+} finally {
+  source.close();
+  target.close();
+}
@@ -0,0 +1,247 @@
+/* src/api.js - Token-authenticated JSON API (mounted at /api/v1)
+   Authenticate with "Authorization: Bearer <token>". Tokens are either
+   - API_TOKEN from the environment: full admin access, or
+   - tokens made with /api-token: config.apiTokens[name] = { hash, grants, departments },
+     resolved through the same capability model as Discord users.
+   Every change goes through src/service.js, so validation and task logs
+   match the slash commands. The OpenAPI description is served at /openapi.json.
+*/
+
+import crypto from 'crypto';
+import express from 'express';
+import { resolvePermissions, can, canActOnTask } from './permissions.js';
+import { filterTasks, sortTasks, SORTS } from './task-query.js';
+import { departmentMembers } from './departments.js';
+import { canChangeStatus } from './workflows.js';
+import { openApiSpec } from './openapi.js';
+
+const MAX_PAGE_SIZE = 200;
+const HTTP_STATUS = { invalid:400, unauthorized:401, forbidden:403, not_found:404, conflict:409 };
+
+export function hashToken(token){ return crypto.createHash('sha256').update(String(token)).digest('hex'); }
+export function generateToken(){ return `zans_${crypto.randomBytes(24).toString('base64url')}`; }
+
+function sameHash(a, b){
+  const x = Buffer.from(String(a)), y = Buffer.from(String(b));
+  return x.length===y.length && crypto.timingSafeEqual(x, y);
+}
+
+class ApiError extends Error {
+  constructor(code, message){ super(message); this.code = code; }
+}
+const check = (ok, code, message) => { if(!ok) throw new ApiError(code, message); };
+// Service results carry { error, code }; surface them as HTTP errors.
+const unwrap = result => { if(result?.error) throw new ApiError(result.code||'invalid', result.error); return result; };
+
+const toIdList = v => v==null ? [] : (Array.isArray(v) ? v : [v]).map(String).filter(Boolean);
+
+export function createApiRouter({ service, adminToken=process.env.API_TOKEN }){
+  const { departments, managers, config } = service;
+  const router = express.Router();
+  router.use(express.json({ limit:'256kb' }));
+
+  router.get('/openapi.json', (req,res)=>res.json(openApiSpec));
+
+  // Resolves the bearer token to { actor, perms }.
+  function authenticate(req){
+    const m = String(req.get('authorization')||'').match(/^Bearer\s+(.+)$/i);
+    if(!m) return null;
+    const hash = hashToken(m[1].trim());
+    if(adminToken && sameHash(hash, hashToken(adminToken))){
+      const id = 'api:admin';
+      return { actor:{ id, username:'admin (API)' }, perms: resolvePermissions({ userId:id, isGuildAdmin:true }) };
+    }
+    for(const [name, entry] of Object.entries(config.apiTokens||{})){
+      if(!entry?.hash || !sameHash(hash, entry.hash)) continue;
+      const id = `api:${name}`;
+      const perms = resolvePermissions({ userId:id, permissions:{ users:{ [id]: entry } } });
+      return { actor:{ id, username:`${name} (API)` }, perms };
+    }
+    return null;
+  }
+  router.use((req,res,next)=>{
+    const auth = authenticate(req);
+    if(!auth) return res.status(401).json({ error:'Missing or invalid API token' });
+    req.auth = auth;
+    next();
+  });
+
+  // Wraps async handlers so thrown ApiErrors become JSON responses.
+  const route = fn => async (req,res)=>{
+    try{ await fn(req,res); }
+    catch(err){
+      if(err instanceof ApiError) return res.status(HTTP_STATUS[err.code]||400).json({ error:err.message });
+      console.error('API error', err);
+      res.status(500).json({ error:'Internal error' });
+    }
+  };
+  const requireCap = (req, cap, department) => check(can(req.auth.perms, cap, department), 'forbidden', `Missing permission: ${cap}`);
+
+  const serialize = t => ({ ...t, progress: (p=>p==null?null:Math.round(p*100))(service.taskProgress(t)) });
+  function loadTask(req, cap='view-all'){
+    const task = service.findTaskById(req.params.id);
+    check(task, 'not_found', 'Task not found');
+    check(canActOnTask(req.auth.perms, cap, task), 'forbidden', 'Not allowed to access this task');
+    return task;
+  }
+  function parseDate(value, req, name){
+    if(value==null || value==='') return undefined;
+    const parsed = service.parseDue(value, req.auth.actor.id, req.query.timezone);
+    check(!parsed.error, 'invalid', `${name}: ${parsed.error}`);
+    return parsed.due;
+  }
+
+  // ===== Tasks =====
+  router.get('/tasks', route(async (req,res)=>{
+    const q = req.query;
+    const sort = q.sort||'created';
+    check(SORTS.includes(sort), 'invalid', `sort must be one of ${SORTS.join(', ')}`);
+    const filters = {
+      status: q.status, department: q.department, assignee: q.assignee,
+      overdue: q.overdue==='true' || q.overdue==='1',
+      dueBefore: parseDate(q.dueBefore, req, 'dueBefore'), dueAfter: parseDate(q.dueAfter, req, 'dueAfter')
+    };
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, Number(q.limit)||50));
+    const offset = Math.max(0, Number(q.offset)||0);
+    const list = sortTasks(filterTasks(service.visibleTasks(req.auth.perms), filters), sort);
+    res.json({ total:list.length, offset, limit, tasks:list.slice(offset, offset+limit).map(serialize) });
+  }));
+
+  router.get('/tasks/:id', route(async (req,res)=>{ res.json(serialize(loadTask(req))); }));
+
+  router.post('/tasks', route(async (req,res)=>{
+    const body = req.body||{};
+    const { actor, perms } = req.auth;
+    const department = body.department || null;
+    check(!department || departments[department], 'invalid', `Unknown department: ${department}`);
+    requireCap(req, 'assign', department);
+    const prepared = unwrap(service.prepareTask({ ...body, timezone: body.timezone||req.query.timezone }, actor));
+    const assignedTo = [...new Set([...toIdList(body.assignees), ...(department ? departmentMembers(departments, department) : [])])];
+    check(assignedTo.length, 'invalid', 'No users to assign — pass assignees or a department with members');
+    let parentId = null;
+    if(body.parentId!=null){
+      const parent = service.findTaskById(body.parentId);
+      check(parent, 'not_found', 'Parent task not found');
+      check(canActOnTask(perms, 'update-any', parent), 'forbidden', 'Not allowed to add subtasks to the parent task');
+      parentId = parent.id;
+    }
+    const task = await service.createTask(prepared, actor, { assignedTo, department, parentId, action:`Assigned by ${actor.username}` });
+    res.status(201).json(serialize(task));
+  }));
+
+  router.patch('/tasks/:id', route(async (req,res)=>{
+    const body = req.body||{};
+    const { actor, perms } = req.auth;
+    const { status, comment, ...rest } = body;
+    // A reviewer may only change the status of a task In Review (src/workflows.js).
+    const statusOnly = status!=null && !Object.keys(rest).some(k=>k!=='timezone');
+    const task = service.findTaskById(req.params.id);
+    check(task, 'not_found', 'Task not found');
+    check(canActOnTask(perms, 'update-any', task) || (statusOnly && canChangeStatus(perms, task)), 'forbidden', 'Not allowed to access this task');
+    const { edits } = unwrap(service.prepareEdits({ ...rest, timezone: body.timezone||req.query.timezone }, actor));
+    if(edits.department!==undefined){
+      check(can(perms,'assign',task.department??null) && can(perms,'assign',edits.department), 'forbidden', 'Moving a task needs assign on both departments');
+    }
+    // The move is checked as it will be made (after a department change) before anything is saved.
+    const moves = status!=null && status!==task.status;
+    if(moves) unwrap(service.checkStatusChange({ ...task, ...edits }, status, { perms, comment }));
+    await service.editTask(task, edits, actor);
+    if(moves) unwrap(await service.setTaskStatus(task, status, actor, { perms, comment }));
+    res.json(serialize(task));
+  }));
+
+  router.delete('/tasks/:id', route(async (req,res)=>{
+    const task = loadTask(req, 'delete-any');
+    await service.deleteTask(task, req.auth.actor);
+    res.status(204).end();
+  }));
+
+  // { add:[userId], remove:[userId], department } — department adds its members.
+  router.post('/tasks/:id/assignees', route(async (req,res)=>{
+    const body = req.body||{};
+    const task = service.findTaskById(req.params.id);
+    check(task, 'not_found', 'Task not found');
+    requireCap(req, 'assign', task.department ?? null);
+    const add = toIdList(body.add), remove = toIdList(body.remove);
+    check(add.length || remove.length || body.department, 'invalid', 'Pass add, remove or department');
+    check(!body.department || departments[body.department], 'invalid', `Unknown department: ${body.department}`);
+    if(add.length || body.department) await service.addAssignees(task, add, req.auth.actor, { department: body.department });
+    if(remove.length) await service.removeAssignees(task, remove, req.auth.actor);
+    res.json(serialize(task));
+  }));
+
+  // { text, attachments:[{ name, url }] } — anyone who can see the task may comment.
+  router.post('/tasks/:id/comments', route(async (req,res)=>{
+    const body = req.body||{};
+    const task = loadTask(req, 'view-all');
+    const { comment } = unwrap(await service.addComment(task, req.auth.actor, { text: body.text, attachments: Array.isArray(body.attachments) ? body.attachments : [] }));
+    res.status(201).json(comment);
+  }));
+
+  // ===== Departments =====
+  const departmentJSON = name => ({
+    name, members: departments[name].members, lead: departments[name].lead,
+    openTasks: service.getDepartmentTasks(name).filter(t=>t.status!=='Done').length
+  });
+  router.get('/departments', route(async (req,res)=>{ res.json(Object.keys(departments).map(departmentJSON)); }));
+
+  router.post('/departments', route(async (req,res)=>{
+    requireCap(req, 'manage-departments');
+    const { name, members, lead } = req.body||{};
+    unwrap(await service.addDepartment(name, { members: toIdList(members), lead: lead||null }));
+    res.status(201).json(departmentJSON(String(name).trim()));
+  }));
+
+  // { name (rename), addMembers, removeMembers, lead (null clears), updateTasks }
+  router.patch('/departments/:name', route(async (req,res)=>{
+    let name = req.params.name;
+    check(departments[name], 'not_found', `Department ${name} not found`);
+    requireCap(req, 'manage-departments', name);
+    const body = req.body||{};
+    const { actor } = req.auth;
+    if(body.name!=null && body.name!==name){
+      unwrap(await service.renameDepartment(name, body.name, actor));
+      name = String(body.name).trim();
+    }
+    if(toIdList(body.addMembers).length) unwrap(await service.changeDepartmentMembers(name, toIdList(body.addMembers), true, actor, { syncTasks: !!body.updateTasks }));
+    if(toIdList(body.removeMembers).length) unwrap(await service.changeDepartmentMembers(name, toIdList(body.removeMembers), false, actor, { syncTasks: !!body.updateTasks }));
+    if(body.lead!==undefined) unwrap(await service.setDepartmentLead(name, body.lead));
+    res.json(departmentJSON(name));
+  }));
+
+  // ?openTasks=orphan|reassign&toDepartment=&toUser=
+  router.delete('/departments/:name', route(async (req,res)=>{
+    const name = req.params.name;
+    check(departments[name], 'not_found', `Department ${name} not found`);
+    requireCap(req, 'manage-departments', name);
+    const q = { ...req.query, ...(req.body||{}) };
+    const result = unwrap(await service.deleteDepartment(name, {
+      mode: q.openTasks||'orphan', toDepartment: q.toDepartment, toUser: q.toUser ? { id:String(q.toUser) } : undefined
+    }, req.auth.actor));
+    res.json({ deleted:name, openTasks:result.openTasks });
+  }));
+
+  // ===== Managers =====
+  router.get('/managers', route(async (req,res)=>{
+    const roles = Object.entries(config.permissions?.roles||{}).filter(([,e])=>e.grants.includes('manager'));
+    res.json({
+      users: Object.entries(managers).map(([id,e])=>({ id, departments: Array.isArray(e?.departments) ? e.departments : [] })),
+      roles: roles.map(([id,e])=>({ id, departments: e.departments||[] }))
+    });
+  }));
+  router.put('/managers/:userId', route(async (req,res)=>{
+    requireCap(req, 'manage-managers', null);
+    const depts = toIdList(req.body?.departments);
+    unwrap(await service.addManager({ type:'user', id:req.params.userId }, depts));
+    res.json({ id:req.params.userId, departments:depts });
+  }));
+  router.delete('/managers/:userId', route(async (req,res)=>{
+    requireCap(req, 'manage-managers', null);
+    unwrap(await service.removeManager({ type:'user', id:req.params.userId }));
+    res.status(204).end();
+  }));
+
+  router.use((req,res)=>res.status(404).json({ error:'Not found' }));
+  return router;
+}
+
@@ -0,0 +1,56 @@
+/* src/backups.js - Comparing a backup with the current data (/backup)
+   The storage adapter names, lists and reads backups (src/storage/index.js);
+   service.diffBackup / restoreBackup use diffSnapshots, and /backup renders
+   the result with describeDiff. A snapshot is { tasks, documents: { name: data } },
+   plus `missing` document names for a backup that has no copy of them.
+*/
+
+import { DOCUMENTS } from './storage/index.js';
+import { discordTimestamp } from './due.js';
+
+// Key order is not part of the data, so objects are compared with sorted keys.
+const canonical = value => JSON.stringify(value, (key, v) => v && typeof v==='object' && !Array.isArray(v)
+  ? Object.fromEntries(Object.keys(v).sort().map(k=>[k, v[k]])) : v);
+
+// What restoring `backup` over `current` changes:
+// { restored: tasks only in the backup, removed: tasks only in current,
+//   changed: [{ task, fields }] (task as in the backup), documents: names that differ }
+// Tasks are left out when the backup has no copy of them (retention pruned it).
+export function diffSnapshots(backup, current){
+  const missing = backup.missing || [];
+  const withTasks = !missing.includes('tasks');
+  const before = new Map(withTasks ? backup.tasks.map(t=>[String(t.id), t]) : []);
+  const now = new Map(current.tasks.map(t=>[String(t.id), t]));
+  const restored = withTasks ? backup.tasks.filter(t=>!now.has(String(t.id))) : [];
+  const removed = withTasks ? current.tasks.filter(t=>!before.has(String(t.id))) : [];
+  const changed = [];
+  for(const [id, old] of before){
+    const task = now.get(id);
+    if(!task) continue;
+    const fields = [...new Set([...Object.keys(old), ...Object.keys(task)])].filter(k=>canonical(old[k])!==canonical(task[k])).sort();
+    if(fields.length) changed.push({ task: old, fields });
+  }
+  const documents = DOCUMENTS.filter(n=>!missing.includes(n) && canonical(backup.documents[n] ?? {})!==canonical(current.documents[n] ?? {}));
+  return { restored, removed, changed, documents };
+}
+
+// A backup as one line: when, which files it has a copy of, and 📌 when pinned.
+export function describeBackup(point){
+  const iso = new Date(point.date).toISOString();
+  return `${point.pinned ? '📌 ' : ''}\`${point.id}\` ${discordTimestamp(iso, 'f')} (${discordTimestamp(iso, 'R')}) — ${point.files.join(', ')}`;
+}
+
+// The diff as Discord lines, listing at most `max` tasks per kind.
+export function describeDiff({ restored, removed, changed, documents }, max=10){
+  const label = t => `“${String(t.title||'').slice(0,80)}” (ID:${t.id})`;
+  const section = (title, list, line) => list.length
+    ? [`**${title}** (${list.length})`, ...list.slice(0, max).map(line), ...(list.length>max ? [`… and ${list.length-max} more`] : [])]
+    : [];
+  const lines = [
+    ...section('Tasks brought back', restored, t=>`➕ ${label(t)}`),
+    ...section('Tasks removed (created since)', removed, t=>`➖ ${label(t)}`),
+    ...section('Tasks changed', changed, c=>`✏️ ${label(c.task)}: ${c.fields.join(', ')}`),
+    ...(documents.length ? [`**Settings that differ:** ${documents.join(', ')}`] : [])
+  ];
+  return lines.length ? lines.join('\n') : 'No differences: the backup matches the current data';
+}
@@ -0,0 +1,424 @@
+/* src/bot.js - The Discord bot: command dispatch, task card components, reminders and jobs
+   createBot() only wires things up: nothing logs in, listens or schedules until
+   the caller says so. index.js hands it a real client, routes interactions to
+   handleInteraction() and calls onReady() once connected; tests drive the same
+   handler with fake interactions (test/harness.js) on a temp data dir.
+   Each slash command lives in src/commands; handleInteraction() looks it up,
+   checks its permission and runs it with the ctx built below.
+   `now` is the bot's clock (reminders, overdue marking, snoozes, sessions); pass
+   the same one to createTaskService({ clock }) to control every timestamp.
+*/
+
+import { AttachmentBuilder, PermissionFlagsBits } from 'discord.js';
+import schedule from 'node-schedule';
+
+import { createDashboard } from './dashboard.js';
+import { createWebhookDispatcher } from './webhooks.js';
+import { createNotifier } from './notifications.js';
+import { formatDue, formatDueInput, discordTimestamp } from './due.js';
+import { BUTTON_STATUSES, parseCardId, parseListId, parseImportId, taskCard, deleteConfirmation, editModal, sendBackModal, taskPicker, pageControls } from './cards.js';
+import { filterTasks, sortTasks, paginate, describeFilters, isOverdue } from './task-query.js';
+import { createUsernameCache } from './usernames.js';
+import { EXPORT_FORMATS, exportUserIds, renderExport } from './export.js';
+import { STATS_FORMATS, renderStats } from './stats.js';
+import { createCalendarFeed } from './calendar.js';
+import { MAX_CHECKLIST_ITEMS, formatProgress } from './structure.js';
+import { leadDepartments } from './departments.js';
+import { memberRoleIds, resolvePermissions, can, canActOnTask, SERVER_CAPABILITIES } from './permissions.js';
+import { REVIEW_STATUS, canChangeStatus, sendBackStatus } from './workflows.js';
+import { COMMANDS, findCommand } from './commands/index.js';
+import { MAX_MESSAGE_LENGTH, parseList, clip, deny } from './commands/util.js';
+
+// `client` needs users.fetch, channels.fetch and guilds.cache (a discord.js Client or a fake).
+export function createBot({ service, client, publicUrl='http://localhost:3000', adminIds=parseList(process.env.ADMIN_IDS), now=()=>new Date() }){
+  const { departments, managers, config, series, events } = service;
+  const {
+    saveTasks, saveWebhooks, safeSave, getAllTasks, getSubtasks, findTaskById, taskProgress, visibleTasks,
+    zoneFor, parseDue, prepareEdits, runScheduledSeries, importTasks, setTaskStatus, editTask, deleteTask
+  } = service;
+
+  // Outgoing webhooks for task lifecycle events (managed with /webhook).
+  const webhooks = createWebhookDispatcher({ bus: events, data: service.webhooks, save: ()=>safeSave(async()=>saveWebhooks()) });
+
+  // ===== Permissions =====
+  function getPermissions(interaction){
+    return resolvePermissions({
+      userId: interaction.user.id,
+      roleIds: memberRoleIds(interaction.member),
+      ownerId: interaction.guild?.ownerId,
+      isGuildAdmin: !!interaction.memberPermissions?.has(PermissionFlagsBits.Administrator),
+      adminIds, managers, permissions: config.permissions||{},
+      leadOf: leadDepartments(departments, interaction.user.id)
+    });
+  }
+  // Same resolution outside an interaction (e.g. the web dashboard): looks the member up in the guild.
+  async function memberPermissions(userId, guildId){
+    const guild = guildId ? client.guilds.cache.get(guildId) : null;
+    const member = guild ? await guild.members.fetch(userId).catch(()=>null) : null;
+    return resolvePermissions({
+      userId, roleIds: memberRoleIds(member), ownerId: guild?.ownerId,
+      isGuildAdmin: !!member?.permissions?.has(PermissionFlagsBits.Administrator),
+      adminIds, managers, permissions: config.permissions||{},
+      leadOf: leadDepartments(departments, userId)
+    });
+  }
+
+  // Resolves the id/index options shared by /task-update and /task-delete.
+  // The index counts through the same list /task-list shows the caller.
+  function resolveTaskRef(id, index, perms){
+    if(id){
+      const task=findTaskById(id);
+      return task ? {task} : {error:'Task not found'};
+    }
+    const list = visibleTasks(perms);
+    if(!index || index<1 || index>list.length) return {error:'Invalid index'};
+    return {task:list[index-1]};
+  }
+
+  function cardFor(task, note){
+    return taskCard(task, {
+      note,
+      workflow: service.taskWorkflow(task),
+      series: task.seriesId ? series[task.seriesId] : null,
+      progress: taskProgress(task),
+      subtasks: getSubtasks(task.id),
+      blockers: (task.blockedBy||[]).map(findTaskById).filter(Boolean)
+    });
+  }
+
+  // ===== Discord-facing helpers and web views =====
+  const usernames = createUsernameCache(id=>client.users.fetch(id));
+  // Channel posts, DMs with channel fallback and digests (src/notifications.js; /notifications).
+  const notifier = createNotifier({ bus: events, service, now, transport: {
+    async sendDM(userId, content){ const u = await client.users.fetch(userId); await u.send(content); },
+    async sendChannel(channelId, content, mentions=[]){
+      const channel = await client.channels.fetch(channelId);
+      if(!channel?.isTextBased?.()) throw new Error('not a text channel');
+      await channel.send({ content, allowedMentions:{ users: mentions } });
+    }
+  }});
+  // Routers for the caller to mount: /dashboard (src/dashboard.js) and /calendar (src/calendar.js).
+  const dashboard = createDashboard({ service, permissionsFor: memberPermissions, displayNames: ids=>usernames.getMany(ids), secureCookies: publicUrl.startsWith('https:'), now: ()=>now().getTime() });
+  const calendarFeed = createCalendarFeed({ service, displayNames: ids=>usernames.getMany(ids) });
+
+  // ===== Reminders, overdue marking and scheduled jobs =====
+  // Each assignee gets their own offsets (/notify-settings); quiet hours and snoozes
+  // defer a reminder by leaving it unsent. remindersSent holds `${key}:${userId}`
+  // (plain keys from older versions count as sent to everyone) plus 'overdue-notice'
+  // once the task.overdue event has gone out.
+  async function runReminders(at=now()){
+    const changed=new Set();
+    const fired=[]; // [type, data] published once the reminders are saved
+    for(const t of getAllTasks()){
+      if(!t.due || t.status==='Done') continue;
+      t.remindersSent=t.remindersSent||[];
+      t.logs=t.logs||[];
+      const diffMins=(new Date(t.due)-at)/(1000*60);
+
+      if(diffMins<0 && !t.remindersSent.includes('overdue') && !t.remindersSent.includes('overdue-notice')){
+        t.remindersSent.push('overdue-notice');
+        t.logs.push({date:at.toISOString(),action:'Task became overdue'});
+        changed.add(t.id);
+        fired.push(['task.overdue', { task:t }]);
+      }
+
+      const reminded = new Map(); // window key -> recipients
+      for(const ass of t.assignedTo||[]){
+        const pending = notifier.pendingReminders(ass, t, at);
+        if(!pending.length) continue;
+        // Several windows can open at once (e.g. after quiet hours); one message covers them.
+        const key = pending.reduce((a,b)=>a.mins<=b.mins?a:b).key;
+        const msg = key==='overdue'
+          ? `⚠️ Task "${t.title}" is OVERDUE (due ${formatDue(t.due, zoneFor(ass))}). Status: ${t.status}`
+          : `⏰ Reminder: Task "${t.title}" due in ~${Math.round(diffMins)} minutes (due ${formatDue(t.due, zoneFor(ass))}).`;
+        await notifier.deliver(ass, key==='overdue' ? 'overdue' : 'reminder', msg, { department:t.department, at });
+        for(const w of pending) t.remindersSent.push(`${w.key}:${ass}`);
+        reminded.set(key, [...(reminded.get(key)||[]), ass]);
+      }
+      for(const [key, recipients] of reminded){
+        t.logs.push({date:at.toISOString(),action: key==='overdue' ? `Overdue reminder sent to ${recipients.length} assignee(s)` : `Reminder (${key}) sent to ${recipients.length} assignee(s)`});
+        changed.add(t.id);
+        fired.push(['reminder.sent', { task:t, window:key, recipients }]);
+      }
+    }
+    if(changed.size) await safeSave(async ()=>saveTasks([...changed]));
+    for(const [type,data] of fired) events.publish(type, data);
+    await notifier.flushHeld(at);
+    return [...changed];
+  }
+
+  // Open tasks past their due date become Overdue; runs once when the bot connects.
+  async function markOverdueTasks(at=now()){
+    const changed=[];
+    for(const t of getAllTasks()){
+      if(!t.due || t.status==='Done' || t.status==='Overdue' || new Date(t.due)>=at) continue;
+      const from=t.status;
+      t.status='Overdue';
+      t.logs=t.logs||[];
+      t.logs.push({date:at.toISOString(),action:'Auto-marked overdue on startup'});
+      changed.push(t.id);
+      events.publish('task.status_changed', { task:t, from, to:'Overdue', actor:null, reason:'overdue' });
+    }
+    if(changed.length) await safeSave(async ()=>saveTasks(changed));
+    return changed;
+  }
+
+  // This bot's own schedule (see JOBS); src/guilds.js schedules every guild's bot together instead.
+  let stopSchedule = null;
+  function startJobs(){ stopSchedule = stopSchedule || scheduleJobs(()=>[bot]); }
+  function stopJobs(){ stopSchedule?.(); stopSchedule = null; }
+
+  // ===== Exports (src/export.js, src/stats.js) =====
+  // Files show people by username and dates in the caller's timezone.
+  async function exportContext(tasks, userId, extra){
+    const ids = exportUserIds(tasks);
+    const names = await usernames.getMany(ids);
+    return { names: new Map(ids.map((id,i)=>[id, names[i]])), progress: taskProgress, zone: zoneFor(userId), ...extra };
+  }
+  // Renders one /export file.
+  async function exportFile(format, tasks, { userId, theme, summary }){
+    const ctx = await exportContext(tasks, userId, { theme, summary });
+    return new AttachmentBuilder(renderExport(format, tasks, ctx), { name:`tasks-${now().getTime()}.${EXPORT_FORMATS[format]}` });
+  }
+  // A /stats report (src/stats.js): the charts above the same task table.
+  async function statsFile(format, report, tasks, { userId, theme, title, summary }){
+    const ctx = await exportContext(tasks, userId, { theme, title, summary });
+    return new AttachmentBuilder(renderStats(format, report, tasks, ctx), { name:`stats-${now().getTime()}.${STATS_FORMATS[format]}` });
+  }
+
+  // ===== Task list pages =====
+  // /task-list filters live here between page turns; buttons carry only the token.
+  const LIST_SESSION_TTL = 15*60*1000;
+  const listSessions = new Map(); // token -> { userId, filters, sort, expires }
+  // Filters shared by /task-list and /export; returns { filters } or { error }.
+  function listFilters(options, userId){
+    const filters = {
+      status: options.getString('status'),
+      department: options.getString('department'),
+      assignee: options.getUser('assignee')?.id,
+      overdue: options.getBoolean('overdue')
+    };
+    for(const [key,opt] of [['dueBefore','due_before'],['dueAfter','due_after']]){
+      if(!options.getString(opt)) continue;
+      const parsed = parseDue(options.getString(opt), userId);
+      if(parsed.error) return { error:`${opt}: ${parsed.error}` };
+      filters[key] = parsed.due;
+    }
+    return { filters };
+  }
+  function rememberListQuery(query){
+    const at = now().getTime();
+    for(const [k,s] of listSessions) if(s.expires<=at) listSessions.delete(k);
+    const token = Math.random().toString(36).slice(2,10);
+    listSessions.set(token, { ...query, expires: at+LIST_SESSION_TTL });
+    return token;
+  }
+  async function renderTaskListPage(perms, query, token, page){
+    const all = sortTasks(filterTasks(visibleTasks(perms), query.filters), query.sort);
+    const header = `📋 Tasks (${describeFilters(query.filters, query.sort, d=>discordTimestamp(d,'d'))})`;
+    if(!all.length) return { content:`${header}\n📭 No tasks found`, components:[] };
+    const view = paginate(all, page);
+    const lines = await Promise.all(view.items.map(async(t,i)=>{
+      const assignees = await usernames.getMany(t.assignedTo);
+      const lastLog = t.logs?.length ? t.logs[t.logs.length-1].action : 'No updates';
+      const due = t.due ? `${discordTimestamp(t.due,'f')} (${discordTimestamp(t.due,'R')})${isOverdue(t)?' ⚠️':''}` : 'none';
+      const priority = (t.priority||'normal')!=='normal' ? ` — ${t.priority}` : '';
+      const progress = formatProgress(taskProgress(t));
+      return `**${view.offset+i+1}. ${clip(t.title,80)}** (ID:${t.id})${t.seriesId?' 🔁':''}${t.parentId?` ↳${t.parentId}`:''} — ${t.status}${progress?` (${progress})`:''}${priority} — due:${due}\nAssigned: ${clip(assignees.join(', '),150)}\nDepartment: ${t.department||'-'}\nLast: ${clip(lastLog,100)}`;
+    }));
+    const content = `${header}\nShowing ${view.offset+1}–${view.offset+view.items.length} of ${view.total}\n\n${lines.join('\n\n')}`;
+    return { content: clip(content, MAX_MESSAGE_LENGTH), components:[...pageControls(token, view.page, view.pages), ...taskPicker(view.items)] };
+  }
+  async function handleListPage(interaction, ref){
+    const session = listSessions.get(ref.token);
+    if(!session || session.expires<=now().getTime()){
+      listSessions.delete(ref.token);
+      await interaction.update({content:'⌛ This list has expired — run /task-list again', components:[]});
+      return;
+    }
+    if(session.userId!==interaction.user.id){ await interaction.reply({content:'❌ This list belongs to someone else', ephemeral:true}); return; }
+    session.expires = now().getTime()+LIST_SESSION_TTL;
+    await interaction.update(await renderTaskListPage(getPermissions(interaction), session, ref.token, ref.page));
+  }
+
+  // ===== Imports =====
+  // /import validates the file and keeps the rows here until the caller confirms.
+  const importSessions = new Map(); // token -> { userId, rows, source, expires }
+  function rememberImport(pending){
+    const at = now().getTime();
+    for(const [k,s] of importSessions) if(s.expires<=at) importSessions.delete(k);
+    const token = Math.random().toString(36).slice(2,10);
+    importSessions.set(token, { ...pending, expires: at+LIST_SESSION_TTL });
+    return token;
+  }
+  async function handleImportButton(interaction, ref){
+    const session = importSessions.get(ref.token);
+    if(!session || session.expires<=now().getTime()){
+      importSessions.delete(ref.token);
+      await interaction.update({content:'⌛ This import preview has expired — run /import again', components:[]});
+      return;
+    }
+    if(session.userId!==interaction.user.id){ await interaction.reply({content:'❌ This import belongs to someone else', ephemeral:true}); return; }
+    importSessions.delete(ref.token);
+    if(ref.action==='cancel'){ await interaction.update({content:'Import cancelled — nothing was saved', components:[]}); return; }
+    const created = await importTasks(session.rows, interaction.user, { source:session.source });
+    await interaction.update({content:`✅ Imported ${created.length} task(s) from ${session.source}${created.length?` (IDs ${created[0].id}–${created[created.length-1].id})`:''}`, components:[]});
+  }
+
+  // ===== Task card components =====
+  // Buttons, select menus and the edit modal on task cards. Permission checks
+  // mirror /task-update (update-any, or a reviewer while In Review) and /task-delete (delete-any).
+  async function handleTaskComponent(interaction, ref){
+    const { user } = interaction;
+    const perms = getPermissions(interaction);
+    const taskId = ref.action==='open' ? interaction.values[0] : ref.id;
+    const task = findTaskById(taskId);
+    // Replace the card in place when the interaction came from one.
+    const respond = payload => interaction.isMessageComponent() || interaction.isFromMessage?.()
+      ? interaction.update(payload)
+      : interaction.reply({...payload, ephemeral:true});
+    const refuse = content => interaction.reply({content, ephemeral:true});
+
+    if(!task){
+      if(ref.action==='open') { await refuse('Task not found'); return; }
+      await respond({content:'Task not found — it may have been deleted', embeds:[], components:[]});
+      return;
+    }
+    const statusAction = BUTTON_STATUSES[ref.action] || ['status','send-back','send-back-submit'].includes(ref.action);
+    const cap = ref.action.startsWith('delete') ? 'delete-any' : 'update-any';
+    const allowed = statusAction ? canChangeStatus(perms, task) : canActOnTask(perms, cap, task);
+    if(ref.action!=='open' && ref.action!=='cancel' && !allowed){
+      await refuse('❌ You are not assigned to this task'); return;
+    }
+
+    if(ref.action==='open'){
+      if(!canActOnTask(perms,'view-all',task)){ await refuse('❌ You are not assigned to this task'); return; }
+      await interaction.reply({...cardFor(task), ephemeral:true});
+      return;
+    }
+    if(ref.action==='cancel'){ await respond(cardFor(task)); return; }
+
+    if(BUTTON_STATUSES[ref.action] || ref.action==='status'){
+      const status = BUTTON_STATUSES[ref.action] || interaction.values[0];
+      const { error, next } = await setTaskStatus(task, status, user, { perms });
+      if(error){ await refuse(error); return; }
+      await respond(cardFor(task, `🔄 ${user.username} set this task to ${status}${next?`\n🔁 Next occurrence created (ID:${next.id}, due ${formatDue(next.due, zoneFor(user.id))})`:''}`));
+      return;
+    }
+    if(ref.action.startsWith('send-back') && task.status!==REVIEW_STATUS){ await refuse(`This task is not ${REVIEW_STATUS}`); return; }
+    if(ref.action==='send-back'){
+      await interaction.showModal(sendBackModal(task, sendBackStatus(service.taskWorkflow(task), task)));
+      return;
+    }
+    if(ref.action==='send-back-submit'){
+      const to = sendBackStatus(service.taskWorkflow(task), task);
+      const comment = interaction.fields.getTextInputValue('comment');
+      const { error } = await setTaskStatus(task, to, user, { perms, comment });
+      if(error){ await refuse(error); return; }
+      await respond(cardFor(task, `↩️ ${user.username} sent this task back to ${to}: ${clip(comment, 200)}`));
+      return;
+    }
+
+    if(ref.action==='check'){
+      const ticked = new Set(interaction.values);
+      const changed = [];
+      for(const item of (task.checklist||[]).slice(0, MAX_CHECKLIST_ITEMS)){
+        const done = ticked.has(String(item.id));
+        if(item.done===done) continue;
+        item.done = done;
+        changed.push(`${done?'ticked':'unticked'} "${item.text}"`);
+      }
+      if(changed.length){
+        task.logs = task.logs||[];
+        task.logs.push({date:now().toISOString(), action:`Checklist: ${changed.join(', ')} by ${user.username}`});
+        await safeSave(async()=>saveTasks([task.id]));
+      }
+      await respond(cardFor(task, changed.length ? `☑ ${clip(changed.join(', '),200)}` : ''));
+      return;
+    }
+
+    if(ref.action==='edit'){
+      await interaction.showModal(editModal(task, formatDueInput(task.due, zoneFor(user.id))));
+      return;
+    }
+    if(ref.action==='edit-submit'){
+      const field = name => interaction.fields.getTextInputValue(name)||'';
+      const prepared = prepareEdits({ title:field('title'), description:field('description'), due:field('due') }, user);
+      if(prepared.error){ await refuse(`⚠️ ${prepared.error}`); return; }
+      const changed = await editTask(task, prepared.edits, user);
+      await respond(cardFor(task, changed.length ? `✏️ Updated ${changed.join(', ')}` : 'No changes'));
+      return;
+    }
+
+    if(ref.action==='delete'){ await respond(deleteConfirmation(task)); return; }
+    if(ref.action==='delete-confirm'){
+      await deleteTask(task, user);
+      await respond({content:`🗑️ Deleted: ${task.title} — /undo brings it back`, embeds:[], components:[]});
+      return;
+    }
+    await refuse('Unknown action');
+  }
+
+  // ===== Slash commands (src/commands) =====
+  // What every command handler receives; perms is added per interaction.
+  const ctx = {
+    service, now, publicUrl, usernames, notifier, webhooks, dashboard, calendarFeed, memberPermissions,
+    cardFor, resolveTaskRef, listFilters, rememberListQuery, renderTaskListPage, exportFile, statsFile, rememberImport,
+    commands: COMMANDS
+  };
+
+  // ===== InteractionCreate handler =====
+  async function handleInteraction(interaction){
+    try{
+      const listRef = interaction.isMessageComponent() ? parseListId(interaction.customId) : null;
+      if(listRef){ await handleListPage(interaction, listRef); return; }
+      const importRef = interaction.isMessageComponent() ? parseImportId(interaction.customId) : null;
+      if(importRef){ await handleImportButton(interaction, importRef); return; }
+      const ref = (interaction.isMessageComponent() || interaction.isModalSubmit()) ? parseCardId(interaction.customId) : null;
+      if(ref){ await handleTaskComponent(interaction, ref); return; }
+      if(interaction.isAutocomplete?.()){
+        const command = findCommand(interaction.commandName);
+        // Autocomplete interactions cannot be replied to, so failures are only logged.
+        if(command?.autocomplete) await command.autocomplete(interaction, { ...ctx, perms: getPermissions(interaction) }).catch(err=>console.error('Autocomplete error:', err));
+        return;
+      }
+      if(!interaction.isChatInputCommand()) return;
+      const command = findCommand(interaction.commandName);
+      if(!command) return;
+      const perms = getPermissions(interaction);
+      if(command.permission && !can(perms, command.permission, SERVER_CAPABILITIES.includes(command.permission) ? null : undefined)){ await deny(interaction, command.permission); return; }
+      await command.execute(interaction, { ...ctx, perms });
+    } catch(err){ console.error('Interaction error:', err); if(interaction.replied||interaction.deferred){ interaction.followUp({content:'❌ Error occurred', ephemeral:true}); } else { interaction.reply({content:'❌ Error occurred', ephemeral:true}); } }
+  }
+
+  const bot = {
+    handleInteraction, runReminders, markOverdueTasks, startJobs, stopJobs,
+    runScheduledSeries: (at=now())=>runScheduledSeries(at),
+    runDigests: ()=>notifier.runDigests(),
+    // Call once the client is connected: marks missed due dates Overdue, then starts the jobs.
+    async onReady(){ await markOverdueTasks(); startJobs(); },
+    getPermissions, memberPermissions, usernames, notifier, webhooks, dashboard, calendarFeed
+  };
+  return bot;
+}
+
+// ===== Scheduled jobs =====
+// Reminders every 5 minutes, recurring 'schedule'-mode series every minute (the
+// series logic lives in src/service.js) and digests every 10 minutes.
+export const JOBS = [
+  { rule:'*/5 * * * *', name:'Reminder', run: bot=>bot.runReminders() },
+  { rule:'* * * * *', name:'Recurrence', run: bot=>bot.runScheduledSeries() },
+  { rule:'*/10 * * * *', name:'Digest', run: bot=>bot.runDigests() }
+];
+
+// Runs every job over each bot `bots()` returns at that moment; one bot failing
+// does not hold up the others. Returns a function that cancels the schedule.
+export function scheduleJobs(bots){
+  const jobs = JOBS.map(({ rule, name, run })=>schedule.scheduleJob(rule, async ()=>{
+    for(const bot of bots()){
+      try{ await run(bot); }
+      catch(err){ console.error(`${name} job error`, err); }
+    }
+  }));
+  return ()=>{ for(const job of jobs) job.cancel(); };
+}
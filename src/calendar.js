@@ -0,0 +1,52 @@
+/* src/calendar.js - Per-user iCalendar feed (mounted at /calendar)
+   /calendar in Discord hands out https://<PUBLIC_URL>/calendar/<token>.ics;
+   calendar apps poll it and show every task assigned to that user that has a
+   due date. The token lives in users.json (userSettings[userId].calendarToken)
+   and is the only credential, so /calendar reset replaces it.
+*/
+
+import crypto from 'crypto';
+import express from 'express';
+import { tasksToICS, exportUserIds } from './export.js';
+
+export function createCalendarFeed({ service, displayNames }){
+  const router = express.Router();
+  const { userSettings } = service;
+
+  function userForToken(token){
+    const supplied = Buffer.from(String(token));
+    for(const [userId, settings] of Object.entries(userSettings)){
+      const stored = Buffer.from(String(settings?.calendarToken||''));
+      if(stored.length && stored.length===supplied.length && crypto.timingSafeEqual(stored, supplied)) return userId;
+    }
+    return null;
+  }
+
+  // Returns the user's feed token, creating one (or a fresh one when reset) as needed.
+  async function tokenFor(userId, { reset=false }={}){
+    const settings = userSettings[userId] = userSettings[userId] || {};
+    if(!settings.calendarToken || reset){
+      settings.calendarToken = crypto.randomBytes(24).toString('base64url');
+      await service.safeSave(async()=>service.saveUserSettings());
+    }
+    return settings.calendarToken;
+  }
+
+  router.get('/:token.ics', async (req,res)=>{
+    try{
+      const userId = userForToken(req.params.token);
+      if(!userId) return res.status(404).type('text/plain').send('Unknown calendar');
+      const tasks = service.getUserTasks(userId).filter(t=>t.due);
+      const ids = [...new Set([userId, ...exportUserIds(tasks)])];
+      const names = await displayNames(ids);
+      const body = tasksToICS(tasks, { names: new Map(ids.map((id,i)=>[id, names[i]||id])), progress: service.taskProgress,
+        title: `ZANS tasks — ${names[0] || userId}` });
+      res.set('Cache-Control', 'private, max-age=300').type('text/calendar; charset=utf-8').send(body);
+    }catch(err){
+      console.error('Calendar feed error', err);
+      res.status(500).type('text/plain').send('Internal error');
+    }
+  });
+
+  return { router, tokenFor };
+}
@@ -0,0 +1,202 @@
+/* src/cards.js - Task cards (embed + buttons, status menu, edit modal)
+   Component custom IDs are "task:<action>:<taskId>":
+     start | done | block      set the status from a button
+     review | approve          submit for review / approve, when the workflow has the review gate
+     send-back                 open the send-back modal; it submits as "task:send-back-submit:<id>"
+     status                    status select menu (value = status; the task workflow's statuses)
+     check                     checklist menu (values = ticked item IDs)
+     edit                      open the edit modal; the modal submits as "task:edit-submit:<id>"
+     delete | delete-confirm | cancel
+     open                      task picker under /task-list and /task-search (value = task ID)
+   List pages use "list:<token>:<page>"; the token names the caller's filters
+   (kept in memory by src/bot.js). /import previews use "import:<token>:confirm|cancel".
+*/
+
+import {
+  EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder,
+  ModalBuilder, TextInputBuilder, TextInputStyle
+} from 'discord.js';
+import { MAX_TITLE_LENGTH } from './task-query.js';
+import { discordTimestamp } from './due.js';
+import { progressBar, MAX_CHECKLIST_ITEMS } from './structure.js';
+import { DEFAULT_WORKFLOW, REVIEW_STATUS, workflowStatuses } from './workflows.js';
+import { formatComment } from './comments.js';
+
+export const BUTTON_STATUSES = { start:'In Progress', done:'Done', block:'Blocked', review:REVIEW_STATUS, approve:'Done' };
+
+// Custom workflow statuses get the default colour and the 🔹 icon.
+const STATUS_COLORS = { 'Pending':0x95a5a6, 'In Progress':0x3498db, [REVIEW_STATUS]:0x9b59b6, 'Done':0x2ecc71, 'Blocked':0xe67e22, 'Overdue':0xe74c3c };
+const STATUS_ICONS = { 'Pending':'⏳', 'In Progress':'🚧', [REVIEW_STATUS]:'👀', 'Done':'✅', 'Blocked':'⛔', 'Overdue':'⚠️' };
+const statusIcon = status => STATUS_ICONS[status] || '🔹';
+const MAX_PICKER_OPTIONS = 25; // Discord limit per select menu
+const CARD_COMMENTS = 3;        // latest comments shown on a card; /task-comment shows the thread
+
+export function cardId(action, taskId){ return `task:${action}:${taskId??''}`; }
+export function parseCardId(customId){
+  const [ns, action, id] = String(customId||'').split(':');
+  return ns==='task' && action ? { action, id: id||null } : null;
+}
+
+const clip = (s, n) => { s = String(s||''); return s.length>n ? `${s.slice(0,n-1)}…` : s; };
+
+// `related` = { series, progress, subtasks, blockers } looked up by the caller.
+export function taskEmbed(task, { series, progress=null, subtasks=[], blockers=[] }={}){
+  const last = task.logs?.length ? task.logs[task.logs.length-1] : null;
+  const embed = new EmbedBuilder()
+    .setTitle(clip(`${statusIcon(task.status)} ${task.title}`, 256))
+    .setColor(STATUS_COLORS[task.status] ?? 0x95a5a6)
+    .addFields(
+      { name:'Status', value:task.status, inline:true },
+      { name:'Due', value:task.due ? `${discordTimestamp(task.due,'f')}\n${discordTimestamp(task.due,'R')}` : 'none', inline:true },
+      { name:'Department', value:task.department||'-', inline:true },
+      { name:'Priority', value:task.priority||'normal', inline:true },
+      { name:'Assigned', value:clip((task.assignedTo||[]).map(id=>`<@${id}>`).join(', ')||'nobody', 1024) }
+    )
+    .setFooter({ text:`ID ${task.id}${task.createdBy?` • created by ${task.createdBy}`:''}` });
+  if(task.description) embed.setDescription(clip(task.description, 4096));
+  if(series) embed.addFields({ name:'Recurs', value:`🔁 ${series.rule.text} (${series.state})` });
+  if(progress!=null) embed.addFields({ name:'Progress', value:progressBar(progress) });
+  if(task.checklist?.length){
+    embed.addFields({ name:'Checklist', value:clip(task.checklist.map((c,i)=>`${c.done?'☑':'☐'} ${i+1}. ${c.text}`).join('\n'), 1024) });
+  }
+  if(task.parentId) embed.addFields({ name:'Subtask of', value:`ID ${task.parentId}`, inline:true });
+  if(subtasks.length){
+    embed.addFields({ name:'Subtasks', value:clip(subtasks.map(c=>`${statusIcon(c.status)} ${c.title} (ID:${c.id})`).join('\n'), 1024) });
+  }
+  if(blockers.length){
+    embed.addFields({ name:'Blocked by', value:clip(blockers.map(b=>`${statusIcon(b.status)} ${b.title} (ID:${b.id})`).join('\n'), 1024) });
+  }
+  if(task.comments?.length){
+    const latest = task.comments.slice(-CARD_COMMENTS).map(c=>formatComment(c, 200));
+    embed.addFields({ name:`Comments (${task.comments.length})`, value:clip(latest.join('\n'), 1024) });
+  }
+  if(last) embed.addFields({ name:'Last update', value:clip(`${last.action} — ${discordTimestamp(last.date,'R')}`, 1024) });
+  return embed;
+}
+
+// `workflow` is the task's (src/workflows.js); with the review gate, Done becomes
+// "Submit for review" and a task In Review shows Approve / Send back instead.
+export function taskComponents(task, workflow=DEFAULT_WORKFLOW){
+  const button = (action, label, style, disabled=false) =>
+    new ButtonBuilder().setCustomId(cardId(action, task.id)).setLabel(label).setStyle(style).setDisabled(disabled);
+  const statusButtons = !workflow.review ? [
+    button('start', 'Start', ButtonStyle.Primary, task.status==='In Progress'),
+    button('done', 'Done', ButtonStyle.Success, task.status==='Done'),
+    button('block', 'Block', ButtonStyle.Secondary, task.status==='Blocked')
+  ] : task.status===REVIEW_STATUS ? [
+    button('approve', 'Approve', ButtonStyle.Success),
+    button('send-back', 'Send back', ButtonStyle.Secondary)
+  ] : [
+    button('start', 'Start', ButtonStyle.Primary, task.status==='In Progress'),
+    button('review', 'Submit for review', ButtonStyle.Success, task.status==='Done'),
+    button('block', 'Block', ButtonStyle.Secondary, task.status==='Blocked')
+  ];
+  const buttons = new ActionRowBuilder().addComponents(
+    ...statusButtons,
+    button('edit', 'Edit', ButtonStyle.Secondary),
+    button('delete', 'Delete', ButtonStyle.Danger)
+  );
+  const statuses = workflowStatuses(workflow);
+  if(!statuses.includes(task.status)) statuses.unshift(task.status);
+  const menu = new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId(cardId('status', task.id))
+      .setPlaceholder(`Status: ${task.status}`)
+      .addOptions(statuses.map(s=>({ label:s, value:s, emoji:statusIcon(s), default:s===task.status })))
+  );
+  const rows = [buttons, menu];
+  const items = (task.checklist||[]).slice(0, MAX_CHECKLIST_ITEMS);
+  if(items.length){
+    rows.push(new ActionRowBuilder().addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId(cardId('check', task.id))
+        .setPlaceholder('Tick checklist items…')
+        .setMinValues(0)
+        .setMaxValues(items.length)
+        .addOptions(items.map((c,i)=>({ label:clip(`${i+1}. ${c.text}`, 100), value:String(c.id), default:!!c.done })))
+    ));
+  }
+  return rows;
+}
+
+// Message payload for a task card; `note` goes above the embed.
+export function taskCard(task, { note, workflow, ...related }={}){
+  return { content: note||'', embeds:[taskEmbed(task, related)], components:taskComponents(task, workflow) };
+}
+
+export function deleteConfirmation(task){
+  return {
+    content:`🗑️ Delete **${task.title}** (ID:${task.id})? You can bring it back with /undo for a few minutes.`,
+    embeds:[taskEmbed(task)],
+    components:[new ActionRowBuilder().addComponents(
+      new ButtonBuilder().setCustomId(cardId('delete-confirm', task.id)).setLabel('Delete').setStyle(ButtonStyle.Danger),
+      new ButtonBuilder().setCustomId(cardId('cancel', task.id)).setLabel('Cancel').setStyle(ButtonStyle.Secondary)
+    )]
+  };
+}
+
+// `dueText` pre-fills the due field in the editor's own timezone.
+export function editModal(task, dueText=''){
+  const input = (id, label, style, value, max, required) => {
+    const field = new TextInputBuilder().setCustomId(id).setLabel(label).setStyle(style).setRequired(required).setMaxLength(max);
+    if(value) field.setValue(clip(value, max));
+    return new ActionRowBuilder().addComponents(field);
+  };
+  return new ModalBuilder()
+    .setCustomId(cardId('edit-submit', task.id))
+    .setTitle(clip(`Edit task ${task.id}`, 45))
+    .addComponents(
+      input('title', 'Title', TextInputStyle.Short, task.title, MAX_TITLE_LENGTH, true),
+      input('description', 'Description', TextInputStyle.Paragraph, task.description, 4000, false),
+      input('due', 'Due (e.g. "tomorrow 5pm", blank for none)', TextInputStyle.Short, dueText, 100, false)
+    );
+}
+
+// Asks why a task In Review goes back; `to` is where it will go.
+export function sendBackModal(task, to){
+  return new ModalBuilder()
+    .setCustomId(cardId('send-back-submit', task.id))
+    .setTitle(clip(`Send task ${task.id} back to ${to}`, 45))
+    .addComponents(new ActionRowBuilder().addComponents(
+      new TextInputBuilder().setCustomId('comment').setLabel('What needs to change?').setStyle(TextInputStyle.Paragraph).setRequired(true).setMaxLength(500)
+    ));
+}
+
+// Select menu that opens a task card, for list-style replies.
+export function taskPicker(list){
+  if(!list.length) return [];
+  return [new ActionRowBuilder().addComponents(
+    new StringSelectMenuBuilder()
+      .setCustomId(cardId('open'))
+      .setPlaceholder('Open a task…')
+      .addOptions(list.slice(0, MAX_PICKER_OPTIONS).map(t=>({
+        label: clip(t.title, 100), value: String(t.id), description: clip(`ID ${t.id} — ${t.status}`, 100)
+      })))
+  )];
+}
+
+export function pageControls(token, page, pages){
+  if(pages<=1) return [];
+  const nav = (id, label, disabled) => new ButtonBuilder().setCustomId(id).setLabel(label).setStyle(ButtonStyle.Secondary).setDisabled(disabled);
+  return [new ActionRowBuilder().addComponents(
+    nav(`list:${token}:${page-1}`, '◀ Prev', page<=0),
+    nav(`list:${token}:page`, `Page ${page+1}/${pages}`, true),
+    nav(`list:${token}:${page+1}`, 'Next ▶', page>=pages-1)
+  )];
+}
+export function parseListId(customId){
+  const m = String(customId||'').match(/^list:([a-z0-9]+):(-?\d+)$/);
+  return m ? { token:m[1], page:Number(m[2]) } : null;
+}
+
+// Confirm/cancel under an /import dry run; customId `import:<token>:confirm|cancel`.
+export function importControls(token, count){
+  return [new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId(`import:${token}:confirm`).setLabel(`Import ${count} task${count===1?'':'s'}`).setStyle(ButtonStyle.Success).setDisabled(!count),
+    new ButtonBuilder().setCustomId(`import:${token}:cancel`).setLabel('Cancel').setStyle(ButtonStyle.Secondary)
+  )];
+}
+export function parseImportId(customId){
+  const m = String(customId||'').match(/^import:([a-z0-9]+):(confirm|cancel)$/);
+  return m ? { token:m[1], action:m[2] } : null;
+}
@@ -0,0 +1,51 @@
+// /api-token: create, revoke and list REST API tokens (src/api.js).
+import { SlashCommandBuilder } from 'discord.js';
+import { generateToken, hashToken } from '../api.js';
+import { CAPABILITIES, ROLES, isGrantable } from '../permissions.js';
+import { parseList } from './util.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('api-token')
+  .setDescription('Manage REST API tokens')
+  .addSubcommand(sub => sub.setName('create').setDescription('Create a token (shown once)')
+    .addStringOption(opt => opt.setName('name').setDescription('Token name, e.g. ci or dashboard').setRequired(true))
+    .addStringOption(opt => opt.setName('permissions').setDescription('Comma-separated: admin, manager or capabilities (default manager)'))
+    .addStringOption(opt => opt.setName('departments').setDescription('Limit the token to these departments (comma-separated)')))
+  .addSubcommand(sub => sub.setName('revoke').setDescription('Revoke a token')
+    .addStringOption(opt => opt.setName('name').setDescription('Token name').setRequired(true)))
+  .addSubcommand(sub => sub.setName('list').setDescription('List tokens'));
+
+export const permission = 'manage-permissions';
+
+export async function execute(interaction, { service, now, publicUrl }){
+  const { options, user } = interaction;
+  const { config, departments } = service;
+  const save = ()=>service.safeSave(async()=>service.saveConfig());
+  const sub = options.getSubcommand();
+  config.apiTokens = config.apiTokens||{};
+  if(sub==='list'){
+    const lines = Object.entries(config.apiTokens).map(([name,e])=>`• ${name}: ${e.grants.join(', ')}${e.departments?.length?` (departments: ${e.departments.join(', ')})`:''} — created by <@${e.createdBy}>`);
+    await interaction.reply({content:`🔑 API tokens\n${lines.join('\n')||'none'}`, ephemeral:true});
+    return;
+  }
+  const name = options.getString('name').trim();
+  if(sub==='revoke'){
+    if(!config.apiTokens[name]){ await interaction.reply({content:`⚠️ No token named ${name}`, ephemeral:true}); return; }
+    delete config.apiTokens[name];
+    await save();
+    await interaction.reply({content:`✅ Revoked API token ${name}`, ephemeral:true});
+    return;
+  }
+  if(!/^[\w.-]{1,32}$/.test(name)){ await interaction.reply({content:'⚠️ Token names use letters, digits, . _ - (max 32)', ephemeral:true}); return; }
+  if(config.apiTokens[name]){ await interaction.reply({content:`⚠️ A token named ${name} already exists — revoke it first`, ephemeral:true}); return; }
+  const grants = parseList(options.getString('permissions')||'manager');
+  const invalid = grants.filter(g=>!isGrantable(g));
+  if(invalid.length){ await interaction.reply({content:`Invalid permission(s): ${invalid.join(', ')}. Allowed: ${[...ROLES, ...Object.keys(CAPABILITIES)].join(', ')}`, ephemeral:true}); return; }
+  const depts = parseList(options.getString('departments'));
+  const unknown = depts.filter(d=>!departments[d]);
+  if(unknown.length){ await interaction.reply({content:`⚠️ Unknown department(s): ${unknown.join(', ')}`, ephemeral:true}); return; }
+  const token = generateToken();
+  config.apiTokens[name] = { hash:hashToken(token), grants, departments:depts, createdBy:user.id, createdAt:now().toISOString() };
+  await save();
+  await interaction.reply({content:`🔑 API token **${name}** (${grants.join(', ')}) — copy it now, it is not shown again:\n\`${token}\`\nUse it as \`Authorization: Bearer <token>\` against ${publicUrl}/api/v1`, ephemeral:true});
+}
@@ -0,0 +1,56 @@
+// /backup: list the data backups, compare one with the current data, or restore it (src/backups.js).
+import { SlashCommandBuilder } from 'discord.js';
+import { describeBackup, describeDiff } from '../backups.js';
+import { clip, MAX_MESSAGE_LENGTH } from './util.js';
+import { suggest } from './suggest.js';
+
+const LIST_LIMIT = 15;
+
+const backupOption = opt => opt.setName('id').setDescription('Backup ID from /backup list').setRequired(true).setAutocomplete(true);
+
+export const data = new SlashCommandBuilder()
+  .setName('backup')
+  .setDescription('Browse and restore data backups (Admin)')
+  .addSubcommand(sub => sub.setName('list').setDescription('Newest backups first'))
+  .addSubcommand(sub => sub.setName('diff').setDescription('What restoring a backup would change')
+    .addStringOption(backupOption))
+  .addSubcommand(sub => sub.setName('restore').setDescription('Restore a backup; the current data is backed up first')
+    .addStringOption(backupOption)
+    .addBooleanOption(opt => opt.setName('confirm').setDescription('True to restore; otherwise only shows what would change')));
+
+export const permission = 'manage-backups';
+
+function backupIds(typed, { service }){
+  const q = typed.trim();
+  return service.listBackups().filter(b=>b.id.includes(q))
+    .map(b=>({ name: clip(`${b.date.toISOString().replace('T',' ').slice(0,19)} UTC — ${b.files.join(', ')}`, 100), value: b.id }));
+}
+export const autocomplete = suggest({ id: backupIds });
+
+export async function execute(interaction, { service }){
+  const { options } = interaction;
+  const sub = options.getSubcommand();
+  const reply = content => interaction.reply({ content: clip(content, MAX_MESSAGE_LENGTH), ephemeral:true });
+
+  if(sub==='list'){
+    const backups = service.listBackups();
+    if(!backups.length){ await reply('No backups yet'); return; }
+    const more = backups.length>LIST_LIMIT ? `\n_${backups.length-LIST_LIMIT} older not shown_` : '';
+    await reply(`🗄️ Backups (newest first)\n${backups.slice(0, LIST_LIMIT).map(describeBackup).join('\n')}${more}`);
+    return;
+  }
+
+  const id = options.getString('id').trim();
+  const diff = await service.diffBackup(id);
+  if(diff.error){ await reply(`⚠️ ${diff.error}`); return; }
+  const kept = diff.backup.missing.length ? `\n_Not in this backup, left as they are: ${diff.backup.missing.join(', ')}_` : '';
+  if(sub==='diff' || !options.getBoolean('confirm')){
+    const hint = sub==='restore' ? '\nRun again with confirm:True to restore it.' : '';
+    await reply(`🔍 Restoring \`${id}\` would change:\n${describeDiff(diff)}${kept}${hint}`);
+    return;
+  }
+
+  const result = await service.restoreBackup(id);
+  if(result.error){ await reply(`⚠️ ${result.error}`); return; }
+  await reply(`♻️ Restored backup \`${id}\`. The data from before is in backup \`${result.safety}\` (📌 pinned: kept until deleted from backups/ by hand); restore that to go back.\n${describeDiff(result)}${kept}`);
+}
@@ -0,0 +1,15 @@
+// /calendar: the caller's personal iCalendar feed URL (src/calendar.js).
+import { SlashCommandBuilder } from 'discord.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('calendar')
+  .setDescription('Get your personal calendar feed URL (tasks with due dates)')
+  .addBooleanOption(opt => opt.setName('reset').setDescription('Replace the link; the old one stops working'));
+
+export const permission = null;
+
+export async function execute(interaction, { publicUrl, calendarFeed }){
+  const reset = interaction.options.getBoolean('reset')||false;
+  const url = `${publicUrl}/calendar/${await calendarFeed.tokenFor(interaction.user.id, { reset })}.ics`;
+  await interaction.reply({content:`📅 ${reset?'New calendar link (the old one no longer works)':'Your calendar feed'}: ${url}\nSubscribe to it in Google Calendar, Outlook or Apple Calendar (webcal: ${url.replace(/^https?:/,'webcal:')}) to see your tasks' due dates. Treat it like a password; \`/calendar reset:true\` replaces it.`, ephemeral:true});
+}
@@ -0,0 +1,16 @@
+// /dashboard: DMs a one-time login link for the web dashboard.
+import { SlashCommandBuilder } from 'discord.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('dashboard')
+  .setDescription('Get a one-time login link for the web dashboard (managers)');
+
+// Same rule as canUseDashboard() in src/dashboard.js.
+export const permission = 'view-all';
+
+export async function execute(interaction, { publicUrl, dashboard }){
+  const { user } = interaction;
+  const link = `${publicUrl}/dashboard/login?token=${dashboard.createLoginToken(user.id, interaction.guildId)}`;
+  const sent = await user.send(`🗂️ Your dashboard login link (single use, valid 10 minutes):\n${link}`).then(()=>true).catch(()=>false);
+  await interaction.reply({content: sent ? '📬 Sent you a one-time dashboard login link by DM' : `⚠️ Couldn't DM you — here is your one-time login link (valid 10 minutes):\n${link}`, ephemeral:true});
+}
@@ -0,0 +1,21 @@
+// /department-add: a new department with optional members and lead.
+import { SlashCommandBuilder } from 'discord.js';
+import { safeMentionableArray } from './util.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('department-add')
+  .setDescription('Add a department')
+  .addStringOption(opt => opt.setName('name').setDescription('Department name').setRequired(true))
+  .addMentionableOption(opt => opt.setName('members').setDescription('Initial members'))
+  .addUserOption(opt => opt.setName('lead').setDescription('Department lead'));
+
+export const permission = 'manage-departments';
+
+export async function execute(interaction, { service }){
+  const { options } = interaction;
+  const name = options.getString('name').trim();
+  const ids = safeMentionableArray(options.getMentionable('members')).map(m=>m.id);
+  const result = await service.addDepartment(name, { members:ids, lead:options.getUser('lead')?.id||null });
+  if(result.error){ await interaction.reply({content:`⚠️ ${result.error}${result.code==='conflict'?' — use /department-edit':''}`, ephemeral:true}); return; }
+  await interaction.reply({content:`✅ Department ${name} added (${ids.map(id=>`<@${id}>`).join(', ')||'no members'})`, ephemeral:true});
+}
@@ -0,0 +1,29 @@
+// /department-delete: remove a department, orphaning or reassigning its open tasks.
+import { SlashCommandBuilder } from 'discord.js';
+import { can } from '../permissions.js';
+import { deny } from './util.js';
+import { suggest, departments } from './suggest.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('department-delete')
+  .setDescription('Delete a department')
+  .addStringOption(opt => opt.setName('name').setDescription('Department name').setRequired(true).setAutocomplete(true))
+  .addStringOption(opt => opt.setName('open_tasks').setDescription('What to do with its open tasks (default orphan)').addChoices(
+    { name: 'orphan', value: 'orphan' },
+    { name: 'reassign', value: 'reassign' }))
+  .addStringOption(opt => opt.setName('to_department').setDescription('Reassign open tasks to this department').setAutocomplete(true))
+  .addUserOption(opt => opt.setName('to_user').setDescription('Reassign open tasks to this user'));
+
+export const permission = 'manage-departments';
+export const autocomplete = suggest({ name: departments({ allowed: (perms, name)=>can(perms,'manage-departments',name) }), to_department: departments() });
+
+export async function execute(interaction, { service, perms }){
+  const { options, user } = interaction;
+  const name = options.getString('name');
+  if(!service.departments[name]){ await interaction.reply({content:`Department ${name} not found`, ephemeral:true}); return; }
+  if(!can(perms,'manage-departments',name)){ await deny(interaction,'manage-departments'); return; }
+  const mode = options.getString('open_tasks')||'orphan';
+  const result = await service.deleteDepartment(name, { mode, toDepartment:options.getString('to_department'), toUser:options.getUser('to_user') }, user);
+  if(result.error){ await interaction.reply({content:`⚠️ ${result.error}`, ephemeral:true}); return; }
+  await interaction.reply({content:`🗑️ Department ${name} deleted (${result.openTasks.length} open task(s) ${mode==='reassign'?'reassigned':'orphaned'})`, ephemeral:true});
+}
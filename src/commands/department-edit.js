@@ -0,0 +1,56 @@
+// /department-edit: rename a department or change its members and lead.
+import { SlashCommandBuilder } from 'discord.js';
+import { can } from '../permissions.js';
+import { deny, safeMentionableArray } from './util.js';
+import { suggest, departments } from './suggest.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('department-edit')
+  .setDescription('Rename a department or change its members and lead')
+  .addStringOption(opt => opt.setName('name').setDescription('Department name').setRequired(true).setAutocomplete(true))
+  .addStringOption(opt => opt.setName('action').setDescription('What to change').setRequired(true).addChoices(
+    { name: 'rename', value: 'rename' },
+    { name: 'add-member', value: 'add-member' },
+    { name: 'remove-member', value: 'remove-member' },
+    { name: 'set-lead', value: 'set-lead' }))
+  .addStringOption(opt => opt.setName('new_name').setDescription('New name (rename)'))
+  .addMentionableOption(opt => opt.setName('member').setDescription('Member to add or remove'))
+  .addUserOption(opt => opt.setName('lead').setDescription('New lead (set-lead; leave empty to clear)'))
+  .addBooleanOption(opt => opt.setName('update_tasks').setDescription("Also update assignees of the department's open tasks"));
+
+// A manage-departments grant scoped to departments (see /permissions) covers only those;
+// the scoped check happens once the name is known. Leads get no department rights of their own.
+export const permission = 'manage-departments';
+export const autocomplete = suggest({ name: departments({ allowed: (perms, name)=>can(perms,'manage-departments',name) }) });
+
+export async function execute(interaction, { service, perms }){
+  const { options, user } = interaction;
+  const name = options.getString('name');
+  const action = options.getString('action');
+  if(!service.departments[name]){ await interaction.reply({content:`Department ${name} not found`, ephemeral:true}); return; }
+  if(!can(perms,'manage-departments',name)){ await deny(interaction,'manage-departments'); return; }
+  const syncTasks = options.getBoolean('update_tasks')||false;
+  let result, msg;
+
+  if(action==='rename'){
+    const newName = (options.getString('new_name')||'').trim();
+    result = await service.renameDepartment(name, newName, user);
+    msg = `✅ Department ${name} renamed to ${newName} (${result.changedTasks?.length} task(s) retagged)`;
+  }
+  else if(action==='add-member' || action==='remove-member'){
+    const members = safeMentionableArray(options.getMentionable('member'));
+    if(!members.length){ await interaction.reply({content:'⚠️ Mention a member', ephemeral:true}); return; }
+    const ids = members.map(m=>m.id);
+    const adding = action==='add-member';
+    result = await service.changeDepartmentMembers(name, ids, adding, user, { syncTasks });
+    msg = `✅ ${adding?'Added':'Removed'} ${ids.map(id=>`<@${id}>`).join(', ')} ${adding?'to':'from'} ${name}${syncTasks?` (${result.changedTasks?.length} open task(s) updated)`:''}`;
+  }
+  else if(action==='set-lead'){
+    const lead = options.getUser('lead');
+    result = await service.setDepartmentLead(name, lead?.id||null);
+    msg = lead ? `✅ ${lead.username} now leads ${name}` : `✅ ${name} no longer has a lead`;
+  }
+  else { await interaction.reply({content:'Invalid action', ephemeral:true}); return; }
+
+  await interaction.reply({content: result.error ? `⚠️ ${result.error}` : msg, ephemeral:true});
+}
@@ -0,0 +1,21 @@
+// /department-list: every department with its lead, members and open task count.
+import { SlashCommandBuilder } from 'discord.js';
+import { isOpenTask } from './util.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('department-list')
+  .setDescription('List all departments');
+
+export const permission = null;
+
+export async function execute(interaction, { service, usernames }){
+  const entries = Object.entries(service.departments);
+  if(!entries.length){ await interaction.reply({content:'📋 Departments:\nNo departments', ephemeral:true}); return; }
+  const lines = await Promise.all(entries.map(async([d,info])=>{
+    const names = await usernames.getMany(info.members);
+    const lead = info.lead ? await usernames.get(info.lead) : null;
+    const openCount = service.getDepartmentTasks(d).filter(isOpenTask).length;
+    return `**${d}** — ${openCount} open task(s)${lead?` — lead: ${lead}`:''}\nMembers: ${names.join(', ')||'No members'}`;
+  }));
+  await interaction.reply({content:`📋 Departments:\n${lines.join('\n\n')}`, ephemeral:true});
+}
@@ -0,0 +1,37 @@
+// /export: the tasks the caller may export, filtered and sorted like /task-list, as a file.
+import { SlashCommandBuilder } from 'discord.js';
+import { EXPORT_FORMATS } from '../export.js';
+import { filterTasks, sortTasks, describeFilters } from '../task-query.js';
+import { formatDue } from '../due.js';
+import { addListFilters } from './options.js';
+import { suggest, departments, statuses } from './suggest.js';
+
+export const data = addListFilters(new SlashCommandBuilder()
+  .setName('export')
+  .setDescription('Export tasks')
+  .addStringOption(opt => opt.setName('format').setDescription('File format (default json)').addChoices(...Object.keys(EXPORT_FORMATS).map(f => ({ name: f, value: f }))))
+  .addStringOption(opt => opt.setName('theme').setDescription('HTML theme: default or dark')));
+
+export const permission = null;
+export const autocomplete = suggest({ status: statuses, department: departments() });
+
+export async function execute(interaction, { service, perms, usernames, listFilters, exportFile }){
+  const { options, user } = interaction;
+  const format = options.getString('format')||'json';
+  const theme = options.getString('theme')||'default';
+  if(!EXPORT_FORMATS[format]){ await interaction.reply({content:`⚠️ Unknown format "${format}". Use ${Object.keys(EXPORT_FORMATS).join(', ')}`, ephemeral:true}); return; }
+  const { filters, error } = listFilters(options, user.id);
+  if(error){ await interaction.reply({content:`⚠️ ${error}`, ephemeral:true}); return; }
+  const sort = options.getString('sort')||'created';
+  const all = sortTasks(filterTasks(service.visibleTasks(perms,'export-all'), filters), sort);
+
+  if(!all.length){ await interaction.reply({content:'No tasks to export', ephemeral:true}); return; }
+  if(format==='ics' && !all.some(t=>t.due)){ await interaction.reply({content:'None of these tasks has a due date, so the calendar would be empty', ephemeral:true}); return; }
+
+  try{
+    const summary = describeFilters(filters, sort, d=>formatDue(d, service.zoneFor(user.id)));
+    const fileSummary = filters.assignee ? summary.replace(`<@${filters.assignee}>`, `@${await usernames.get(filters.assignee)}`) : summary;
+    const attach = await exportFile(format, all, { userId:user.id, theme, summary:fileSummary });
+    await interaction.reply({content:`📤 Export (${format}, ${all.length} task${all.length===1?'':'s'}) — ${summary}`, files:[attach], ephemeral:true});
+  } catch(err){ await interaction.reply({content:'Export failed', ephemeral:true}); console.error(err); }
+}
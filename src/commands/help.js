@@ -0,0 +1,69 @@
+// /help: generated from the command registry, so every deployed command is listed.
+import { SlashCommandBuilder, ApplicationCommandOptionType } from 'discord.js';
+import { can } from '../permissions.js';
+import { splitMessage } from './util.js';
+import { suggest, matchNames } from './suggest.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('help')
+  .setDescription('Show the commands, or the options of one command')
+  .addStringOption(opt => opt.setName('command').setDescription('Command to explain').setAutocomplete(true));
+
+export const permission = null;
+export const autocomplete = suggest({
+  command: (typed, { commands }) => matchNames(commands.map(c=>c.data.name), typed.replace(/^\//,'')).map(n=>({ name:`/${n}`, value:n }))
+});
+
+const isSubcommand = o => o.type===ApplicationCommandOptionType.Subcommand;
+// "name", "[name]" or "name:a|b|c" for short choice lists.
+function optionToken(o){
+  const label = o.choices?.length && o.choices.length<=6 ? `${o.name}:${o.choices.map(c=>c.value).join('|')}` : o.name;
+  return o.required ? label : `[${label}]`;
+}
+function optionLines(options=[]){
+  return options.map(o=>`• ${o.name}${o.required?' (required)':''}: ${o.description}${o.choices?.length?` — ${o.choices.map(c=>c.value).join(', ')}`:''}${o.autocomplete?' (suggestions as you type)':''}`);
+}
+
+export function commandSummary(command){
+  const { name, options=[] } = command.data.toJSON();
+  const subs = options.filter(isSubcommand);
+  return subs.length ? `/${name} ${subs.map(s=>s.name).join('|')}` : [`/${name}`, ...options.map(optionToken)].join(' ');
+}
+
+export function commandHelp(command){
+  const json = command.data.toJSON();
+  const lines = [`**/${json.name}** — ${json.description}`];
+  if(command.permission) lines.push(`Needs: ${command.permission}`);
+  const subs = (json.options||[]).filter(isSubcommand);
+  if(subs.length){
+    for(const sub of subs){
+      lines.push('', `\`/${json.name} ${[sub.name, ...(sub.options||[]).map(optionToken)].join(' ')}\` — ${sub.description}`, ...optionLines(sub.options));
+    }
+  } else {
+    lines.push(`\`${commandSummary(command)}\``, ...optionLines(json.options));
+  }
+  return lines.join('\n');
+}
+
+export function helpText(commands, perms){
+  const lines = commands.map(c=>`${commandSummary(c).split(' ')[0]} — ${c.data.description}${c.permission && perms && !can(perms, c.permission) ? ' 🔒' : ''}`);
+  return [
+    '🛠️ Commands:',
+    ...lines,
+    '',
+    '🔒 needs a permission you do not have · `/help command:<name>` shows a command\'s options',
+    'Task cards: use the buttons and status menu under a task to update, edit or delete it'
+  ].join('\n');
+}
+
+export async function execute(interaction, { perms, commands }){
+  const name = (interaction.options.getString('command')||'').trim().replace(/^\//,'');
+  if(name){
+    const command = commands.find(c=>c.data.name===name);
+    await interaction.reply({content: command ? commandHelp(command) : `⚠️ Unknown command /${name}`, ephemeral:true});
+    return;
+  }
+  const [first, ...rest] = splitMessage(helpText(commands, perms));
+  await interaction.reply({content:first, ephemeral:true});
+  for(const content of rest) await interaction.followUp({content, ephemeral:true});
+}
@@ -0,0 +1,69 @@
+// /import: parse and validate a file, then show a dry-run preview with Import/Cancel buttons.
+import { SlashCommandBuilder } from 'discord.js';
+import { can } from '../permissions.js';
+import { MAX_IMPORT_BYTES, IMPORT_FORMATS, detectFormat, parseImport, validateDrafts } from '../import.js';
+import { importControls } from '../cards.js';
+import { workflowStatuses } from '../workflows.js';
+import { discordTimestamp } from '../due.js';
+import { clip, MAX_MESSAGE_LENGTH } from './util.js';
+import { suggest, departments } from './suggest.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('import')
+  .setDescription('Import tasks from a file (shows a dry-run preview first)')
+  .addAttachmentOption(opt => opt.setName('file').setDescription('JSON or CSV from /export, or a Trello board JSON export').setRequired(true))
+  .addStringOption(opt => opt.setName('format').setDescription('File format (detected when omitted)').addChoices(...IMPORT_FORMATS.map(f => ({ name: f, value: f }))))
+  .addStringOption(opt => opt.setName('department').setDescription('Department for rows that do not name one').setAutocomplete(true));
+
+export const permission = null;
+export const autocomplete = suggest({ department: departments({ allowed: (perms, name)=>can(perms,'assign',name) }) });
+
+// Import assignees may be IDs, <@mentions> or usernames; usernames are matched against guild members.
+async function resolveUserRef(guild, ref, usernames){
+  const m = String(ref).trim().match(/^<@!?(\d{15,21})>$|^(\d{15,21})$/);
+  if(m) return m[1]||m[2];
+  const name = String(ref).trim().replace(/^@/,'').toLowerCase();
+  if(!name || !guild) return null;
+  const found = await guild.members.search({ query:name, limit:10 }).catch(()=>null);
+  const member = found && [...found.values()].find(mb=>[mb.user.username, mb.user.globalName, mb.displayName].some(n=>n?.toLowerCase()===name));
+  if(!member) return null;
+  usernames.remember(member.user);
+  return member.user.id;
+}
+
+function importPreview({ rows, errors, warnings }, source){
+  const line = e => `• ${e.line?`row ${e.line}: `:''}${clip(e.message,120)}`;
+  const sample = rows.slice(0,8).map(r=>`• ${clip(r.title,60)} — ${r.status}${r.due?`, due ${discordTimestamp(r.due,'d')}`:''}${r.department?`, ${r.department}`:''}, ${r.assignedTo.length} assignee${r.assignedTo.length===1?'':'s'}${r.checklist.length?`, ${r.checklist.length} checklist items`:''}`);
+  const parts = [
+    `📥 Import preview (dry run) — ${source}`,
+    `✅ ${rows.length} task(s) ready · ⚠️ ${warnings.length} warning(s) · ❌ ${errors.length} row(s) with errors${errors.length?' (will be skipped)':''}`,
+    sample.length ? `**Tasks**\n${sample.join('\n')}${rows.length>sample.length?`\n…and ${rows.length-sample.length} more`:''}` : '',
+    errors.length ? `**Errors**\n${errors.slice(0,8).map(line).join('\n')}${errors.length>8?`\n…and ${errors.length-8} more`:''}` : '',
+    warnings.length ? `**Warnings**\n${warnings.slice(0,6).map(line).join('\n')}${warnings.length>6?`\n…and ${warnings.length-6} more`:''}` : ''
+  ];
+  return clip(parts.filter(Boolean).join('\n\n'), MAX_MESSAGE_LENGTH);
+}
+
+export async function execute(interaction, { service, perms, usernames, rememberImport }){
+  const { options, user } = interaction;
+  const file = options.getAttachment('file');
+  if(file.size>MAX_IMPORT_BYTES){ await interaction.reply({content:`⚠️ File too large (max ${MAX_IMPORT_BYTES/1024} KB)`, ephemeral:true}); return; }
+  await interaction.deferReply({ephemeral:true});
+  let text;
+  try{ text = await (await fetch(file.url)).text(); }
+  catch(err){ console.error('Import download failed', err); await interaction.editReply({content:'❌ Could not download the attachment'}); return; }
+  const format = options.getString('format') || detectFormat(file.name, text);
+  const parsed = parseImport(text, format);
+  if(parsed.error){ await interaction.editReply({content:`⚠️ ${parsed.error}`}); return; }
+  const fallbackDepartment = options.getString('department');
+  if(fallbackDepartment) for(const d of parsed.drafts) if(!d.department) d.department = fallbackDepartment;
+  const result = await validateDrafts(parsed.drafts, {
+    resolveUser: ref=>resolveUserRef(interaction.guild, ref, usernames), departments: service.departments,
+    statusesFor: department=>workflowStatuses(service.taskWorkflow({ department })),
+    parseDue: input=>service.parseDue(input, user.id), canAssign: d=>can(perms,'assign',d),
+    actorId: user.id, taskExists: id=>!!service.findTaskById(id)
+  });
+  const source = `${format} file ${file.name}`;
+  const token = rememberImport({ userId:user.id, rows:result.rows, source });
+  await interaction.editReply({content:importPreview(result, source), components:importControls(token, result.rows.length)});
+}
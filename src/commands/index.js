@@ -0,0 +1,67 @@
+/* src/commands/index.js - Slash command registry
+   Each command is one module in this directory exporting:
+     data          SlashCommandBuilder with its options, choices and autocomplete flags
+     permission    capability needed to run it at all (checked before execute), or
+                   null when the handler checks per department or subcommand
+     execute(interaction, ctx)
+     autocomplete(interaction, ctx)   only for commands with autocomplete options,
+                   usually built with suggest() from ./suggest.js
+   ctx is built by src/bot.js: { service, perms, now, publicUrl, usernames, notifier,
+   webhooks, dashboard, calendarFeed, commands, ...the bot's list/export/import helpers }.
+   deploy-commands.js registers commandData(); /help is generated from COMMANDS.
+   To add a command: write its module and list it below (the order is /help's order).
+*/
+
+import * as taskCreate from './task-create.js';
+import * as taskAssign from './task-assign.js';
+import * as taskList from './task-list.js';
+import * as taskSearch from './task-search.js';
+import * as taskUpdate from './task-update.js';
+import * as taskEdit from './task-edit.js';
+import * as taskHistory from './task-history.js';
+import * as taskComment from './task-comment.js';
+import * as taskChecklist from './task-checklist.js';
+import * as taskSubtask from './task-subtask.js';
+import * as taskDepends from './task-depends.js';
+import * as taskRecurrence from './task-recurrence.js';
+import * as taskAddAssignee from './task-add-assignee.js';
+import * as taskRemoveAssignee from './task-remove-assignee.js';
+import * as taskDelete from './task-delete.js';
+import * as undo from './undo.js';
+import * as departmentAdd from './department-add.js';
+import * as departmentEdit from './department-edit.js';
+import * as departmentDelete from './department-delete.js';
+import * as departmentList from './department-list.js';
+import * as managerAdd from './manager-add.js';
+import * as managerRemove from './manager-remove.js';
+import * as permissions from './permissions.js';
+import * as apiToken from './api-token.js';
+import * as dashboard from './dashboard.js';
+import * as webhook from './webhook.js';
+import * as notifications from './notifications.js';
+import * as notifySettings from './notify-settings.js';
+import * as workflow from './workflow.js';
+import * as timezone from './timezone.js';
+import * as setReminders from './set-reminders.js';
+import * as backup from './backup.js';
+import * as exportCommand from './export.js';
+import * as stats from './stats.js';
+import * as calendar from './calendar.js';
+import * as importCommand from './import.js';
+import * as help from './help.js';
+
+export const COMMANDS = [
+  taskCreate, taskAssign, taskList, taskSearch, taskUpdate, taskEdit, taskHistory, taskComment,
+  taskChecklist, taskSubtask, taskDepends, taskRecurrence, taskAddAssignee, taskRemoveAssignee, taskDelete, undo,
+  departmentAdd, departmentEdit, departmentDelete, departmentList, managerAdd, managerRemove,
+  permissions, apiToken, dashboard, webhook, workflow, notifications, notifySettings, timezone, setReminders, backup,
+  exportCommand, stats, calendar, importCommand, help
+];
+
+const byName = new Map(COMMANDS.map(c=>[c.data.name, c]));
+if(byName.size!==COMMANDS.length) throw new Error('Duplicate slash command name in src/commands');
+
+export function findCommand(name){ return byName.get(name) || null; }
+
+// The JSON body Discord's "bulk overwrite commands" endpoint expects.
+export function commandData(){ return COMMANDS.map(c=>c.data.toJSON()); }
@@ -0,0 +1,21 @@
+// /manager-add: make a user or role a manager, optionally for some departments.
+import { SlashCommandBuilder } from 'discord.js';
+import { mentionTarget, parseList } from './util.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('manager-add')
+  .setDescription('Add manager(s)')
+  .addMentionableOption(opt => opt.setName('users').setDescription('User or role to make managers').setRequired(true))
+  .addStringOption(opt => opt.setName('departments').setDescription('Limit to these departments (comma-separated)'));
+
+export const permission = 'manage-managers';
+
+export async function execute(interaction, { service }){
+  const { options } = interaction;
+  const target = mentionTarget(options.get('users'));
+  if(!target){ await interaction.reply({content:'⚠️ Mention a user or role', ephemeral:true}); return; }
+  const depts = parseList(options.getString('departments'));
+  const result = await service.addManager(target, depts);
+  if(result.error){ await interaction.reply({content:`⚠️ ${result.error}`, ephemeral:true}); return; }
+  await interaction.reply({content:`✅ Manager added: ${target.label}${depts.length?` (departments: ${depts.join(', ')})`:''}`, ephemeral:true});
+}
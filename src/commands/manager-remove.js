@@ -0,0 +1,18 @@
+// /manager-remove: take the manager role away from a user or role.
+import { SlashCommandBuilder } from 'discord.js';
+import { mentionTarget } from './util.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('manager-remove')
+  .setDescription('Remove a manager')
+  .addMentionableOption(opt => opt.setName('users').setDescription('User or role to remove').setRequired(true));
+
+export const permission = 'manage-managers';
+
+export async function execute(interaction, { service }){
+  const target = mentionTarget(interaction.options.get('users'));
+  if(!target){ await interaction.reply({content:'⚠️ Mention a user or role', ephemeral:true}); return; }
+  const result = await service.removeManager(target);
+  if(result.error){ await interaction.reply({content:`⚠️ ${target.label} is not a manager`, ephemeral:true}); return; }
+  await interaction.reply({content:`✅ Manager removed: ${target.label}`, ephemeral:true});
+}
@@ -0,0 +1,88 @@
+// /notifications: guild and department notification channels, posted events and digests.
+import { SlashCommandBuilder } from 'discord.js';
+import { can } from '../permissions.js';
+import { CHANNEL_EVENTS, DIGEST_FREQUENCIES, DEFAULT_DIGEST_HOUR, notificationSettings, channelFor } from '../notifications.js';
+import { deny, parseList } from './util.js';
+import { suggest, departments } from './suggest.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('notifications')
+  .setDescription('Notification channels and task digests')
+  .addSubcommand(sub => sub.setName('channel').setDescription('Set the channel for task notifications')
+    .addChannelOption(opt => opt.setName('channel').setDescription('Text channel to post in'))
+    .addStringOption(opt => opt.setName('department').setDescription('Only for this department (default: whole guild)').setAutocomplete(true))
+    .addBooleanOption(opt => opt.setName('clear').setDescription('Remove the channel instead')))
+  .addSubcommand(sub => sub.setName('events').setDescription('Choose which events are posted to channels')
+    .addStringOption(opt => opt.setName('events').setDescription(`Comma-separated: ${CHANNEL_EVENTS.join(', ')}; or all / none`).setRequired(true)))
+  .addSubcommand(sub => sub.setName('digest').setDescription('Daily or weekly digest of due, overdue and completed tasks')
+    .addStringOption(opt => opt.setName('frequency').setDescription('How often').setRequired(true).addChoices(
+      ...DIGEST_FREQUENCIES.map(f => ({ name: f, value: f })), { name: 'off', value: 'off' }))
+    .addIntegerOption(opt => opt.setName('hour').setDescription('Local hour to send it (0-23, default 9)').setMinValue(0).setMaxValue(23))
+    .addStringOption(opt => opt.setName('department').setDescription('Set the department digest instead of your own').setAutocomplete(true)))
+  .addSubcommand(sub => sub.setName('show').setDescription('Show notification settings'));
+
+// Personal digests are open to everyone; channels and department digests are checked per subcommand.
+export const permission = null;
+export const autocomplete = suggest({ department: departments() });
+
+export async function execute(interaction, { service, perms }){
+  const { options, user } = interaction;
+  const { departments, config, userSettings, zoneFor, safeSave, saveConfig, saveUserSettings } = service;
+  const sub = options.getSubcommand();
+  const settings = notificationSettings(config);
+  const department = options.getString('department')?.trim() || null;
+  if(department && !departments[department]){ await interaction.reply({content:`⚠️ Unknown department: ${department}`, ephemeral:true}); return; }
+  const canConfigure = department ? can(perms,'manage-config',null) || can(perms,'manage-departments',department) : can(perms,'manage-config',null);
+  if(sub==='show'){
+    const channel = id => id ? `<#${id}>` : 'none';
+    const schedule = d => d ? `${d.frequency} at ${String(d.hour??DEFAULT_DIGEST_HOUR).padStart(2,'0')}:00` : 'off';
+    const lines = [
+      `Guild channel: ${channel(settings.channel)}`,
+      `Posted events: ${settings.events.join(', ')||'none'}`,
+      ...Object.entries(settings.departments).map(([d,id])=>`• ${d}: ${channel(id)}`),
+      ...Object.entries(settings.digests).map(([d,x])=>`• ${d} digest: ${schedule(x)}`),
+      `Your digest: ${schedule(userSettings[user.id]?.digest)} (${zoneFor(user.id)})`
+    ];
+    await interaction.reply({content:`🔔 Notifications\n${lines.join('\n')}`, ephemeral:true});
+    return;
+  }
+  if(sub==='channel'){
+    if(!canConfigure){ await deny(interaction, department ? 'manage-departments' : 'manage-config'); return; }
+    const channel = options.getChannel('channel');
+    if(!channel && !options.getBoolean('clear')){ await interaction.reply({content:'⚠️ Pick a channel, or set clear to remove it', ephemeral:true}); return; }
+    if(channel && !channel.isTextBased?.()){ await interaction.reply({content:'⚠️ Pick a text channel', ephemeral:true}); return; }
+    if(department){ if(channel) settings.departments[department] = channel.id; else delete settings.departments[department]; }
+    else settings.channel = channel?.id || null;
+    await safeSave(async()=>saveConfig());
+    const target = department ? `Department ${department}` : 'Guild';
+    await interaction.reply({content: channel ? `✅ ${target} notifications go to <#${channel.id}>` : `✅ ${target} notification channel cleared`, ephemeral:true});
+    return;
+  }
+  if(sub==='events'){
+    if(!can(perms,'manage-config',null)){ await deny(interaction,'manage-config'); return; }
+    const raw = options.getString('events').trim().toLowerCase();
+    const list = raw==='all' ? [...CHANNEL_EVENTS] : raw==='none' ? [] : parseList(raw);
+    const unknown = list.filter(e=>!CHANNEL_EVENTS.includes(e));
+    if(unknown.length){ await interaction.reply({content:`⚠️ Unknown event(s): ${unknown.join(', ')}. Use ${CHANNEL_EVENTS.join(', ')}, all or none`, ephemeral:true}); return; }
+    settings.events = list;
+    await safeSave(async()=>saveConfig());
+    await interaction.reply({content:`✅ Channels receive: ${list.join(', ')||'nothing'}`, ephemeral:true});
+    return;
+  }
+  if(sub==='digest'){
+    const frequency = options.getString('frequency');
+    const hour = options.getInteger('hour');
+    if(department && !canConfigure){ await deny(interaction, 'manage-departments'); return; }
+    if(hour!=null && (hour<0 || hour>23)){ await interaction.reply({content:'⚠️ hour must be 0-23', ephemeral:true}); return; }
+    const holder = department ? settings.digests : (userSettings[user.id] = userSettings[user.id]||{});
+    const key = department || 'digest';
+    if(!DIGEST_FREQUENCIES.includes(frequency)) delete holder[key];
+    else holder[key] = { frequency, hour: hour ?? holder[key]?.hour ?? DEFAULT_DIGEST_HOUR, lastSent: holder[key]?.lastSent ?? null };
+    await safeSave(async()=>department ? saveConfig() : saveUserSettings());
+    const entry = holder[key];
+    const who = department ? `${department} digest` : 'Your digest';
+    const where = department ? (channelFor(settings, department) ? ` in <#${channelFor(settings, department)}>` : ' (set a channel with /notifications channel first)') : ' by DM';
+    const zone = department ? zoneFor(null) : zoneFor(user.id);
+    await interaction.reply({content: entry ? `✅ ${who}: ${entry.frequency}${entry.frequency==='weekly'?' on Mondays':''} at ${String(entry.hour).padStart(2,'0')}:00 ${zone}${where}` : `✅ ${who} turned off`, ephemeral:true});
+  }
+}
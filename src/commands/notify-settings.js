@@ -0,0 +1,97 @@
+// /notify-settings: the caller's own reminder offsets, delivery modes, quiet hours and snoozes.
+import { SlashCommandBuilder } from 'discord.js';
+import { canActOnTask } from '../permissions.js';
+import { NOTIFY_KINDS, NOTIFY_DEFAULTS, DELIVERY_MODES, notificationSettings, reminderWindows, parseWindowToMinutes, parseQuietHours } from '../notifications.js';
+import { formatDue } from '../due.js';
+import { parseList } from './util.js';
+import { taskIdOption } from './options.js';
+import { suggest, tasks, canAct } from './suggest.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('notify-settings')
+  .setDescription('Your reminder offsets, delivery, quiet hours and snoozes')
+  .addSubcommand(sub => sub.setName('show').setDescription('Show your notification settings'))
+  .addSubcommand(sub => sub.setName('reminders').setDescription('Set your own reminder offsets')
+    .addStringOption(opt => opt.setName('offsets').setDescription('Comma-separated, e.g. 24h,1h,15m; or "default"').setRequired(true)))
+  .addSubcommand(sub => sub.setName('delivery').setDescription('Choose how each kind of notification reaches you')
+    .addStringOption(opt => opt.setName('event').setDescription('Kind of notification').setRequired(true).addChoices(...NOTIFY_KINDS.map(k => ({ name: k, value: k }))))
+    .addStringOption(opt => opt.setName('mode').setDescription('DM, a mention in the notification channel, or nothing').setRequired(true).addChoices(...DELIVERY_MODES.map(m => ({ name: m, value: m })))))
+  .addSubcommand(sub => sub.setName('quiet-hours').setDescription('Hold notifications during these hours (your timezone)')
+    .addStringOption(opt => opt.setName('start').setDescription('Start, e.g. 22:00'))
+    .addStringOption(opt => opt.setName('end').setDescription('End, e.g. 07:00'))
+    .addBooleanOption(opt => opt.setName('off').setDescription('Turn quiet hours off')))
+  .addSubcommand(sub => sub.setName('snooze').setDescription('Pause reminders for one task')
+    .addStringOption(taskIdOption('id', 'Task ID', true))
+    .addStringOption(opt => opt.setName('until').setDescription('A duration like 2h or 3d, or a time like "tomorrow 9am" (default 1d)')))
+  .addSubcommand(sub => sub.setName('unsnooze').setDescription('Resume reminders for a task')
+    .addStringOption(taskIdOption('id', 'Task ID', true)));
+
+export const permission = null;
+export const autocomplete = suggest({ id: tasks(canAct('view-all')) });
+
+export async function execute(interaction, { service, perms, notifier, now }){
+  const { options, user } = interaction;
+  const { config, userSettings, findTaskById } = service;
+  const sub = options.getSubcommand();
+  const settings = userSettings[user.id] = userSettings[user.id]||{};
+  const notify = settings.notify = settings.notify||{};
+  const zone = service.zoneFor(user.id);
+  const saveAndReply = async content => { await service.safeSave(async()=>service.saveUserSettings()); await interaction.reply({content, ephemeral:true}); };
+  if(sub==='show'){
+    const snoozes = Object.entries(notify.snoozed||{}).filter(([id])=>notifier.snoozedUntil(user.id, id))
+      .map(([id,until])=>`• ${findTaskById(id)?.title||'(deleted task)'} (ID:${id}) until ${formatDue(until, zone)}`);
+    const lines = [
+      `Reminder offsets: ${(notify.reminders||config.reminders||['24h','1h']).join(', ')}${notify.reminders?'':' (guild default)'}`,
+      `Delivery: ${NOTIFY_KINDS.map(k=>`${k} ${notify.delivery?.[k]||NOTIFY_DEFAULTS[k]}`).join(' · ')}`,
+      `Quiet hours: ${notify.quiet ? `${notify.quiet.start}–${notify.quiet.end} ${zone}${notifier.quietNow(user.id)?' (now)':''}` : 'off'}`,
+      `Snoozed: ${snoozes.length ? `\n${snoozes.join('\n')}` : 'none'}`
+    ];
+    await interaction.reply({content:`🔔 Your notification settings\n${lines.join('\n')}`, ephemeral:true});
+    return;
+  }
+  if(sub==='reminders'){
+    const raw = options.getString('offsets').trim();
+    if(raw.toLowerCase()==='default'){ delete notify.reminders; await saveAndReply(`✅ Using the guild reminder offsets: ${(config.reminders||['24h','1h']).join(', ')}`); return; }
+    const list = parseList(raw);
+    const bad = list.filter(w=>!reminderWindows([w]).length);
+    if(bad.length || !list.length){ await interaction.reply({content:`⚠️ Couldn't read: ${bad.join(', ')||'(empty)'}. Use offsets like 24h, 1h, 30m or 2d, or "default"`, ephemeral:true}); return; }
+    notify.reminders = list;
+    await saveAndReply(`✅ Your reminders: ${list.join(', ')} before each due date`);
+    return;
+  }
+  if(sub==='delivery'){
+    const kind = options.getString('event');
+    const mode = options.getString('mode');
+    notify.delivery = { ...notify.delivery, [kind]: mode };
+    const hint = mode==='channel' && !notificationSettings(config).channel ? ' (no guild notification channel is set yet, so these fall back to DMs unless the task\'s department has one)' : '';
+    await saveAndReply(`✅ ${kind} notifications: ${mode}${hint}`);
+    return;
+  }
+  if(sub==='quiet-hours'){
+    if(options.getBoolean('off')){ delete notify.quiet; await saveAndReply('✅ Quiet hours turned off'); return; }
+    const { quiet, error } = parseQuietHours(options.getString('start')||'', options.getString('end')||'');
+    if(error){ await interaction.reply({content:`⚠️ ${error}`, ephemeral:true}); return; }
+    notify.quiet = quiet;
+    await saveAndReply(`✅ Quiet hours ${quiet.start}–${quiet.end} ${zone}; reminders wait until they end`);
+    return;
+  }
+  if(sub==='snooze' || sub==='unsnooze'){
+    const task = findTaskById(options.getString('id'));
+    if(!task || !canActOnTask(perms,'view-all',task)){ await interaction.reply({content:'Task not found', ephemeral:true}); return; }
+    if(sub==='unsnooze'){
+      if(notify.snoozed) delete notify.snoozed[task.id];
+      await saveAndReply(`✅ Reminders for "${task.title}" are back on`);
+      return;
+    }
+    const raw = (options.getString('until')||'1d').trim();
+    const until = /^\d+(\.\d+)?\s*[mhd]$/i.test(raw)
+      ? { due: new Date(now().getTime()+parseWindowToMinutes(raw)*60000).toISOString() }
+      : service.parseDue(raw, user.id);
+    if(until.error){ await interaction.reply({content:`⚠️ ${until.error}`, ephemeral:true}); return; }
+    if(Date.parse(until.due)<=now().getTime()){ await interaction.reply({content:'⚠️ That time has already passed', ephemeral:true}); return; }
+    const at = now().getTime();
+    notify.snoozed = Object.fromEntries(Object.entries(notify.snoozed||{}).filter(([,u])=>Date.parse(u)>at)); // drop expired snoozes
+    notify.snoozed[task.id] = until.due;
+    await saveAndReply(`😴 Reminders for "${task.title}" snoozed until ${formatDue(until.due, zone)}`);
+  }
+}
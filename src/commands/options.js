@@ -0,0 +1,46 @@
+/* src/commands/options.js - Option choices and option groups several commands share */
+
+import { CAPABILITIES, ROLES } from '../permissions.js';
+import { PRIORITIES, SORTS } from '../task-query.js';
+
+const choices = list => list.map(v => ({ name: v, value: v }));
+
+export const priorityChoices = choices(PRIORITIES);
+export const sortChoices = choices(SORTS);
+export const permissionChoices = choices([...ROLES, ...Object.keys(CAPABILITIES)]);
+export const recurrenceModes = [
+  { name: 'when the current one is marked Done', value: 'done' },
+  { name: 'when the current one falls due', value: 'schedule' }
+];
+
+// Task ID options are strings so autocomplete can match titles as well as IDs
+// (src/commands/suggest.js); the value submitted is still the numeric ID.
+export function taskIdOption(name, description, required=false){
+  return opt => opt.setName(name).setDescription(description).setRequired(required).setAutocomplete(true);
+}
+
+// The filters /task-list and /export share (read back with ctx.listFilters).
+export function addListFilters(cmd){
+  return cmd
+    .addStringOption(opt => opt.setName('status').setDescription('Only this status').setAutocomplete(true))
+    .addStringOption(opt => opt.setName('department').setDescription('Only this department').setAutocomplete(true))
+    .addUserOption(opt => opt.setName('assignee').setDescription('Only tasks assigned to this user'))
+    .addBooleanOption(opt => opt.setName('overdue').setDescription('Only overdue tasks'))
+    .addStringOption(opt => opt.setName('due_before').setDescription('Due before, e.g. "friday" or "2025-10-01"'))
+    .addStringOption(opt => opt.setName('due_after').setDescription('Due after, e.g. "today" or "2025-10-01"'))
+    .addStringOption(opt => opt.setName('sort').setDescription('Sort order (default created)').addChoices(...sortChoices));
+}
+
+// The fields /task-create and /task-assign share (read back with taskInput()).
+export function addTaskFields(cmd, { dueExample }){
+  return cmd
+    .addStringOption(opt => opt.setName('title').setDescription('Task title').setRequired(true))
+    .addStringOption(opt => opt.setName('description').setDescription('Task description'))
+    .addStringOption(opt => opt.setName('due').setDescription(`Due date, e.g. ${dueExample}`))
+    .addStringOption(opt => opt.setName('priority').setDescription('Priority (default normal)').addChoices(...priorityChoices));
+}
+export function addRecurrenceFields(cmd){
+  return cmd
+    .addStringOption(opt => opt.setName('recurrence').setDescription('Repeat rule, e.g. "every 2w on Mon" or a cron expression'))
+    .addStringOption(opt => opt.setName('recurrence_mode').setDescription('When to create the next instance').addChoices(...recurrenceModes));
+}
@@ -0,0 +1,98 @@
+// /permissions: grant, revoke and list roles and capabilities for users and Discord roles.
+import { SlashCommandBuilder } from 'discord.js';
+import { CAPABILITIES, ROLES, SERVER_CAPABILITIES, isGrantable, can, describeScope } from '../permissions.js';
+import { permissionChoices } from './options.js';
+import { deny, mentionTarget, parseList } from './util.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('permissions')
+  .setDescription('Manage role and capability grants')
+  .addSubcommand(sub => sub.setName('grant').setDescription('Grant a role or capability')
+    .addMentionableOption(opt => opt.setName('target').setDescription('User or Discord role').setRequired(true))
+    .addStringOption(opt => opt.setName('permission').setDescription('admin, manager or a capability').setRequired(true).addChoices(...permissionChoices))
+    .addStringOption(opt => opt.setName('departments').setDescription('Limit the grant to these departments (comma-separated)')))
+  .addSubcommand(sub => sub.setName('revoke').setDescription('Revoke a role or capability')
+    .addMentionableOption(opt => opt.setName('target').setDescription('User or Discord role').setRequired(true))
+    .addStringOption(opt => opt.setName('permission').setDescription('admin, manager or a capability').setRequired(true).addChoices(...permissionChoices)))
+  .addSubcommand(sub => sub.setName('list').setDescription('Show permissions')
+    .addMentionableOption(opt => opt.setName('target').setDescription('User or Discord role (defaults to you)')));
+
+// Anyone may list their own permissions; everything else needs manage-permissions.
+export const permission = null;
+
+// manage-permissions limited to some departments only reaches grants kept inside
+// them; admin, the server-wide capabilities and grants for every department need
+// it unscoped (can(…, null), the same check as for tasks without a department).
+const serverWide = grant => grant==='admin' || SERVER_CAPABILITIES.includes(grant);
+function mayManage(perms, grant, depts){
+  if(serverWide(grant) || !depts.length) return can(perms,'manage-permissions',null);
+  return depts.every(d=>can(perms,'manage-permissions',d));
+}
+// The departments an existing grant applies to ([] = all), or null when there is none.
+function currentScope({ managers, config }, bucket, id, grant){
+  const entry = config.permissions?.[bucket]?.[id];
+  if(grant==='manager' && bucket==='users' && managers[id]) return Array.isArray(managers[id].departments) ? managers[id].departments : [];
+  return entry?.grants?.length ? entry.departments||[] : null;
+}
+const denyScope = (interaction, depts) => interaction.reply({content:`❌ Missing permission: manage-permissions${depts.length?` in ${depts.join(', ')}`:' for all departments'}`, ephemeral:true});
+
+function describePermissionConfig({ managers, config }){
+  const scope = e => e?.departments?.length ? ` (departments: ${e.departments.join(', ')})` : '';
+  const mgrs = Object.entries(managers).map(([id,e])=>`• <@${id}>${scope(e)}`);
+  const roles = Object.entries(config.permissions?.roles||{}).map(([id,e])=>`• <@&${id}>: ${e.grants.join(', ')}${scope(e)}`);
+  const users = Object.entries(config.permissions?.users||{}).map(([id,e])=>`• <@${id}>: ${e.grants.join(', ')}${scope(e)}`);
+  return `🔐 Permissions\n**Managers**\n${mgrs.join('\n')||'none'}\n**Role grants**\n${roles.join('\n')||'none'}\n**User grants**\n${users.join('\n')||'none'}`;
+}
+
+export async function execute(interaction, { service, perms, memberPermissions }){
+  const { options, user } = interaction;
+  const { departments, managers, config } = service;
+  const sub = options.getSubcommand();
+  const target = mentionTarget(options.get('target'));
+  if(sub==='list'){
+    if(target && target.type==='user' && target.id!==user.id && !can(perms,'manage-permissions')){ await deny(interaction,'manage-permissions'); return; }
+    if(!target && can(perms,'manage-permissions')){
+      await interaction.reply({content:describePermissionConfig(service), ephemeral:true});
+      return;
+    }
+    if(target?.type==='role'){
+      const e = config.permissions?.roles?.[target.id];
+      await interaction.reply({content:`🔐 ${target.label}: ${e?.grants?.length?e.grants.join(', '):'no grants'}${e?.departments?.length?` (departments: ${e.departments.join(', ')})`:''}`, ephemeral:true});
+      return;
+    }
+    let p = perms;
+    if(target && target.id!==user.id) p = await memberPermissions(target.id, interaction.guildId);
+    const lines = Object.keys(CAPABILITIES).filter(c=>p.caps.has(c)).map(c=>`• ${c} — ${describeScope(p,c)}`);
+    await interaction.reply({content:`🔐 ${target?target.label:'Your'} roles: ${[...p.roles].join(', ')||'member'}\n${lines.join('\n')}`, ephemeral:true});
+    return;
+  }
+  if(!can(perms,'manage-permissions')){ await deny(interaction,'manage-permissions'); return; }
+  if(!target){ await interaction.reply({content:'⚠️ Mention a user or role', ephemeral:true}); return; }
+  const grant = options.getString('permission');
+  if(!isGrantable(grant)){ await interaction.reply({content:`Invalid permission. Allowed: ${[...ROLES, ...Object.keys(CAPABILITIES)].join(', ')}`, ephemeral:true}); return; }
+  const bucket = target.type==='role' ? 'roles' : 'users';
+  const save = ()=>service.safeSave(async()=>{ service.saveManagers(); service.saveConfig(); });
+  if(sub==='grant'){
+    const depts = parseList(options.getString('departments'));
+    const unknown = depts.filter(d=>!departments[d]);
+    if(unknown.length){ await interaction.reply({content:`⚠️ Unknown department(s): ${unknown.join(', ')}`, ephemeral:true}); return; }
+    if(!mayManage(perms, grant, depts)){ await denyScope(interaction, serverWide(grant) ? [] : depts); return; }
+    // A grant replaces the departments of the target's other grants too (one entry per target).
+    const existing = currentScope(service, bucket, target.id, grant==='manager' && bucket==='users' ? 'manager' : null);
+    if(existing && !mayManage(perms, null, existing)){ await denyScope(interaction, existing); return; }
+    if(grant==='manager' && bucket==='users') managers[target.id] = { departments: depts };
+    else service.setGrant(bucket, target.id, grant, true, depts);
+    await save();
+    await interaction.reply({content:`✅ Granted ${grant} to ${target.label}${depts.length?` (departments: ${depts.join(', ')})`:''}`, ephemeral:true});
+    return;
+  }
+  if(sub==='revoke'){
+    const scope = currentScope(service, bucket, target.id, grant);
+    if(scope && !mayManage(perms, grant, scope)){ await denyScope(interaction, serverWide(grant) ? [] : scope); return; }
+    let removed = service.setGrant(bucket, target.id, grant, false);
+    if(grant==='manager' && bucket==='users' && managers[target.id]){ delete managers[target.id]; removed = true; }
+    if(!removed){ await interaction.reply({content:`⚠️ ${target.label} does not have ${grant}`, ephemeral:true}); return; }
+    await save();
+    await interaction.reply({content:`✅ Revoked ${grant} from ${target.label}`, ephemeral:true});
+  }
+}
@@ -0,0 +1,21 @@
+// /set-reminders: the guild's default reminder offsets.
+import { SlashCommandBuilder } from 'discord.js';
+import { reminderWindows } from '../notifications.js';
+import { parseList } from './util.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('set-reminders')
+  .setDescription('Set reminder windows (comma-separated, e.g., 24h,1h,30m)')
+  .addStringOption(opt => opt.setName('value').setDescription('Reminder windows').setRequired(true));
+
+export const permission = 'manage-config';
+
+export async function execute(interaction, { service }){
+  const { config } = service;
+  const value = parseList(interaction.options.getString('value'));
+  const bad = value.filter(w=>!reminderWindows([w]).length);
+  if(bad.length || !value.length){ await interaction.reply({content:`⚠️ Couldn't read: ${bad.join(', ')||'(empty)'}. Use offsets like 24h, 1h, 30m or 2d`, ephemeral:true}); return; }
+  config.reminders=value;
+  await service.safeSave(async()=>service.saveConfig());
+  await interaction.reply({content:`✅ Reminder windows set: ${config.reminders.join(', ')}`, ephemeral:true});
+}
@@ -0,0 +1,72 @@
+// /stats: throughput, time to Done, time in each status, overdue rate and workload (src/stats.js).
+import { SlashCommandBuilder } from 'discord.js';
+import { can } from '../permissions.js';
+import { formatDue, discordTimestamp } from '../due.js';
+import { DEFAULT_WEEKS, MAX_WEEKS, STATS_FORMATS, computeStats, formatHours, formatRate } from '../stats.js';
+import { MAX_MESSAGE_LENGTH, clip } from './util.js';
+import { suggest, departments } from './suggest.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('stats')
+  .setDescription('Productivity stats for a user, a department or the whole guild')
+  .addUserOption(opt => opt.setName('user').setDescription('Only tasks assigned to this user'))
+  .addStringOption(opt => opt.setName('department').setDescription('Only this department').setAutocomplete(true))
+  .addIntegerOption(opt => opt.setName('weeks').setDescription(`How many weeks back (default ${DEFAULT_WEEKS})`).setMinValue(1).setMaxValue(MAX_WEEKS))
+  .addStringOption(opt => opt.setName('format').setDescription('Attach the report as a file').addChoices(...Object.keys(STATS_FORMATS).map(f => ({ name: f, value: f }))))
+  .addStringOption(opt => opt.setName('theme').setDescription('HTML theme: default or dark'));
+
+export const permission = null;
+export const autocomplete = suggest({ department: departments() });
+
+const BAR_WIDTH = 12;
+const MAX_WORKLOAD_LINES = 10;
+const bar = (n, max) => '█'.repeat(Math.round(n/(max||1)*BAR_WIDTH)) || '▏';
+
+async function statsMessage(report, header, usernames){
+  const maxWeek = Math.max(...report.perWeek.map(w=>w.completed));
+  const statusTimes = Object.entries(report.statusHours).filter(([,h])=>h>0).map(([s,h])=>`${s} ${formatHours(h)}`);
+  const busiest = report.workload.slice(0, MAX_WORKLOAD_LINES);
+  const names = await usernames.getMany(busiest.map(w=>w.userId));
+  return clip([
+    header,
+    `Tasks: ${report.tasks} · Completed: ${report.completed} · Avg time to Done: ${formatHours(report.avgHoursToDone)} · Overdue rate: ${formatRate(report.overdue.rate)} (${report.overdue.late} of ${report.overdue.due} due)`,
+    '**Completed per week**',
+    ...report.perWeek.map(w=>`\`${w.start}\` ${bar(w.completed, maxWeek)} ${w.completed}`),
+    '**Time in each status**',
+    statusTimes.join(' · ') || 'none',
+    '**Open tasks per assignee**',
+    ...busiest.map((w,i)=>`• ${names[i]} — ${w.open} open${w.overdue?` (${w.overdue} overdue)`:''}`),
+    ...(report.workload.length>busiest.length ? [`…and ${report.workload.length-busiest.length} more`] : []),
+    ...(report.workload.length ? [] : ['none'])
+  ].join('\n'), MAX_MESSAGE_LENGTH);
+}
+
+export async function execute(interaction, { service, perms, now, usernames, statsFile }){
+  const { options, user } = interaction;
+  const target = options.getUser('user');
+  const department = options.getString('department');
+  const format = options.getString('format');
+  if(format && !STATS_FORMATS[format]){ await interaction.reply({content:`⚠️ Unknown format "${format}". Use ${Object.keys(STATS_FORMATS).join(', ')}`, ephemeral:true}); return; }
+  // Reports cover what the caller may export; the message what /task-list shows them.
+  const cap = format ? 'export-all' : 'view-all';
+  let tasks = service.visibleTasks(perms, cap);
+  if(department) tasks = tasks.filter(t=>t.department===department);
+  if(target) tasks = tasks.filter(t=>(t.assignedTo||[]).includes(target.id));
+  if(!tasks.length){ await interaction.reply({content:'📊 No tasks to report on', ephemeral:true}); return; }
+
+  const zone = service.zoneFor(user.id);
+  const report = computeStats(tasks, { now:now(), weeks:options.getInteger('weeks')||DEFAULT_WEEKS, zone, assignee:target?.id });
+  const scope = [target && `@${target.username}`, department && `department ${department}`].filter(Boolean).join(', ')
+    || (can(perms, cap) ? 'whole guild' : 'your tasks');
+  const weeks = `last ${report.weeks} week${report.weeks===1?'':'s'}`;
+
+  if(!format){
+    await interaction.reply({content: await statsMessage(report, `📊 Stats — ${scope}, ${weeks} (since ${discordTimestamp(report.from,'D')})`, usernames), ephemeral:true});
+    return;
+  }
+  try{
+    const attach = await statsFile(format, report, tasks, { userId:user.id, theme:options.getString('theme')||'default',
+      title:`Task statistics — ${scope}`, summary:`${weeks}, since ${formatDue(report.from, zone)}` });
+    await interaction.reply({content:`📊 Stats report (${format}) — ${scope}, ${weeks}`, files:[attach], ephemeral:true});
+  } catch(err){ await interaction.reply({content:'Export failed', ephemeral:true}); console.error(err); }
+}
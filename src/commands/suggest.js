@@ -0,0 +1,67 @@
+/* src/commands/suggest.js - Autocomplete suggestions shared by the commands
+   A command opts in by flagging options with setAutocomplete(true) and exporting
+     export const autocomplete = suggest({ id: tasks(canAct('update-any')), department: departments() });
+   which maps each autocomplete option to a suggester:
+     (typed text, ctx, interaction) -> [{ name, value }]
+   Suggestions are only hints: handlers still check everything they are given.
+*/
+
+import { allStatuses, nextStatuses } from '../workflows.js';
+import { can, canActOnTask } from '../permissions.js';
+import { clip, fuzzySearchTasks, isOpenTask } from './util.js';
+
+// Discord's limits: 25 suggestions, names and string values up to 100 characters.
+export const MAX_SUGGESTIONS = 25;
+const MAX_NAME = 100;
+
+// Which tasks a command may be pointed at, as (perms, task) -> boolean.
+export const canAct = cap => (perms, task) => canActOnTask(perms, cap, task);
+export const canManage = cap => (perms, task) => can(perms, cap, task.department ?? null);
+
+// Prefix matches first, then anything containing the text; case-insensitive.
+export function matchNames(names, typed){
+  const q = String(typed||'').trim().toLowerCase();
+  const lower = names.map(n=>[n, n.toLowerCase()]);
+  return [...lower.filter(([,l])=>l.startsWith(q)), ...lower.filter(([,l])=>!l.startsWith(q) && l.includes(q))].map(([n])=>n);
+}
+const asChoices = names => names.filter(n=>n.length<=MAX_NAME).map(n=>({ name:n, value:n }));
+
+// Task ID options. Empty: open tasks, newest first. Digits: IDs containing them,
+// then title matches. Anything else: fuzzySearchTasks over the allowed tasks.
+export function tasks(allowed){
+  return (typed, { service, perms }) => {
+    const pool = service.getAllTasks().filter(t=>allowed(perms, t));
+    const q = typed.trim();
+    let found;
+    if(!q) found = [...pool].sort((a,b)=>isOpenTask(b)-isOpenTask(a) || b.id-a.id);
+    else {
+      const byId = /^\d+$/.test(q) ? pool.filter(t=>String(t.id).includes(q)) : [];
+      found = [...byId, ...fuzzySearchTasks(q, MAX_SUGGESTIONS, pool).filter(t=>!byId.includes(t))];
+    }
+    return found.slice(0, MAX_SUGGESTIONS).map(t=>({ name: clip(`${t.title} — ${t.status} (ID:${t.id})`, MAX_NAME), value: String(t.id) }));
+  };
+}
+
+// Department names from departments.json; `allowed(perms, name)` narrows them,
+// `extra` are fixed values offered first (e.g. "none").
+export function departments({ allowed=()=>true, extra=[] }={}){
+  return (typed, { service, perms }) => asChoices(matchNames([...extra, ...Object.keys(service.departments).filter(n=>allowed(perms, n))], typed));
+}
+
+// Task statuses: with a task in the `id` option, the moves its workflow lets the
+// caller make (src/workflows.js); otherwise every status any workflow uses.
+export function statuses(typed, { service, perms }, interaction){
+  const id = interaction.options.getString('id');
+  const task = id ? service.findTaskById(id) : null;
+  const names = task ? nextStatuses(service.taskWorkflow(task), task, perms) : allStatuses(service.config);
+  return asChoices(matchNames(names, typed));
+}
+
+export function suggest(fields){
+  return async (interaction, ctx) => {
+    const focused = interaction.options.getFocused(true);
+    const suggester = fields[focused.name];
+    const choices = suggester ? await suggester(String(focused.value ?? ''), ctx, interaction) : [];
+    await interaction.respond(choices.slice(0, MAX_SUGGESTIONS));
+  };
+}
@@ -0,0 +1,26 @@
+// /task-add-assignee: add users or a department's members to an existing task.
+import { SlashCommandBuilder } from 'discord.js';
+import { can } from '../permissions.js';
+import { deny, safeMentionableArray } from './util.js';
+import { taskIdOption } from './options.js';
+import { suggest, tasks, canManage, departments } from './suggest.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('task-add-assignee')
+  .setDescription('Add users or a department to an existing task (Admin/Manager)')
+  .addStringOption(taskIdOption('id', 'Task ID', true))
+  .addStringOption(opt => opt.setName('department').setDescription('Department name').setAutocomplete(true))
+  .addMentionableOption(opt => opt.setName('users').setDescription('Mention users to add'));
+
+export const permission = 'assign';
+export const autocomplete = suggest({ id: tasks(canManage('assign')), department: departments() });
+
+export async function execute(interaction, { service, perms }){
+  const { options, user } = interaction;
+  const users = safeMentionableArray(options.getMentionable('users'));
+  const task = service.findTaskById(options.getString('id'));
+  if(!task){ await interaction.reply({content:'Task not found', ephemeral:true}); return; }
+  if(!can(perms,'assign',task.department??null)){ await deny(interaction,'assign'); return; }
+  const added = await service.addAssignees(task, users.map(u=>u.id), user, { department:options.getString('department') });
+  await interaction.reply({content:`✅ Added assignees: ${added.map(id=>`<@${id}>`).join(', ')||'none (already assigned)'}`, ephemeral:true});
+}
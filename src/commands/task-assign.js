@@ -0,0 +1,38 @@
+// /task-assign: a task for other users and/or a department's members.
+import { SlashCommandBuilder } from 'discord.js';
+import { can, describeScope } from '../permissions.js';
+import { departmentMembers } from '../departments.js';
+import { formatDue } from '../due.js';
+import { addTaskFields, addRecurrenceFields } from './options.js';
+import { safeMentionableArray, taskInput } from './util.js';
+import { suggest, departments } from './suggest.js';
+
+export const data = addRecurrenceFields(addTaskFields(new SlashCommandBuilder()
+  .setName('task-assign')
+  .setDescription('Assign task to users or department'), { dueExample:'"tomorrow 5pm", "in 3 days", "2025-10-01 14:00 IST"' })
+  .addStringOption(opt => opt.setName('department').setDescription('Department name').setAutocomplete(true))
+  .addMentionableOption(opt => opt.setName('users').setDescription('Mention users to assign')));
+
+export const permission = 'assign';
+export const autocomplete = suggest({ department: departments({ allowed: (perms, name)=>can(perms,'assign',name) }) });
+
+export async function execute(interaction, { service, perms, usernames, cardFor }){
+  const { options, user } = interaction;
+  const { departments } = service;
+  const prepared = service.prepareTask(taskInput(options), user);
+  if(prepared.error){ await interaction.reply({content:`⚠️ ${prepared.error}`, ephemeral:true}); return; }
+  const department = options.getString('department')||null;
+  const users = safeMentionableArray(options.getMentionable('users'));
+  let assigned = users.map(u=>u.id);
+  let deptTag=null;
+  if(department && departments[department]){
+    assigned.push(...departmentMembers(departments,department));
+    deptTag=department;
+  }
+  if(!can(perms,'assign',deptTag)){ await interaction.reply({content:`❌ You can only assign tasks in: ${describeScope(perms,'assign')}`, ephemeral:true}); return; }
+  assigned = [...new Set(assigned)];
+  if(!assigned.length){ await interaction.reply({content:'⚠️ No users to assign', ephemeral:true}); return; }
+  const task = await service.createTask(prepared, user, { assignedTo:assigned, department:deptTag, action:`Assigned by ${user.username}` });
+  const assigneeNames = await usernames.getMany(assigned);
+  await interaction.reply({...cardFor(task, `✅ Task assigned: ${task.title} (ID:${task.id}) to ${assigneeNames.join(', ')}${deptTag?` (Dept: ${deptTag})`:''}${task.due?` — due ${formatDue(task.due, service.zoneFor(user.id))}`:''}`), ephemeral:true});
+}
@@ -0,0 +1,52 @@
+// /task-checklist: add, tick, untick, remove or show checklist items.
+import { SlashCommandBuilder } from 'discord.js';
+import { canActOnTask } from '../permissions.js';
+import { MAX_CHECKLIST_ITEMS } from '../structure.js';
+import { taskIdOption } from './options.js';
+import { suggest, tasks, canAct } from './suggest.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('task-checklist')
+  .setDescription('Manage a task\'s checklist')
+  .addStringOption(opt => opt.setName('action').setDescription('What to do').setRequired(true).addChoices(
+    { name: 'add', value: 'add' },
+    { name: 'tick', value: 'tick' },
+    { name: 'untick', value: 'untick' },
+    { name: 'remove', value: 'remove' },
+    { name: 'show', value: 'show' }))
+  .addStringOption(taskIdOption('id', 'Task ID', true))
+  .addStringOption(opt => opt.setName('item').setDescription('Item text (add) or item number (tick, untick, remove)'));
+
+export const permission = null;
+export const autocomplete = suggest({ id: tasks(canAct('update-any')) });
+
+export async function execute(interaction, { service, perms, now, cardFor }){
+  const { options, user } = interaction;
+  const action = options.getString('action');
+  const task = service.findTaskById(options.getString('id'));
+  if(!task){ await interaction.reply({content:'Task not found', ephemeral:true}); return; }
+  if(!canActOnTask(perms,'update-any',task)){ await interaction.reply({content:'❌ You are not assigned to this task', ephemeral:true}); return; }
+  task.checklist = task.checklist||[];
+  const item = (options.getString('item')||'').trim();
+  if(action==='show'){ await interaction.reply({...cardFor(task), ephemeral:true}); return; }
+  if(!item){ await interaction.reply({content:'⚠️ Pass the item text (add) or its number (tick, untick, remove)', ephemeral:true}); return; }
+  let message;
+  if(action==='add'){
+    if(task.checklist.length>=MAX_CHECKLIST_ITEMS){ await interaction.reply({content:`⚠️ A checklist holds at most ${MAX_CHECKLIST_ITEMS} items`, ephemeral:true}); return; }
+    const id = Math.max(0, ...task.checklist.map(c=>c.id))+1;
+    task.checklist.push({ id, text:item.slice(0,200), done:false });
+    message = `➕ Added "${item.slice(0,200)}"`;
+  } else {
+    // Items are referenced by their number in the list, or by text.
+    const n = /^\d+$/.test(item) ? Number(item) : 0;
+    const found = n ? task.checklist[n-1] : task.checklist.find(c=>c.text.toLowerCase()===item.toLowerCase());
+    if(!found){ await interaction.reply({content:`⚠️ No checklist item "${item}"`, ephemeral:true}); return; }
+    if(action==='remove'){ task.checklist = task.checklist.filter(c=>c!==found); message = `➖ Removed "${found.text}"`; }
+    else if(action==='tick' || action==='untick'){ found.done = action==='tick'; message = `${found.done?'☑':'☐'} ${found.done?'Ticked':'Unticked'} "${found.text}"`; }
+    else { await interaction.reply({content:'Invalid action', ephemeral:true}); return; }
+  }
+  task.logs = task.logs||[];
+  task.logs.push({date:now().toISOString(), action:`Checklist: ${message.slice(2).trim()} by ${user.username}`});
+  await service.safeSave(async()=>service.saveTasks([task.id]));
+  await interaction.reply({...cardFor(task, message), ephemeral:true});
+}
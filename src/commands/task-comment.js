@@ -0,0 +1,53 @@
+// /task-comment: add a comment (text, @mentions, attachments) to a task, or read its thread.
+import { SlashCommandBuilder } from 'discord.js';
+import { canActOnTask } from '../permissions.js';
+import { MAX_COMMENT_LENGTH, MAX_ATTACHMENTS, formatComment } from '../comments.js';
+import { clip, MAX_MESSAGE_LENGTH } from './util.js';
+import { taskIdOption } from './options.js';
+import { suggest, tasks, canAct } from './suggest.js';
+
+const ATTACHMENT_OPTIONS = Array.from({ length:MAX_ATTACHMENTS }, (_,i)=>i ? `attachment_${i+1}` : 'attachment');
+
+export const data = ATTACHMENT_OPTIONS.reduce(
+  (cmd, name) => cmd.addAttachmentOption(opt => opt.setName(name).setDescription('File to attach')),
+  new SlashCommandBuilder()
+    .setName('task-comment')
+    .setDescription('Comment on a task (mention people with @ to notify them)')
+    .addStringOption(taskIdOption('id', 'Task ID', true))
+    .addStringOption(opt => opt.setName('text').setDescription('The comment; leave empty (and attach nothing) to read the thread').setMaxLength(MAX_COMMENT_LENGTH))
+);
+
+// Anyone who can see the task may comment on it.
+export const permission = null;
+export const autocomplete = suggest({ id: tasks(canAct('view-all')) });
+
+export async function execute(interaction, { service, perms, cardFor }){
+  const { options, user } = interaction;
+  const task = service.findTaskById(options.getString('id'));
+  if(!task){ await interaction.reply({content:'Task not found', ephemeral:true}); return; }
+  if(!canActOnTask(perms,'view-all',task)){ await interaction.reply({content:'❌ You are not assigned to this task', ephemeral:true}); return; }
+  const text = options.getString('text')?.trim() || '';
+  const attachments = ATTACHMENT_OPTIONS.map(name=>options.getAttachment(name)).filter(Boolean);
+
+  if(!text && !attachments.length){
+    // Newest comments win when the thread does not fit in one message, as in /task-history.
+    const comments = task.comments||[];
+    const header = `💬 Comments on **${clip(task.title,80)}** (ID:${task.id})`;
+    const lines = [];
+    let length = header.length;
+    for(const comment of [...comments].reverse()){
+      const line = formatComment(comment, 600);
+      if(length+line.length+1 > MAX_MESSAGE_LENGTH-60) break;
+      lines.unshift(line);
+      length += line.length+1;
+    }
+    const omitted = comments.length-lines.length;
+    await interaction.reply({content:`${header}\n${omitted?`_${omitted} older comment${omitted===1?'':'s'} not shown_\n`:''}${lines.join('\n')||'No comments yet'}`, ephemeral:true});
+    return;
+  }
+
+  const { comment, error } = await service.addComment(task, user, { text, attachments });
+  if(error){ await interaction.reply({content:`⚠️ ${error}`, ephemeral:true}); return; }
+  const notified = comment.mentions.filter(id=>id!==user.id);
+  await interaction.reply({...cardFor(task, `💬 Comment added${notified.length ? ` — notified ${notified.map(id=>`<@${id}>`).join(', ')}` : ''}`), ephemeral:true});
+}
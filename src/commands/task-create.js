@@ -0,0 +1,19 @@
+// /task-create: a task assigned to the caller.
+import { SlashCommandBuilder } from 'discord.js';
+import { formatDue } from '../due.js';
+import { addTaskFields, addRecurrenceFields } from './options.js';
+import { taskInput } from './util.js';
+
+export const data = addRecurrenceFields(addTaskFields(new SlashCommandBuilder()
+  .setName('task-create')
+  .setDescription('Create a new task'), { dueExample:'"tomorrow 5pm", "next friday", "2025-10-01 14:00 IST"' }));
+
+export const permission = 'create';
+
+export async function execute(interaction, { service, cardFor }){
+  const { options, user } = interaction;
+  const prepared = service.prepareTask(taskInput(options), user);
+  if(prepared.error){ await interaction.reply({content:`⚠️ ${prepared.error}`, ephemeral:true}); return; }
+  const task = await service.createTask(prepared, user);
+  await interaction.reply({...cardFor(task, `✅ Task created: **${task.title}** (ID: ${task.id}) assigned to **${user.username}**${task.due?` — due ${formatDue(task.due, service.zoneFor(user.id))}`:''}`), ephemeral:true});
+}
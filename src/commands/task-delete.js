@@ -0,0 +1,25 @@
+// /task-delete: delete a task, picked by ID or by its number in /task-list.
+import { SlashCommandBuilder } from 'discord.js';
+import { canActOnTask } from '../permissions.js';
+import { taskIdOption } from './options.js';
+import { suggest, tasks, canAct } from './suggest.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('task-delete')
+  .setDescription('Delete a task')
+  .addStringOption(taskIdOption('id', 'Task ID'))
+  .addIntegerOption(opt => opt.setName('index').setDescription('Task index in your list'));
+
+export const permission = null;
+export const autocomplete = suggest({ id: tasks(canAct('delete-any')) });
+
+export async function execute(interaction, { service, perms, resolveTaskRef }){
+  const { options, user } = interaction;
+  const found = resolveTaskRef(options.getString('id'), options.getInteger('index'), perms);
+  if(found.error){ await interaction.reply({content:found.error, ephemeral:true}); return; }
+  if(!canActOnTask(perms,'delete-any',found.task)){
+    await interaction.reply({content:'❌ You are not assigned to this task', ephemeral:true}); return;
+  }
+  await service.deleteTask(found.task, user);
+  await interaction.reply({content:`🗑️ Deleted: ${found.task.title} — /undo brings it back`, ephemeral:true});
+}
@@ -0,0 +1,50 @@
+// /task-depends: "blocked by" links between tasks.
+import { SlashCommandBuilder } from 'discord.js';
+import { canActOnTask } from '../permissions.js';
+import { recordChange } from '../history.js';
+import { dependencyCycle } from '../structure.js';
+import { taskIdOption } from './options.js';
+import { suggest, tasks, canAct } from './suggest.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('task-depends')
+  .setDescription('Manage "blocked by" dependencies')
+  .addStringOption(opt => opt.setName('action').setDescription('What to do').setRequired(true).addChoices(
+    { name: 'add', value: 'add' },
+    { name: 'remove', value: 'remove' },
+    { name: 'show', value: 'show' }))
+  .addStringOption(taskIdOption('id', 'The task that waits', true))
+  .addStringOption(taskIdOption('blocker', 'The task it waits on (add, remove)'));
+
+export const permission = null;
+export const autocomplete = suggest({ id: tasks(canAct('update-any')), blocker: tasks(canAct('view-all')) });
+
+export async function execute(interaction, { service, perms, now, cardFor }){
+  const { options, user } = interaction;
+  const { findTaskById } = service;
+  const action = options.getString('action');
+  const task = findTaskById(options.getString('id'));
+  if(!task){ await interaction.reply({content:'Task not found', ephemeral:true}); return; }
+  if(!canActOnTask(perms,'update-any',task)){ await interaction.reply({content:'❌ You are not assigned to this task', ephemeral:true}); return; }
+  if(action==='show'){ await interaction.reply({...cardFor(task), ephemeral:true}); return; }
+  const blocker = findTaskById(options.getString('blocker'));
+  if(!blocker){ await interaction.reply({content:'Blocking task not found', ephemeral:true}); return; }
+  task.blockedBy = task.blockedBy||[];
+  const has = task.blockedBy.some(b=>String(b)===String(blocker.id));
+  if(action==='add'){
+    // The card and the reply show the blocker's title, so it has to be one the caller may see.
+    if(!canActOnTask(perms,'view-all',blocker)){ await interaction.reply({content:'Blocking task not found', ephemeral:true}); return; }
+    if(has){ await interaction.reply({content:`⚠️ Already blocked by ${blocker.id}`, ephemeral:true}); return; }
+    const cycle = dependencyCycle(task.id, blocker.id, id=>findTaskById(id)?.blockedBy);
+    if(cycle){ await interaction.reply({content:`⚠️ ${cycle}`, ephemeral:true}); return; }
+    task.blockedBy.push(blocker.id);
+    recordChange(task, { field:'blockedBy', from:null, to:blocker.id, by:user.id, action:`Blocked by task ${blocker.id} (added by ${user.username})`, date:now() });
+  } else if(action==='remove'){
+    if(!has){ await interaction.reply({content:`⚠️ Not blocked by ${blocker.id}`, ephemeral:true}); return; }
+    task.blockedBy = task.blockedBy.filter(b=>String(b)!==String(blocker.id));
+    recordChange(task, { field:'blockedBy', from:blocker.id, to:null, by:user.id, action:`No longer blocked by task ${blocker.id} (removed by ${user.username})`, date:now() });
+  } else { await interaction.reply({content:'Invalid action', ephemeral:true}); return; }
+  service.syncBlockedStatus(task);
+  await service.safeSave(async()=>service.saveTasks([task.id]));
+  await interaction.reply({...cardFor(task, action==='add' ? `⛓️ ${task.title} now waits on ${blocker.title}` : `🔓 Removed blocker ${blocker.title}`), ephemeral:true});
+}
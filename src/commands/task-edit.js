@@ -0,0 +1,39 @@
+// /task-edit: change a task's title, description, due date or department.
+import { SlashCommandBuilder } from 'discord.js';
+import { can, canActOnTask, describeScope } from '../permissions.js';
+import { taskIdOption } from './options.js';
+import { suggest, tasks, canAct, departments } from './suggest.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('task-edit')
+  .setDescription('Edit a task\'s title, description, due date or department')
+  .addStringOption(taskIdOption('id', 'Task ID', true))
+  .addStringOption(opt => opt.setName('title').setDescription('New title'))
+  .addStringOption(opt => opt.setName('description').setDescription('New description'))
+  .addStringOption(opt => opt.setName('due').setDescription('New due date, or "none" to clear it'))
+  .addStringOption(opt => opt.setName('department').setDescription('Move to this department, or "none"').setAutocomplete(true));
+
+export const permission = null;
+export const autocomplete = suggest({ id: tasks(canAct('update-any')), department: departments({ allowed: (perms, name)=>can(perms,'assign',name), extra: ['none'] }) });
+
+export async function execute(interaction, { service, perms, cardFor }){
+  const { options, user } = interaction;
+  const task = service.findTaskById(options.getString('id'));
+  if(!task){ await interaction.reply({content:'Task not found', ephemeral:true}); return; }
+  if(!canActOnTask(perms,'update-any',task)){ await interaction.reply({content:'❌ You are not assigned to this task', ephemeral:true}); return; }
+  const prepared = service.prepareEdits({
+    title: options.getString('title') ?? undefined,
+    description: options.getString('description') ?? undefined,
+    due: options.getString('due') ?? undefined,
+    department: options.getString('department') ?? undefined
+  }, user);
+  if(prepared.error){ await interaction.reply({content:`⚠️ ${prepared.error}`, ephemeral:true}); return; }
+  const { edits } = prepared;
+  // Moving a task needs assign rights on both sides.
+  if(edits.department!==undefined && (!can(perms,'assign',task.department??null) || !can(perms,'assign',edits.department))){
+    await interaction.reply({content:`❌ You can only move tasks within: ${describeScope(perms,'assign')}`, ephemeral:true}); return;
+  }
+  if(!Object.keys(edits).length){ await interaction.reply({content:'⚠️ Nothing to change — pass title, description, due or department', ephemeral:true}); return; }
+  const changed = await service.editTask(task, edits, user);
+  await interaction.reply({...cardFor(task, changed.length ? `✏️ Updated ${changed.join(', ')}` : 'No changes'), ephemeral:true});
+}
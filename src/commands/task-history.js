@@ -0,0 +1,38 @@
+// /task-history: a task's change log, newest entries kept when it is too long.
+import { SlashCommandBuilder } from 'discord.js';
+import { canActOnTask } from '../permissions.js';
+import { formatDue, discordTimestamp } from '../due.js';
+import { describeEntry } from '../history.js';
+import { clip, MAX_MESSAGE_LENGTH } from './util.js';
+import { taskIdOption } from './options.js';
+import { suggest, tasks, canAct } from './suggest.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('task-history')
+  .setDescription('Show the change history of a task')
+  .addStringOption(taskIdOption('id', 'Task ID', true));
+
+export const permission = null;
+export const autocomplete = suggest({ id: tasks(canAct('view-all')) });
+
+export async function execute(interaction, { service, perms }){
+  const { options, user } = interaction;
+  const task = service.findTaskById(options.getString('id'));
+  if(!task){ await interaction.reply({content:'Task not found', ephemeral:true}); return; }
+  if(!canActOnTask(perms,'view-all',task)){ await interaction.reply({content:'❌ You are not assigned to this task', ephemeral:true}); return; }
+  const zone = service.zoneFor(user.id);
+  const format = (field, v) => field==='due' ? formatDue(v, zone) : v;
+  const logs = task.logs||[];
+  // Newest entries win when the timeline does not fit in one message.
+  const header = `🕓 History of **${clip(task.title,80)}** (ID:${task.id})`;
+  const lines = [];
+  let length = header.length;
+  for(const entry of [...logs].reverse()){
+    const line = `${discordTimestamp(entry.date,'f')} — ${describeEntry(entry, format)}`;
+    if(length+line.length+1 > MAX_MESSAGE_LENGTH-60) break;
+    lines.unshift(line);
+    length += line.length+1;
+  }
+  const omitted = logs.length-lines.length;
+  await interaction.reply({content:`${header}\n${omitted?`_${omitted} older entr${omitted===1?'y':'ies'} not shown_\n`:''}${lines.join('\n')||'No history'}`, ephemeral:true});
+}
@@ -0,0 +1,19 @@
+// /task-list: paginated, filtered list of the tasks the caller may see.
+import { SlashCommandBuilder } from 'discord.js';
+import { addListFilters } from './options.js';
+import { suggest, departments, statuses } from './suggest.js';
+
+export const data = addListFilters(new SlashCommandBuilder()
+  .setName('task-list')
+  .setDescription('List your tasks'));
+
+export const permission = null;
+export const autocomplete = suggest({ status: statuses, department: departments() });
+
+export async function execute(interaction, { perms, listFilters, renderTaskListPage, rememberListQuery }){
+  const { options, user } = interaction;
+  const { filters, error } = listFilters(options, user.id);
+  if(error){ await interaction.reply({content:`⚠️ ${error}`, ephemeral:true}); return; }
+  const query = { userId:user.id, filters, sort: options.getString('sort')||'created' };
+  await interaction.reply({...await renderTaskListPage(perms, query, rememberListQuery(query), 0), ephemeral:true});
+}
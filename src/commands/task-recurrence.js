@@ -0,0 +1,64 @@
+// /task-recurrence: start, pause, resume, end or inspect a recurring series.
+import { SlashCommandBuilder } from 'discord.js';
+import { canActOnTask } from '../permissions.js';
+import { parseRecurrence, nextOccurrence } from '../recurrence.js';
+import { formatDue } from '../due.js';
+import { recurrenceModes, taskIdOption } from './options.js';
+import { isOpenTask } from './util.js';
+import { suggest, tasks, canAct } from './suggest.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('task-recurrence')
+  .setDescription('Manage a recurring task series')
+  .addStringOption(opt => opt.setName('action').setDescription('What to do').setRequired(true).addChoices(
+    { name: 'set', value: 'set' },
+    { name: 'pause', value: 'pause' },
+    { name: 'resume', value: 'resume' },
+    { name: 'end', value: 'end' },
+    { name: 'show', value: 'show' }))
+  .addStringOption(taskIdOption('id', 'Any task ID in the series', true))
+  .addStringOption(opt => opt.setName('rule').setDescription('Repeat rule (set), e.g. "every 2w on Mon" or "0 9 1 * *"'))
+  .addStringOption(opt => opt.setName('mode').setDescription('When to create the next instance (set)').addChoices(...recurrenceModes));
+
+export const permission = null;
+export const autocomplete = suggest({ id: tasks(canAct('update-any')) });
+
+export async function execute(interaction, { service, perms, now }){
+  const { options, user } = interaction;
+  const { findTaskById, zoneFor, safeSave, saveTasks, saveSeries } = service;
+  const action = options.getString('action');
+  const task = findTaskById(options.getString('id'));
+  if(!task){ await interaction.reply({content:'Task not found', ephemeral:true}); return; }
+  if(!canActOnTask(perms,'update-any',task)){ await interaction.reply({content:'❌ You are not assigned to this task', ephemeral:true}); return; }
+  const s = task.seriesId ? service.series[task.seriesId] : null;
+  if(action==='set'){
+    if(s && s.state!=='ended'){ await interaction.reply({content:`⚠️ Task is already part of series ${s.id} (${s.rule.text}) — end it first`, ephemeral:true}); return; }
+    const parsed = parseRecurrence(options.getString('rule'));
+    if(parsed.error){ await interaction.reply({content:`⚠️ ${parsed.error}`, ephemeral:true}); return; }
+    const ns = service.startSeries(task, { ...parsed.rule, zone: zoneFor(user.id) }, options.getString('mode')||'done');
+    await safeSave(async()=>{ saveTasks([task.id]); saveSeries(); });
+    await interaction.reply({content:`🔁 ${task.title} now recurs ${ns.rule.text} (series ${ns.id}, ${ns.mode==='done'?'next instance on completion':'next instance when due'})`, ephemeral:true});
+    return;
+  }
+  if(!s){ await interaction.reply({content:'⚠️ This task is not part of a recurring series', ephemeral:true}); return; }
+  if(action==='show'){
+    const current = findTaskById(s.currentTaskId);
+    const upcoming = s.state==='active' ? nextOccurrence(s.rule, new Date(Math.max(now().getTime(), new Date(s.lastDue).getTime())), s.anchor) : null;
+    await interaction.reply({content:`🔁 Series ${s.id}: ${s.rule.text}\nState: ${s.state} — mode: ${s.mode} — occurrences: ${s.count}\nCurrent: ${current?`${current.title} (ID:${current.id}) — ${current.status} — due:${formatDue(current.due, zoneFor(user.id))}`:'deleted'}\nNext: ${upcoming?formatDue(upcoming.toISOString(), zoneFor(user.id)):'—'}`, ephemeral:true});
+    return;
+  }
+  const states = { pause:'paused', resume:'active', end:'ended' };
+  if(!states[action]){ await interaction.reply({content:'Invalid action', ephemeral:true}); return; }
+  if(s.state==='ended'){ await interaction.reply({content:'⚠️ This series has ended', ephemeral:true}); return; }
+  s.state = states[action];
+  const changed = [];
+  for(const t of service.getAllTasks().filter(t=>t.seriesId===s.id && isOpenTask(t))){
+    t.logs.push({date:now().toISOString(), action:`Series ${action==='end'?'ended':s.state} by ${user.username}`});
+    changed.push(t.id);
+  }
+  // A 'done' series whose current instance was deleted would never spawn again.
+  let spawned = null;
+  if(action==='resume' && s.mode==='done' && !findTaskById(s.currentTaskId)){ spawned = service.spawnNextInstance(s); changed.push(spawned.id); }
+  await safeSave(async()=>{ saveTasks(changed); saveSeries(); });
+  await interaction.reply({content:`🔁 Series ${s.id} ${action==='end'?'ended':s.state}${spawned?` — new instance ID:${spawned.id} due ${formatDue(spawned.due, zoneFor(user.id))}`:''}`, ephemeral:true});
+}
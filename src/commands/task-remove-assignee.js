@@ -0,0 +1,25 @@
+// /task-remove-assignee: take users off an existing task.
+import { SlashCommandBuilder } from 'discord.js';
+import { can } from '../permissions.js';
+import { deny, safeMentionableArray } from './util.js';
+import { taskIdOption } from './options.js';
+import { suggest, tasks, canManage } from './suggest.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('task-remove-assignee')
+  .setDescription('Remove users from an existing task (Admin/Manager)')
+  .addStringOption(taskIdOption('id', 'Task ID', true))
+  .addMentionableOption(opt => opt.setName('users').setDescription('Mention users to remove'));
+
+export const permission = 'assign';
+export const autocomplete = suggest({ id: tasks(canManage('assign')) });
+
+export async function execute(interaction, { service, perms }){
+  const { options, user } = interaction;
+  const users = safeMentionableArray(options.getMentionable('users'));
+  const task = service.findTaskById(options.getString('id'));
+  if(!task){ await interaction.reply({content:'Task not found', ephemeral:true}); return; }
+  if(!can(perms,'assign',task.department??null)){ await deny(interaction,'assign'); return; }
+  const removed = await service.removeAssignees(task, users.map(u=>u.id), user);
+  await interaction.reply({content:`✅ Removed assignees: ${users.map(u=>u.username).join(', ')}${removed.length?' — /undo puts them back':''}`, ephemeral:true});
+}
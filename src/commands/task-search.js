@@ -0,0 +1,25 @@
+// /task-search: fuzzy title/description/comment search over the tasks the caller may see.
+import { SlashCommandBuilder } from 'discord.js';
+import { discordTimestamp } from '../due.js';
+import { taskPicker } from '../cards.js';
+import { formatProgress } from '../structure.js';
+import { fuzzySearchTasks } from './util.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('task-search')
+  .setDescription('Search tasks')
+  .addStringOption(opt => opt.setName('q').setDescription('Search query').setRequired(true));
+
+export const permission = null;
+
+export async function execute(interaction, { service, perms, usernames }){
+  const q = interaction.options.getString('q');
+  const matches = fuzzySearchTasks(q,5,service.visibleTasks(perms));
+  if(!matches.length){ await interaction.reply({content:'No matches found', ephemeral:true}); return; }
+  const lines = await Promise.all(matches.map(async(t,i)=>{
+    const assignees = await usernames.getMany(t.assignedTo);
+    const progress = formatProgress(service.taskProgress(t));
+    return `**${i+1}. ${t.title}** (ID:${t.id}) — ${t.status}${progress?` (${progress})`:''} — due:${discordTimestamp(t.due)} — assigned: ${assignees.join(', ')}`;
+  }));
+  await interaction.reply({content:`Search results for "${q}":\n\n${lines.join('\n\n')}\n\nOpen one below to update or delete it`, components:taskPicker(matches), ephemeral:true});
+}
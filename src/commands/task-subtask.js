@@ -0,0 +1,60 @@
+// /task-subtask: create a subtask, or link/unlink an existing task to a parent.
+import { SlashCommandBuilder } from 'discord.js';
+import { can, canActOnTask } from '../permissions.js';
+import { recordChange } from '../history.js';
+import { parentCycle } from '../structure.js';
+import { taskIdOption } from './options.js';
+import { suggest, tasks, canAct } from './suggest.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('task-subtask')
+  .setDescription('Create or link subtasks')
+  .addStringOption(opt => opt.setName('action').setDescription('What to do').setRequired(true).addChoices(
+    { name: 'add a new subtask', value: 'add' },
+    { name: 'link an existing task', value: 'link' },
+    { name: 'unlink from its parent', value: 'unlink' }))
+  .addStringOption(taskIdOption('parent', 'Parent task ID (add, link)'))
+  .addStringOption(taskIdOption('id', 'Existing task ID (link, unlink)'))
+  .addStringOption(opt => opt.setName('title').setDescription('New subtask title (add)'))
+  .addStringOption(opt => opt.setName('due').setDescription('New subtask due date (add)'));
+
+export const permission = null;
+export const autocomplete = suggest({ parent: tasks(canAct('update-any')), id: tasks(canAct('update-any')) });
+
+export async function execute(interaction, { service, perms, now, cardFor }){
+  const { options, user } = interaction;
+  const { findTaskById } = service;
+  const action = options.getString('action');
+  const parent = options.getString('parent')!=null ? findTaskById(options.getString('parent')) : null;
+  if(action==='add'){
+    if(!parent){ await interaction.reply({content:'Parent task not found', ephemeral:true}); return; }
+    if(!can(perms,'create') || !canActOnTask(perms,'update-any',parent)){ await interaction.reply({content:'❌ You are not assigned to the parent task', ephemeral:true}); return; }
+    const prepared = service.prepareTask({ title:options.getString('title'), due:options.getString('due'), priority:parent.priority }, user);
+    if(prepared.error){ await interaction.reply({content:`⚠️ ${prepared.error}`, ephemeral:true}); return; }
+    // Subtasks inherit the parent's people and department.
+    const task = await service.createTask(prepared, user, {
+      assignedTo: parent.assignedTo||[], department: parent.department||null, parentId: parent.id,
+      action: `Created as subtask of ${parent.id} by ${user.username}`
+    });
+    await interaction.reply({...cardFor(parent, `✅ Subtask created: **${task.title}** (ID:${task.id})`), ephemeral:true});
+    return;
+  }
+  const task = findTaskById(options.getString('id'));
+  if(!task){ await interaction.reply({content:'Task not found', ephemeral:true}); return; }
+  if(!canActOnTask(perms,'update-any',task)){ await interaction.reply({content:'❌ You are not assigned to this task', ephemeral:true}); return; }
+  if(action==='link'){
+    if(!parent){ await interaction.reply({content:'Parent task not found', ephemeral:true}); return; }
+    if(!canActOnTask(perms,'update-any',parent)){ await interaction.reply({content:'❌ You are not assigned to the parent task', ephemeral:true}); return; }
+    const cycle = parentCycle(task.id, parent.id, id=>findTaskById(id)?.parentId);
+    if(cycle){ await interaction.reply({content:`⚠️ ${cycle}`, ephemeral:true}); return; }
+    recordChange(task, { field:'parentId', from:task.parentId??null, to:parent.id, by:user.id, byName:user.username, date:now() });
+    task.parentId = parent.id;
+  } else if(action==='unlink'){
+    if(task.parentId==null){ await interaction.reply({content:'⚠️ This task is not a subtask', ephemeral:true}); return; }
+    recordChange(task, { field:'parentId', from:task.parentId, to:null, by:user.id, byName:user.username, date:now() });
+    task.parentId = null;
+  } else { await interaction.reply({content:'Invalid action', ephemeral:true}); return; }
+  service.reindexTask(task);
+  await service.safeSave(async()=>service.saveTasks([task.id]));
+  await interaction.reply({...cardFor(task, action==='link' ? `🔗 Now a subtask of ${parent.title} (ID:${parent.id})` : '✂️ No longer a subtask'), ephemeral:true});
+}
@@ -0,0 +1,30 @@
+// /task-update: set a task's status, picked by ID or by its number in /task-list.
+import { SlashCommandBuilder } from 'discord.js';
+import { canChangeStatus } from '../workflows.js';
+import { formatDue } from '../due.js';
+import { taskIdOption } from './options.js';
+import { suggest, tasks, statuses } from './suggest.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('task-update')
+  .setDescription('Update task status')
+  .addStringOption(opt => opt.setName('status').setDescription('New status').setRequired(true).setAutocomplete(true))
+  .addStringOption(taskIdOption('id', 'Task ID'))
+  .addIntegerOption(opt => opt.setName('index').setDescription('Task index in your list'))
+  .addStringOption(opt => opt.setName('comment').setDescription('Note for the history (needed to send a task back from review)').setMaxLength(500));
+
+export const permission = null;
+export const autocomplete = suggest({ id: tasks(canChangeStatus), status: statuses });
+
+export async function execute(interaction, { service, perms, resolveTaskRef, cardFor }){
+  const { options, user } = interaction;
+  const status = options.getString('status');
+  const found = resolveTaskRef(options.getString('id'), options.getInteger('index'), perms);
+  if(found.error){ await interaction.reply({content:found.error, ephemeral:true}); return; }
+  if(!canChangeStatus(perms, found.task)){
+    await interaction.reply({content:'❌ You are not assigned to this task', ephemeral:true}); return;
+  }
+  const { error, next } = await service.setTaskStatus(found.task, status, user, { perms, comment: options.getString('comment') });
+  if(error){ await interaction.reply({content:error, ephemeral:true}); return; }
+  await interaction.reply({...cardFor(found.task, `🔄 Task updated: ${found.task.title} -> ${status}${next?`\n🔁 Next occurrence created (ID:${next.id}, due ${formatDue(next.due, service.zoneFor(user.id))})`:''}`), ephemeral:true});
+}
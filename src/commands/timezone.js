@@ -0,0 +1,40 @@
+// /timezone: show or set the caller's (or the guild's) timezone for due dates.
+import { SlashCommandBuilder } from 'discord.js';
+import { can } from '../permissions.js';
+import { formatDue, resolveZone, DEFAULT_ZONE } from '../due.js';
+import { deny } from './util.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('timezone')
+  .setDescription('Show or set the timezone used for due dates')
+  .addStringOption(opt => opt.setName('zone').setDescription('e.g. Asia/Kolkata, IST, +05:30, or "default" to reset'))
+  .addStringOption(opt => opt.setName('scope').setDescription('Set it for yourself or the whole guild').addChoices(
+    { name: 'me', value: 'me' },
+    { name: 'guild', value: 'guild' }));
+
+// Setting the guild zone needs manage-config; that is checked below.
+export const permission = null;
+
+export async function execute(interaction, { service, perms, now }){
+  const { options, user } = interaction;
+  const { config, userSettings, zoneFor, safeSave } = service;
+  const input = options.getString('zone');
+  const scope = options.getString('scope')||'me';
+  if(!input){
+    await interaction.reply({content:`🕒 Your timezone: ${zoneFor(user.id)}${userSettings[user.id]?.timezone?'':' (guild default)'}\nGuild default: ${config.timezone||DEFAULT_ZONE}`, ephemeral:true});
+    return;
+  }
+  if(scope==='guild' && !can(perms,'manage-config',null)){ await deny(interaction,'manage-config'); return; }
+  const reset = input.trim().toLowerCase()==='default';
+  const zone = reset ? null : resolveZone(input);
+  if(!reset && !zone){ await interaction.reply({content:`⚠️ Unknown timezone "${input}". Use an IANA name like Asia/Kolkata or Europe/London, an abbreviation like IST, or an offset like +05:30`, ephemeral:true}); return; }
+  if(scope==='guild'){
+    if(zone) config.timezone = zone; else delete config.timezone;
+    await safeSave(async()=>service.saveConfig());
+  } else {
+    userSettings[user.id] = userSettings[user.id]||{};
+    if(zone) userSettings[user.id].timezone = zone; else delete userSettings[user.id].timezone;
+    await safeSave(async()=>service.saveUserSettings());
+  }
+  await interaction.reply({content:`✅ ${scope==='guild'?'Guild':'Your'} timezone ${zone?`set to ${zone}`:'reset to default'} — now ${formatDue(now().toISOString(), scope==='guild'?(config.timezone||DEFAULT_ZONE):zoneFor(user.id))}`, ephemeral:true});
+}
@@ -0,0 +1,16 @@
+// /undo: take back your own last task deletion or assignee removal, shortly after.
+import { SlashCommandBuilder } from 'discord.js';
+import { UNDO_WINDOW_MS } from '../service.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('undo')
+  .setDescription(`Undo your last /task-delete or /task-remove-assignee (within ${UNDO_WINDOW_MS/60000} minutes)`);
+
+// Only ever reverts the caller's own action, which they were allowed to take.
+export const permission = null;
+
+export async function execute(interaction, { service, cardFor }){
+  const result = await service.undo(interaction.user);
+  if(result.error){ await interaction.reply({content:`⚠️ ${result.error}`, ephemeral:true}); return; }
+  await interaction.reply({...cardFor(result.tasks[0], `↩️ Undone: ${result.label}`), ephemeral:true});
+}
@@ -0,0 +1,64 @@
+/* src/commands/util.js - Small helpers shared by the command handlers
+   Nothing here touches storage; handlers get the service and the bot's
+   stateful helpers through ctx (see src/commands/index.js).
+*/
+
+import { commentText } from '../comments.js';
+
+export const MAX_MESSAGE_LENGTH = 2000;
+
+export function parseList(s){ return String(s||'').split(',').map(x=>x.trim()).filter(Boolean); }
+export function clip(s, n){ s=String(s||''); return s.length>n ? `${s.slice(0,n-1)}…` : s; }
+export function isOpenTask(t){ return t.status!=='Done'; }
+export function safeMentionableArray(entity){ if(!entity) return []; return Array.isArray(entity)?entity:[entity]; }
+
+// Mentionable options resolve to a user, member or role; normalize to one shape.
+export function mentionTarget(opt){
+  if(!opt) return null;
+  if(opt.role) return { type:'role', id:opt.role.id, label:`@${opt.role.name}` };
+  const u = opt.user || opt.member?.user;
+  return u ? { type:'user', id:u.id, label:u.username } : null;
+}
+
+export async function deny(interaction, cap){
+  await interaction.reply({content:`❌ Missing permission: ${cap}`, ephemeral:true});
+}
+
+// The option names /task-create and /task-assign share, in prepareTask() shape.
+export function taskInput(options){
+  return {
+    title: options.getString('title'), description: options.getString('description'), due: options.getString('due'),
+    priority: options.getString('priority'), recurrence: options.getString('recurrence'), recurrenceMode: options.getString('recurrence_mode')
+  };
+}
+
+// Best title/description matches first; `pool` is the tasks the caller may see.
+export function fuzzySearchTasks(query, limit=5, pool=[]){
+  query=String(query||'').toLowerCase();
+  const scored=pool.map(t=>{
+    const title=(t.title||'').toLowerCase();
+    const desc=(t.description||'').toLowerCase();
+    let score=0;
+    if(title===query) score+=100;
+    if(title.includes(query)) score+=50;
+    if(desc.includes(query)) score+=20;
+    if((t.comments||[]).some(c=>commentText(c).toLowerCase().includes(query))) score+=10;
+    const common=[...query].filter(ch=>title.includes(ch)).length;
+    score+=common;
+    return {t,score};
+  }).filter(x=>x.score>0).sort((a,b)=>b.score-a.score).slice(0,limit).map(x=>x.t);
+  return scored;
+}
+
+// Splits text on line breaks into chunks that fit one Discord message.
+export function splitMessage(text, max=MAX_MESSAGE_LENGTH){
+  const chunks = [];
+  let current = '';
+  for(const line of String(text).split('\n')){
+    const piece = clip(line, max);
+    if(current && current.length+piece.length+1>max){ chunks.push(current); current = ''; }
+    current = current ? `${current}\n${piece}` : piece;
+  }
+  if(current) chunks.push(current);
+  return chunks;
+}
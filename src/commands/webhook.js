@@ -0,0 +1,57 @@
+// /webhook: register, list, test and remove outgoing webhook endpoints (src/webhooks.js).
+import { SlashCommandBuilder } from 'discord.js';
+import { formatDue } from '../due.js';
+import { clip, parseList } from './util.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('webhook')
+  .setDescription('Manage outgoing webhooks for task events')
+  .addSubcommand(sub => sub.setName('add').setDescription('Register a webhook endpoint')
+    .addStringOption(opt => opt.setName('url').setDescription('https://… endpoint to POST events to').setRequired(true))
+    .addStringOption(opt => opt.setName('events').setDescription('Comma-separated event types, e.g. task.created,task.status_changed (default all)')))
+  .addSubcommand(sub => sub.setName('list').setDescription('List webhook endpoints'))
+  .addSubcommand(sub => sub.setName('test').setDescription('Send a test event')
+    .addStringOption(opt => opt.setName('id').setDescription('Webhook ID').setRequired(true)))
+  .addSubcommand(sub => sub.setName('remove').setDescription('Remove a webhook endpoint')
+    .addStringOption(opt => opt.setName('id').setDescription('Webhook ID').setRequired(true)))
+  .addSubcommand(sub => sub.setName('log').setDescription('Show recent deliveries')
+    .addStringOption(opt => opt.setName('id').setDescription('Only this webhook')));
+
+export const permission = 'manage-config';
+
+export async function execute(interaction, { service, webhooks }){
+  const { options, user } = interaction;
+  const zone = service.zoneFor(user.id);
+  const sub = options.getSubcommand();
+  const id = options.getString('id');
+  if(sub==='add'){
+    const list = parseList(options.getString('events')||'*');
+    const { endpoint, error } = await webhooks.addEndpoint({ url:options.getString('url').trim(), events:list, createdBy:user.id });
+    if(error){ await interaction.reply({content:`⚠️ ${error}`, ephemeral:true}); return; }
+    await interaction.reply({content:`✅ Webhook **${endpoint.id}** → ${endpoint.url} (${endpoint.events.join(', ')})\nSigning secret (shown once): \`${endpoint.secret}\`\nVerify \`X-Zans-Signature\` = sha256 HMAC of \`<X-Zans-Timestamp>.<body>\``, ephemeral:true});
+    return;
+  }
+  if(sub==='list'){
+    const lines = webhooks.listEndpoints().map(e=>{
+      const last = webhooks.deliveries(e.id, 1)[0];
+      return `• **${e.id}** ${e.url} — ${e.events.join(', ')}${last?` — last: ${last.status} ${last.type} (${formatDue(last.at, zone)})`:''}`;
+    });
+    await interaction.reply({content:`🪝 Webhooks\n${lines.join('\n')||'none'}`, ephemeral:true});
+    return;
+  }
+  if(sub==='test'){
+    await interaction.deferReply({ephemeral:true});
+    const { delivery, error } = await webhooks.test(id);
+    await interaction.editReply({content: error ? `⚠️ ${error}` : delivery.status==='delivered' ? `✅ Test event delivered (HTTP ${delivery.responseStatus})` : `❌ Test failed: ${delivery.error}`});
+    return;
+  }
+  if(sub==='remove'){
+    const { error } = await webhooks.removeEndpoint(id);
+    await interaction.reply({content: error ? `⚠️ ${error}` : `✅ Removed webhook ${id}`, ephemeral:true});
+    return;
+  }
+  if(sub==='log'){
+    const lines = webhooks.deliveries(id||undefined, 15).map(d=>`• ${formatDue(d.at, zone)} ${d.status==='delivered'?'✅':'❌'} ${d.type} → ${d.endpointId} (${d.attempts} attempt${d.attempts===1?'':'s'}${d.error?`, ${clip(d.error,80)}`:''})`);
+    await interaction.reply({content:`📜 Webhook deliveries${id?` for ${id}`:''}\n${lines.join('\n')||'none yet'}`, ephemeral:true});
+  }
+}
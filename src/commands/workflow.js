@@ -0,0 +1,104 @@
+// /workflow: the guild's or a department's status workflow (src/workflows.js).
+import { SlashCommandBuilder } from 'discord.js';
+import { can } from '../permissions.js';
+import { REVIEW_STATUS, WORKFLOW_ROLES, workflowFor, workflowStatuses, describeWorkflow } from '../workflows.js';
+import { deny, parseList } from './util.js';
+import { suggest, departments, matchNames } from './suggest.js';
+
+const departmentOption = opt => opt.setName('department').setDescription('Only for this department (default: whole guild)').setAutocomplete(true);
+
+export const data = new SlashCommandBuilder()
+  .setName('workflow')
+  .setDescription('Task statuses, allowed transitions and the review step')
+  .addSubcommand(sub => sub.setName('show').setDescription('Show the workflow in force')
+    .addStringOption(departmentOption))
+  .addSubcommand(sub => sub.setName('statuses').setDescription('Set the statuses (Pending and Done are always kept)')
+    .addStringOption(opt => opt.setName('statuses').setDescription('Comma-separated, in order, e.g. "Pending, In Progress, QA, Done"').setRequired(true))
+    .addStringOption(departmentOption))
+  .addSubcommand(sub => sub.setName('allow').setDescription('Allow a status change (once any rule exists, only listed changes are allowed)')
+    .addStringOption(opt => opt.setName('from').setDescription('From this status, or * for any').setRequired(true).setAutocomplete(true))
+    .addStringOption(opt => opt.setName('to').setDescription('To this status').setRequired(true).setAutocomplete(true))
+    .addStringOption(opt => opt.setName('roles').setDescription(`Who may, comma-separated: ${WORKFLOW_ROLES.join(', ')} or a capability (default anyone)`))
+    .addStringOption(departmentOption))
+  .addSubcommand(sub => sub.setName('disallow').setDescription('Remove a transition rule')
+    .addStringOption(opt => opt.setName('from').setDescription('From status (as in the rule)').setRequired(true).setAutocomplete(true))
+    .addStringOption(opt => opt.setName('to').setDescription('To status').setRequired(true).setAutocomplete(true))
+    .addStringOption(departmentOption))
+  .addSubcommand(sub => sub.setName('review').setDescription(`Require approval: Done only from ${REVIEW_STATUS}, by the task's creator or a manager`)
+    .addBooleanOption(opt => opt.setName('enabled').setDescription('Turn the review step on or off').setRequired(true))
+    .addStringOption(departmentOption))
+  .addSubcommand(sub => sub.setName('reset').setDescription('Go back to the guild workflow (department) or the built-in one (guild)')
+    .addStringOption(departmentOption));
+
+// Anyone may look; changes need manage-config, or manage-departments on the department.
+export const permission = null;
+
+// from/to offer the statuses of the workflow the department option points at.
+function workflowStatusNames(typed, { service }, interaction){
+  const department = interaction.options.getString('department')?.trim() || null;
+  const names = workflowStatuses(workflowFor(service.config, service.departments[department] ? department : null));
+  const from = interaction.options.getFocused(true).name==='from';
+  return matchNames(from ? ['*', ...names] : names, typed).map(n=>({ name:n, value:n }));
+}
+export const autocomplete = suggest({ from: workflowStatusNames, to: workflowStatusNames, department: departments() });
+
+export async function execute(interaction, { service, perms }){
+  const { options } = interaction;
+  const sub = options.getSubcommand();
+  const department = options.getString('department')?.trim() || null;
+  if(department && !service.departments[department]){ await interaction.reply({content:`⚠️ Unknown department: ${department}`, ephemeral:true}); return; }
+  const scope = department ? `Department ${department}` : 'Guild';
+  const own = department ? !!service.config.workflows?.departments?.[department] : !!service.config.workflows?.guild;
+
+  if(sub==='show'){
+    const source = own ? '' : department ? ' (inherited from the guild)' : ' (built in)';
+    await interaction.reply({content:`🔀 ${scope} workflow${source}\n${describeWorkflow(workflowFor(service.config, department))}`, ephemeral:true});
+    return;
+  }
+  if(department ? !(can(perms,'manage-config',null) || can(perms,'manage-departments',department)) : !can(perms,'manage-config',null)){
+    await deny(interaction, department ? 'manage-departments' : 'manage-config'); return;
+  }
+
+  let message;
+  let change;
+  if(sub==='reset'){
+    change = null;
+    message = department ? `${scope} now follows the guild workflow` : 'Guild workflow reset to the built-in statuses';
+  } else if(sub==='statuses'){
+    const list = parseList(options.getString('statuses'));
+    const dropped = [];
+    change = wf => {
+      wf.statuses = list;
+      const keep = s => s==='*' || workflowStatuses({ ...wf, statuses:[...list, 'Pending', 'Done'] }).includes(s);
+      wf.transitions = wf.transitions.filter(t=>{
+        const ok = keep(t.from) && keep(t.to);
+        if(!ok) dropped.push(`${t.from} → ${t.to}`);
+        return ok;
+      });
+    };
+    message = () => `${scope} statuses updated${dropped.length ? `; removed rules: ${dropped.join(', ')}` : ''}`;
+  } else if(sub==='allow' || sub==='disallow'){
+    const from = options.getString('from').trim(), to = options.getString('to').trim();
+    if(sub==='allow'){
+      change = wf => { wf.transitions.push({ from, to, roles: parseList(options.getString('roles')||'') }); };
+      message = `${scope}: ${from} → ${to} allowed`;
+    } else {
+      const current = workflowFor(service.config, department);
+      if(!current.transitions.some(t=>t.from===from && t.to===to)){ await interaction.reply({content:`⚠️ No rule ${from} → ${to} in the ${scope.toLowerCase()} workflow`, ephemeral:true}); return; }
+      change = wf => { wf.transitions = wf.transitions.filter(t=>!(t.from===from && t.to===to)); };
+      message = `${scope}: rule ${from} → ${to} removed`;
+    }
+  } else if(sub==='review'){
+    const enabled = options.getBoolean('enabled');
+    change = wf => { wf.review = enabled; };
+    message = `${scope} review step turned ${enabled ? 'on' : 'off'}`;
+  }
+
+  const result = await service.updateWorkflow(department, change);
+  if(result.error){ await interaction.reply({content:`⚠️ ${result.error}`, ephemeral:true}); return; }
+  // Tasks left in a status the workflow dropped can move anywhere (src/workflows.js), but say so.
+  const statuses = workflowStatuses(result.workflow);
+  const stranded = service.getAllTasks().filter(t=>service.taskWorkflow(t)===result.workflow && !statuses.includes(t.status)).length;
+  const note = stranded ? `\n${stranded} task(s) are in a status this workflow no longer has; move them with /task-update` : '';
+  await interaction.reply({content:`✅ ${typeof message==='function' ? message() : message}${note}\n${describeWorkflow(result.workflow)}`, ephemeral:true});
+}
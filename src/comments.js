@@ -0,0 +1,42 @@
+/* src/comments.js - Task comment threads (/task-comment)
+   task.comments = [{
+     id, by, byName, date,              author's user ID and username at the time
+     text,                              may be empty when the comment is only attachments
+     mentions: [userId],                users <@mentioned> in the text (they get a DM)
+     attachments: [{ name, url, contentType, size }]   Discord CDN links
+   }]
+   Comments are kept oldest first; the task log only notes "Commented by <name>".
+*/
+
+import { discordTimestamp } from './due.js';
+import { isSnowflake } from './storage/tasks-format.js';
+
+export const MAX_COMMENT_LENGTH = 2000;
+export const MAX_ATTACHMENTS = 3;
+export const MAX_COMMENTS = 500;
+
+const clip = (s, n) => { s = String(s||''); return s.length>n ? `${s.slice(0,n-1)}…` : s; };
+
+export function mentionedUsers(text){
+  return [...new Set([...String(text||'').matchAll(/<@!?(\d+)>/g)].map(m=>m[1]).filter(isSnowflake))];
+}
+
+// Keeps what we need from Discord attachments (or plain { name, url } objects).
+export function normalizeAttachments(list){
+  return (list||[]).filter(a=>a?.url && /^https?:\/\//.test(a.url)).slice(0, MAX_ATTACHMENTS).map(a=>({
+    name: clip(a.name || a.url.split('/').pop().split('?')[0] || 'file', 200), url: String(a.url),
+    contentType: a.contentType || null, size: Number.isFinite(a.size) ? a.size : null
+  }));
+}
+
+// One comment as a Discord line: author, relative time, text and attachment links.
+export function formatComment(comment, max=300){
+  const files = (comment.attachments||[]).map(a=>`📎 [${a.name.replace(/[[\]]/g,'')}](${a.url})`);
+  const text = [clip(comment.text, max), ...files].filter(Boolean).join(' ');
+  return `**${comment.byName || comment.by}** ${discordTimestamp(comment.date,'R')}: ${text}`;
+}
+
+// Plain text of a comment for searches and exports.
+export function commentText(comment){
+  return [comment.text, ...(comment.attachments||[]).map(a=>a.name)].filter(Boolean).join(' ');
+}
@@ -0,0 +1,238 @@
+/* src/dashboard.js - Web dashboard for managers (mounted at /dashboard)
+   Login: /dashboard in Discord DMs a one-time link (valid 10 minutes); opening
+   it starts a cookie session. Every request re-resolves the viewer's permissions,
+   so only people holding view-all (admins, managers, department leads) get in,
+   and losing it ends the session. Sessions live in memory; a restart signs everyone out.
+   Views: board (kanban by status), departments, people, due (overdue / due soon)
+   and task detail with the log timeline. Pages are server-rendered, no client JS.
+*/
+
+import crypto from 'crypto';
+import express from 'express';
+import { can, canActOnTask } from './permissions.js';
+import { filterTasks, sortTasks, isOverdue } from './task-query.js';
+import { allStatuses, workflowFor, workflowStatuses } from './workflows.js';
+import { formatDue } from './due.js';
+import { formatProgress } from './structure.js';
+import { escapeHtml, themeCss, THEMES } from './html.js';
+
+const LOGIN_TTL = 10*60*1000;
+const SESSION_TTL = 12*60*60*1000;
+const SESSION_COOKIE = 'zans_dashboard';
+const THEME_COOKIE = 'zans_theme';
+const DUE_SOON_HOURS = 48;
+
+const PAGE_CSS = `a{color:inherit}nav{margin-bottom:16px}nav a,nav form{margin-right:14px;display:inline}
+.board{display:flex;gap:12px;align-items:flex-start;overflow-x:auto}
+.col{flex:1;min-width:190px;border:1px solid #8884;border-radius:6px;padding:8px}
+.card{border:1px solid #8886;border-radius:4px;padding:6px 8px;margin:8px 0}
+.muted{opacity:.7;font-size:90%}.overdue{color:#e74c3c}.p-urgent{color:#e74c3c}.p-high{color:#e67e22}
+.timeline li{margin:4px 0}button{cursor:pointer}`;
+
+export function canUseDashboard(perms){ return can(perms, 'view-all'); }
+
+function parseCookies(header){
+  const out = {};
+  for(const part of String(header||'').split(';')){
+    const i = part.indexOf('=');
+    if(i>0) try{ out[part.slice(0,i).trim()] = decodeURIComponent(part.slice(i+1).trim()); }catch{ /* ignore malformed cookies */ }
+  }
+  return out;
+}
+
+// permissionsFor(userId, guildId) -> perms (see resolvePermissions)
+// displayNames(ids) -> Promise<names[]> in the same order
+export function createDashboard({ service, permissionsFor, displayNames=ids=>Promise.resolve(ids.map(String)), secureCookies=false, now=()=>Date.now() }){
+  const logins = new Map();   // one-time token -> { userId, guildId, expires }
+  const sessions = new Map(); // session id -> { userId, guildId, expires }
+  const prune = map => { const t = now(); for(const [k,v] of map) if(v.expires<=t) map.delete(k); };
+
+  function createLoginToken(userId, guildId=null){
+    prune(logins);
+    const token = crypto.randomBytes(24).toString('base64url');
+    logins.set(token, { userId:String(userId), guildId, expires: now()+LOGIN_TTL });
+    return token;
+  }
+
+  function cookie(name, value, maxAgeMs, path){
+    const parts = [`${name}=${encodeURIComponent(value)}`, `Path=${path||'/'}`, `Max-Age=${Math.floor(maxAgeMs/1000)}`, 'HttpOnly', 'SameSite=Lax'];
+    if(secureCookies) parts.push('Secure');
+    return parts.join('; ');
+  }
+
+  // ===== Rendering =====
+  function layout(req, title, body){
+    const base = req.baseUrl;
+    const theme = req.viewer?.theme || 'default';
+    const other = theme==='dark' ? 'default' : 'dark';
+    const nav = req.viewer ? `<nav><a href="${base}/">Board</a><a href="${base}/departments">Departments</a><a href="${base}/people">People</a><a href="${base}/due">Due</a>
+<a href="?theme=${other}">${other==='dark'?'Dark':'Light'} theme</a><form method="post" action="${base}/logout"><button>Sign out</button></form></nav>` : '';
+    return `<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>${escapeHtml(title)} · ZANS Tasks</title><style>${themeCss(theme)}${PAGE_CSS}</style></head><body>${nav}<h1>${escapeHtml(title)}</h1>${body}</body></html>`;
+  }
+  const message = (req, res, status, title, text) => res.status(status).send(layout(req, title, `<p>${escapeHtml(text)}</p>`));
+
+  async function nameMap(tasks){
+    const ids = [...new Set(tasks.flatMap(t=>t.assignedTo||[]))];
+    const names = await displayNames(ids);
+    return new Map(ids.map((id,i)=>[id, names[i]||id]));
+  }
+  const due = (req, t) => t.due ? `<span${isOverdue(t) ? ' class="overdue"' : ''}>${escapeHtml(formatDue(t.due, req.viewer.zone))}</span>` : '<span class="muted">no due date</span>';
+  const people = (ids, names) => (ids||[]).map(id=>escapeHtml(names.get(id)||id)).join(', ') || '<span class="muted">nobody</span>';
+  const taskLink = (req, t) => `<a href="${req.baseUrl}/tasks/${encodeURIComponent(t.id)}">${escapeHtml(t.title)}</a>`;
+
+  function card(req, t, names){
+    const progress = formatProgress(service.taskProgress(t));
+    const priority = t.priority && t.priority!=='normal' ? ` <span class="p-${escapeHtml(t.priority)}">${escapeHtml(t.priority)}</span>` : '';
+    return `<div class="card"><b>${taskLink(req,t)}</b>${priority}<div class="muted">${due(req,t)}${t.department?` · ${escapeHtml(t.department)}`:''}${progress?` · ${progress}`:''}</div><div class="muted">${people(t.assignedTo, names)}</div></div>`;
+  }
+
+  function taskTable(req, tasks, names){
+    if(!tasks.length) return '<p class="muted">None</p>';
+    const rows = tasks.map(t=>`<tr><td>${taskLink(req,t)}</td><td>${due(req,t)}</td><td>${escapeHtml(t.status)}</td><td>${escapeHtml(t.priority||'normal')}</td><td>${people(t.assignedTo, names)}</td><td>${escapeHtml(t.department||'')}</td></tr>`).join('');
+    return `<table><thead><tr><th>Task</th><th>Due</th><th>Status</th><th>Priority</th><th>Assigned</th><th>Department</th></tr></thead><tbody>${rows}</tbody></table>`;
+  }
+
+  function formatValue(req, field, v){
+    if(v==null || v==='') return 'none';
+    return field==='due' ? formatDue(v, req.viewer.zone) : String(v);
+  }
+  function timelineEntry(req, entry, names){
+    const when = `<span class="muted">${escapeHtml(formatDue(entry.date, req.viewer.zone))}</span>`;
+    if(!entry.field) return `<li>${when} — ${escapeHtml(entry.action)}</li>`;
+    const by = entry.by ? ` by ${escapeHtml(names.get(entry.by)||entry.by)}` : '';
+    return `<li>${when} — <b>${escapeHtml(entry.field)}</b>: ${escapeHtml(formatValue(req, entry.field, entry.from))} → ${escapeHtml(formatValue(req, entry.field, entry.to))}${by}</li>`;
+  }
+
+  // ===== Routes =====
+  const router = express.Router();
+  // Wraps async handlers so rejections reach the error page instead of hanging.
+  const route = fn => (req,res,next)=>Promise.resolve(fn(req,res,next)).catch(next);
+
+  router.get('/login', (req,res)=>{
+    const token = String(req.query.token||'');
+    const login = logins.get(token);
+    logins.delete(token);
+    if(!login || login.expires<=now()) return message(req, res, 401, 'Link expired', 'This login link is invalid or was already used. Run /dashboard in Discord for a new one.');
+    prune(sessions);
+    const sid = crypto.randomBytes(24).toString('base64url');
+    sessions.set(sid, { userId:login.userId, guildId:login.guildId, expires: now()+SESSION_TTL });
+    res.setHeader('Set-Cookie', cookie(SESSION_COOKIE, sid, SESSION_TTL, req.baseUrl||'/'));
+    res.redirect(303, `${req.baseUrl}/`);
+  });
+
+  router.use(route(async (req,res,next)=>{
+    const cookies = parseCookies(req.get('cookie'));
+    const sid = cookies[SESSION_COOKIE];
+    const session = sid && sessions.get(sid);
+    if(!session || session.expires<=now()){
+      if(sid) sessions.delete(sid);
+      return message(req, res, 401, 'Sign in', 'Run /dashboard in Discord to get a one-time login link.');
+    }
+    const perms = await permissionsFor(session.userId, session.guildId);
+    if(!canUseDashboard(perms)){
+      sessions.delete(sid);
+      return message(req, res, 403, 'No access', 'The dashboard is for admins, managers and department leads.');
+    }
+    let theme = cookies[THEME_COOKIE];
+    if(req.query.theme && THEMES[req.query.theme]){
+      theme = req.query.theme;
+      res.append('Set-Cookie', cookie(THEME_COOKIE, theme, 365*24*60*60*1000, req.baseUrl||'/'));
+    }
+    req.viewer = { sid, userId:session.userId, perms, zone: service.zoneFor(session.userId), theme: THEMES[theme] ? theme : 'default' };
+    next();
+  }));
+
+  router.post('/logout', (req,res)=>{
+    sessions.delete(req.viewer.sid);
+    res.setHeader('Set-Cookie', cookie(SESSION_COOKIE, '', 0, req.baseUrl||'/'));
+    req.viewer = null;
+    message(req, res, 200, 'Signed out', 'Run /dashboard in Discord to sign in again.');
+  });
+
+  // Kanban board; ?department= and ?assignee= narrow it to one department or person.
+  router.get('/', route(async (req,res)=>{
+    const { department, assignee } = req.query;
+    const tasks = filterTasks(service.visibleTasks(req.viewer.perms), { department, assignee });
+    const names = await nameMap(tasks);
+    // One column per status of the department's workflow (or every workflow's), plus any a task is stranded in.
+    const statuses = department ? workflowStatuses(workflowFor(service.config, department)) : allStatuses(service.config);
+    for(const t of tasks) if(!statuses.includes(t.status)) statuses.push(t.status);
+    const columns = statuses.map(status=>{
+      const list = sortTasks(tasks.filter(t=>t.status===status), 'priority');
+      return `<div class="col"><h3>${escapeHtml(status)} (${list.length})</h3>${list.map(t=>card(req,t,names)).join('')}</div>`;
+    }).join('');
+    const scope = department ? `Department ${department}` : assignee ? `Assigned to ${names.get(assignee)||(await displayNames([assignee]))[0]}` : null;
+    const filter = scope ? `<p>${escapeHtml(scope)} · <a href="${req.baseUrl}/">show all</a></p>` : '';
+    res.send(layout(req, scope ? `Board — ${scope}` : 'Board', `${filter}<div class="board">${columns}</div>`));
+  }));
+
+  router.get('/departments', route(async (req,res)=>{
+    const visible = service.visibleTasks(req.viewer.perms);
+    const names = Object.keys(service.departments).filter(d=>can(req.viewer.perms,'view-all',d));
+    const leads = await nameMap(names.map(d=>({ assignedTo: [service.departments[d].lead].filter(Boolean) })));
+    const rows = names.map(d=>{
+      const info = service.departments[d];
+      const tasks = visible.filter(t=>t.department===d);
+      const lead = info.lead ? escapeHtml(leads.get(info.lead)) : '<span class="muted">none</span>';
+      return `<tr><td><a href="${req.baseUrl}/?department=${encodeURIComponent(d)}">${escapeHtml(d)}</a></td><td>${lead}</td><td>${info.members.length}</td><td>${tasks.filter(t=>t.status!=='Done').length}</td><td>${tasks.filter(t=>isOverdue(t)).length}</td><td>${tasks.filter(t=>t.status==='Done').length}</td></tr>`;
+    }).join('');
+    res.send(layout(req, 'Departments', names.length
+      ? `<table><thead><tr><th>Department</th><th>Lead</th><th>Members</th><th>Open</th><th>Overdue</th><th>Done</th></tr></thead><tbody>${rows}</tbody></table>`
+      : '<p class="muted">No departments</p>'));
+  }));
+
+  router.get('/people', route(async (req,res)=>{
+    const visible = service.visibleTasks(req.viewer.perms);
+    const names = await nameMap(visible);
+    const soon = now()+DUE_SOON_HOURS*60*60*1000;
+    const rows = [...names.keys()].map(id=>{
+      const tasks = visible.filter(t=>(t.assignedTo||[]).includes(id));
+      const open = tasks.filter(t=>t.status!=='Done');
+      return { id, name:names.get(id), open:open.length, overdue:open.filter(t=>isOverdue(t)).length,
+        soon:open.filter(t=>t.due && !isOverdue(t) && Date.parse(t.due)<=soon).length, done:tasks.length-open.length };
+    }).sort((a,b)=>b.overdue-a.overdue || b.open-a.open || a.name.localeCompare(b.name));
+    const body = rows.map(r=>`<tr><td><a href="${req.baseUrl}/?assignee=${encodeURIComponent(r.id)}">${escapeHtml(r.name)}</a></td><td>${r.open}</td><td>${r.overdue}</td><td>${r.soon}</td><td>${r.done}</td></tr>`).join('');
+    res.send(layout(req, 'People', rows.length
+      ? `<table><thead><tr><th>Assignee</th><th>Open</th><th>Overdue</th><th>Due in ${DUE_SOON_HOURS}h</th><th>Done</th></tr></thead><tbody>${body}</tbody></table>`
+      : '<p class="muted">No assigned tasks</p>'));
+  }));
+
+  // ?hours= widens or narrows the due-soon window.
+  router.get('/due', route(async (req,res)=>{
+    const hours = Math.min(24*90, Math.max(1, Number(req.query.hours)||DUE_SOON_HOURS));
+    const visible = service.visibleTasks(req.viewer.perms);
+    const overdue = sortTasks(visible.filter(t=>isOverdue(t)), 'due');
+    const soon = sortTasks(filterTasks(visible.filter(t=>t.status!=='Done' && !isOverdue(t)), { dueBefore: new Date(now()+hours*60*60*1000).toISOString() }), 'due');
+    const names = await nameMap([...overdue, ...soon]);
+    res.send(layout(req, 'Due', `<h2>Overdue (${overdue.length})</h2>${taskTable(req, overdue, names)}<h2>Due in the next ${hours}h (${soon.length})</h2>${taskTable(req, soon, names)}`));
+  }));
+
+  router.get('/tasks/:id', route(async (req,res)=>{
+    const t = service.findTaskById(req.params.id);
+    if(!t || !canActOnTask(req.viewer.perms, 'view-all', t)) return message(req, res, 404, 'Not found', 'That task does not exist or is outside your departments.');
+    const subtasks = service.getSubtasks(t.id);
+    const blockers = (t.blockedBy||[]).map(service.findTaskById).filter(Boolean);
+    const parent = t.parentId!=null ? service.findTaskById(t.parentId) : null;
+    const logIds = (t.logs||[]).map(l=>l.by).filter(Boolean);
+    const names = await nameMap([t, { assignedTo: logIds }, ...subtasks]);
+    const rows = [
+      ['Status', escapeHtml(t.status)], ['Due', due(req,t)], ['Priority', escapeHtml(t.priority||'normal')],
+      ['Department', escapeHtml(t.department||'none')], ['Assigned', people(t.assignedTo, names)], ['Created by', escapeHtml(t.createdBy||'')],
+      ...(formatProgress(service.taskProgress(t)) ? [['Progress', formatProgress(service.taskProgress(t))]] : []),
+      ...(parent ? [['Subtask of', taskLink(req,parent)]] : []),
+      ...(blockers.length ? [['Blocked by', blockers.map(b=>`${taskLink(req,b)} (${escapeHtml(b.status)})`).join(', ')]] : [])
+    ].map(([k,v])=>`<tr><th>${k}</th><td>${v}</td></tr>`).join('');
+    const checklist = (t.checklist||[]).length ? `<h2>Checklist</h2><ul>${t.checklist.map(i=>`<li>${i.done?'☑':'☐'} ${escapeHtml(i.text)}</li>`).join('')}</ul>` : '';
+    const subs = subtasks.length ? `<h2>Subtasks</h2>${taskTable(req, subtasks, names)}` : '';
+    const timeline = [...(t.logs||[])].reverse().map(e=>timelineEntry(req, e, names)).join('');
+    res.send(layout(req, t.title, `<table>${rows}</table>${t.description?`<p>${escapeHtml(t.description)}</p>`:''}${checklist}${subs}<h2>Timeline</h2><ul class="timeline">${timeline||'<li class="muted">No entries</li>'}</ul>`));
+  }));
+
+  // Express recognizes error handlers by their four parameters.
+  router.use((err,req,res,next)=>{
+    console.error('Dashboard error', err);
+    message(req, res, 500, 'Error', 'Something went wrong rendering this page.');
+  });
+
+  return { router, createLoginToken };
+}
@@ -0,0 +1,25 @@
+/* src/departments.js - Department records
+   departments.json = { [name]: { members: [userId], lead: userId|null } }
+   Older files stored a bare member array per department; normalizeDepartments
+   upgrades those when they are loaded.
+*/
+
+export function normalizeDepartments(raw){
+  const out = {};
+  for(const [name, d] of Object.entries(raw||{})){
+    if(Array.isArray(d)) out[name] = { members: [...new Set(d.map(String))], lead: null };
+    else if(d && typeof d==='object') out[name] = { members: [...new Set((d.members||[]).map(String))], lead: d.lead||null };
+  }
+  return out;
+}
+
+export function departmentMembers(departments, name){ return departments[name]?.members || []; }
+
+export function leadDepartments(departments, userId){
+  return Object.entries(departments).filter(([,d])=>d.lead===userId).map(([name])=>name);
+}
+
+// Renames a department inside a permission entry's scope list ({ departments: [...] }).
+export function renameInScope(entry, from, to){
+  if(entry && Array.isArray(entry.departments)) entry.departments = entry.departments.map(d=>d===from?to:d);
+}
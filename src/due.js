@@ -0,0 +1,152 @@
+/* src/due.js - Due date parsing and display
+   Accepts ISO dates and everyday phrases, read in the caller's timezone:
+     2025-10-01 14:00 IST   2025-10-01T14:00Z   tomorrow 5pm   tonight
+     next friday            fri 9:30            in 3 days      oct 1 noon
+   A date without a time falls due at DEFAULT_TIME. Due dates are stored as
+   UTC ISO strings; formatDue/discordTimestamp render them back.
+*/
+
+import { DateTime, IANAZone, FixedOffsetZone } from 'luxon';
+
+export const DEFAULT_ZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+const DEFAULT_TIME = { hour:17, minute:0 };
+
+// Common abbreviations mapped to a representative IANA zone (so DST applies).
+const ZONE_ABBREVIATIONS = {
+  utc:'UTC', gmt:'UTC', z:'UTC',
+  ist:'Asia/Kolkata', sgt:'Asia/Singapore', jst:'Asia/Tokyo', hkt:'Asia/Hong_Kong', pkt:'Asia/Karachi',
+  gst:'Asia/Dubai', bst:'Europe/London', cet:'Europe/Paris', cest:'Europe/Paris', eet:'Europe/Athens',
+  est:'America/New_York', edt:'America/New_York', cst:'America/Chicago', cdt:'America/Chicago',
+  mst:'America/Denver', mdt:'America/Denver', pst:'America/Los_Angeles', pdt:'America/Los_Angeles',
+  aest:'Australia/Sydney', aedt:'Australia/Sydney', nzst:'Pacific/Auckland', nzdt:'Pacific/Auckland'
+};
+const WEEKDAYS = { mon:1, monday:1, tue:2, tues:2, tuesday:2, wed:3, wednesday:3, thu:4, thur:4, thurs:4, thursday:4,
+  fri:5, friday:5, sat:6, saturday:6, sun:7, sunday:7 }; // luxon weekday numbers
+const UNITS = { min:'minutes', mins:'minutes', minute:'minutes', minutes:'minutes', h:'hours', hr:'hours', hrs:'hours', hour:'hours', hours:'hours',
+  d:'days', day:'days', days:'days', w:'weeks', wk:'weeks', week:'weeks', weeks:'weeks', month:'months', months:'months' };
+
+// Resolves an IANA name, abbreviation or UTC offset ("+05:30", "UTC-4") to a
+// luxon zone name, or null when it is not a timezone.
+export function resolveZone(input){
+  const s = String(input||'').trim();
+  if(!s) return null;
+  if(ZONE_ABBREVIATIONS[s.toLowerCase()]) return ZONE_ABBREVIATIONS[s.toLowerCase()];
+  const off = s.match(/^(?:utc|gmt)?([+-])(\d{1,2})(?::?(\d{2}))?$/i);
+  if(off){
+    const mins = (Number(off[2])*60 + Number(off[3]||0)) * (off[1]==='-'?-1:1);
+    return Math.abs(mins)<=14*60 ? FixedOffsetZone.instance(mins).name : null;
+  }
+  return s.includes('/') && IANAZone.isValidZone(s) ? new IANAZone(s).name : null;
+}
+
+// "5pm", "17:30", "9.15am", "noon", "midnight", "eod" -> { hour, minute }
+export function parseClock(s){
+  s = String(s||'').trim().toLowerCase();
+  if(s==='noon') return { hour:12, minute:0 };
+  if(s==='midnight') return { hour:0, minute:0 };
+  if(s==='eod') return { ...DEFAULT_TIME };
+  const m = s.match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/);
+  if(!m || (!m[2] && !m[3])) return null;
+  let hour = Number(m[1]); const minute = Number(m[2]||0);
+  if(m[3]){ if(hour<1 || hour>12) return null; hour = hour%12 + (m[3]==='pm'?12:0); }
+  if(hour>23 || minute>59) return null;
+  return { hour, minute };
+}
+
+const withTime = (dt, clock) => dt.set({ ...(clock||DEFAULT_TIME), second:0, millisecond:0 });
+
+function parseInZone(s, zone, now){
+  const base = DateTime.fromJSDate(now, { zone });
+
+  // ISO forms, with a space allowed between date and time
+  const iso = s.replace(/^(\d{4}-\d{2}-\d{2}) (?=\d)/, '$1T').toUpperCase();
+  if(/^\d{4}-\d{2}-\d{2}/.test(iso)){
+    const dt = DateTime.fromISO(iso, { zone });
+    if(!dt.isValid) return null;
+    return /T/.test(iso) ? dt : withTime(dt, null);
+  }
+
+  let m = s.match(/^in (\d+|an?) ([a-z]+)$/);
+  if(m && UNITS[m[2]]) return base.plus({ [UNITS[m[2]]]: m[1].startsWith('a') ? 1 : Number(m[1]) });
+
+  // time only: today, or tomorrow if that time has passed
+  const only = parseClock(s.replace(/^at\s+/, ''));
+  if(only){
+    const dt = withTime(base, only);
+    return dt<=base ? dt.plus({ days:1 }) : dt;
+  }
+
+  // split "<day words> [at] <time>"
+  m = s.match(/^(.*?)(?:\s+(?:at\s+)?(\d{1,2}[:.]\d{2}\s*(?:am|pm)?|\d{1,2}\s*(?:am|pm)|noon|midnight|eod))?$/);
+  const dayPart = m[1].trim();
+  const clock = m[2] ? parseClock(m[2]) : null;
+  if(m[2] && !clock) return null;
+  if(dayPart==='today') return withTime(base, clock);
+  if(dayPart==='tonight') return withTime(base, clock || { hour:20, minute:0 });
+  if(['tomorrow','tmrw','tmr'].includes(dayPart)) return withTime(base.plus({ days:1 }), clock);
+  if(dayPart==='next week') return withTime(base.plus({ weeks:1 }).startOf('week'), clock);
+
+  m = dayPart.match(/^(?:(?:next|this|on) )?([a-z]+)$/);
+  const wd = m && WEEKDAYS[m[1]];
+  if(wd){
+    let days = (wd - base.weekday + 7) % 7;
+    if(days===0) days = 7; // "friday" on a Friday means next week's
+    return withTime(base.plus({ days }), clock);
+  }
+
+  // month names: "oct 1", "1 october 2025"
+  const formats = ['LLL d yyyy','LLLL d yyyy','d LLL yyyy','d LLLL yyyy','LLL d','LLLL d','d LLL','d LLLL'];
+  const text = dayPart.replace(/,/g,'').replace(/(\d)(st|nd|rd|th)\b/,'$1');
+  for(const f of formats){
+    let dt = DateTime.fromFormat(text, f, { zone, locale:'en' });
+    if(!dt.isValid) continue;
+    if(!f.includes('yyyy')){
+      dt = dt.set({ year: base.year });
+      if(withTime(dt, clock)<base) dt = dt.plus({ years:1 });
+    }
+    return withTime(dt, clock);
+  }
+  return null;
+}
+
+// Returns { due } (UTC ISO string, or null for "no deadline") or { error }.
+export function parseDueInput(input, { zone=DEFAULT_ZONE, now=new Date() }={}){
+  const raw = String(input||'').trim();
+  if(!raw) return { due:null };
+  let s = raw.toLowerCase().replace(/\s+/g,' ');
+  if(['none','no deadline','no due date','never','-'].includes(s)) return { due:null };
+
+  // A trailing timezone overrides the caller's zone: "2025-10-01 14:00 IST"
+  const parts = raw.trim().split(/\s+/);
+  if(parts.length>1){
+    const z = resolveZone(parts[parts.length-1]);
+    if(z){ zone = z; s = parts.slice(0,-1).join(' ').toLowerCase(); }
+  }
+  const dt = parseInZone(s, zone, now);
+  if(!dt || !dt.isValid){
+    return { error:`Couldn't understand the due date "${raw}". Try "tomorrow 5pm", "next friday", "in 3 days" or "2025-10-01 14:00 IST".` };
+  }
+  return { due: dt.toUTC().toISO() };
+}
+
+export function formatDue(iso, zone=DEFAULT_ZONE){
+  if(!iso) return 'none';
+  const dt = DateTime.fromISO(String(iso), { zone:'utc' });
+  if(!dt.isValid) return String(iso);
+  return dt.setZone(zone).toFormat('ccc d LLL yyyy, HH:mm ZZZZ');
+}
+
+// Round-trips through parseDueInput, e.g. to pre-fill an edit form.
+export function formatDueInput(iso, zone=DEFAULT_ZONE){
+  if(!iso) return '';
+  const dt = DateTime.fromISO(String(iso), { zone:'utc' });
+  return dt.isValid ? dt.setZone(zone).toFormat('yyyy-MM-dd HH:mm') : '';
+}
+
+// Discord renders <t:...> in each viewer's own local time.
+export function discordTimestamp(iso, style='f'){
+  const ms = Date.parse(iso);
+  return isNaN(ms) ? 'none' : `<t:${Math.floor(ms/1000)}:${style}>`;
+}
+
+export function isValidDue(v){ return v==null || !isNaN(Date.parse(v)); }
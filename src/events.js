@@ -0,0 +1,46 @@
+/* src/events.js - In-process event bus for task lifecycle events
+   Every event is an envelope { id, type, occurredAt, data } where data is a
+   JSON snapshot taken at publish time, so listeners (e.g. webhooks delivering
+   later) see the task as it was when the event happened.
+     task.created         { task, actor }
+     task.assigned        { task, assignees, actor }       assignees = newly added user IDs
+     task.status_changed  { task, from, to, actor, reason, comment? } actor is null for automatic changes;
+                          reason: manual | review | dependency | overdue; review decisions carry the comment
+     task.deleted         { task, actor }
+     task.restored        { task, actor }                   a deleted task brought back with /undo
+     task.commented       { task, comment, actor }          comment as stored (src/comments.js)
+     task.overdue         { task }
+     reminder.sent        { task, window, recipients }
+   Listener errors are logged and never reach the code that published the event.
+*/
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+
+export const EVENT_TYPES = ['task.created', 'task.assigned', 'task.status_changed', 'task.deleted', 'task.restored', 'task.commented', 'task.overdue', 'reminder.sent'];
+
+// Reduces a Discord user (or { id, username }) to what events carry.
+export function actorRef(actor){ return actor ? { id:String(actor.id), username:actor.username ?? null } : null; }
+
+export function createEventBus({ clock=()=>new Date() }={}){
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(50);
+
+  return {
+    publish(type, data={}){
+      const event = { id: crypto.randomUUID(), type, occurredAt: clock().toISOString(), data: JSON.parse(JSON.stringify(data)) };
+      emitter.emit(type, event);
+      emitter.emit('*', event);
+      return event;
+    },
+    // `type` is an event type or '*' for all of them. Returns an unsubscribe function.
+    on(type, listener){
+      const safe = event => {
+        try{ Promise.resolve(listener(event)).catch(err=>console.error(`Event listener error (${event.type})`, err)); }
+        catch(err){ console.error(`Event listener error (${event.type})`, err); }
+      };
+      emitter.on(type, safe);
+      return ()=>emitter.off(type, safe);
+    }
+  };
+}
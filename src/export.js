@@ -0,0 +1,210 @@
+/* src/export.js - /export file formats and the calendar feed body
+   Every writer takes (tasks, ctx) with
+     ctx = { names: Map<userId, username>, progress(task) -> 0..1|null, zone, theme, title, summary }
+   so people appear by username and dates in the reader's timezone. JSON keeps
+   the raw user IDs in assignedTo/createdById (it round-trips through /import)
+   and adds the usernames next to them. JSON and HTML include comment threads.
+   tasksToHTML also takes css and beforeTable (trusted HTML), which the /stats
+   report (src/stats.js) uses to put its charts above the task table.
+*/
+
+import { DateTime } from 'luxon';
+import { escapeHtml, themeCss } from './html.js';
+import { formatDue, DEFAULT_ZONE } from './due.js';
+import { formatProgress } from './structure.js';
+import { TASK_STATUSES, isOverdue } from './task-query.js';
+import { createZip } from './zip.js';
+
+// Format -> file extension.
+export const EXPORT_FORMATS = { json:'json', csv:'csv', html:'html', md:'md', ics:'ics', xlsx:'xlsx' };
+
+// Every user ID an export mentions, for resolving names in one batch.
+export function exportUserIds(tasks){
+  return [...new Set(tasks.flatMap(t=>[...(t.assignedTo||[]), ...(t.createdById ? [t.createdById] : []), ...(t.comments||[]).map(c=>c.by)]).map(String))];
+}
+
+const nameOf = (ctx, id) => id ? ctx.names?.get(String(id)) || String(id) : '';
+// createdBy is the username at creation; older tasks have no createdById to look up.
+const creatorOf = (ctx, t) => (t.createdById && ctx.names?.get(String(t.createdById))) || t.createdBy || '';
+const namesOf = (ctx, ids) => (ids||[]).map(id=>nameOf(ctx, id));
+const lastLog = t => t.logs?.length ? String(t.logs[t.logs.length-1].action) : '';
+const progressText = (ctx, t) => formatProgress(ctx.progress?.(t) ?? null);
+const dueText = (ctx, t) => t.due ? formatDue(t.due, ctx.zone||DEFAULT_ZONE) : '';
+
+export function tasksToJSON(tasks, ctx={}){
+  return JSON.stringify(tasks.map(t=>({ ...t, progress: progressText(ctx, t)||null,
+    assignees: namesOf(ctx, t.assignedTo), createdByName: creatorOf(ctx, t)||null,
+    ...(t.comments ? { comments: t.comments.map(c=>({ ...c, byName: ctx.names?.get(String(c.by)) || c.byName || null })) } : {}) })), null, 2);
+}
+
+// Column names match what /import reads back.
+const CSV_HEADER = ['id','title','description','due','status','priority','progress','createdBy','assignedTo','department','parentId','blockedBy','lastLog'];
+export const csvField = v => /[",\r\n]/.test(String(v)) ? `"${String(v).replace(/"/g,'""')}"` : String(v);
+export function tasksToCSV(tasks, ctx={}){
+  const rows = [CSV_HEADER, ...tasks.map(t=>[t.id, t.title, t.description||'', t.due||'', t.status||'', t.priority||'normal',
+    progressText(ctx, t), creatorOf(ctx, t), namesOf(ctx, t.assignedTo).join(';'), t.department||'', t.parentId??'',
+    (t.blockedBy||[]).join(';'), lastLog(t).replace(/\n/g,' ')])];
+  return rows.map(r=>r.map(csvField).join(',')).join('\n');
+}
+
+// A task's comments as a list: author, date, text and attachment links.
+function commentsHTML(ctx, t){
+  if(!t.comments?.length) return '';
+  const zone = ctx.zone||DEFAULT_ZONE;
+  const items = t.comments.map(c=>{
+    const files = (c.attachments||[]).filter(a=>/^https?:\/\//.test(a.url)).map(a=>` <a href="${escapeHtml(a.url)}">📎 ${escapeHtml(a.name)}</a>`).join('');
+    return `<li><b>${escapeHtml(ctx.names?.get(String(c.by)) || c.byName || c.by)}</b> <small>${escapeHtml(formatDue(c.date, zone))}</small>: ${escapeHtml(c.text||'')}${files}</li>`;
+  });
+  return `<ul class="comments">${items.join('')}</ul>`;
+}
+
+export function tasksToHTML(tasks, ctx={}){
+  const title = ctx.title || 'Tasks Export';
+  const rows = tasks.map(t=>`<tr><td>${t.id}</td><td>${escapeHtml(t.title)}</td><td>${escapeHtml(t.description||'')}</td><td>${escapeHtml(dueText(ctx, t))}</td><td>${escapeHtml(t.status||'')}</td><td>${escapeHtml(t.priority||'normal')}</td><td>${progressText(ctx, t)}</td><td>${escapeHtml(creatorOf(ctx, t))}</td><td>${escapeHtml(namesOf(ctx, t.assignedTo).join(', '))}</td><td>${escapeHtml(t.department||'')}</td><td>${escapeHtml(lastLog(t))}</td><td>${commentsHTML(ctx, t)}</td></tr>`).join('\n');
+  return `<!doctype html><html><head><meta charset="utf-8"><title>${escapeHtml(title)}</title><style>${themeCss(ctx.theme)}${ctx.css||''}</style></head><body><h1>${escapeHtml(title)}</h1>${ctx.summary?`<p>${escapeHtml(ctx.summary)}</p>`:''}${ctx.beforeTable||''}<table><thead><tr><th>ID</th><th>Title</th><th>Description</th><th>Due</th><th>Status</th><th>Priority</th><th>Progress</th><th>Created By</th><th>Assigned To</th><th>Department</th><th>Last Log</th><th>Comments</th></tr></thead><tbody>${rows}</tbody></table></body></html>`;
+}
+
+// ===== Markdown =====
+const mdEscape = s => String(s??'').replace(/([\\`*_[\]<>|#])/g, '\\$1').replace(/\s*\n\s*/g, ' ');
+// Grouped by status, one bullet per task with a checkbox.
+export function tasksToMarkdown(tasks, ctx={}){
+  const lines = [`# ${ctx.title || 'Tasks Export'}`, ''];
+  if(ctx.summary) lines.push(`_${mdEscape(ctx.summary)}_`, '');
+  const statuses = [...TASK_STATUSES, ...new Set(tasks.map(t=>t.status).filter(s=>!TASK_STATUSES.includes(s)))];
+  for(const status of statuses){
+    const group = tasks.filter(t=>(t.status||'Pending')===status);
+    if(!group.length) continue;
+    lines.push(`## ${status} (${group.length})`, '');
+    for(const t of group){
+      const details = [
+        t.due && `due ${dueText(ctx, t)}${isOverdue(t) ? ' ⚠️' : ''}`,
+        t.priority && t.priority!=='normal' && t.priority,
+        t.department && mdEscape(t.department),
+        t.assignedTo?.length && namesOf(ctx, t.assignedTo).map(n=>`@${mdEscape(n)}`).join(', '),
+        progressText(ctx, t)
+      ].filter(Boolean);
+      lines.push(`- [${t.status==='Done'?'x':' '}] **${mdEscape(t.title)}** (ID ${t.id})${details.length?` — ${details.join(' · ')}`:''}`);
+      if(t.description) lines.push(`  > ${mdEscape(t.description)}`);
+    }
+    lines.push('');
+  }
+  if(!tasks.length) lines.push('_No tasks._', '');
+  return lines.join('\n');
+}
+
+// ===== iCalendar (RFC 5545) =====
+const icsText = s => String(s??'').replace(/\\/g,'\\\\').replace(/;/g,'\\;').replace(/,/g,'\\,').replace(/\r?\n/g,'\\n');
+const icsDate = iso => DateTime.fromISO(String(iso), { zone:'utc' }).toFormat("yyyyMMdd'T'HHmmss'Z'");
+// Folds content lines at 75 octets without splitting a UTF-8 character.
+function foldLine(line){
+  const out = [];
+  let current = '', bytes = 0;
+  for(const ch of line){
+    const size = Buffer.byteLength(ch);
+    if(bytes+size > (out.length ? 74 : 75)){ out.push(current); current = ''; bytes = 0; }
+    current += ch; bytes += size;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+const EVENT_MINUTES = 30;
+
+// One VEVENT per task with a due date; UIDs are stable so calendar apps update events in place.
+export function tasksToICS(tasks, ctx={}, now=new Date()){
+  const stamp = icsDate(now.toISOString());
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//ZANS//Task Manager//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH',
+    `X-WR-CALNAME:${icsText(ctx.title || 'ZANS tasks')}`];
+  for(const t of tasks){
+    const due = t.due ? DateTime.fromISO(String(t.due), { zone:'utc' }) : null;
+    if(!due?.isValid) continue;
+    const description = [
+      `Status: ${t.status||'Pending'}`, `Priority: ${t.priority||'normal'}`,
+      t.assignedTo?.length && `Assigned: ${namesOf(ctx, t.assignedTo).join(', ')}`,
+      t.department && `Department: ${t.department}`,
+      progressText(ctx, t) && `Progress: ${progressText(ctx, t)}`,
+      t.description && `\n${t.description}`
+    ].filter(Boolean).join('\n');
+    const modified = t.logs?.length ? t.logs[t.logs.length-1].date : t.createdAt;
+    lines.push('BEGIN:VEVENT', `UID:task-${t.id}@zans-task-manager`, `DTSTAMP:${stamp}`,
+      `DTSTART:${icsDate(due.toISO())}`, `DTEND:${icsDate(due.plus({ minutes:EVENT_MINUTES }).toISO())}`,
+      `SUMMARY:${icsText(`${t.status==='Done' ? '[Done] ' : ''}${t.title}`)}`, `DESCRIPTION:${icsText(description)}`,
+      ...(t.department ? [`CATEGORIES:${icsText(t.department)}`] : []),
+      ...(modified && DateTime.fromISO(String(modified)).isValid ? [`LAST-MODIFIED:${icsDate(modified)}`] : []),
+      'TRANSP:TRANSPARENT', 'END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// ===== XLSX (Office Open XML, one sheet) =====
+const xmlEscape = s => String(s??'').replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g,'').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
+const columnName = i => { let s = ''; for(i++; i>0; i=Math.floor((i-1)/26)) s = String.fromCharCode(65+(i-1)%26) + s; return s; };
+// Excel stores dates as days since 1899-12-30 in local (here: the reader's) wall-clock time.
+function excelDate(iso, zone){
+  const dt = DateTime.fromISO(String(iso), { zone:'utc' }).setZone(zone);
+  if(!dt.isValid) return null;
+  return Date.UTC(dt.year, dt.month-1, dt.day, dt.hour, dt.minute, dt.second)/864e5 + 25569;
+}
+// Style indexes in STYLES_XML's cellXfs.
+const STYLE = { header:1, date:2, percent:3 };
+const STYLES_XML = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+  + '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/></numFmts>'
+  + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+  + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+  + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+  + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+  + '<cellXfs count="4"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+  + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+  + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+  + '<xf numFmtId="9" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>'
+  + '</styleSheet>';
+const XLSX_PARTS = {
+  '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>',
+  '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>',
+  'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+    + '<sheets><sheet name="Tasks" sheetId="1" r:id="rId1"/></sheets></workbook>',
+  'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+    + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>',
+  'xl/styles.xml': STYLES_XML
+};
+
+function xlsxCell(ref, value, style){
+  const s = style ? ` s="${style}"` : '';
+  if(value==null || value==='') return `<c r="${ref}"${s}/>`;
+  if(typeof value==='number') return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${xmlEscape(value)}</t></is></c>`;
+}
+
+export function tasksToXLSX(tasks, ctx={}){
+  const zone = ctx.zone || DEFAULT_ZONE;
+  const columns = [
+    ['ID', t=>Number(t.id), 0, 14], ['Title', t=>t.title, 0, 40], ['Description', t=>t.description||'', 0, 50],
+    [`Due (${zone})`, t=>t.due ? excelDate(t.due, zone) : null, STYLE.date, 18], ['Status', t=>t.status||'', 0, 12],
+    ['Priority', t=>t.priority||'normal', 0, 10], ['Progress', t=>ctx.progress?.(t) ?? null, STYLE.percent, 10],
+    ['Created By', t=>creatorOf(ctx, t), 0, 18], ['Assigned To', t=>namesOf(ctx, t.assignedTo).join(', '), 0, 30],
+    ['Department', t=>t.department||'', 0, 16], ['Parent', t=>t.parentId!=null ? Number(t.parentId) : null, 0, 14],
+    ['Blocked By', t=>(t.blockedBy||[]).join(', '), 0, 16], ['Last Log', lastLog, 0, 50]
+  ];
+  const header = `<row r="1">${columns.map(([label], c)=>xlsxCell(`${columnName(c)}1`, label, STYLE.header)).join('')}</row>`;
+  const rows = tasks.map((t, i)=>`<row r="${i+2}">${columns.map(([, get, style], c)=>xlsxCell(`${columnName(c)}${i+2}`, get(t), style)).join('')}</row>`);
+  const last = `${columnName(columns.length-1)}${tasks.length+1}`;
+  const sheet = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+    + `<dimension ref="A1:${last}"/>`
+    + '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>'
+    + `<cols>${columns.map(([, , , width], c)=>`<col min="${c+1}" max="${c+1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+    + `<sheetData>${header}${rows.join('')}</sheetData><autoFilter ref="A1:${last}"/></worksheet>`;
+  return createZip([...Object.entries(XLSX_PARTS).map(([name, data])=>({ name, data })), { name:'xl/worksheets/sheet1.xml', data:sheet }]);
+}
+
+const WRITERS = { json:tasksToJSON, csv:tasksToCSV, html:tasksToHTML, md:tasksToMarkdown, ics:tasksToICS, xlsx:tasksToXLSX };
+// Returns a Buffer ready to attach or serve.
+export function renderExport(format, tasks, ctx={}){
+  const out = WRITERS[format](tasks, ctx);
+  return Buffer.isBuffer(out) ? out : Buffer.from(out, 'utf8');
+}
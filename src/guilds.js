@@ -0,0 +1,189 @@
+/* src/guilds.js - One isolated partition (data, task service, bot) per Discord server
+   Guild G keeps its data in <DATA_DIR>/guilds/<G>/: the same files a single-server
+   install used to keep in DATA_DIR (tasks.json, config.json, ... or zans.db, plus
+   backups/). Departments, managers, permissions and config therefore never leak
+   between servers, and admin/manager checks read the guild's own documents.
+   Partitions open on first use: when the bot connects (every guild it is in),
+   joins a server, or gets an interaction or web request for one.
+   Data from before multi-guild support (files directly in DATA_DIR, or SQLITE_FILE)
+   moves into the original guild's partition on connect: GUILD_ID, or the only
+   server the bot is in. Until that can happen interactions are refused, so the
+   original server never starts over from an empty partition. Once any partition
+   exists, files in DATA_DIR itself are ignored (with a log line on connect).
+   Web routes: /guilds/<G>/api/v1, /guilds/<G>/dashboard and /guilds/<G>/calendar.
+   The original guild also answers on the unprefixed paths, so links and API
+   clients from before keep working.
+*/
+
+import fs from 'fs';
+import path from 'path';
+import express from 'express';
+import { createTaskService } from './service.js';
+import { createBot, scheduleJobs } from './bot.js';
+import { createApiRouter } from './api.js';
+import { DOCUMENTS, defaultSqliteFile } from './storage/index.js';
+import { isSnowflake, migrateTasksData } from './storage/tasks-format.js';
+import { commandData } from './commands/index.js';
+
+export function guildDir(dir, guildId){ return path.join(dir, 'guilds', String(guildId)); }
+
+// Files a single-server install kept directly in `dir` that exist there now.
+export function legacyFiles(dir){
+  const names = [...['tasks', ...DOCUMENTS].map(n=>`${n}.json`), 'zans.db', 'zans.db-wal', 'zans.db-shm', 'backups'];
+  const files = names.map(n=>path.join(dir, n));
+  if(process.env.SQLITE_FILE) files.push(...['', '-wal', '-shm'].map(x=>defaultSqliteFile(dir)+x));
+  return [...new Set(files)].filter(f=>fs.existsSync(f));
+}
+function isEmptyJson(file){
+  try{
+    const raw = JSON.parse(fs.readFileSync(file, 'utf8')||'{}');
+    return path.basename(file)==='tasks.json' ? !migrateTasksData(raw).list.length : !Object.keys(raw||{}).length;
+  } catch { return false; }
+}
+// Whether any guild already has a partition with files in it.
+function hasPartitions(dir){
+  const root = path.join(dir, 'guilds');
+  return fs.existsSync(root) && fs.readdirSync(root).some(id=>isSnowflake(id) && fs.readdirSync(path.join(root, id)).length>0);
+}
+// Legacy files with something in them, before any partition exists. Files that
+// turn up again after the move (e.g. tracked ones a `git pull` restores when
+// DATA_DIR is the checkout) are left alone, as are the empty ones a fresh install has.
+const legacyDataFiles = dir => legacyFiles(dir).filter(f=>f.endsWith('.db') || (f.endsWith('.json') && !isEmptyJson(f)));
+const hasLegacyData = dir => !hasPartitions(dir) && legacyDataFiles(dir).length>0;
+
+// Moves the legacy files into the guild's partition. SQLITE_FILE becomes the
+// partition's zans.db. Refuses (returns { error }) when the partition already has data.
+export function migrateLegacyData(dir, guildId){
+  const target = guildDir(dir, guildId);
+  if(fs.existsSync(target) && fs.readdirSync(target).length) return { error:`${target} already has data; move the old files by hand` };
+  fs.mkdirSync(target, { recursive:true });
+  const sqlite = process.env.SQLITE_FILE && defaultSqliteFile(dir);
+  const moved = [];
+  for(const file of legacyFiles(dir)){
+    const dest = sqlite && file.startsWith(sqlite) ? path.join(target, `zans.db${file.slice(sqlite.length)}`) : path.join(target, path.basename(file));
+    try{ fs.renameSync(file, dest); }
+    catch(err){
+      if(err.code!=='EXDEV') throw err;
+      fs.cpSync(file, dest, { recursive:true });
+      fs.rmSync(file, { recursive:true, force:true });
+    }
+    moved.push(path.basename(file));
+  }
+  return { moved, dir:target };
+}
+
+// `client` as for createBot, plus guilds.cache with Guild objects (commands.set when deployCommands).
+export function createGuilds({ dir, type, client, publicUrl='http://localhost:3000', defaultGuildId=process.env.GUILD_ID||null,
+  adminIds, now=()=>new Date(), deployCommands=false }){
+  const partitions = new Map(); // guildId -> Promise<{ guildId, service, bot, web }>
+  const ready = new Map();      // guildId -> the same, once open
+  let originalGuild = defaultGuildId;
+  let migrationPending = hasLegacyData(dir);
+  let stopSchedule = null;
+
+  async function openPartition(guildId){
+    const partitionDir = guildDir(dir, guildId);
+    fs.mkdirSync(partitionDir, { recursive:true });
+    const service = await createTaskService({ dir:partitionDir, type, sqliteFile:path.join(partitionDir, 'zans.db'), clock:now });
+    // The original guild keeps the unprefixed URLs (see the header).
+    const base = guildId===originalGuild ? publicUrl : `${publicUrl}/guilds/${guildId}`;
+    const bot = createBot({ service, client, publicUrl:base, now, ...(adminIds ? { adminIds } : {}) });
+    const web = express.Router();
+    web.use('/api/v1', createApiRouter({ service }));
+    web.use('/dashboard', bot.dashboard.router);
+    web.use('/calendar', bot.calendarFeed.router);
+    return { guildId, service, bot, web };
+  }
+  // Opens (once) and returns a guild's partition; null for IDs that are not guild snowflakes.
+  function get(guildId){
+    guildId = String(guildId||'');
+    if(!isSnowflake(guildId)) return Promise.resolve(null);
+    if(!partitions.has(guildId)){
+      const opening = openPartition(guildId);
+      partitions.set(guildId, opening);
+      opening.then(p=>ready.set(guildId, p), ()=>partitions.delete(guildId));
+    }
+    return partitions.get(guildId);
+  }
+  // Guilds the bot is in or that already have data; web requests for others get a 404.
+  const isKnown = guildId => partitions.has(guildId) || !!client.guilds.cache.get(guildId) || (isSnowflake(guildId) && fs.existsSync(guildDir(dir, guildId)));
+
+  async function handleInteraction(interaction){
+    const refuse = content => interaction.isAutocomplete?.() ? interaction.respond([]) : interaction.reply({ content, ephemeral:true });
+    try{
+      if(!interaction.guildId){ await refuse('This bot works inside a server; run its commands there'); return; }
+      if(migrationPending){ await refuse('⚠️ The bot is waiting to move its existing data to this server. Ask the owner to set GUILD_ID and restart it.'); return; }
+      const partition = await get(interaction.guildId);
+      if(!partition){ await refuse('Unknown server'); return; }
+      await partition.bot.handleInteraction(interaction);
+    } catch(err){ console.error('Interaction error:', err); }
+  }
+
+  async function deployTo(guild){
+    if(!deployCommands || !guild?.commands?.set) return;
+    try{ await guild.commands.set(commandData()); }
+    catch(err){ console.error(`Could not deploy commands to guild ${guild.id}`, err.message||err); }
+  }
+
+  // Call once the client is connected: moves legacy data, opens every guild the
+  // bot is in, marks missed due dates Overdue and starts the shared jobs.
+  async function onReady(){
+    const ids = [...client.guilds.cache.keys()].map(String);
+    migrationPending = migrationPending || hasLegacyData(dir);
+    originalGuild = originalGuild || (ids.length===1 ? ids[0] : null);
+    if(migrationPending){
+      if(!originalGuild) console.error(`⚠️ Found data from a single-server install in ${dir} but the bot is in ${ids.length} servers: set GUILD_ID to the server it belongs to and restart. Interactions are refused until then.`);
+      else {
+        const result = migrateLegacyData(dir, originalGuild);
+        if(result.error) console.error(`⚠️ Could not move the existing data to guild ${originalGuild}: ${result.error}`);
+        else { migrationPending = false; console.log(`📦 Moved ${result.moved.join(', ')} to ${result.dir}`); }
+      }
+      if(migrationPending) return;
+    } else if(hasPartitions(dir) && legacyDataFiles(dir).length){
+      console.warn(`ℹ️ Ignoring ${legacyDataFiles(dir).map(f=>path.basename(f)).join(', ')} in ${dir}: every server's data is in ${path.join(dir, 'guilds')}`);
+    }
+    for(const id of ids){
+      const partition = await get(id);
+      await partition.bot.markOverdueTasks();
+      await deployTo(client.guilds.cache.get(id));
+    }
+    startJobs();
+  }
+  // Events.GuildCreate: a server added the bot (or became available again).
+  async function onGuildCreate(guild){
+    if(migrationPending) return;
+    const partition = await get(guild.id);
+    if(!partition) return;
+    await partition.bot.markOverdueTasks();
+    await deployTo(guild);
+  }
+
+  // Reminders, recurrences and digests run over every open guild (src/bot.js JOBS).
+  function startJobs(){ stopSchedule = stopSchedule || scheduleJobs(()=>[...ready.values()].map(p=>p.bot)); }
+  function stopJobs(){ stopSchedule?.(); stopSchedule = null; }
+  // Stops the jobs and detaches every guild's notifier and webhooks from its events.
+  function close(){
+    stopJobs();
+    for(const { bot } of ready.values()){ bot.notifier.close(); bot.webhooks.close(); }
+  }
+
+  // Mount at the site root, after any routes of your own.
+  const router = express.Router();
+  router.use('/guilds/:guildId', async (req,res,next)=>{
+    if(migrationPending) return res.status(503).json({ error:'Waiting to move existing data to its server (set GUILD_ID)' });
+    if(!isKnown(req.params.guildId)) return res.status(404).json({ error:'Unknown guild' });
+    try{ (await get(req.params.guildId)).web(req, res, next); }
+    catch(err){ next(err); }
+  });
+  router.use(async (req,res,next)=>{
+    if(!originalGuild || migrationPending) return next();
+    try{ (await get(originalGuild)).web(req, res, next); }
+    catch(err){ next(err); }
+  });
+
+  return {
+    get, handleInteraction, onReady, onGuildCreate, startJobs, stopJobs, close, router,
+    get originalGuild(){ return originalGuild; },
+    get migrationPending(){ return migrationPending; }
+  };
+}
@@ -0,0 +1,38 @@
+/* src/history.js - Task change history
+   Task logs are { date, action } entries. Field edits also carry
+   { field, from, to, by } (by = actor's user ID) so /task-history can show
+   what changed; `action` stays a readable summary for older views. Review
+   decisions add the reviewer's `comment`.
+*/
+
+export const EDITABLE_FIELDS = ['title', 'description', 'due', 'department'];
+
+export function recordChange(task, { field, from, to, by, byName, action, comment, date=new Date() }){
+  task.logs = task.logs||[];
+  const entry = { date: date.toISOString(), action: action || `Changed ${field}${byName?` by ${byName}`:''}`, field, from: from ?? null, to: to ?? null, by: by ?? null };
+  if(comment) entry.comment = comment;
+  task.logs.push(entry);
+  return entry;
+}
+
+// Applies `edits` ({ field: value }) and logs each real change. Returns the changed field names.
+export function applyEdits(task, edits, { by, byName, date=new Date() }={}){
+  const changed = [];
+  for(const field of EDITABLE_FIELDS){
+    if(!Object.hasOwn(edits, field)) continue;
+    const from = task[field] ?? null;
+    const to = edits[field] ?? null;
+    if(from===to || (field==='description' && (from||'')===(to||''))) continue;
+    task[field] = to;
+    recordChange(task, { field, from, to, by, byName, date });
+    changed.push(field);
+  }
+  return changed;
+}
+
+// `formatValue(field, value)` renders values (e.g. due dates in the viewer's zone).
+export function describeEntry(entry, formatValue=(f,v)=>String(v)){
+  if(!entry.field) return entry.action;
+  const show = v => v==null || v==='' ? '_none_' : `\`${String(formatValue(entry.field, v)).replace(/`/g,"'").slice(0,80)}\``;
+  return `**${entry.field}**: ${show(entry.from)} → ${show(entry.to)}${entry.by?` by <@${entry.by}>`:''}${entry.comment?` — “${String(entry.comment).slice(0,200)}”`:''}`;
+}
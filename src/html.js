@@ -0,0 +1,14 @@
+/* src/html.js - Shared HTML helpers for the /export HTML file and the web dashboard
+   THEMES holds the base stylesheet for each theme; pages append their own rules.
+*/
+
+export const THEMES = {
+  default: `body{font-family:Arial;padding:12px}table{border-collapse:collapse;width:100%}th,td{border:1px solid #ddd;padding:8px}th{background:#f4f4f4}`,
+  dark: `body{font-family:Arial;padding:12px;background:#111;color:#eee}table{border-collapse:collapse;width:100%}th,td{border:1px solid #444;padding:8px}th{background:#222}`
+};
+
+export function themeCss(theme){ return THEMES[theme] || THEMES.default; }
+
+export function escapeHtml(s){
+  return String(s??'').replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;').replace(/'/g,'&#39;');
+}
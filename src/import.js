@@ -0,0 +1,205 @@
+/* src/import.js - Parsing and validation for /import
+   Formats:
+   - json:   our /export JSON (an array of tasks, or { tasks: [...] })
+   - csv:    our /export CSV, or any CSV whose header row uses the same column
+             names; Jira-style headers (Summary, Assignee, Due Date, ...) also map
+   - trello: a Trello board JSON export (cards, lists, members, labels, checklists)
+   parseImport() turns a file into drafts; validateDrafts() resolves users,
+   departments, statuses and dates and returns { rows, errors, warnings } so
+   /import can show a dry run before service.importTasks() saves anything.
+*/
+
+import { TASK_STATUSES, PRIORITIES } from './task-query.js';
+import { MAX_CHECKLIST_ITEMS } from './structure.js';
+import { MAX_COMMENT_LENGTH, MAX_COMMENTS, mentionedUsers, normalizeAttachments } from './comments.js';
+
+export const IMPORT_FORMATS = ['json', 'csv', 'trello'];
+export const MAX_IMPORT_ROWS = 500;
+export const MAX_IMPORT_BYTES = 1024*1024;
+
+// RFC 4180: quoted fields may contain commas, quotes ("") and newlines.
+export function parseCSV(text){
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+  for(let i=0; i<src.length; i++){
+    const c = src[i];
+    if(quoted){
+      if(c==='"' && src[i+1]==='"'){ field += '"'; i++; }
+      else if(c==='"') quoted = false;
+      else field += c;
+    } else if(c==='"') quoted = true;
+    else if(c===','){ row.push(field); field = ''; }
+    else if(c==='\n' || c==='\r'){
+      if(c==='\r' && src[i+1]==='\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += c;
+  }
+  if(field || row.length){ row.push(field); rows.push(row); }
+  return rows.filter(r=>r.some(f=>f.trim()));
+}
+
+export function detectFormat(filename, text){
+  const name = String(filename||'').toLowerCase();
+  if(name.endsWith('.csv')) return 'csv';
+  const trimmed = String(text).trimStart();
+  if(!/^[[{]/.test(trimmed)) return 'csv';
+  try{
+    const data = JSON.parse(trimmed);
+    return Array.isArray(data?.cards) && Array.isArray(data?.lists) ? 'trello' : 'json';
+  }catch{ return 'json'; }
+}
+
+const STATUS_ALIASES = {
+  'to do':'Pending', 'todo':'Pending', 'open':'Pending', 'backlog':'Pending', 'new':'Pending',
+  'doing':'In Progress',
+  'complete':'Done', 'completed':'Done', 'closed':'Done', 'resolved':'Done',
+  'on hold':'Blocked', 'waiting':'Blocked'
+};
+// Maps a status from any supported format to one of `statuses` (the task's workflow,
+// src/workflows.js); null when unrecognized.
+export function normalizeStatus(raw, statuses=TASK_STATUSES){
+  const key = String(raw??'').trim().toLowerCase();
+  if(!key) return 'Pending';
+  const exact = statuses.find(s=>s.toLowerCase()===key);
+  if(exact) return exact;
+  const guess = STATUS_ALIASES[key]
+    || (/done|complete/.test(key) ? 'Done' : /progress|doing/.test(key) ? 'In Progress' : /block/.test(key) ? 'Blocked' : null);
+  return statuses.includes(guess) ? guess : null;
+}
+
+const PRIORITY_ALIASES = { highest:'urgent', critical:'urgent', blocker:'urgent', medium:'normal', lowest:'low', minor:'low', major:'high' };
+export function normalizePriority(raw){
+  const key = String(raw??'').trim().toLowerCase();
+  if(!key) return 'normal';
+  return PRIORITIES.includes(key) ? key : PRIORITY_ALIASES[key] || null;
+}
+
+const splitRefs = v => Array.isArray(v) ? v.map(String) : String(v??'').split(/[;,]/).map(s=>s.trim()).filter(Boolean);
+
+// ===== Format readers =====
+// A draft is { line, sourceId, title, description, due, status, priority,
+//   assignees, department, labels, parentRef, blockedByRefs, checklist, logs, comments }.
+function jsonDrafts(data){
+  const list = Array.isArray(data) ? data : Array.isArray(data?.tasks) ? data.tasks : null;
+  if(!list) return { error:'Expected an array of tasks (as written by /export json)' };
+  return { drafts: list.map((t,i)=>({
+    line: i+1, sourceId: t?.id!=null ? String(t.id) : null, title: t?.title, description: t?.description, due: t?.due,
+    status: t?.status, priority: t?.priority, assignees: splitRefs(t?.assignedTo), department: t?.department,
+    parentRef: t?.parentId!=null ? String(t.parentId) : null, blockedByRefs: splitRefs(t?.blockedBy),
+    checklist: Array.isArray(t?.checklist) ? t.checklist.map(c=>({ text:String(c.text??''), done:!!c.done })) : [],
+    logs: Array.isArray(t?.logs) ? t.logs : [],
+    comments: Array.isArray(t?.comments) ? t.comments : []
+  })) };
+}
+
+const CSV_COLUMNS = {
+  id:['id','issue id','issue key','key'], title:['title','summary','name'], description:['description','desc'],
+  due:['due','due date','duedate'], status:['status'], priority:['priority'],
+  assignees:['assignedto','assigned to','assignees','assignee'], department:['department','component','components'],
+  parentRef:['parentid','parent id','parent'], blockedByRefs:['blockedby','blocked by']
+};
+function csvDrafts(text){
+  const [header, ...rows] = parseCSV(text);
+  if(!header) return { error:'The CSV file is empty' };
+  const names = header.map(h=>h.trim().toLowerCase());
+  const col = {};
+  for(const [key, aliases] of Object.entries(CSV_COLUMNS)){ const i = names.findIndex(n=>aliases.includes(n)); if(i>=0) col[key] = i; }
+  if(col.title==null) return { error:'The CSV needs a title (or Summary/Name) column' };
+  const get = (r,k) => col[k]!=null ? (r[col[k]]??'').trim() : '';
+  return { drafts: rows.map((r,i)=>({
+    line: i+2, sourceId: get(r,'id')||null, title: get(r,'title'), description: col.description!=null ? r[col.description] : '',
+    due: get(r,'due'), status: get(r,'status'), priority: get(r,'priority'), assignees: splitRefs(get(r,'assignees')),
+    department: get(r,'department'), parentRef: get(r,'parentRef')||null, blockedByRefs: splitRefs(get(r,'blockedByRefs')),
+    checklist: [], logs: []
+  })) };
+}
+
+function trelloDrafts(board){
+  const lists = new Map(board.lists.map(l=>[l.id, l]));
+  const members = new Map((board.members||[]).map(m=>[m.id, m.username]));
+  const checklists = new Map((board.checklists||[]).map(c=>[c.id, c]));
+  const cards = board.cards.filter(c=>!c.closed && !lists.get(c.idList)?.closed);
+  return { drafts: cards.map((c,i)=>{
+    const labels = (c.labels||[]).map(l=>l.name).filter(Boolean);
+    return {
+      line: i+1, sourceId: c.id, title: c.name, description: c.desc, due: c.due,
+      status: c.dueComplete ? 'Done' : lists.get(c.idList)?.name, priority: labels.find(l=>normalizePriority(l)) || '',
+      assignees: (c.idMembers||[]).map(id=>members.get(id)||id), department: '', labels,
+      parentRef: null, blockedByRefs: [],
+      checklist: (c.idChecklists||[]).flatMap(id=>[...(checklists.get(id)?.checkItems||[])].sort((a,b)=>a.pos-b.pos))
+        .map(it=>({ text:String(it.name), done: it.state==='complete' })),
+      logs: []
+    };
+  }) };
+}
+
+export function parseImport(text, format){
+  if(format==='csv') return csvDrafts(text);
+  let data;
+  try{ data = JSON.parse(text); }catch(err){ return { error:`Invalid JSON: ${err.message}` }; }
+  if(format==='trello'){
+    if(!Array.isArray(data?.cards) || !Array.isArray(data?.lists)) return { error:'Not a Trello board export (no cards/lists)' };
+    return trelloDrafts(data);
+  }
+  return jsonDrafts(data);
+}
+
+// Comment threads from our JSON export come back as they were, renumbered; only
+// what a comment needs is kept, and its mentions are not notified again.
+function importedComments(list){
+  return (list||[]).filter(c=>c && (c.text || c.attachments?.length) && !isNaN(Date.parse(c.date))).slice(-MAX_COMMENTS).map((c,i)=>{
+    const text = String(c.text??'').slice(0, MAX_COMMENT_LENGTH);
+    return { id:i+1, by:String(c.by??''), byName:c.byName ?? null, date:new Date(c.date).toISOString(), text,
+      mentions:mentionedUsers(text), attachments:normalizeAttachments(c.attachments) };
+  });
+}
+
+// ctx = {
+//   resolveUser(ref)   -> Promise<userId|null>   (IDs, <@mentions> and usernames)
+//   departments        the departments document
+//   statusesFor(department) -> the statuses of that department's workflow (default: the built-in ones)
+//   parseDue(input)    -> { due } | { error }
+//   canAssign(department) -> boolean            assigning to others needs it
+//   actorId, taskExists(id) -> boolean
+// }
+export async function validateDrafts(drafts, ctx){
+  const rows = [], errors = [], warnings = [];
+  if(drafts.length>MAX_IMPORT_ROWS) return { rows, warnings, errors:[{ line:0, message:`Too many tasks (${drafts.length}); the limit is ${MAX_IMPORT_ROWS} per import` }] };
+  const deptByLower = new Map(Object.keys(ctx.departments).map(d=>[d.toLowerCase(), d]));
+  const userCache = new Map();
+  const resolve = ref => { if(!userCache.has(ref)) userCache.set(ref, ctx.resolveUser(ref)); return userCache.get(ref); };
+  for(const d of drafts){
+    const fail = message => errors.push({ line:d.line, message });
+    const warn = message => warnings.push({ line:d.line, message });
+    const title = String(d.title??'').trim();
+    if(!title){ fail('Missing title'); continue; }
+    if(d.sourceId && ctx.taskExists(d.sourceId)){ warn(`Task ${d.sourceId} already exists — skipped`); continue; }
+    let department = null;
+    if(d.department){
+      department = deptByLower.get(String(d.department).trim().toLowerCase());
+      if(!department){ fail(`Unknown department "${d.department}"`); continue; }
+    } else if(d.labels?.length){
+      department = d.labels.map(l=>deptByLower.get(l.trim().toLowerCase())).find(Boolean) || null;
+    }
+    let status = normalizeStatus(d.status, ctx.statusesFor?.(department) || TASK_STATUSES);
+    if(!status){ warn(`Unknown status "${d.status}" — using Pending`); status = 'Pending'; }
+    let priority = normalizePriority(d.priority);
+    if(!priority){ warn(`Unknown priority "${d.priority}" — using normal`); priority = 'normal'; }
+    const due = ctx.parseDue(d.due ? String(d.due) : null);
+    if(due.error){ fail(`Due date "${d.due}": ${due.error}`); continue; }
+    const assignedTo = [];
+    for(const ref of d.assignees||[]){
+      const id = await resolve(ref);
+      if(id) assignedTo.push(id); else warn(`Unknown user "${ref}" — not assigned`);
+    }
+    if(!assignedTo.length) assignedTo.push(String(ctx.actorId));
+    if(assignedTo.some(id=>id!==String(ctx.actorId)) && !ctx.canAssign(department)){ fail(`Missing permission: assign${department?` in ${department}`:''}`); continue; }
+    let checklist = d.checklist||[];
+    if(checklist.length>MAX_CHECKLIST_ITEMS){ warn(`Checklist trimmed to ${MAX_CHECKLIST_ITEMS} items`); checklist = checklist.slice(0, MAX_CHECKLIST_ITEMS); }
+    rows.push({ line:d.line, sourceId:d.sourceId, title, description:String(d.description??''), due:due.due, status, priority,
+      assignedTo:[...new Set(assignedTo)], department, checklist, parentRef:d.parentRef, blockedByRefs:d.blockedByRefs||[], logs:d.logs||[],
+      comments:importedComments(d.comments) });
+  }
+  return { rows, errors, warnings };
+}
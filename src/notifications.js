@@ -0,0 +1,283 @@
+/* src/notifications.js - Channel notifications, per-user preferences and digests
+   config.notifications = {
+     channel:     guild-wide channel ID (or null)
+     departments: { [department]: channelId }      overrides `channel` for that department's tasks
+     events:      event types posted to channels (CHANNEL_EVENTS, default all)
+     digests:     { [department]: { frequency, hour, lastSent } }
+   }
+   userSettings[userId].digest = { frequency, hour, lastSent }
+   userSettings[userId].notify = {
+     reminders: ['24h','1h']                  own reminder offsets (default: config.reminders)
+     delivery:  { [kind]: 'dm'|'channel'|'none' } per NOTIFY_KINDS, defaults in NOTIFY_DEFAULTS
+     quiet:     { start:'22:00', end:'07:00' } local to the user's timezone
+     snoozed:   { [taskId]: untilISO }        no reminders for that task until then
+     held:      [{ content, department, at }] notifications that arrived during quiet hours
+   }
+   frequency is 'daily' or 'weekly' (Mondays); hour is local to the user's (or,
+   for departments, the guild's) timezone and lastSent is the local date of the
+   last digest, so each one goes out once even if the job runs late.
+   Reminders, overdue notices and digests wait out quiet hours and snoozes (the
+   jobs simply retry); event notifications are held and sent as one summary.
+   Discord is reached through `transport` ({ sendDM, sendChannel }), which
+   throws on failure; a failed DM falls back to a mention in the task's channel.
+*/
+
+import { DateTime } from 'luxon';
+import { formatDue } from './due.js';
+import { isOverdue } from './task-query.js';
+import { REVIEW_STATUS } from './workflows.js';
+import { commentText } from './comments.js';
+
+export const CHANNEL_EVENTS = ['task.assigned', 'task.status_changed', 'task.overdue'];
+export const DIGEST_FREQUENCIES = ['daily', 'weekly'];
+export const DEFAULT_DIGEST_HOUR = 9;
+export const DELIVERY_MODES = ['dm', 'channel', 'none'];
+export const NOTIFY_KINDS = ['reminder', 'overdue', 'assigned', 'status', 'review', 'comment', 'digest'];
+export const NOTIFY_DEFAULTS = { reminder:'dm', overdue:'dm', assigned:'none', status:'none', review:'dm', comment:'dm', digest:'dm' };
+const MAX_HELD = 25;
+const MAX_DIGEST_LINES = 10;
+const MAX_MESSAGE_LENGTH = 2000;
+const clip = (s, n) => { s = String(s||''); return s.length>n ? `${s.slice(0,n-1)}…` : s; };
+
+export function notificationSettings(config){
+  const n = config.notifications = config.notifications || {};
+  n.departments = n.departments || {};
+  n.digests = n.digests || {};
+  if(!Array.isArray(n.events)) n.events = [...CHANNEL_EVENTS];
+  return n;
+}
+
+// "24h", "30m", "2d" or a bare number of hours -> minutes (NaN when unreadable).
+export function parseWindowToMinutes(s){
+  if(!s) return null;
+  s=String(s).trim().toLowerCase();
+  if(s.endsWith('h')) return parseFloat(s)*60;
+  if(s.endsWith('m')) return parseFloat(s);
+  if(s.endsWith('d')) return parseFloat(s)*60*24;
+  return parseFloat(s)*60;
+}
+
+// Reminder offsets as [{ key, mins }], dropping unreadable ones.
+export function reminderWindows(list){
+  return (list||[]).map(w=>({ key:String(w).trim(), mins:parseWindowToMinutes(w) })).filter(w=>w.mins>0);
+}
+
+export function parseQuietHours(start, end){
+  const re = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+  if(!re.test(String(start).trim()) || !re.test(String(end).trim())) return { error:'Use 24-hour HH:MM times, e.g. 22:00 and 07:00' };
+  const norm = t => String(t).trim().padStart(5, '0');
+  if(norm(start)===norm(end)) return { error:'Start and end must differ' };
+  return { quiet:{ start:norm(start), end:norm(end) } };
+}
+
+// Whether `local` (a luxon DateTime in the user's zone) falls in the quiet period; it may wrap midnight.
+export function inQuietHours(quiet, local){
+  if(!quiet) return false;
+  const mins = t => { const [h,m] = t.split(':').map(Number); return h*60+m; };
+  const now = local.hour*60+local.minute, start = mins(quiet.start), end = mins(quiet.end);
+  return start<end ? now>=start && now<end : now>=start || now<end;
+}
+
+// The department's channel, else the guild channel, else null.
+export function channelFor(settings, department){
+  return (department && settings.departments?.[department]) || settings.channel || null;
+}
+
+// True when a digest with this schedule should go out at `now` (a luxon DateTime in the reader's zone).
+export function digestDue(schedule, now){
+  if(!schedule || !DIGEST_FREQUENCIES.includes(schedule.frequency)) return false;
+  if(now.hour < (schedule.hour ?? DEFAULT_DIGEST_HOUR)) return false;
+  if(schedule.frequency==='weekly' && now.weekday!==1) return false;
+  return schedule.lastSent !== now.toISODate();
+}
+
+// When the task was last marked Done, from its status log entries.
+function completedAt(t){
+  if(t.status!=='Done') return null;
+  const entry = [...(t.logs||[])].reverse().find(l=>l.field==='status' && l.to==='Done');
+  const ms = Date.parse(entry?.date);
+  return isNaN(ms) ? null : ms;
+}
+
+// Groups `tasks` into what a digest covering the last/next period shows.
+export function buildDigest(tasks, { frequency='daily', now=new Date() }={}){
+  const span = (frequency==='weekly' ? 7 : 1)*24*60*60*1000;
+  const t0 = now.getTime();
+  const byDue = (a,b) => Date.parse(a.due)-Date.parse(b.due);
+  return {
+    overdue: tasks.filter(t=>isOverdue(t, now)).sort(byDue),
+    dueSoon: tasks.filter(t=>t.status!=='Done' && t.due && Date.parse(t.due)>=t0 && Date.parse(t.due)<t0+span).sort(byDue),
+    completed: tasks.filter(t=>{ const at = completedAt(t); return at!=null && at>t0-span; })
+  };
+}
+
+export function formatDigest(title, digest, { frequency='daily', zone }={}){
+  const line = t => `• **${t.title}** (ID:${t.id})${t.due && t.status!=='Done' ? ` — due ${formatDue(t.due, zone)}` : ''}`;
+  const section = (label, list) => !list.length ? [] : [
+    `**${label} (${list.length})**`, ...list.slice(0, MAX_DIGEST_LINES).map(line),
+    ...(list.length>MAX_DIGEST_LINES ? [`…and ${list.length-MAX_DIGEST_LINES} more`] : [])
+  ];
+  const period = frequency==='weekly' ? 'this week' : 'today';
+  const body = [
+    ...section('⚠️ Overdue', digest.overdue),
+    ...section(`⏰ Due ${period}`, digest.dueSoon),
+    ...section(`✅ Completed ${frequency==='weekly' ? 'in the last 7 days' : 'in the last 24h'}`, digest.completed)
+  ];
+  const text = [`📰 ${title}`, ...(body.length ? body : ['Nothing due, overdue or completed.'])].join('\n');
+  return text.length>MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH-1)}…` : text;
+}
+
+const mention = id => `<@${id}>`;
+// Channel post for a bus event, or null when the event isn't one we post.
+export function describeEvent(event){
+  const { task, actor } = event.data;
+  const ref = `**${task.title}** (ID:${task.id})`;
+  const by = actor?.username ? ` by ${actor.username}` : '';
+  if(event.type==='task.assigned') return { content:`📌 ${ref} assigned to ${event.data.assignees.map(mention).join(', ')}${by}`, mentions:event.data.assignees };
+  if(event.type==='task.status_changed'){
+    const why = event.data.reason==='dependency' ? ' (dependencies)' : event.data.reason==='overdue' ? ' (past due)' : '';
+    const comment = event.data.comment ? `: “${event.data.comment}”` : '';
+    return { content:`🔄 ${ref}: ${event.data.from||'—'} → **${event.data.to}**${by}${why}${comment}`, mentions:[] };
+  }
+  if(event.type==='task.overdue') return { content:`⚠️ ${ref} is overdue — ${(task.assignedTo||[]).map(mention).join(', ')||'unassigned'}`, mentions:task.assignedTo||[] };
+  return null;
+}
+
+export function createNotifier({ bus, service, transport, now=()=>new Date() }){
+  const { config, userSettings } = service;
+  const settings = () => notificationSettings(config);
+
+  async function post(channelId, content, mentions=[]){
+    try{ await transport.sendChannel(channelId, content, mentions); return true; }
+    catch(err){ console.error(`Notification to channel ${channelId} failed: ${err.message}`); return false; }
+  }
+
+  // DMs the user; if that fails (DMs closed, user left), mentions them in the
+  // department's or guild's channel instead. Returns 'dm', 'channel' or null.
+  async function notifyUser(userId, content, { department=null }={}){
+    try{ await transport.sendDM(userId, content); return 'dm'; }
+    catch(err){
+      const channelId = channelFor(settings(), department);
+      if(channelId && await post(channelId, `${mention(userId)} ${content}`, [userId])) return 'channel';
+      console.warn(`Could not notify ${userId}: DM failed (${err.message})${channelId ? '' : ' and no notification channel is set'}`);
+      return null;
+    }
+  }
+
+  const prefs = userId => userSettings[userId]?.notify || {};
+  const modeFor = (userId, kind) => prefs(userId).delivery?.[kind] || NOTIFY_DEFAULTS[kind];
+  const localTime = (userId, at) => DateTime.fromJSDate(at).setZone(service.zoneFor(userId));
+  const saveUsers = () => service.safeSave(async()=>service.saveUserSettings());
+
+  function quietNow(userId, at=now()){ return inQuietHours(prefs(userId).quiet, localTime(userId, at)); }
+  function snoozedUntil(userId, taskId, at=now()){
+    const until = prefs(userId).snoozed?.[taskId];
+    return until && Date.parse(until)>at.getTime() ? until : null;
+  }
+
+  // Sends one notification the way the user asked for `kind`. Returns 'dm', 'channel', 'held' or null.
+  async function deliver(userId, kind, content, { department=null, at=now() }={}){
+    const mode = modeFor(userId, kind);
+    if(mode==='none') return null;
+    if(quietNow(userId, at)){
+      const notify = userSettings[userId].notify;
+      notify.held = [...(notify.held||[]), { content, department, at:at.toISOString() }].slice(-MAX_HELD);
+      await saveUsers();
+      return 'held';
+    }
+    const channelId = mode==='channel' && channelFor(settings(), department);
+    if(channelId && await post(channelId, `${mention(userId)} ${content}`, [userId])) return 'channel';
+    return notifyUser(userId, content, { department });
+  }
+
+  // Reminders for the task that `userId` should get now: offsets whose window has
+  // been reached and that weren't sent yet, unless quiet hours or a snooze defer them.
+  function pendingReminders(userId, task, at=now()){
+    if(quietNow(userId, at) || snoozedUntil(userId, task.id, at)) return [];
+    const left = (Date.parse(task.due)-at.getTime())/60000;
+    const sent = key => task.remindersSent?.includes(key) || task.remindersSent?.includes(`${key}:${userId}`);
+    if(left<0) return sent('overdue') ? [] : [{ key:'overdue', mins:0 }];
+    return reminderWindows(prefs(userId).reminders || config.reminders || ['24h','1h']).filter(w=>left<=w.mins && !sent(w.key));
+  }
+
+  // Sends what was held during quiet hours once they are over.
+  async function flushHeld(at=now()){
+    let changed = false;
+    for(const [userId, us] of Object.entries(userSettings)){
+      const held = us?.notify?.held;
+      if(!held?.length || quietNow(userId, at)) continue;
+      delete us.notify.held;
+      changed = true;
+      const text = [`🌙 While you were in quiet hours:`, ...held.map(h=>h.content)].join('\n');
+      await notifyUser(userId, text.length>MAX_MESSAGE_LENGTH ? `${text.slice(0, MAX_MESSAGE_LENGTH-1)}…` : text, { department:held[held.length-1].department });
+    }
+    if(changed) await saveUsers();
+  }
+
+  const unsubscribe = bus.on('*', async event=>{
+    const s = settings();
+    const task = event.data.task;
+    const channelId = s.events.includes(event.type) && channelFor(s, task?.department);
+    const message = channelId && describeEvent(event);
+    if(message) await post(channelId, message.content, message.mentions);
+    // Personal notifications for the people involved, never for the person who acted.
+    const actorId = event.data.actor?.id;
+    const ref = task && `**${task.title}** (ID:${task.id})`;
+    if(event.type==='task.assigned'){
+      for(const id of event.data.assignees.filter(id=>id!==actorId))
+        await deliver(id, 'assigned', `📌 You were assigned ${ref}${event.data.actor?.username ? ` by ${event.data.actor.username}` : ''}`, { department:task.department });
+    }
+    if(event.type==='task.status_changed'){
+      const comment = event.data.comment ? ` — “${event.data.comment}”` : '';
+      for(const id of (task.assignedTo||[]).filter(id=>id!==actorId))
+        await deliver(id, 'status', `🔄 ${ref}: ${event.data.from||'—'} → **${event.data.to}**${comment}`, { department:task.department });
+      // The creator approves reviews (src/workflows.js), so tell them when one is waiting.
+      const creator = task.createdById!=null && String(task.createdById);
+      if(event.data.to===REVIEW_STATUS && creator && creator!==actorId && !(task.assignedTo||[]).includes(creator))
+        await deliver(creator, 'review', `👀 ${ref} is waiting for your review${event.data.actor?.username ? ` (submitted by ${event.data.actor.username})` : ''}`, { department:task.department });
+    }
+    if(event.type==='task.commented'){
+      // Mentioned people and the assignees; a mention wins if someone is both.
+      const { comment } = event.data;
+      const who = event.data.actor?.username || 'Someone';
+      const text = clip(commentText(comment), 300);
+      const mentioned = comment.mentions.filter(id=>id!==actorId);
+      for(const id of mentioned) await deliver(id, 'comment', `💬 ${who} mentioned you on ${ref}: ${text}`, { department:task.department });
+      for(const id of (task.assignedTo||[]).filter(id=>id!==actorId && !mentioned.includes(id)))
+        await deliver(id, 'comment', `💬 ${who} commented on ${ref}: ${text}`, { department:task.department });
+    }
+  });
+
+  // Sends every digest that is due; meant to run every few minutes.
+  async function runDigests(){
+    const at = now();
+    let usersChanged = false, configChanged = false;
+    for(const [userId, us] of Object.entries(userSettings)){
+      const local = localTime(userId, at);
+      if(!digestDue(us?.digest, local) || quietNow(userId, at)) continue;
+      us.digest.lastSent = local.toISODate();
+      usersChanged = true;
+      const digest = buildDigest(service.getUserTasks(userId), { frequency:us.digest.frequency, now:at });
+      if(!digest.overdue.length && !digest.dueSoon.length && !digest.completed.length) continue;
+      await deliver(userId, 'digest', formatDigest(`Your ${us.digest.frequency} task digest`, digest, { frequency:us.digest.frequency, zone:local.zoneName }), { at });
+    }
+    const s = settings();
+    const guildZone = service.zoneFor(null);
+    for(const [department, schedule] of Object.entries(s.digests)){
+      const local = DateTime.fromJSDate(at).setZone(guildZone);
+      if(!digestDue(schedule, local)) continue;
+      schedule.lastSent = local.toISODate();
+      configChanged = true;
+      const channelId = channelFor(s, department);
+      if(!channelId){ console.warn(`Digest for ${department} skipped: no notification channel`); continue; }
+      const digest = buildDigest(service.getDepartmentTasks(department), { frequency:schedule.frequency, now:at });
+      await post(channelId, formatDigest(`${department} — ${schedule.frequency} digest`, digest, { frequency:schedule.frequency, zone:guildZone }));
+    }
+    if(usersChanged || configChanged) await service.safeSave(async()=>{
+      if(usersChanged) service.saveUserSettings();
+      if(configChanged) service.saveConfig();
+    });
+  }
+
+  return { notifyUser, deliver, pendingReminders, snoozedUntil, quietNow, flushHeld, runDigests, close(){ unsubscribe(); } };
+}
@@ -0,0 +1,210 @@
+/* src/openapi.js - OpenAPI 3 description of the REST API (src/api.js)
+   Served unauthenticated at GET /api/v1/openapi.json.
+*/
+
+import { PRIORITIES, SORTS } from './task-query.js';
+
+const statusSchema = { type:'string', description:'A status of the task\'s workflow (built in: Pending, In Progress, Done, Blocked, Overdue; see /workflow)' };
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const json = schema => ({ content: { 'application/json': { schema } } });
+const error = description => ({ description, ...json(ref('Error')) });
+const ERRORS = {
+  400: error('Invalid input'), 401: error('Missing or invalid token'),
+  403: error('Missing permission'), 404: error('Not found')
+};
+const idParam = { name:'id', in:'path', required:true, schema:{ type:'string' } };
+const nameParam = { name:'name', in:'path', required:true, schema:{ type:'string' }, description:'Department name' };
+const query = (name, schema, description) => ({ name, in:'query', schema, description });
+const timezoneParam = query('timezone', { type:'string' }, 'Zone for relative/natural-language dates (defaults to the guild timezone)');
+
+export const openApiSpec = {
+  openapi: '3.0.3',
+  info: {
+    title: 'ZANS Task Manager API',
+    version: '1.0.0',
+    description: 'Tasks, departments and managers. Changes are validated and logged exactly like the slash commands.'
+  },
+  servers: [{ url: '/api/v1' }],
+  security: [{ bearerAuth: [] }],
+  components: {
+    securitySchemes: {
+      bearerAuth: { type:'http', scheme:'bearer', description:'API_TOKEN (admin) or a token from /api-token create' }
+    },
+    schemas: {
+      Error: { type:'object', properties:{ error:{ type:'string' } }, required:['error'] },
+      LogEntry: {
+        type:'object',
+        properties:{
+          date:{ type:'string', format:'date-time' }, action:{ type:'string' },
+          field:{ type:'string' }, from:{}, to:{}, by:{ type:'string', nullable:true }
+        }
+      },
+      Task: {
+        type:'object',
+        properties:{
+          id:{ type:'integer' }, title:{ type:'string' }, description:{ type:'string' },
+          due:{ type:'string', format:'date-time', nullable:true },
+          status:statusSchema, priority:{ type:'string', enum:PRIORITIES },
+          department:{ type:'string', nullable:true }, assignedTo:{ type:'array', items:{ type:'string' } },
+          createdBy:{ type:'string' }, createdById:{ type:'string' }, createdAt:{ type:'string', format:'date-time' },
+          parentId:{ type:'integer', nullable:true }, blockedBy:{ type:'array', items:{ type:'integer' } },
+          checklist:{ type:'array', items:{ type:'object', properties:{ id:{ type:'integer' }, text:{ type:'string' }, done:{ type:'boolean' } } } },
+          comments:{ type:'array', items:ref('Comment') },
+          seriesId:{ type:'string' }, progress:{ type:'integer', nullable:true, description:'Checklist/subtask completion in percent' },
+          logs:{ type:'array', items:ref('LogEntry') }
+        }
+      },
+      TaskCreate: {
+        type:'object', required:['title'],
+        properties:{
+          title:{ type:'string', maxLength:256 }, description:{ type:'string' },
+          due:{ type:'string', description:'ISO date or natural language ("tomorrow 5pm", "in 3 days")' },
+          priority:{ type:'string', enum:PRIORITIES }, timezone:{ type:'string' },
+          assignees:{ type:'array', items:{ type:'string' }, description:'Discord user IDs' },
+          department:{ type:'string', description:'Tags the task and assigns the department members' },
+          parentId:{ type:'integer' },
+          recurrence:{ type:'string', description:'Cron expression or rule such as "every 2w on Mon"' },
+          recurrenceMode:{ type:'string', enum:['done','schedule'] }
+        }
+      },
+      Comment: {
+        type:'object',
+        properties:{
+          id:{ type:'integer' }, by:{ type:'string' }, byName:{ type:'string', nullable:true }, date:{ type:'string', format:'date-time' },
+          text:{ type:'string' }, mentions:{ type:'array', items:{ type:'string' }, description:'Users <@mentioned> in the text' },
+          attachments:{ type:'array', items:{ type:'object', properties:{ name:{ type:'string' }, url:{ type:'string' }, contentType:{ type:'string', nullable:true }, size:{ type:'integer', nullable:true } } } }
+        }
+      },
+      TaskUpdate: {
+        type:'object',
+        properties:{
+          title:{ type:'string', maxLength:256 }, description:{ type:'string' },
+          due:{ type:'string', nullable:true, description:'Empty or null clears the due date' },
+          department:{ type:'string', nullable:true, description:'null or "none" clears it' },
+          priority:{ type:'string', enum:PRIORITIES }, status:statusSchema,
+          comment:{ type:'string', description:'Note stored with the status change; required to send a task back from review' },
+          timezone:{ type:'string' }
+        }
+      },
+      TaskPage: {
+        type:'object',
+        properties:{ total:{ type:'integer' }, offset:{ type:'integer' }, limit:{ type:'integer' }, tasks:{ type:'array', items:ref('Task') } }
+      },
+      Department: {
+        type:'object',
+        properties:{
+          name:{ type:'string' }, members:{ type:'array', items:{ type:'string' } },
+          lead:{ type:'string', nullable:true }, openTasks:{ type:'integer' }
+        }
+      },
+      Managers: {
+        type:'object',
+        properties:{
+          users:{ type:'array', items:{ type:'object', properties:{ id:{ type:'string' }, departments:{ type:'array', items:{ type:'string' } } } } },
+          roles:{ type:'array', items:{ type:'object', properties:{ id:{ type:'string' }, departments:{ type:'array', items:{ type:'string' } } } } }
+        }
+      }
+    }
+  },
+  paths: {
+    '/tasks': {
+      get: {
+        summary:'List tasks visible to the token',
+        parameters:[
+          query('status', statusSchema), query('department', { type:'string' }),
+          query('assignee', { type:'string' }, 'Discord user ID'), query('overdue', { type:'boolean' }),
+          query('dueBefore', { type:'string' }), query('dueAfter', { type:'string' }),
+          query('sort', { type:'string', enum:SORTS, default:'created' }),
+          query('limit', { type:'integer', minimum:1, maximum:200, default:50 }), query('offset', { type:'integer', minimum:0, default:0 }),
+          timezoneParam
+        ],
+        responses:{ 200:{ description:'A page of tasks', ...json(ref('TaskPage')) }, 400:ERRORS[400], 401:ERRORS[401] }
+      },
+      post: {
+        summary:'Create and assign a task (needs assign)',
+        parameters:[timezoneParam],
+        requestBody:{ required:true, ...json(ref('TaskCreate')) },
+        responses:{ 201:{ description:'Created', ...json(ref('Task')) }, ...ERRORS }
+      }
+    },
+    '/tasks/{id}': {
+      parameters:[idParam],
+      get: { summary:'Get a task', responses:{ 200:{ description:'The task', ...json(ref('Task')) }, ...ERRORS } },
+      patch: {
+        summary:'Edit fields and/or set the status (needs update-any unless assigned; reviewers may set the status of a task In Review). Moves the workflow does not allow get 400 or 403 with the allowed next statuses',
+        parameters:[timezoneParam],
+        requestBody:{ required:true, ...json(ref('TaskUpdate')) },
+        responses:{ 200:{ description:'Updated', ...json(ref('Task')) }, ...ERRORS }
+      },
+      delete: { summary:'Delete a task (needs delete-any unless assigned)', responses:{ 204:{ description:'Deleted' }, ...ERRORS } }
+    },
+    '/tasks/{id}/assignees': {
+      parameters:[idParam],
+      post: {
+        summary:'Add or remove assignees (needs assign)',
+        requestBody:{ required:true, ...json({ type:'object', properties:{
+          add:{ type:'array', items:{ type:'string' } }, remove:{ type:'array', items:{ type:'string' } },
+          department:{ type:'string', description:'Adds every member of this department' }
+        } }) },
+        responses:{ 200:{ description:'Updated', ...json(ref('Task')) }, ...ERRORS }
+      }
+    },
+    '/tasks/{id}/comments': {
+      parameters:[idParam],
+      post: {
+        summary:'Comment on a task (needs view access to it); mentioned users and assignees are notified',
+        requestBody:{ required:true, ...json({ type:'object', properties:{
+          text:{ type:'string', maxLength:2000 },
+          attachments:{ type:'array', maxItems:3, items:{ type:'object', required:['url'], properties:{ name:{ type:'string' }, url:{ type:'string' } } } }
+        } }) },
+        responses:{ 201:{ description:'Added', ...json(ref('Comment')) }, ...ERRORS }
+      }
+    },
+    '/departments': {
+      get: { summary:'List departments', responses:{ 200:{ description:'Departments', ...json({ type:'array', items:ref('Department') }) }, 401:ERRORS[401] } },
+      post: {
+        summary:'Create a department (needs manage-departments)',
+        requestBody:{ required:true, ...json({ type:'object', required:['name'], properties:{
+          name:{ type:'string' }, members:{ type:'array', items:{ type:'string' } }, lead:{ type:'string' }
+        } }) },
+        responses:{ 201:{ description:'Created', ...json(ref('Department')) }, 409:error('Already exists'), ...ERRORS }
+      }
+    },
+    '/departments/{name}': {
+      parameters:[nameParam],
+      patch: {
+        summary:'Rename, change members or set the lead (needs manage-departments)',
+        requestBody:{ required:true, ...json({ type:'object', properties:{
+          name:{ type:'string', description:'New name' },
+          addMembers:{ type:'array', items:{ type:'string' } }, removeMembers:{ type:'array', items:{ type:'string' } },
+          lead:{ type:'string', nullable:true }, updateTasks:{ type:'boolean', description:'Also change assignees on open department tasks' }
+        } }) },
+        responses:{ 200:{ description:'Updated', ...json(ref('Department')) }, 409:error('Name taken'), ...ERRORS }
+      },
+      delete: {
+        summary:'Delete a department (needs manage-departments)',
+        parameters:[
+          query('openTasks', { type:'string', enum:['orphan','reassign'], default:'orphan' }),
+          query('toDepartment', { type:'string' }), query('toUser', { type:'string' })
+        ],
+        responses:{ 200:{ description:'Deleted', ...json({ type:'object', properties:{ deleted:{ type:'string' }, openTasks:{ type:'array', items:{ type:'integer' } } } }) }, ...ERRORS }
+      }
+    },
+    '/managers': {
+      get: { summary:'List managers', responses:{ 200:{ description:'Managers', ...json(ref('Managers')) }, 401:ERRORS[401] } }
+    },
+    '/managers/{userId}': {
+      parameters:[{ name:'userId', in:'path', required:true, schema:{ type:'string' } }],
+      put: {
+        summary:'Make a user a manager (needs manage-managers)',
+        requestBody:{ ...json({ type:'object', properties:{ departments:{ type:'array', items:{ type:'string' } } } }) },
+        responses:{ 200:{ description:'Saved' }, ...ERRORS }
+      },
+      delete: { summary:'Remove a manager (needs manage-managers)', responses:{ 204:{ description:'Removed' }, ...ERRORS } }
+    },
+    '/openapi.json': {
+      get: { summary:'This document', security:[], responses:{ 200:{ description:'OpenAPI document' } } }
+    }
+  }
+};
@@ -0,0 +1,112 @@
+/* src/permissions.js - Capability-based permission model
+   A user's capabilities come from:
+   - admin: guild owner, ADMIN_IDS, Discord Administrator permission, or an
+     'admin' grant on the user or one of their Discord roles (all capabilities)
+   - manager: an entry in managers.json, or a 'manager' grant on one of their
+     roles; limited to the listed departments when any are set
+   - department lead: manager capabilities within the departments they lead
+   - extra capability grants on the user or their roles (config.permissions)
+   - everyone gets MEMBER_CAPABILITIES
+   config.permissions = { roles: { [roleId]: { grants, departments } },
+                          users: { [userId]: { grants, departments } } }
+   managers.json       = { [userId]: { departments } }  (legacy value: true)
+*/
+
+export const CAPABILITIES = {
+  'create': 'Create tasks for yourself',
+  'assign': 'Assign tasks to others and change assignees',
+  'update-any': 'Change the status of any task',
+  'delete-any': 'Delete any task',
+  'view-all': 'List and search every task',
+  'export-all': 'Export every task',
+  'manage-departments': 'Create and edit departments',
+  'manage-managers': 'Add and remove managers',
+  'manage-config': 'Change bot settings such as reminder windows',
+  'manage-backups': 'List, compare and restore data backups',
+  'manage-permissions': 'Grant and revoke permissions'
+};
+export const ROLES = ['admin', 'manager'];
+
+// Capabilities over the whole server: a grant limited to departments does not
+// give them (check with can(perms, cap, null)). Only /permissions reads a scoped
+// manage-permissions, as the right to manage grants inside those departments.
+export const SERVER_CAPABILITIES = ['manage-managers', 'manage-config', 'manage-backups', 'manage-permissions'];
+const MEMBER_CAPABILITIES = ['create'];
+const MANAGER_CAPABILITIES = ['create', 'assign', 'update-any', 'delete-any', 'view-all', 'export-all'];
+
+export function isGrantable(name){ return ROLES.includes(name) || Object.hasOwn(CAPABILITIES, name); }
+
+export function memberRoleIds(member){
+  if(!member) return [];
+  if(Array.isArray(member.roles)) return member.roles;
+  return member.roles?.cache ? [...member.roles.cache.keys()] : [];
+}
+
+// A null scope means every department; otherwise a Set of department names.
+function addCap(caps, cap, scope){
+  if(!caps.has(cap)){ caps.set(cap, scope ? new Set(scope) : null); return; }
+  const current = caps.get(cap);
+  if(current===null) return;
+  if(!scope){ caps.set(cap, null); return; }
+  for(const d of scope) current.add(d);
+}
+
+function scopeOf(entry){
+  const list = Array.isArray(entry?.departments) ? entry.departments.filter(Boolean) : [];
+  return list.length ? list : null;
+}
+
+export function resolvePermissions({ userId, roleIds=[], ownerId, isGuildAdmin=false, adminIds=[], managers={}, permissions={}, leadOf=[] }){
+  const roles = new Set();
+  const caps = new Map();
+  const sources = [];
+  const userEntry = permissions.users?.[userId];
+  if(userEntry) sources.push(userEntry);
+  for(const r of roleIds){ const e = permissions.roles?.[r]; if(e) sources.push(e); }
+
+  const admin = isGuildAdmin || userId===ownerId || adminIds.includes(userId) || sources.some(e=>(e.grants||[]).includes('admin'));
+  if(admin){
+    roles.add('admin');
+    for(const cap of Object.keys(CAPABILITIES)) addCap(caps, cap, null);
+  }
+
+  const managerEntry = managers[userId];
+  if(managerEntry){
+    roles.add('manager');
+    for(const cap of MANAGER_CAPABILITIES) addCap(caps, cap, scopeOf(managerEntry));
+  }
+  if(leadOf.length){
+    roles.add('lead');
+    for(const cap of MANAGER_CAPABILITIES) addCap(caps, cap, leadOf);
+  }
+  for(const e of sources){
+    const scope = scopeOf(e);
+    for(const g of e.grants||[]){
+      if(g==='manager'){ roles.add('manager'); for(const cap of MANAGER_CAPABILITIES) addCap(caps, cap, scope); }
+      else if(Object.hasOwn(CAPABILITIES, g)) addCap(caps, g, scope);
+    }
+  }
+  for(const cap of MEMBER_CAPABILITIES) addCap(caps, cap, null);
+  return { userId, roles, caps };
+}
+
+// department === undefined asks "anywhere at all"; null is a task with no department.
+export function can(perms, cap, department){
+  if(!perms.caps.has(cap)) return false;
+  const scope = perms.caps.get(cap);
+  if(scope===null || department===undefined) return true;
+  return department!=null && scope.has(department);
+}
+
+export function isAssignee(perms, task){ return (task?.assignedTo||[]).includes(perms.userId); }
+
+// Own tasks are always allowed; anything else needs `cap` in the task's department.
+export function canActOnTask(perms, cap, task){
+  return isAssignee(perms, task) || can(perms, cap, task?.department ?? null);
+}
+
+export function describeScope(perms, cap){
+  const scope = perms.caps.get(cap);
+  if(scope===undefined) return 'none';
+  return scope===null ? 'all departments' : [...scope].join(', ');
+}
@@ -0,0 +1,106 @@
+/* src/recurrence.js - Recurrence rules for repeating tasks
+   A rule is either a cron expression ("0 9 * * 1") or an interval form:
+     every 2w on Mon        every 3 days at 17:00     every month on 15
+     daily | weekly | monthly | weekdays
+   Units: d/day(s), w/week(s), m/mo/month(s). Interval rules are anchored at
+   the series' first occurrence, so "every 2w" keeps its fortnightly rhythm.
+   Times are wall-clock times in rule.zone (set when the series starts).
+*/
+
+import cronParser from 'cron-parser';
+import { DateTime } from 'luxon';
+import { parseClock } from './due.js';
+
+const WEEKDAYS = { sun:0, mon:1, tue:2, wed:3, thu:4, fri:5, sat:6 };
+const UNITS = { d:'d', day:'d', days:'d', w:'w', wk:'w', week:'w', weeks:'w', m:'mo', mo:'mo', month:'mo', months:'mo' };
+const ALIASES = { daily:'every 1d', weekly:'every 1w', monthly:'every 1mo', weekdays:'every 1w on mon-fri' };
+
+function parseWeekdays(s){
+  const out = new Set();
+  for(const part of s.split(/[\s,]+/).filter(Boolean)){
+    const [a,b] = part.split('-').map(p=>WEEKDAYS[p.slice(0,3)]);
+    if(a===undefined || (part.includes('-') && b===undefined)) return null;
+    if(b===undefined){ out.add(a); continue; }
+    for(let d=a;;d=(d+1)%7){ out.add(d); if(d===b) break; }
+  }
+  return out.size ? [...out].sort() : null;
+}
+
+// Returns { rule } or { error }. rule.text keeps the user's wording for display.
+export function parseRecurrence(input){
+  const text = String(input||'').trim();
+  let s = text.toLowerCase().replace(/\s+/g,' ');
+  if(!s) return { error:'Recurrence rule is empty' };
+  s = ALIASES[s] || s;
+  if(!s.startsWith('every ')){
+    const fields = s.split(' ');
+    if(fields.length<5 || fields.length>6) return { error:`Unrecognised recurrence "${text}". Use a cron expression or e.g. "every 2w on Mon"` };
+    try{ cronParser.parseExpression(s); }
+    catch(e){ return { error:`Invalid cron expression: ${e.message}` }; }
+    return { rule:{ kind:'cron', expr:s, text } };
+  }
+  const m = s.match(/^every (?:(\d+) ?)?([a-z]+)(?: on ([a-z0-9,\s-]+?))?(?: at ([0-9:]+ ?(?:am|pm)?))?$/);
+  const unit = m && UNITS[m[2]];
+  if(!unit) return { error:`Unrecognised recurrence "${text}". Try "every 2w on Mon", "every 3 days at 9:00" or a cron expression` };
+  const every = Number(m[1]||1);
+  if(!Number.isInteger(every) || every<1 || every>365) return { error:'The interval must be between 1 and 365' };
+  const rule = { kind:'interval', every, unit, text };
+  if(m[3]){
+    if(unit==='w'){
+      rule.on = parseWeekdays(m[3]);
+      if(!rule.on) return { error:`Unknown weekday in "${m[3]}"` };
+    } else if(unit==='mo' && /^\d{1,2}$/.test(m[3]) && Number(m[3])>=1 && Number(m[3])<=31){
+      rule.dayOfMonth = Number(m[3]);
+    } else return { error:`"on ${m[3]}" only works with weekly (weekdays) or monthly (day number) rules` };
+  }
+  if(m[4]){
+    const clock = parseClock(m[4]);
+    if(!clock) return { error:`Invalid time "${m[4]}"` };
+    rule.at = `${String(clock.hour).padStart(2,'0')}:${String(clock.minute).padStart(2,'0')}`;
+  }
+  return { rule };
+}
+
+function atClock(dt, rule, anchor){
+  const [hour,minute] = rule.at ? rule.at.split(':').map(Number) : [anchor.hour, anchor.minute];
+  return dt.set({ hour, minute, second:0, millisecond:0 });
+}
+
+// First occurrence strictly after `after`. `anchor` is the series' first due date.
+export function nextOccurrence(rule, after, anchor=after){
+  const zone = rule.zone || 'system';
+  if(rule.kind==='cron'){
+    return cronParser.parseExpression(rule.expr, { currentDate: new Date(after), ...(rule.zone?{ tz:rule.zone }:{}) }).next().toDate();
+  }
+  const from = DateTime.fromJSDate(new Date(after), { zone });
+  const start = DateTime.fromJSDate(new Date(anchor), { zone });
+
+  if(rule.unit==='d'){
+    let d = atClock(start, rule, start);
+    const skip = Math.max(0, Math.floor(from.diff(d,'days').days/rule.every) - 1);
+    d = d.plus({ days: skip*rule.every });
+    while(d<=from) d = d.plus({ days: rule.every });
+    return d.toJSDate();
+  }
+  if(rule.unit==='w'){
+    const days = rule.on || [start.weekday%7];
+    const week0 = start.startOf('week'); // Monday
+    const after0 = from<start ? start.minus({ milliseconds:1 }) : from;
+    let day = after0.startOf('day');
+    for(let i=0; i<=7*rule.every+7; i++, day=day.plus({ days:1 })){
+      const weekIndex = Math.round(day.startOf('week').diff(week0,'weeks').weeks);
+      if(weekIndex<0 || weekIndex%rule.every!==0 || !days.includes(day.weekday%7)) continue;
+      const candidate = atClock(day, rule, start);
+      if(candidate>after0) return candidate.toJSDate();
+    }
+    return null;
+  }
+  // months: same day of month (clamped to short months)
+  const dom = rule.dayOfMonth || start.day;
+  const monthsApart = (from.year-start.year)*12 + from.month-start.month;
+  for(let k=Math.max(0, Math.floor(monthsApart/rule.every)-1);; k++){
+    const month = start.startOf('month').plus({ months: k*rule.every });
+    const candidate = atClock(month.set({ day: Math.min(dom, month.daysInMonth) }), rule, start);
+    if(candidate>from) return candidate.toJSDate();
+  }
+}
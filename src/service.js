@@ -0,0 +1,709 @@
+/* src/service.js - Task service: data, persistence and every shared mutation
+   Slash commands and the REST API both go through here, so validation rules
+   and `logs` entries are identical whichever way a change arrives.
+   - Permission checks stay with the caller (see src/permissions.js).
+   - Operations that can fail return { error, code } with code one of
+     'not_found' | 'invalid' | 'conflict' | 'forbidden' (a workflow rule); otherwise
+     they return their result.
+   - `actor` is { id, username } of whoever makes the change. A new task keeps both:
+     createdBy (the username, for display) and createdById (for the creator role).
+   - Mutations publish lifecycle events on `events` (src/events.js).
+   - Timestamps come from `clock` (default: the real time) so tests can fix it.
+   - A service holds one guild's data; src/guilds.js keeps one per server.
+*/
+
+import { createStorage, DOCUMENTS } from './storage/index.js';
+import { parseRecurrence, nextOccurrence } from './recurrence.js';
+import { parseDueInput, resolveZone, isValidDue, DEFAULT_ZONE } from './due.js';
+import { normalizeDepartments, departmentMembers, renameInScope } from './departments.js';
+import { can, canActOnTask } from './permissions.js';
+import { recordChange, applyEdits } from './history.js';
+import { MAX_COMMENT_LENGTH, MAX_COMMENTS, mentionedUsers, normalizeAttachments } from './comments.js';
+import { progressOf, openBlockers, parentCycle, dependencyCycle } from './structure.js';
+import { PRIORITIES, MAX_TITLE_LENGTH } from './task-query.js';
+import { REVIEW_STATUS, workflowFor, workflowSettings, checkTransition, normalizeWorkflow } from './workflows.js';
+import { createEventBus, actorRef } from './events.js';
+import { diffSnapshots } from './backups.js';
+
+export const UNDO_WINDOW_MS = 5*60*1000;
+
+const fail = (code, error) => ({ error, code });
+
+export async function createTaskService({ dir, type, sqliteFile, storage, clock=()=>new Date() }={}){
+  // ===== Documents =====
+  // Loaded into these objects in place, so references handed out stay valid when
+  // a backup is restored.
+  const departments = {}, managers = {}, config = {}, series = {}, userSettings = {}, webhooks = {};
+  storage = storage || await createStorage({ dir, type, sqliteFile, getRetention: ()=>config.backupRetention });
+  function loadDocuments(){
+    const replace = (target, data) => { for(const k of Object.keys(target)) delete target[k]; Object.assign(target, data); };
+    replace(departments, normalizeDepartments(storage.loadDocument('departments')));
+    replace(managers, storage.loadDocument('managers'));
+    replace(config, { reminders: ['24h','1h'], backupRetention: 10, ...storage.loadDocument('config') });
+    replace(series, storage.loadDocument('series'));
+    replace(userSettings, storage.loadDocument('users'));
+    replace(webhooks, { endpoints:{}, deliveries:[], ...storage.loadDocument('webhooks') });
+  }
+  loadDocuments();
+  const events = createEventBus({ clock });
+
+  // Pass the IDs a mutation touched so row-based backends only write those rows.
+  function saveTasks(changed, removed){
+    const hint = (changed||removed) ? { changed:(changed||[]).map(String), removed:(removed||[]).map(String) } : undefined;
+    storage.saveTasks(getAllTasks(), hint);
+  }
+  function saveDepartments(){ storage.saveDocument('departments', departments); }
+  function saveManagers(){ storage.saveDocument('managers', managers); }
+  function saveConfig(){ storage.saveDocument('config', config); }
+  function saveSeries(){ storage.saveDocument('series', series); }
+  function saveUserSettings(){ storage.saveDocument('users', userSettings); }
+  function saveWebhooks(){ storage.saveDocument('webhooks', webhooks); }
+  // Serializes writes (and makes them atomic where the backend supports it).
+  async function safeSave(fn){ return storage.transaction(fn); }
+
+  // ===== Task store =====
+  // One canonical record per task, keyed by ID (see storage/tasks-format.js).
+  // The per-user, per-department and per-parent indexes are derived and never persisted.
+  const tasks = new Map();             // taskId -> task
+  const tasksByUser = new Map();       // userId -> Set<taskId>
+  const tasksByDepartment = new Map(); // department -> Set<taskId>
+  const tasksByParent = new Map();     // parent taskId -> Set<subtask taskId>
+  const indexedKeys = new Map();       // taskId -> { users, department, parent } last indexed under
+
+  const addTo = (index, k, key) => { if(!index.has(k)) index.set(k, new Set()); index.get(k).add(key); };
+  const dropFrom = (index, k, key) => { const set = index.get(k); if(set){ set.delete(key); if(!set.size) index.delete(k); } };
+
+  function indexTask(task){
+    const key = String(task.id);
+    const users = [...new Set((task.assignedTo||[]).map(String))];
+    for(const uid of users) addTo(tasksByUser, uid, key);
+    if(task.department) addTo(tasksByDepartment, task.department, key);
+    const parent = task.parentId!=null ? String(task.parentId) : null;
+    if(parent) addTo(tasksByParent, parent, key);
+    indexedKeys.set(key, { users, department: task.department||null, parent });
+  }
+  function unindexTask(id){
+    const key = String(id);
+    const prev = indexedKeys.get(key);
+    if(!prev) return;
+    for(const uid of prev.users) dropFrom(tasksByUser, uid, key);
+    if(prev.department) dropFrom(tasksByDepartment, prev.department, key);
+    if(prev.parent) dropFrom(tasksByParent, prev.parent, key);
+    indexedKeys.delete(key);
+  }
+  // Call after changing a task's assignedTo, department or parentId so the indexes follow.
+  function reindexTask(task){ unindexTask(task.id); indexTask(task); }
+  function putTask(task){ tasks.set(String(task.id), task); reindexTask(task); return task; }
+  function removeTask(id){
+    const key = String(id);
+    const task = tasks.get(key);
+    if(!task) return null;
+    unindexTask(key);
+    tasks.delete(key);
+    return task;
+  }
+  function nextTaskId(){
+    let id = clock().getTime();
+    while(tasks.has(String(id))) id++;
+    return id;
+  }
+  const byId = (a,b) => Number(a.id)-Number(b.id);
+  const collect = set => [...(set||[])].map(k=>tasks.get(k)).sort(byId);
+  function getAllTasks(){ return [...tasks.values()].sort(byId); }
+  function getUserTasks(userId){ return collect(tasksByUser.get(String(userId))); }
+  function getDepartmentTasks(name){ return collect(tasksByDepartment.get(name)); }
+  function getSubtasks(id){ return collect(tasksByParent.get(String(id))); }
+  function findTaskById(id){ return id==null ? null : tasks.get(String(id))||null; }
+  function getDependents(id){ return getAllTasks().filter(t=>(t.blockedBy||[]).some(b=>String(b)===String(id))); }
+  function taskProgress(task){ return progressOf(task, getSubtasks); }
+
+  function loadTasks(){
+    tasks.clear(); tasksByUser.clear(); tasksByDepartment.clear(); tasksByParent.clear(); indexedKeys.clear();
+    const cleared=[];
+    for(const t of storage.loadTasks()){
+      // Older versions stored unparseable input such as "No deadline" verbatim.
+      if(!isValidDue(t.due)){
+        t.logs=t.logs||[];
+        t.logs.push({date:clock().toISOString(), action:`Cleared invalid due date "${t.due}"`});
+        t.due=null;
+        cleared.push(t.id);
+      }
+      putTask(t);
+    }
+    if(cleared.length) saveTasks(cleared);
+  }
+  loadTasks();
+
+  // The caller's own tasks plus every task in departments where they hold `cap`.
+  function visibleTasks(perms, cap='view-all'){
+    if(!can(perms,cap)) return getUserTasks(perms.userId);
+    return getAllTasks().filter(t=>canActOnTask(perms,cap,t));
+  }
+
+  // ===== Input =====
+  // Per-user timezone, falling back to the guild's, then DEFAULT_TIMEZONE.
+  function zoneFor(userId){ return userSettings[userId]?.timezone || config.timezone || DEFAULT_ZONE; }
+  // `zone` overrides the user's timezone (the API passes ?timezone=).
+  function parseDue(input, userId, zone){ return parseDueInput(input, { zone: resolveZone(zone) || zoneFor(userId), now: clock() }); }
+
+  // Validates the fields a new task needs. Returns { fields, recurrence } or { error }.
+  function prepareTask(input, actor){
+    const title = String(input.title??'').trim();
+    if(!title) return fail('invalid', 'Title is required');
+    if(title.length>MAX_TITLE_LENGTH) return fail('invalid', `Title must be at most ${MAX_TITLE_LENGTH} characters`);
+    const due = parseDue(input.due, actor.id, input.timezone);
+    if(due.error) return fail('invalid', due.error);
+    const priority = input.priority || 'normal';
+    if(!PRIORITIES.includes(priority)) return fail('invalid', `Invalid priority. Allowed: ${PRIORITIES.join(', ')}`);
+    const recurrence = input.recurrence ? parseRecurrence(input.recurrence) : null;
+    if(recurrence?.error) return fail('invalid', recurrence.error);
+    const mode = input.recurrenceMode || 'done';
+    if(!['done','schedule'].includes(mode)) return fail('invalid', 'recurrenceMode must be done or schedule');
+    return { fields:{ title, description: String(input.description||''), due: due.due, priority }, recurrence: recurrence?.rule||null, recurrenceMode: mode };
+  }
+
+  // ===== Recurring tasks =====
+  // series.json = { [seriesId]: { id, rule, mode, state, anchor, currentTaskId, lastDue, count, template } }
+  // mode 'done' spawns the next instance when the current one is marked Done;
+  // mode 'schedule' spawns it when the current instance's due time arrives.
+  // Each instance is an ordinary task carrying seriesId and its occurrence number.
+  function templateOf(task){
+    return { title:task.title, description:task.description||'', priority:task.priority||'normal', createdBy:task.createdBy, createdById:task.createdById, assignedTo:[...(task.assignedTo||[])], department:task.department||null,
+      checklist:(task.checklist||[]).map(c=>({ ...c, done:false })) };
+  }
+  function startSeries(task, rule, mode, now=clock()){
+    if(!task.due){
+      if(!rule.at && rule.kind==='interval') rule = { ...rule, at:'09:00' };
+      task.due = nextOccurrence(rule, now, now).toISOString();
+    }
+    const s = { id:String(task.id), rule, mode, state:'active', anchor:task.due, currentTaskId:task.id, lastDue:task.due, count:1, template:templateOf(task) };
+    series[s.id] = s;
+    task.seriesId = s.id;
+    task.occurrence = 1;
+    task.logs.push({date:now.toISOString(), action:`Recurs ${rule.text} (${mode==='done'?'next instance on completion':'next instance when due'})`});
+    return s;
+  }
+  function spawnNextInstance(s, now=clock()){
+    const prev = findTaskById(s.currentTaskId);
+    const base = prev ? templateOf(prev) : s.template;
+    const after = new Date(Math.max(now.getTime(), new Date(s.lastDue||now).getTime()));
+    const due = nextOccurrence(s.rule, after, s.anchor);
+    if(!due) return null;
+    const n = (s.count||1)+1;
+    const task = {
+      id: nextTaskId(), ...base, due: due.toISOString(), status:'Pending', createdAt: now.toISOString(),
+      seriesId: s.id, occurrence: n,
+      logs:[{date:now.toISOString(), action:`Created as occurrence #${n} of series ${s.id}`}],
+      remindersSent:[]
+    };
+    putTask(task);
+    Object.assign(s, { currentTaskId:task.id, lastDue:task.due, count:n, template:base });
+    return task;
+  }
+  // Hook for status changes: completing the current instance of a 'done' series spawns the next.
+  function onTaskCompleted(task, now=clock()){
+    const s = task.seriesId && series[task.seriesId];
+    if(!s || s.state!=='active' || s.mode!=='done' || String(s.currentTaskId)!==String(task.id)) return null;
+    return spawnNextInstance(s, now);
+  }
+  // Spawns due instances of 'schedule' series; returns the new tasks.
+  async function runScheduledSeries(now=clock()){
+    const spawned=[];
+    for(const s of Object.values(series)){
+      if(s.state!=='active' || s.mode!=='schedule') continue;
+      if(new Date(s.lastDue)>now) continue;
+      const t = spawnNextInstance(s, now);
+      if(t) spawned.push(t);
+    }
+    if(spawned.length) await safeSave(async ()=>{ saveTasks(spawned.map(t=>t.id)); saveSeries(); });
+    for(const t of spawned) events.publish('task.created', { task:t, actor:null });
+    return spawned;
+  }
+
+  // ===== Task mutations =====
+  // Builds, stores and saves a task from prepareTask() output.
+  async function createTask(prepared, actor, { assignedTo=[actor.id], department=null, parentId=null, action='Created' }={}){
+    const now = clock();
+    const task = {
+      id: nextTaskId(), ...prepared.fields, status:'Pending',
+      createdBy: actor.username, createdById: String(actor.id), createdAt: now.toISOString(),
+      assignedTo: [...new Set(assignedTo.map(String))], department,
+      ...(parentId!=null ? { parentId } : {}),
+      logs:[{date:now.toISOString(), action}],
+      remindersSent:[]
+    };
+    if(prepared.recurrence) startSeries(task, { ...prepared.recurrence, zone: zoneFor(actor.id) }, prepared.recurrenceMode, now);
+    putTask(task);
+    await safeSave(async()=>{ saveTasks([task.id]); if(prepared.recurrence) saveSeries(); });
+    events.publish('task.created', { task, actor:actorRef(actor) });
+    const others = task.assignedTo.filter(id=>id!==String(actor.id));
+    if(others.length) events.publish('task.assigned', { task, assignees:task.assignedTo, actor:actorRef(actor) });
+    return task;
+  }
+
+  // Saves validated /import rows (src/import.js) as new tasks. parentRef and
+  // blockedByRefs point at source IDs in the same file or at existing task IDs;
+  // links that cannot be resolved, or would create a cycle, are dropped and logged.
+  async function importTasks(rows, actor, { source='import' }={}){
+    const now = clock();
+    const idMap = new Map(); // source ID -> new task
+    const created = rows.map(r=>{
+      const task = putTask({
+        id: nextTaskId(), title:r.title, description:r.description, due:r.due, priority:r.priority, status:r.status,
+        createdBy: actor.username, createdById: String(actor.id), createdAt: now.toISOString(), assignedTo:r.assignedTo, department:r.department,
+        checklist: r.checklist.map((c,i)=>({ id:i+1, text:c.text, done:c.done })),
+        logs:[...r.logs, { date:now.toISOString(), action:`Imported from ${source} by ${actor.username}${r.sourceId?` (source ID ${r.sourceId})`:''}` }],
+        remindersSent:[], comments:r.comments||[]
+      });
+      if(!task.checklist.length) delete task.checklist;
+      if(!task.comments.length) delete task.comments;
+      if(r.sourceId) idMap.set(String(r.sourceId), task);
+      return { task, row:r };
+    });
+    const lookup = ref => idMap.get(String(ref)) || findTaskById(ref);
+    const note = (task, action) => task.logs.push({ date:now.toISOString(), action });
+    for(const { task, row } of created){
+      if(row.parentRef){
+        const parent = lookup(row.parentRef);
+        const cycle = parent && parentCycle(task.id, parent.id, id=>findTaskById(id)?.parentId);
+        if(parent && !cycle){ task.parentId = parent.id; reindexTask(task); }
+        else note(task, `Dropped parent ${row.parentRef}: ${cycle||'not found'}`);
+      }
+      for(const ref of row.blockedByRefs){
+        const blocker = lookup(ref);
+        const cycle = blocker && dependencyCycle(task.id, blocker.id, id=>findTaskById(id)?.blockedBy);
+        if(blocker && !cycle) (task.blockedBy = task.blockedBy||[]).push(blocker.id);
+        else note(task, `Dropped blocker ${ref}: ${cycle||'not found'}`);
+      }
+    }
+    for(const { task } of created) events.publish('task.created', { task, actor:actorRef(actor) });
+    for(const { task } of created) if(task.blockedBy?.length) syncBlockedStatus(task);
+    await safeSave(async()=>saveTasks(created.map(c=>c.task.id)));
+    return created.map(c=>c.task);
+  }
+
+  // ===== Status changes and workflows (src/workflows.js) =====
+  function taskWorkflow(task){ return workflowFor(config, task.department); }
+
+  // null when setTaskStatus() would accept the move, else { error, code }. Callers that
+  // change other fields too check first, so a refused move leaves the task untouched.
+  function checkStatusChange(task, status, { perms=null, comment=null }={}){
+    const wf = taskWorkflow(task);
+    const refused = checkTransition(wf, task, status, perms);
+    if(refused) return fail(refused.code, refused.error);
+    const reviewed = wf.review && task.status===REVIEW_STATUS && status!==task.status;
+    if(reviewed && status!=='Done' && !String(comment||'').trim()) return fail('invalid', 'Sending a task back from review needs a comment');
+    return null;
+  }
+
+  // Returns { task, next } where next is the spawned recurring instance, if any.
+  // The move must be allowed by the task's workflow; `perms` (the caller's) also
+  // applies its role rules. Sending a task back from review needs a `comment`.
+  async function setTaskStatus(task, status, actor, { perms=null, comment=null }={}){
+    const refused = checkStatusChange(task, status, { perms, comment });
+    if(refused) return refused;
+    const wf = taskWorkflow(task);
+    const from = task.status;
+    comment = String(comment||'').trim() || null;
+    const reviewed = wf.review && from===REVIEW_STATUS && status!==from;
+    const action = reviewed ? (status==='Done' ? `Approved by ${actor.username}` : `Sent back to ${status} by ${actor.username}`)
+      : status===REVIEW_STATUS && from!==status ? `Submitted for review by ${actor.username}`
+      : `Status set to ${status} by ${actor.username}`;
+    recordChange(task, { field:'status', from:task.status, to:status, by:actor.id, action: comment ? `${action}: ${comment}` : action, comment, date:clock() });
+    task.status = status;
+    delete task.autoBlocked; // a manual status wins over the dependency block
+    const next = status==='Done' ? onTaskCompleted(task) : null;
+    if(from!==status) events.publish('task.status_changed', { task, from, to:status, actor:actorRef(actor), reason: reviewed ? 'review' : 'manual', ...(comment ? { comment } : {}) });
+    const changed = [task.id, ...(next?[next.id]:[]), ...syncDependents(task.id)];
+    await safeSave(async()=>{ saveTasks(changed); if(next) saveSeries(); });
+    if(next) events.publish('task.created', { task:next, actor:null });
+    return { task, next };
+  }
+
+  // Changes the guild's (department null) or a department's own workflow. `change(draft)`
+  // edits a copy of the workflow in force there; `null` instead removes the level's own
+  // workflow so it inherits again. Returns { workflow } (the one now in force) or { error }.
+  async function updateWorkflow(department, change){
+    if(department && !departments[department]) return fail('not_found', `Department ${department} not found`);
+    const settings = workflowSettings(config);
+    if(change===null){
+      if(department) delete settings.departments[department]; else settings.guild = null;
+    } else {
+      const current = workflowFor(config, department);
+      const draft = { statuses:[...current.statuses], transitions: current.transitions.map(t=>({ ...t, roles:[...t.roles] })), review: current.review };
+      change(draft);
+      const { workflow, error } = normalizeWorkflow(draft);
+      if(error) return fail('invalid', error);
+      if(department) settings.departments[department] = workflow; else settings.guild = workflow;
+    }
+    await safeSave(async()=>saveConfig());
+    return { workflow: workflowFor(config, department) };
+  }
+
+  // Open blockers put a task into Blocked; when the last one is Done the task
+  // goes back to the status it had. Only blocks set here are lifted here.
+  function syncBlockedStatus(task){
+    if(task.status==='Done') return false;
+    const open = openBlockers(task, findTaskById);
+    if(open.length && task.status!=='Blocked'){
+      recordChange(task, { field:'status', from:task.status, to:'Blocked', action:`Blocked by task ${open.map(b=>b.id).join(', ')}`, date:clock() });
+      const from = task.status;
+      task.statusBeforeBlock = from;
+      task.status = 'Blocked';
+      task.autoBlocked = true;
+      events.publish('task.status_changed', { task, from, to:'Blocked', actor:null, reason:'dependency' });
+      return true;
+    }
+    if(!open.length && task.status==='Blocked' && task.autoBlocked){
+      const to = task.statusBeforeBlock||'Pending';
+      recordChange(task, { field:'status', from:'Blocked', to, action:'Unblocked: all blocking tasks are Done', date:clock() });
+      task.status = to;
+      delete task.autoBlocked;
+      delete task.statusBeforeBlock;
+      events.publish('task.status_changed', { task, from:'Blocked', to, actor:null, reason:'dependency' });
+      return true;
+    }
+    return false;
+  }
+  // Re-checks every task blocked by `id`; returns the IDs that changed.
+  function syncDependents(id){ return getDependents(id).filter(syncBlockedStatus).map(t=>t.id); }
+
+  // Validates raw edit input (title, description, due, department, priority).
+  // Returns { edits } or { error }.
+  function prepareEdits(input, actor){
+    const edits = {};
+    if(input.title!=null){
+      edits.title = String(input.title).trim();
+      if(!edits.title) return fail('invalid', 'Title cannot be empty');
+      if(edits.title.length>MAX_TITLE_LENGTH) return fail('invalid', `Title must be at most ${MAX_TITLE_LENGTH} characters`);
+    }
+    if(input.description!=null) edits.description = String(input.description);
+    if(input.due!==undefined){
+      const parsed = parseDue(input.due, actor.id, input.timezone);
+      if(parsed.error) return fail('invalid', parsed.error);
+      edits.due = parsed.due;
+    }
+    if(input.department!==undefined){
+      const dept = String(input.department??'').trim();
+      edits.department = ['none','-',''].includes(dept.toLowerCase()) ? null : dept;
+      if(edits.department && !departments[edits.department]) return fail('not_found', `Department ${edits.department} does not exist`);
+    }
+    if(input.priority!=null){
+      if(!PRIORITIES.includes(input.priority)) return fail('invalid', `Invalid priority. Allowed: ${PRIORITIES.join(', ')}`);
+      edits.priority = input.priority;
+    }
+    return { edits };
+  }
+
+  // Applies prepared edits. Returns the changed field names.
+  async function editTask(task, edits, actor){
+    const { priority, ...fields } = edits;
+    const changed = applyEdits(task, fields, { by:actor.id, byName:actor.username, date:clock() });
+    if(priority && priority!==(task.priority||'normal')){
+      recordChange(task, { field:'priority', from:task.priority||'normal', to:priority, by:actor.id, byName:actor.username, date:clock() });
+      task.priority = priority;
+      changed.push('priority');
+    }
+    if(!changed.length) return changed;
+    if(changed.includes('due')){
+      task.remindersSent = []; // reminder windows and the overdue notice fire again for the new date
+      if(task.status==='Overdue' && task.due && new Date(task.due)>clock()){
+        recordChange(task, { field:'status', from:'Overdue', to:'Pending', by:actor.id, action:'Status reset to Pending (due date moved)', date:clock() });
+        task.status = 'Pending';
+      }
+    }
+    if(changed.includes('department')) reindexTask(task);
+    await safeSave(async()=>saveTasks([task.id]));
+    return changed;
+  }
+
+  // Deleting a task orphans its subtasks and drops it from other tasks' blockers.
+  async function deleteTask(task, actor=null){
+    const before = [...new Set([task, ...getSubtasks(task.id), ...getDependents(task.id)])].map(t=>structuredClone(t));
+    removeTask(task.id);
+    const changed = new Set();
+    for(const child of getSubtasks(task.id)){
+      child.parentId = null;
+      reindexTask(child);
+      recordChange(child, { field:'parentId', from:task.id, to:null, action:`Parent task ${task.id} deleted`, date:clock() });
+      changed.add(child.id);
+    }
+    for(const dep of getDependents(task.id)){
+      dep.blockedBy = dep.blockedBy.filter(b=>String(b)!==String(task.id));
+      recordChange(dep, { field:'blockedBy', from:task.id, to:null, action:`Blocking task ${task.id} deleted`, date:clock() });
+      syncBlockedStatus(dep);
+      changed.add(dep.id);
+    }
+    await safeSave(async()=>saveTasks([...changed],[task.id]));
+    if(actor) rememberUndo(actor, `deletion of “${task.title}”`, before, task);
+    events.publish('task.deleted', { task, actor:actorRef(actor) });
+  }
+
+  // Adds users (and optionally a department's members) or removes users.
+  // Returns the IDs that actually changed.
+  async function addAssignees(task, userIds, actor, { department }={}){
+    const toAdd = [...userIds.map(String)];
+    if(department && departments[department]) toAdd.push(...departmentMembers(departments, department));
+    const before = new Set(task.assignedTo||[]);
+    task.assignedTo = [...new Set([...(task.assignedTo||[]), ...toAdd])];
+    reindexTask(task);
+    task.logs.push({ date: clock().toISOString(), action: `Assignees added by ${actor.username}` });
+    await safeSave(async ()=>saveTasks([task.id]));
+    const added = [...new Set(toAdd)].filter(id=>!before.has(id));
+    if(added.length) events.publish('task.assigned', { task, assignees:added, actor:actorRef(actor) });
+    return added;
+  }
+  async function removeAssignees(task, userIds, actor){
+    const toRemove = new Set(userIds.map(String));
+    const removed = (task.assignedTo||[]).filter(id=>toRemove.has(id));
+    const before = structuredClone(task);
+    task.assignedTo = (task.assignedTo || []).filter(id => !toRemove.has(id));
+    reindexTask(task);
+    task.logs.push({ date: clock().toISOString(), action: `Assignees removed by ${actor.username}` });
+    await safeSave(async ()=>saveTasks([task.id]));
+    if(removed.length) rememberUndo(actor, `removal of ${removed.map(id=>`<@${id}>`).join(', ')} from “${task.title}”`, [before], null, removed);
+    return removed;
+  }
+
+  // ===== Undo (/undo) =====
+  // Each user's last destructive action, kept in memory for UNDO_WINDOW_MS:
+  // the tasks it touched as they were before, and as it left them (null = deleted).
+  // Undo is refused once any of them changed again, so it never overwrites later work.
+  const undoable = new Map(); // userId -> { label, at, before, after, deleted, unassigned }
+  function rememberUndo(actor, label, before, deleted=null, unassigned=[]){
+    const after = Object.fromEntries(before.map(t=>{ const now = findTaskById(t.id); return [String(t.id), now ? JSON.stringify(now) : null]; }));
+    undoable.set(String(actor.id), { label, at: clock().getTime(), before, after, deleted: deleted && String(deleted.id), unassigned });
+  }
+  function lastUndoable(userId){
+    const entry = undoable.get(String(userId));
+    return entry && clock().getTime()-entry.at <= UNDO_WINDOW_MS ? entry : null;
+  }
+  // Restores the tasks the actor's last action touched. Their logs keep everything
+  // since and get an "Undone" entry. Returns { label, tasks }.
+  async function undo(actor){
+    const entry = lastUndoable(actor.id);
+    if(!entry) return fail('not_found', `Nothing to undo: only your last task deletion or assignee removal, within ${UNDO_WINDOW_MS/60000} minutes`);
+    const stale = Object.entries(entry.after).filter(([id, json])=>{ const now = findTaskById(id); return json===null ? !!now : !now || JSON.stringify(now)!==json; });
+    if(stale.length) return fail('conflict', `Cannot undo the ${entry.label}: task(s) ${stale.map(([id])=>id).join(', ')} changed since`);
+    undoable.delete(String(actor.id));
+    const date = clock().toISOString();
+    const restored = entry.before.map(old=>{
+      const task = structuredClone(old);
+      task.logs = [...(findTaskById(task.id)?.logs || old.logs || []), { date, action: `Undone by ${actor.username}: ${entry.label}` }];
+      return putTask(task);
+    });
+    await safeSave(async()=>saveTasks(restored.map(t=>t.id)));
+    const main = restored[0];
+    if(entry.deleted) events.publish('task.restored', { task:main, actor:actorRef(actor) });
+    if(entry.unassigned.length) events.publish('task.assigned', { task:main, assignees:entry.unassigned, actor:actorRef(actor) });
+    return { label: entry.label, tasks: restored };
+  }
+
+  // ===== Comments (src/comments.js) =====
+  // Returns { comment }; people <@mentioned> in the text are listed in comment.mentions.
+  async function addComment(task, actor, { text='', attachments=[] }={}){
+    text = String(text||'').trim();
+    const files = normalizeAttachments(attachments);
+    if(!text && !files.length) return fail('invalid', 'A comment needs text or an attachment');
+    if(text.length>MAX_COMMENT_LENGTH) return fail('invalid', `Comments are at most ${MAX_COMMENT_LENGTH} characters`);
+    task.comments = task.comments||[];
+    if(task.comments.length>=MAX_COMMENTS) return fail('conflict', `A task holds at most ${MAX_COMMENTS} comments`);
+    const comment = {
+      id: Math.max(0, ...task.comments.map(c=>c.id))+1, by:String(actor.id), byName:actor.username ?? null,
+      date: clock().toISOString(), text, mentions: mentionedUsers(text), attachments: files
+    };
+    task.comments.push(comment);
+    task.logs.push({ date: comment.date, action: `Commented by ${actor.username}` });
+    await safeSave(async ()=>saveTasks([task.id]));
+    events.publish('task.commented', { task, comment, actor:actorRef(actor) });
+    return { comment };
+  }
+
+  // ===== Departments =====
+  async function addDepartment(name, { members=[], lead=null }={}){
+    name = String(name||'').trim();
+    if(!name) return fail('invalid', 'Department name is required');
+    if(departments[name]) return fail('conflict', `Department ${name} already exists`);
+    const ids = members.map(String);
+    departments[name] = { members:[...new Set(lead?[...ids,String(lead)]:ids)], lead: lead?String(lead):null };
+    await safeSave(async()=>saveDepartments());
+    return { department: departments[name] };
+  }
+
+  // Retags tasks and rewrites permission scopes. Returns { changedTasks } or { error }.
+  async function renameDepartment(name, newName, actor){
+    const dept = departments[name];
+    if(!dept) return fail('not_found', `Department ${name} not found`);
+    newName = String(newName||'').trim();
+    if(!newName) return fail('invalid', 'Provide the new name');
+    if(departments[newName]) return fail('conflict', `Department ${newName} already exists`);
+    departments[newName] = dept;
+    delete departments[name];
+    const changedTasks = [];
+    for(const t of getDepartmentTasks(name)){
+      t.department = newName;
+      t.logs.push({date:clock().toISOString(), action:`Department renamed ${name} -> ${newName} by ${actor.username}`});
+      reindexTask(t);
+      changedTasks.push(t.id);
+    }
+    for(const e of Object.values(managers)) renameInScope(e, name, newName);
+    for(const bucket of ['roles','users']) for(const e of Object.values(config.permissions?.[bucket]||{})) renameInScope(e, name, newName);
+    for(const map of [config.notifications?.departments, config.notifications?.digests, config.workflows?.departments]){
+      if(map && Object.hasOwn(map, name)){ map[newName] = map[name]; delete map[name]; }
+    }
+    await safeSave(async()=>{ saveDepartments(); saveManagers(); saveConfig(); if(changedTasks.length) saveTasks(changedTasks); });
+    return { changedTasks };
+  }
+
+  // With syncTasks, open department tasks gain/lose the same assignees.
+  async function changeDepartmentMembers(name, userIds, adding, actor, { syncTasks=false }={}){
+    const dept = departments[name];
+    if(!dept) return fail('not_found', `Department ${name} not found`);
+    const ids = userIds.map(String);
+    dept.members = adding ? [...new Set([...dept.members, ...ids])] : dept.members.filter(id=>!ids.includes(id));
+    if(!adding && ids.includes(dept.lead)) dept.lead = null;
+    const changedTasks = [];
+    if(syncTasks){
+      for(const t of getDepartmentTasks(name).filter(t=>t.status!=='Done')){
+        const before = t.assignedTo.length;
+        t.assignedTo = adding ? [...new Set([...t.assignedTo, ...ids])] : t.assignedTo.filter(id=>!ids.includes(id));
+        if(t.assignedTo.length===before) continue;
+        t.logs.push({date:clock().toISOString(), action:`Assignees ${adding?'added':'removed'} with ${name} membership by ${actor.username}`});
+        reindexTask(t);
+        changedTasks.push(t.id);
+      }
+    }
+    await safeSave(async()=>{ saveDepartments(); if(changedTasks.length) saveTasks(changedTasks); });
+    return { changedTasks };
+  }
+
+  async function setDepartmentLead(name, leadId){
+    const dept = departments[name];
+    if(!dept) return fail('not_found', `Department ${name} not found`);
+    dept.lead = leadId ? String(leadId) : null;
+    if(dept.lead && !dept.members.includes(dept.lead)) dept.members.push(dept.lead);
+    await safeSave(async()=>saveDepartments());
+    return { department: dept };
+  }
+
+  // mode 'orphan' clears the department from open tasks; 'reassign' moves them
+  // to `toDepartment` or to the single user `toUser` ({ id, username }).
+  async function deleteDepartment(name, { mode='orphan', toDepartment, toUser }={}, actor){
+    if(!departments[name]) return fail('not_found', `Department ${name} not found`);
+    if(!['orphan','reassign'].includes(mode)) return fail('invalid', 'Open tasks must be orphaned or reassigned');
+    if(mode==='reassign'){
+      if(!toDepartment && !toUser) return fail('invalid', 'Reassigning needs a department or a user');
+      if(toDepartment && (!departments[toDepartment] || toDepartment===name)) return fail('invalid', `Unknown department: ${toDepartment}`);
+    }
+    const oldMembers = departmentMembers(departments, name);
+    const open = getDepartmentTasks(name).filter(t=>t.status!=='Done');
+    for(const t of open){
+      if(mode==='reassign' && toDepartment){
+        t.assignedTo = [...new Set([...t.assignedTo.filter(id=>!oldMembers.includes(id)), ...departmentMembers(departments,toDepartment)])];
+        t.department = toDepartment;
+      } else if(mode==='reassign'){
+        t.assignedTo = [String(toUser.id)];
+        t.department = null;
+      } else {
+        t.department = null;
+      }
+      const dest = mode==='reassign' ? (toDepartment ? `department ${toDepartment}` : toUser.username||toUser.id) : null;
+      t.logs.push({date:clock().toISOString(), action: dest ? `Reassigned to ${dest} after ${name} was deleted by ${actor.username}` : `Department ${name} deleted by ${actor.username}; task orphaned`});
+      reindexTask(t);
+    }
+    delete departments[name];
+    const notifications = config.notifications;
+    const hadConfig = !!(notifications?.departments?.[name] || notifications?.digests?.[name] || config.workflows?.departments?.[name]);
+    delete notifications?.departments?.[name];
+    delete notifications?.digests?.[name];
+    delete config.workflows?.departments?.[name];
+    await safeSave(async()=>{ saveDepartments(); if(hadConfig) saveConfig(); if(open.length) saveTasks(open.map(t=>t.id)); });
+    return { openTasks: open.map(t=>t.id) };
+  }
+
+  // ===== Managers and grants =====
+  // Adds or removes one grant on a role/user entry in config.permissions.
+  // Returns whether anything changed; entries left without grants are dropped.
+  function setGrant(bucket, id, grant, on, depts){
+    config.permissions = config.permissions||{};
+    const map = config.permissions[bucket] = config.permissions[bucket]||{};
+    const entry = map[id] || { grants:[], departments:[] };
+    const had = entry.grants.includes(grant);
+    if(on){
+      if(!had) entry.grants.push(grant);
+      if(depts && depts.length) entry.departments = depts;
+      map[id] = entry;
+      return !had || !!(depts && depts.length);
+    }
+    if(!had) return false;
+    entry.grants = entry.grants.filter(g=>g!==grant);
+    if(entry.grants.length) map[id] = entry; else delete map[id];
+    return true;
+  }
+
+  // target = { type:'user'|'role', id }
+  async function addManager(target, depts=[]){
+    const unknown = depts.filter(d=>!departments[d]);
+    if(unknown.length) return fail('invalid', `Unknown department(s): ${unknown.join(', ')}`);
+    if(target.type==='role') setGrant('roles', target.id, 'manager', true, depts);
+    else managers[target.id] = { departments: depts };
+    await safeSave(async()=>{ saveManagers(); saveConfig(); });
+    return { departments: depts };
+  }
+  async function removeManager(target){
+    let removed = false;
+    if(target.type==='role') removed = setGrant('roles', target.id, 'manager', false);
+    else {
+      removed = !!managers[target.id];
+      delete managers[target.id];
+      removed = setGrant('users', target.id, 'manager', false) || removed;
+    }
+    if(!removed) return fail('not_found', 'Not a manager');
+    await safeSave(async()=>{ saveManagers(); saveConfig(); });
+    return { removed };
+  }
+
+  // ===== Backups (src/backups.js) =====
+  // Backup IDs and their contents come from the storage adapter (src/storage/index.js).
+  function listBackups(){ return storage.listBackups?.() || []; }
+  function currentSnapshot(){ return { tasks: getAllTasks(), documents: Object.fromEntries(DOCUMENTS.map(n=>[n, storage.loadDocument(n)])) }; }
+  async function readBackup(id){ return id ? (await storage.readBackup?.(String(id))) || null : null; }
+  // What restoring backup `id` would change (see diffSnapshots); { backup, ...diff }.
+  async function diffBackup(id){
+    const backup = await readBackup(id);
+    if(!backup) return fail('not_found', `No backup ${id}`);
+    return { backup, ...diffSnapshots(backup, currentSnapshot()) };
+  }
+  // Backs up the current data in a pinned backup that retention never prunes
+  // (the returned `safety` ID restores it), then
+  // replaces tasks and documents with backup `id`. Tasks or documents the backup
+  // has no copy of (see storage readBackup) stay as they are. Pending undos are dropped.
+  async function restoreBackup(id){
+    const backup = await readBackup(id);
+    if(!backup) return fail('not_found', `No backup ${id}`);
+    const safety = storage.backup?.({ pinned:true });
+    if(!safety) return fail('invalid', 'Could not take a safety backup of the current data; nothing was restored');
+    const diff = diffSnapshots(backup, currentSnapshot());
+    await safeSave(async()=>{
+      if(!backup.missing.includes('tasks')) storage.saveTasks(backup.tasks);
+      for(const name of DOCUMENTS) if(!backup.missing.includes(name)) storage.saveDocument(name, backup.documents[name] ?? {});
+    });
+    loadDocuments();
+    loadTasks();
+    undoable.clear();
+    return { safety, backup, ...diff };
+  }
+
+  return {
+    storage, departments, managers, config, series, userSettings, webhooks, events,
+    saveTasks, saveDepartments, saveManagers, saveConfig, saveSeries, saveUserSettings, saveWebhooks, safeSave,
+    putTask, removeTask, reindexTask, nextTaskId, loadTasks,
+    getAllTasks, getUserTasks, getDepartmentTasks, getSubtasks, getDependents, findTaskById, taskProgress, visibleTasks,
+    zoneFor, parseDue, prepareTask, prepareEdits,
+    startSeries, spawnNextInstance, onTaskCompleted, runScheduledSeries,
+    createTask, importTasks, taskWorkflow, checkStatusChange, setTaskStatus, updateWorkflow, syncBlockedStatus, syncDependents, editTask, deleteTask, addAssignees, removeAssignees, addComment,
+    lastUndoable, undo, listBackups, diffBackup, restoreBackup,
+    addDepartment, renameDepartment, changeDepartmentMembers, setDepartmentLead, deleteDepartment,
+    setGrant, addManager, removeManager
+  };
+}
@@ -0,0 +1,176 @@
+/* src/stats.js - Productivity analytics for /stats and its CSV/HTML reports
+   Everything is derived from task logs, so tasks created before /stats existed
+   count too. A task's status history comes from log entries with field 'status',
+   older "Status set to X by Y" actions and the overdue-marking notices; it starts
+   at createdAt in the first change's `from` status (Pending if unknown).
+   report = {
+     from, to, zone, weeks,            window: `weeks` whole weeks (Monday starts in `zone`) up to `to`
+     tasks,                            number of tasks in scope
+     perWeek: [{ start, completed }],  start = ISO date of the week's Monday, oldest first
+     completed, avgHoursToDone,        tasks marked Done inside the window; hours from creation
+     statusHours: { status: hours },   time all tasks spent in each status other than Done inside the window
+     overdue: { due, late, rate },     tasks that fell due in the window; late = finished after
+                                       the due date or still open (rate null when none fell due)
+     workload: [{ userId, open, overdue }]   open tasks per assignee now, busiest first
+   }
+*/
+
+import { DateTime } from 'luxon';
+import { escapeHtml } from './html.js';
+import { DEFAULT_ZONE } from './due.js';
+import { TASK_STATUSES, createdTime, isOverdue } from './task-query.js';
+import { tasksToHTML, csvField } from './export.js';
+
+export const DEFAULT_WEEKS = 8;
+export const MAX_WEEKS = 52;
+export const STATS_FORMATS = { csv:'csv', html:'html' };
+const HOUR = 36e5;
+
+const LEGACY_STATUS = /^Status set to (.+?) by /;
+const OVERDUE_NOTICES = ['Task became overdue', 'Auto-marked overdue on startup'];
+
+// [{ at, from, to }] in date order; `from` is null when the log did not record it.
+function statusChanges(task){
+  const changes = [];
+  for(const entry of task.logs||[]){
+    const at = Date.parse(entry.date);
+    if(isNaN(at)) continue;
+    if(entry.field==='status'){ changes.push({ at, from:entry.from, to:entry.to }); continue; }
+    if(entry.field) continue;
+    const legacy = LEGACY_STATUS.exec(entry.action||'');
+    if(legacy && TASK_STATUSES.includes(legacy[1])) changes.push({ at, from:null, to:legacy[1] });
+    else if(OVERDUE_NOTICES.includes(entry.action)) changes.push({ at, from:null, to:'Overdue' });
+  }
+  return changes.sort((a,b)=>a.at-b.at);
+}
+
+// [{ status, start, end }] (ms) from creation until `now`.
+export function statusTimeline(task, now=Date.now()){
+  const changes = statusChanges(task);
+  let status = changes.length ? changes[0].from || 'Pending' : task.status || 'Pending';
+  let start = createdTime(task);
+  const spans = [];
+  for(const change of changes){
+    if(change.to===status) continue;
+    const at = Math.max(start, change.at);
+    spans.push({ status, start, end:at });
+    status = change.to; start = at;
+  }
+  spans.push({ status, start, end:Math.max(start, now) });
+  return spans.filter(s=>s.end>s.start);
+}
+
+// When a Done task was last marked Done; null if it is open or its log never said.
+export function completedAt(task){
+  if(task.status!=='Done') return null;
+  const done = statusChanges(task).filter(c=>c.to==='Done').at(-1);
+  return done ? done.at : null;
+}
+
+// `assignee` narrows the workload to one person (the tasks are already filtered).
+export function computeStats(tasks, { now=new Date(), weeks=DEFAULT_WEEKS, zone=DEFAULT_ZONE, assignee=null }={}){
+  weeks = Math.min(Math.max(1, weeks|0), MAX_WEEKS);
+  const end = now.getTime();
+  const firstWeek = DateTime.fromMillis(end, { zone }).startOf('week').minus({ weeks:weeks-1 });
+  const starts = Array.from({ length:weeks }, (_,i)=>firstWeek.plus({ weeks:i }));
+  const from = firstWeek.toMillis();
+  const perWeek = starts.map(w=>({ start:w.toISODate(), completed:0 }));
+  const statusMs = Object.fromEntries(TASK_STATUSES.filter(s=>s!=='Done').map(s=>[s, 0]));
+  const overdue = { due:0, late:0 };
+  const workload = new Map();
+  let completed = 0, doneMs = 0;
+
+  for(const t of tasks){
+    for(const span of statusTimeline(t, end)){
+      const ms = Math.min(span.end, end) - Math.max(span.start, from);
+      if(ms>0 && span.status!=='Done') statusMs[span.status] = (statusMs[span.status]||0) + ms;
+    }
+    const doneAt = completedAt(t);
+    if(doneAt!=null && doneAt>=from && doneAt<=end){
+      completed++;
+      doneMs += Math.max(0, doneAt-createdTime(t));
+      perWeek[starts.findLastIndex(w=>w.toMillis()<=doneAt)].completed++;
+    }
+    const due = t.due ? Date.parse(t.due) : NaN;
+    if(due>=from && due<=end && !(t.status==='Done' && doneAt==null)){
+      overdue.due++;
+      if(t.status!=='Done' || doneAt>due) overdue.late++;
+    }
+    if(t.status!=='Done'){
+      for(const id of t.assignedTo||[]){
+        if(assignee && id!==assignee) continue;
+        const w = workload.get(id) || { userId:id, open:0, overdue:0 };
+        w.open++;
+        if(isOverdue(t, now)) w.overdue++;
+        workload.set(id, w);
+      }
+    }
+  }
+
+  return {
+    from: new Date(from).toISOString(), to: now.toISOString(), zone, weeks,
+    tasks: tasks.length, perWeek, completed,
+    avgHoursToDone: completed ? doneMs/completed/HOUR : null,
+    statusHours: Object.fromEntries(Object.entries(statusMs).map(([s,ms])=>[s, ms/HOUR])),
+    overdue: { ...overdue, rate: overdue.due ? overdue.late/overdue.due : null },
+    workload: [...workload.values()].sort((a,b)=>b.open-a.open || b.overdue-a.overdue)
+  };
+}
+
+// "36h", "2.5d"; '—' when there is nothing to average.
+export function formatHours(h){
+  if(h==null) return '—';
+  return h<48 ? `${Math.round(h*10)/10}h` : `${Math.round(h/24*10)/10}d`;
+}
+export function formatRate(rate){ return rate==null ? '—' : `${Math.round(rate*100)}%`; }
+
+// ===== Report files =====
+// Same ctx as the /export writers (src/export.js), plus `title`.
+const nameOf = (ctx, id) => ctx.names?.get(String(id)) || String(id);
+const round = n => n==null ? '' : Math.round(n*100)/100;
+
+// One `section,label,value` row per figure, easy to pivot in a spreadsheet.
+export function statsToCSV(report, ctx={}){
+  const rows = [
+    ['section','label','value'],
+    ['summary','from',report.from], ['summary','to',report.to], ['summary','tasks',report.tasks],
+    ['summary','completed',report.completed], ['summary','avg_hours_to_done',round(report.avgHoursToDone)],
+    ['summary','due_in_period',report.overdue.due], ['summary','late_or_open',report.overdue.late],
+    ['summary','overdue_rate',round(report.overdue.rate)],
+    ...report.perWeek.map(w=>['completed_per_week', w.start, w.completed]),
+    ...Object.entries(report.statusHours).map(([s,h])=>['hours_in_status', s, round(h)]),
+    ...report.workload.flatMap(w=>[['open_tasks', nameOf(ctx, w.userId), w.open], ['overdue_tasks', nameOf(ctx, w.userId), w.overdue]])
+  ];
+  return rows.map(r=>r.map(csvField).join(',')).join('\n');
+}
+
+const CHART_CSS = '.stats td.num{text-align:right}.chart{margin:6px 0 18px}.bar-row{display:flex;align-items:center;gap:8px;margin:3px 0}'
+  + '.bar-label{width:180px;flex:none;overflow:hidden;text-overflow:ellipsis;white-space:nowrap}.bar-track{flex:1}'
+  + '.bar{height:14px;background:#4e79a7;min-width:1px}.bar-value{width:80px;flex:none}';
+function barChart(title, rows, format=String){
+  const max = Math.max(0, ...rows.map(r=>r.value)) || 1;
+  const bars = rows.map(r=>`<div class="bar-row"><span class="bar-label">${escapeHtml(r.label)}</span><div class="bar-track"><div class="bar" style="width:${(r.value/max*100).toFixed(1)}%"></div></div><span class="bar-value">${escapeHtml(format(r.value))}</span></div>`);
+  return `<h2>${escapeHtml(title)}</h2><div class="chart">${bars.join('') || '<p>No data</p>'}</div>`;
+}
+
+// The charts sit above the usual task table from tasksToHTML.
+export function statsToHTML(report, tasks, ctx={}){
+  const summary = [
+    ['Tasks', report.tasks], ['Completed', report.completed], ['Average time to Done', formatHours(report.avgHoursToDone)],
+    ['Overdue rate', `${formatRate(report.overdue.rate)} (${report.overdue.late} of ${report.overdue.due} due)`]
+  ];
+  const charts = [
+    `<h2>Summary</h2><table class="stats"><tbody>${summary.map(([k,v])=>`<tr><th>${escapeHtml(k)}</th><td class="num">${escapeHtml(v)}</td></tr>`).join('')}</tbody></table>`,
+    barChart('Completed per week', report.perWeek.map(w=>({ label:`Week of ${w.start}`, value:w.completed }))),
+    barChart('Time in each status', Object.entries(report.statusHours).map(([s,h])=>({ label:s, value:h })), formatHours),
+    barChart('Open tasks per assignee', report.workload.map(w=>({ label:nameOf(ctx, w.userId), value:w.open }))),
+    '<h2>Tasks</h2>'
+  ].join('');
+  return tasksToHTML(tasks, { ...ctx, title: ctx.title || 'Task statistics', css: CHART_CSS, beforeTable: charts });
+}
+
+export function renderStats(format, report, tasks, ctx={}){
+  if(format==='csv') return Buffer.from(statsToCSV(report, ctx), 'utf8');
+  if(format==='html') return Buffer.from(statsToHTML(report, tasks, ctx), 'utf8');
+  throw new Error(`Unknown stats format: ${format}`);
+}
@@ -0,0 +1,117 @@
+/* src/storage/backup.js - File backups, a local git mirror and optional GitHub push
+   Used by the JSON adapter after every write, and by the SQLite adapter
+   when it snapshots the database file (on startup and before a restore).
+   A backup is `<file>.<stamp>.bak.json` (or `.bak`) in the backups directory;
+   the stamp is the UTC time with : and . replaced and doubles as the backup ID
+   that /backup (src/backups.js) lists and restores. Each file keeps its newest
+   `keep` backups; pinned ones (`<file>.<stamp>.pinned.bak…`, the safety backup a
+   restore takes) are never pruned.
+   BACKUP_GIT_DIR: a local git repository (created on first use) that gets a
+   commit with a copy of every backed-up file, under its path relative to DATA_DIR.
+   With BACKUP_GIT_REMOTE (a remote name of that repository) each commit is also
+   pushed there with whatever credentials git has for it (SSH key, credential helper).
+   GITHUB_REPO + GITHUB_TOKEN: commit the data files in the working copy and push
+   them to GitHub; the token is passed as an HTTP header, never in the push URL.
+   The files are added with -f: per-server data (guilds/, see src/guilds.js) is
+   git-ignored so it is not committed by hand by accident.
+*/
+
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+
+let simpleGit;
+if (process.env.SIMPLE_GIT === '1') {
+  try { simpleGit = (await import('simple-git')).default(); } catch(e){ simpleGit=null; }
+}
+
+const STAMP = /^(.+)\.(\d{4}-\d\d-\d\dT\d\d-\d\d-\d\d-\d{3}Z)(\.pinned)?\.bak(?:\.json)?$/;
+
+export function backupStamp(date=new Date()){ return date.toISOString().replace(/[:.]/g,'-'); }
+export function stampDate(stamp){
+  const m = String(stamp).match(/^(\d{4}-\d\d-\d\dT\d\d)-(\d\d)-(\d\d)-(\d{3})Z$/);
+  return m ? new Date(`${m[1]}:${m[2]}:${m[3]}.${m[4]}Z`) : null;
+}
+
+// Returns the backup's path, or null when it failed.
+export function backupFile(filePath, { dir, keep=10, stamp=backupStamp(), pinned=false }){
+  try{
+    if(!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    const base = path.basename(filePath);
+    const ext = path.extname(base)==='.json' ? '.bak.json' : '.bak';
+    const dest = path.join(dir, `${base}.${stamp}${pinned ? '.pinned' : ''}${ext}`);
+    fs.copyFileSync(filePath, dest);
+    const files = fs.readdirSync(dir).filter(f=>f.startsWith(base+'.') && !f.match(STAMP)?.[3]);
+    if(files.length>keep){
+      const remove = files.sort().slice(0, files.length-keep);
+      for(const r of remove) fs.unlinkSync(path.join(dir,r));
+    }
+    mirrorToGit(filePath);
+    return dest;
+  } catch(e){ console.error('Backup failed', e); return null; }
+}
+
+// Backups in `dir`, oldest first: [{ path, source, stamp, date, pinned }] where source is the backed-up file's name.
+export function listBackupFiles(dir){
+  if(!dir || !fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).map(f=>{
+    const m = f.match(STAMP);
+    return m && { path: path.join(dir, f), source: m[1], stamp: m[2], date: stampDate(m[2]), pinned: !!m[3] };
+  }).filter(Boolean).sort((a,b)=>a.stamp.localeCompare(b.stamp) || a.source.localeCompare(b.source));
+}
+
+const identified = new Set();
+// Commits a copy of `filePath` to BACKUP_GIT_DIR and pushes it to BACKUP_GIT_REMOTE (see the header).
+export function mirrorToGit(filePath, repo=process.env.BACKUP_GIT_DIR){
+  if(!repo) return;
+  try{
+    repo = path.resolve(repo);
+    const git = (...args) => execFileSync('git', ['-C', repo, ...args], { stdio:'pipe' }).toString();
+    if(!fs.existsSync(path.join(repo, '.git'))){ fs.mkdirSync(repo, { recursive:true }); git('init', '--quiet'); }
+    if(!identified.has(repo)){
+      try{ git('config', 'user.email'); }
+      catch{ git('config', 'user.name', 'ZANS Task Manager'); git('config', 'user.email', 'zans-task-manager@localhost'); }
+      identified.add(repo);
+    }
+    const root = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : process.cwd();
+    let rel = path.relative(root, path.resolve(filePath));
+    if(rel.startsWith('..') || path.isAbsolute(rel)) rel = path.basename(filePath);
+    const dest = path.join(repo, rel);
+    fs.mkdirSync(path.dirname(dest), { recursive:true });
+    fs.copyFileSync(filePath, dest);
+    git('add', '--', rel);
+    if(!git('status', '--porcelain', '--', rel).trim()) return;
+    git('commit', '--quiet', '-m', `Backup ${rel.split(path.sep).join('/')} @ ${new Date().toISOString()}`);
+    if(process.env.BACKUP_GIT_REMOTE) git('push', '--quiet', process.env.BACKUP_GIT_REMOTE, 'HEAD');
+  } catch(e){ console.error('Git backup failed', e.stderr?.toString().trim() || e.message || e); }
+}
+
+// git reads the token as an extra HTTP header from GIT_CONFIG_* variables, so it
+// is not in the remote URL, the command line or .git/config.
+function githubEnv(token){
+  const basic = Buffer.from(`x-access-token:${token}`).toString('base64');
+  return { ...process.env, GIT_CONFIG_COUNT:'1', GIT_CONFIG_KEY_0:'http.https://github.com/.extraheader', GIT_CONFIG_VALUE_0:`AUTHORIZATION: basic ${basic}` };
+}
+
+export function maybeGitPush(files=[]){
+  const repo = process.env.GITHUB_REPO;
+  const token = process.env.GITHUB_TOKEN;
+  if(!repo || !token) return;
+  const branch = process.env.GIT_PUSH_BRANCH||'main';
+  const message = `Auto-update: ${files.join(', ')} @ ${new Date().toISOString()}`;
+  const remoteUrl = `https://github.com/${repo}.git`;
+  const env = githubEnv(token);
+  try{
+    if(process.env.SIMPLE_GIT==='1' && simpleGit){
+      (async ()=>{
+        await simpleGit.raw(['add', '-f', '--', ...files]);
+        await simpleGit.commit(message);
+        await simpleGit.env(env).push(remoteUrl, branch);
+      })().catch(e=>console.error('Git push failed', e.message||e));
+    } else {
+      execFileSync('git', ['add', '-f', '--', ...files], {stdio:'ignore'});
+      try{ execFileSync('git', ['commit', '-m', message], {stdio:'ignore'}); }catch{}
+      execFileSync('git', ['push', remoteUrl, branch, '--quiet'], {stdio:'ignore', env});
+    }
+  }catch(e){ console.error('Git push failed', e.message||e); }
+}
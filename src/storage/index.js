@@ -0,0 +1,34 @@
+/* src/storage/index.js - Storage backend selection
+   Every adapter implements the same interface:
+   - loadTasks()                    -> array of task objects
+   - saveTasks(list, hint?)         persist the task list; hint = { changed, removed } task IDs
+   - loadDocument(name)             -> object ({} when missing)
+   - saveDocument(name, data)
+   - transaction(fn)                run fn with writes serialized (and atomic, where supported)
+   - backup({ pinned })             copy the current data to backups/ now -> backup ID (null if it failed);
+                                       pinned backups are never pruned by backupRetention
+   - listBackups()                  -> [{ id, date, files, pinned }] newest first
+   - readBackup(id)                 -> (Promise of) { id, tasks, documents: { name: data }, missing: [names] },
+                                       null for an unknown ID; missing = documents the backup has no copy of
+   - close()
+   Backend is picked with STORAGE=json|sqlite (default json).
+*/
+
+import path from 'path';
+import { createJsonStorage } from './json.js';
+import { createSqliteStorage } from './sqlite.js';
+
+// Named documents besides tasks. Migrations copy exactly these.
+export const DOCUMENTS = ['departments', 'managers', 'config', 'series', 'users', 'webhooks'];
+
+// SQLite keeps everything in `sqliteFile`: SQLITE_FILE, else zans.db in `dir`.
+export function defaultSqliteFile(dir){
+  return process.env.SQLITE_FILE ? path.resolve(process.env.SQLITE_FILE) : path.join(dir, 'zans.db');
+}
+
+export async function createStorage({ type=process.env.STORAGE||'json', dir, sqliteFile=defaultSqliteFile(dir), getRetention }={}){
+  const backupsDir = path.join(dir, 'backups');
+  if (type === 'json') return createJsonStorage({ dir, backupsDir, documents: DOCUMENTS, getRetention });
+  if (type === 'sqlite') return createSqliteStorage({ file: sqliteFile, backupsDir, documents: DOCUMENTS, getRetention });
+  throw new Error(`Unknown STORAGE backend "${type}" (expected json or sqlite)`);
+}
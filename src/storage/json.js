@@ -0,0 +1,100 @@
+/* src/storage/json.js - JSON file storage adapter
+   One file per collection in the data directory (tasks.json, departments.json,
+   managers.json, config.json). Every save rewrites the whole file atomically,
+   backs it up and optionally pushes it to GitHub.
+   Since each write backs up the file it wrote, the data as of backup ID T is,
+   file by file, the newest backup at or before T.
+*/
+
+import fs from 'fs';
+import path from 'path';
+import { backupFile, backupStamp, listBackupFiles, maybeGitPush } from './backup.js';
+import { TASKS_FORMAT_VERSION, migrateTasksData, serializeTaskList } from './tasks-format.js';
+
+export function createJsonStorage({ dir, backupsDir=path.join(dir,'backups'), documents=[], getRetention=()=>10 }){
+  const names = ['tasks', ...documents];
+  const fileFor = name => path.join(dir, `${name}.json`);
+  for (const name of names) {
+    if (!fs.existsSync(fileFor(name))) fs.writeFileSync(fileFor(name), '{}', 'utf8');
+  }
+  if (!fs.existsSync(backupsDir)) fs.mkdirSync(backupsDir, { recursive: true });
+  // A file without any backup gets one now, so every later backup ID covers every file.
+  const backedUp = new Set(listBackupFiles(backupsDir).map(b=>b.source));
+  for (const name of names) {
+    if (!backedUp.has(`${name}.json`)) backupFile(fileFor(name), { dir: backupsDir, keep: getRetention()||10 });
+  }
+
+  function readJson(filePath){
+    try { return JSON.parse(fs.readFileSync(filePath,'utf8')||'{}'); }
+    catch(e){ console.error(`Failed reading ${filePath}:`, e); return {}; }
+  }
+  function atomicWrite(filePath, dataStr){
+    const tmp = `${filePath}.tmp`;
+    fs.writeFileSync(tmp, dataStr, 'utf8');
+    fs.renameSync(tmp, filePath);
+  }
+  function write(name, data){
+    const file = fileFor(name);
+    atomicWrite(file, JSON.stringify(data,null,2));
+    backupFile(file, { dir: backupsDir, keep: getRetention()||10 });
+    maybeGitPush([path.relative(process.cwd(), file)]);
+  }
+
+  const backupsOf = () => listBackupFiles(backupsDir).filter(b=>names.includes(path.basename(b.source, '.json')));
+
+  // Writes are synchronous, so the lock only has to keep async callers from
+  // interleaving their read-modify-write sequences.
+  let queue = Promise.resolve();
+
+  return {
+    name: 'json',
+    loadTasks(){
+      const file = fileFor('tasks');
+      const raw = readJson(file);
+      const { list, migrated, dropped } = migrateTasksData(raw);
+      if(migrated && Object.keys(raw).length){
+        backupFile(file, { dir: backupsDir, keep: getRetention()||10 }); // keep the legacy file before it is rewritten
+        write('tasks', serializeTaskList(list));
+        console.log(`🗃️ Migrated tasks.json to v${TASKS_FORMAT_VERSION}: ${list.length} task(s)${dropped.length?`, dropped keys: ${dropped.join(', ')}`:''}`);
+      }
+      return list;
+    },
+    // The whole file is rewritten either way, so change hints are ignored.
+    saveTasks(list){ write('tasks', serializeTaskList(list)); },
+    loadDocument(name){ return readJson(fileFor(name)); },
+    saveDocument(name, data){ write(name, data); },
+    backup({ pinned=false }={}){
+      const stamp = backupStamp();
+      const ok = names.map(name=>backupFile(fileFor(name), { dir: backupsDir, keep: getRetention()||10, stamp, pinned }));
+      return ok.every(Boolean) ? stamp : null;
+    },
+    listBackups(){
+      const points = new Map();
+      for (const b of backupsOf()) {
+        if (!points.has(b.stamp)) points.set(b.stamp, { id: b.stamp, date: b.date, files: [], pinned: false });
+        points.get(b.stamp).files.push(b.source);
+        points.get(b.stamp).pinned ||= b.pinned;
+      }
+      return [...points.values()].reverse();
+    },
+    readBackup(id){
+      const upTo = backupsOf().filter(b=>b.stamp<=id);
+      if (!upTo.some(b=>b.stamp===id)) return null;
+      const latest = name => upTo.filter(b=>b.source===`${name}.json`).at(-1);
+      const snapshot = { id, tasks: [], documents: {}, missing: [] };
+      for (const name of names) {
+        const file = latest(name);
+        if (!file) { snapshot.missing.push(name); continue; }
+        if (name==='tasks') snapshot.tasks = migrateTasksData(readJson(file.path)).list;
+        else snapshot.documents[name] = readJson(file.path);
+      }
+      return snapshot;
+    },
+    transaction(fn){
+      const run = queue.then(()=>fn());
+      queue = run.catch(()=>{});
+      return run;
+    },
+    close(){}
+  };
+}
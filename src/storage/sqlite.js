@@ -0,0 +1,152 @@
+/* src/storage/sqlite.js - Embedded SQLite storage adapter
+   Tasks are stored one row per task, so a mutation only touches the rows it
+   changed. Departments, managers and config are small and stored as JSON
+   documents. Writes made inside transaction() commit or roll back together.
+
+   Backups are copies of the database file: one on startup, and one whenever
+   backup() is called (e.g. before /backup restore).
+
+   Driver: better-sqlite3 when installed, otherwise the built-in node:sqlite
+   module (Node 22.5+).
+*/
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { backupFile, backupStamp, listBackupFiles } from './backup.js';
+
+async function openDatabase(file){
+  try {
+    const Database = (await import('better-sqlite3')).default;
+    return new Database(file);
+  } catch(e) {
+    if (e.code !== 'ERR_MODULE_NOT_FOUND') throw e;
+  }
+  try {
+    const { DatabaseSync } = await import('node:sqlite');
+    return new DatabaseSync(file);
+  } catch(e) {
+    throw new Error('SQLite storage needs the better-sqlite3 package (npm install better-sqlite3) or Node 22.5+');
+  }
+}
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS tasks (
+  id TEXT PRIMARY KEY,
+  status TEXT,
+  due TEXT,
+  department TEXT,
+  data TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+CREATE INDEX IF NOT EXISTS tasks_status ON tasks(status);
+CREATE INDEX IF NOT EXISTS tasks_department ON tasks(department);
+CREATE TABLE IF NOT EXISTS documents (
+  name TEXT PRIMARY KEY,
+  data TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);`;
+
+export async function createSqliteStorage({ file, backupsDir, documents: documentNames=[], getRetention=()=>10 }){
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (fs.existsSync(file) && backupsDir) backupFile(file, { dir: backupsDir, keep: getRetention()||10 });
+  const db = await openDatabase(file);
+  db.exec('PRAGMA journal_mode = WAL;');
+  db.exec(SCHEMA);
+
+  const stmt = {
+    allTasks: db.prepare('SELECT data FROM tasks'),
+    upsertTask: db.prepare(`INSERT INTO tasks (id,status,due,department,data,updated_at) VALUES (?,?,?,?,?,?)
+      ON CONFLICT(id) DO UPDATE SET status=excluded.status, due=excluded.due, department=excluded.department, data=excluded.data, updated_at=excluded.updated_at`),
+    deleteTask: db.prepare('DELETE FROM tasks WHERE id = ?'),
+    taskIds: db.prepare('SELECT id FROM tasks'),
+    getDocument: db.prepare('SELECT data FROM documents WHERE name = ?'),
+    putDocument: db.prepare(`INSERT INTO documents (name,data,updated_at) VALUES (?,?,?)
+      ON CONFLICT(name) DO UPDATE SET data=excluded.data, updated_at=excluded.updated_at`)
+  };
+
+  let inTransaction = false;
+  let queue = Promise.resolve();
+
+  // Statements issued outside transaction() still get their own transaction,
+  // so a multi-row save is never half applied.
+  function atomically(fn){
+    if (inTransaction) return fn();
+    db.exec('BEGIN');
+    try { const r = fn(); db.exec('COMMIT'); return r; }
+    catch(e){ db.exec('ROLLBACK'); throw e; }
+  }
+  function upsert(task, now){
+    stmt.upsertTask.run(String(task.id), task.status||null, task.due||null, task.department||null, JSON.stringify(task), now);
+  }
+
+  return {
+    name: 'sqlite',
+    loadTasks(){
+      return stmt.allTasks.all().map(r=>JSON.parse(r.data));
+    },
+    // hint: { changed: [ids], removed: [ids] }. Without a hint the table is
+    // synced to match the full list.
+    saveTasks(list, hint){
+      const now = new Date().toISOString();
+      atomically(()=>{
+        if (hint) {
+          const changed = new Set((hint.changed||[]).map(String));
+          for (const t of list) if (changed.has(String(t.id))) upsert(t, now);
+          for (const id of hint.removed||[]) stmt.deleteTask.run(String(id));
+          return;
+        }
+        const keep = new Set(list.map(t=>String(t.id)));
+        for (const { id } of stmt.taskIds.all()) if (!keep.has(id)) stmt.deleteTask.run(id);
+        for (const t of list) upsert(t, now);
+      });
+    },
+    loadDocument(name){
+      const row = stmt.getDocument.get(name);
+      if (!row) return {};
+      try { return JSON.parse(row.data); }
+      catch(e){ console.error(`Failed reading document ${name}:`, e); return {}; }
+    },
+    saveDocument(name, data){
+      atomically(()=>stmt.putDocument.run(name, JSON.stringify(data), new Date().toISOString()));
+    },
+    // Runs fn (sync or async) inside BEGIN/COMMIT. Callers are queued so an
+    // async fn cannot interleave with another transaction.
+    transaction(fn){
+      const run = queue.then(async ()=>{
+        db.exec('BEGIN IMMEDIATE');
+        inTransaction = true;
+        try { const r = await fn(); db.exec('COMMIT'); return r; }
+        catch(e){ db.exec('ROLLBACK'); throw e; }
+        finally { inTransaction = false; }
+      });
+      queue = run.catch(()=>{});
+      return run;
+    },
+    backup({ pinned=false }={}){
+      // Fold the WAL into the main file so the copy has every committed write.
+      db.exec('PRAGMA wal_checkpoint(TRUNCATE);');
+      const stamp = backupStamp();
+      return backupFile(file, { dir: backupsDir, keep: getRetention()||10, stamp, pinned }) ? stamp : null;
+    },
+    listBackups(){
+      return listBackupFiles(backupsDir).filter(b=>b.source===path.basename(file)).reverse()
+        .map(b=>({ id: b.stamp, date: b.date, files: [b.source], pinned: b.pinned }));
+    },
+    // Opens a scratch copy, so the backup itself is never modified.
+    async readBackup(id){
+      const found = listBackupFiles(backupsDir).find(b=>b.source===path.basename(file) && b.stamp===id);
+      if (!found) return null;
+      const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'zans-backup-'));
+      try {
+        fs.copyFileSync(found.path, path.join(tmp, 'zans.db'));
+        const copy = await createSqliteStorage({ file: path.join(tmp, 'zans.db'), documents: documentNames });
+        try {
+          const documents = Object.fromEntries(documentNames.map(name=>[name, copy.loadDocument(name)]));
+          return { id, tasks: copy.loadTasks(), documents, missing: [] };
+        } finally { copy.close(); }
+      } finally { fs.rmSync(tmp, { recursive: true, force: true }); }
+    },
+    close(){ db.close(); }
+  };
+}
@@ -0,0 +1,60 @@
+/* src/storage/tasks-format.js - On-disk task document format
+   tasks.json (and the JSON export of the SQLite adapter) holds one canonical
+   record per task: { version, tasks: { [id]: task } }.
+*/
+
+export const TASKS_FORMAT_VERSION = 2;
+
+export function isSnowflake(v){ return /^\d{15,21}$/.test(String(v||'')); }
+export function normalizeUserId(v){
+  const m = String(v||'').trim().match(/^<@!?(\d+)>$/);
+  const id = m ? m[1] : String(v||'').trim();
+  return isSnowflake(id) ? id : null;
+}
+
+export function serializeTaskList(list){
+  const sorted = [...list].sort((a,b)=>Number(a.id)-Number(b.id));
+  return { version: TASKS_FORMAT_VERSION, tasks: Object.fromEntries(sorted.map(t=>[String(t.id),t])) };
+}
+
+// Folds two copies of the same task into one. Copies drift apart because the old
+// per-user layout stored one object per assignee, so the copy with the newest log
+// entry wins for scalar fields and list fields are unioned.
+function mergeTaskCopies(a,b){
+  const lastLogDate = t => (t.logs&&t.logs.length) ? String(t.logs[t.logs.length-1].date||'') : '';
+  const [older, newer] = lastLogDate(b) >= lastLogDate(a) ? [a,b] : [b,a];
+  const logs = new Map();
+  for(const l of [...(older.logs||[]), ...(newer.logs||[])]) logs.set(`${l.date}|${l.action}`, l);
+  return {
+    ...older, ...newer,
+    assignedTo: [...new Set([...(older.assignedTo||[]), ...(newer.assignedTo||[])])],
+    remindersSent: [...new Set([...(older.remindersSent||[]), ...(newer.remindersSent||[])])],
+    logs: [...logs.values()].sort((x,y)=>String(x.date).localeCompare(String(y.date)))
+  };
+}
+
+// Accepts either the current format or the legacy { userId: [task, ...] } layout.
+// Legacy files are merged by task ID; keys that are not user IDs (e.g. a stray
+// "<@123>" mention) are dropped, but any tasks filed under them are kept.
+export function migrateTasksData(raw){
+  if(raw && raw.version===TASKS_FORMAT_VERSION && raw.tasks && typeof raw.tasks==='object'){
+    return { list: Object.values(raw.tasks), migrated:false, dropped:[] };
+  }
+  const merged = new Map(), dropped = [];
+  for(const [key,list] of Object.entries(raw||{})){
+    if(!isSnowflake(key)) dropped.push(key);
+    if(!Array.isArray(list)) continue;
+    for(const t of list){
+      if(!t || t.id==null) continue;
+      const id = String(t.id);
+      merged.set(id, merged.has(id) ? mergeTaskCopies(merged.get(id), t) : { ...t });
+    }
+  }
+  for(const t of merged.values()){
+    t.assignedTo = [...new Set((t.assignedTo||[]).map(normalizeUserId).filter(Boolean))];
+    t.logs = t.logs||[];
+    t.remindersSent = t.remindersSent||[];
+    delete t.userId;
+  }
+  return { list: [...merged.values()], migrated:true, dropped };
+}
@@ -0,0 +1,66 @@
+/* src/structure.js - Checklists, subtasks and dependencies
+   task.checklist = [{ id, text, done }]   items ticked from Discord
+   task.parentId  = parent task ID          subtasks roll their progress up
+   task.blockedBy = [taskId]                open blockers keep the task Blocked
+   Progress counts each checklist item and each direct subtask as one step; a
+   subtask contributes its own (recursive) progress, a Done subtask counts as 100%.
+*/
+
+export const MAX_CHECKLIST_ITEMS = 25; // one select menu's worth
+
+// Fraction 0..1, or null when the task has neither checklist items nor subtasks.
+export function progressOf(task, childrenOf, seen=new Set()){
+  if(seen.has(String(task.id))) return null;
+  seen.add(String(task.id));
+  const items = task.checklist||[];
+  const children = childrenOf(task.id);
+  const steps = items.length + children.length;
+  if(!steps) return null;
+  let done = items.filter(i=>i.done).length;
+  for(const c of children){
+    done += c.status==='Done' ? 1 : (progressOf(c, childrenOf, seen) ?? 0);
+  }
+  return done/steps;
+}
+
+export function formatProgress(fraction){
+  return fraction==null ? '' : `${Math.round(fraction*100)}%`;
+}
+
+export function progressBar(fraction, width=10){
+  if(fraction==null) return '';
+  const full = Math.round(fraction*width);
+  return `${'▰'.repeat(full)}${'▱'.repeat(width-full)} ${formatProgress(fraction)}`;
+}
+
+// Walks `next(id)` links from `from`; returns the path to `target` if reachable.
+function findPath(from, target, next){
+  const stack = [[String(from), [String(from)]]];
+  const seen = new Set();
+  while(stack.length){
+    const [id, path] = stack.pop();
+    if(id===String(target)) return path;
+    if(seen.has(id)) continue;
+    seen.add(id);
+    for(const n of next(id)||[]) stack.push([String(n), [...path, String(n)]]);
+  }
+  return null;
+}
+
+// Returns an error message if `taskId` blocked by `blockerId` would close a loop.
+export function dependencyCycle(taskId, blockerId, blockersOf){
+  if(String(taskId)===String(blockerId)) return 'A task cannot block itself';
+  const path = findPath(blockerId, taskId, blockersOf);
+  return path ? `That would create a dependency cycle: ${[String(taskId), ...path].join(' → ')}` : null;
+}
+
+// Returns an error message if making `parentId` the parent of `taskId` would close a loop.
+export function parentCycle(taskId, parentId, parentOf){
+  if(String(taskId)===String(parentId)) return 'A task cannot be its own subtask';
+  const path = findPath(parentId, taskId, id=>{ const p = parentOf(id); return p==null ? [] : [p]; });
+  return path ? `That would create a subtask cycle: ${[String(taskId), ...path].join(' → ')}` : null;
+}
+
+export function openBlockers(task, findTask){
+  return (task.blockedBy||[]).map(findTask).filter(b=>b && b.status!=='Done');
+}
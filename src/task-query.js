@@ -0,0 +1,70 @@
+/* src/task-query.js - Filtering, sorting and paging task lists
+   filters = { status, department, assignee, overdue, dueBefore, dueAfter }
+   (dates are ISO strings; a task without a due date never matches a date filter)
+   sort    = 'created' (oldest first, the default) | 'due' (soonest first,
+             undated last) | 'priority' (most urgent first, then by due)
+*/
+
+export const TASK_STATUSES = ['Pending','In Progress','Done','Blocked','Overdue'];
+export const PRIORITIES = ['urgent','high','normal','low'];
+export const MAX_TITLE_LENGTH = 256;
+export const SORTS = ['created','due','priority'];
+export const PAGE_SIZE = 5;
+
+const priorityRank = t => { const i = PRIORITIES.indexOf(t.priority||'normal'); return i<0 ? PRIORITIES.indexOf('normal') : i; };
+const dueTime = t => { const ms = t.due ? Date.parse(t.due) : NaN; return isNaN(ms) ? Infinity : ms; };
+export function createdTime(t){
+  const ms = Date.parse(t.createdAt || t.logs?.[0]?.date);
+  return isNaN(ms) ? Number(t.id)||0 : ms;
+}
+
+export function isOverdue(t, now=new Date()){
+  return t.status!=='Done' && dueTime(t) < now.getTime();
+}
+
+export function filterTasks(list, filters={}, now=new Date()){
+  const { status, department, assignee, overdue, dueBefore, dueAfter } = filters;
+  const before = dueBefore ? Date.parse(dueBefore) : null;
+  const after = dueAfter ? Date.parse(dueAfter) : null;
+  return list.filter(t=>{
+    if(status && t.status!==status) return false;
+    if(department && t.department!==department) return false;
+    if(assignee && !(t.assignedTo||[]).includes(assignee)) return false;
+    if(overdue && !isOverdue(t, now)) return false;
+    if(before!=null && !(dueTime(t) < before)) return false;
+    if(after!=null && !(dueTime(t) > after && dueTime(t)!==Infinity)) return false;
+    return true;
+  });
+}
+
+export function sortTasks(list, sort='created'){
+  const byCreated = (a,b) => createdTime(a)-createdTime(b) || Number(a.id)-Number(b.id);
+  const byDue = (a,b) => {
+    const da = dueTime(a), db = dueTime(b);
+    if(da===db) return byCreated(a,b);
+    return da===Infinity ? 1 : db===Infinity ? -1 : da-db;
+  };
+  const cmp = sort==='due' ? byDue
+    : sort==='priority' ? (a,b)=>priorityRank(a)-priorityRank(b) || byDue(a,b)
+    : byCreated;
+  return [...list].sort(cmp);
+}
+
+// Clamps `page` (0-based) into range; always returns at least one (possibly empty) page.
+export function paginate(list, page=0, size=PAGE_SIZE){
+  const pages = Math.max(1, Math.ceil(list.length/size));
+  const p = Math.min(Math.max(0, page|0), pages-1);
+  return { items: list.slice(p*size, p*size+size), page: p, pages, total: list.length, offset: p*size };
+}
+
+// One-line summary of the active filters, for the list header.
+export function describeFilters(filters={}, sort='created', formatDate=d=>d){
+  const parts = [];
+  if(filters.status) parts.push(`status ${filters.status}`);
+  if(filters.department) parts.push(`department ${filters.department}`);
+  if(filters.assignee) parts.push(`assignee <@${filters.assignee}>`);
+  if(filters.overdue) parts.push('overdue only');
+  if(filters.dueAfter) parts.push(`due after ${formatDate(filters.dueAfter)}`);
+  if(filters.dueBefore) parts.push(`due before ${formatDate(filters.dueBefore)}`);
+  return `${parts.length ? parts.join(', ') : 'all tasks'} — sorted by ${sort}`;
+}
@@ -0,0 +1,35 @@
+/* src/usernames.js - Cached user ID -> username lookups
+   Lists and exports show usernames for every assignee; without a cache each
+   render costs one API call per assignee. Failed lookups are cached too (as
+   the raw ID) for a shorter time so unknown users don't hammer the API.
+*/
+
+export function createUsernameCache(fetchUser, { ttlMs=60*60*1000, missTtlMs=5*60*1000, now=()=>Date.now() }={}){
+  const entries = new Map(); // userId -> { name, expires }
+  const pending = new Map(); // userId -> Promise<name>, so concurrent lookups share one fetch
+
+  async function lookup(id){
+    try{
+      const u = await fetchUser(id);
+      entries.set(id, { name: u.username, expires: now()+ttlMs });
+      return u.username;
+    }catch{
+      entries.set(id, { name: id, expires: now()+missTtlMs });
+      return id;
+    }finally{ pending.delete(id); }
+  }
+
+  return {
+    async get(userId){
+      const id = String(userId);
+      const hit = entries.get(id);
+      if(hit && hit.expires>now()) return hit.name;
+      if(!pending.has(id)) pending.set(id, lookup(id));
+      return pending.get(id);
+    },
+    getMany(ids){ return Promise.all((ids||[]).map(id=>this.get(id))); },
+    // Seed from an interaction so the caller's own name never needs a fetch.
+    remember(user){ if(user?.id && user.username) entries.set(String(user.id), { name:user.username, expires: now()+ttlMs }); },
+    clear(){ entries.clear(); }
+  };
+}
@@ -0,0 +1,118 @@
+/* src/webhooks.js - Outgoing webhooks on top of the event bus (src/events.js)
+   webhooks.json = { endpoints:  { [id]: { id, url, events, secret, active, createdBy, createdAt } },
+                     deliveries: [{ id, endpointId, eventId, type, status, attempts, responseStatus, error, at }] }
+   `events` is a list of event types or ['*']. Each matching event is POSTed as
+   its JSON envelope with these headers:
+     X-Zans-Event: <type>         X-Zans-Delivery: <delivery id>
+     X-Zans-Timestamp: <unix s>   X-Zans-Signature: sha256=<hex HMAC-SHA256(secret, `${timestamp}.${body}`)>
+   Network errors and non-2xx responses are retried with backoff (RETRY_DELAYS);
+   the final outcome of each delivery goes to the log, newest first, capped at MAX_LOG.
+*/
+
+import crypto from 'crypto';
+import { EVENT_TYPES } from './events.js';
+
+export const RETRY_DELAYS = [10e3, 60e3, 5*60e3, 30*60e3]; // after attempts 1..4; 5 attempts in total
+export const MAX_LOG = 200;
+const TIMEOUT_MS = 10e3;
+
+export function signPayload(secret, timestamp, body){
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// Returns an error message, or null when the input is usable.
+export function validateEndpoint(url, events){
+  let parsed;
+  try{ parsed = new URL(url); }catch{ return 'Invalid URL'; }
+  if(!['http:','https:'].includes(parsed.protocol)) return 'Webhook URLs must use http or https';
+  const unknown = events.filter(e=>e!=='*' && !EVENT_TYPES.includes(e));
+  if(unknown.length) return `Unknown event(s): ${unknown.join(', ')}. Allowed: ${EVENT_TYPES.join(', ')} or *`;
+  return null;
+}
+
+// `data` is the webhooks document; `save()` persists it.
+export function createWebhookDispatcher({ bus, data, save, fetch=globalThis.fetch, retryDelays=RETRY_DELAYS, timeoutMs=TIMEOUT_MS,
+  sleep=ms=>new Promise(r=>setTimeout(r, ms).unref?.()) }){
+  const inFlight = new Set();
+
+  function logDelivery(entry){
+    data.deliveries.unshift(entry);
+    data.deliveries.length = Math.min(data.deliveries.length, MAX_LOG);
+    return Promise.resolve(save()).catch(err=>console.error('Failed saving webhook log', err));
+  }
+
+  async function attempt(endpoint, event, deliveryId){
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now()/1000);
+    try{
+      const res = await fetch(endpoint.url, {
+        method:'POST', body, signal: AbortSignal.timeout(timeoutMs),
+        headers:{
+          'content-type':'application/json', 'user-agent':'ZANS-Task-Manager-Webhooks',
+          'x-zans-event':event.type, 'x-zans-delivery':deliveryId,
+          'x-zans-timestamp':String(timestamp), 'x-zans-signature':signPayload(endpoint.secret, timestamp, body)
+        }
+      });
+      return { ok: res.ok, responseStatus: res.status, error: res.ok ? null : `HTTP ${res.status}` };
+    }catch(err){
+      return { ok:false, responseStatus:null, error: err.name==='TimeoutError' ? `Timed out after ${timeoutMs}ms` : err.message };
+    }
+  }
+
+  // Delivers one event to one endpoint, retrying until it succeeds or runs out of attempts.
+  async function deliver(endpoint, event, { retry=true }={}){
+    const deliveryId = crypto.randomUUID();
+    let result, attempts = 0;
+    for(;;){
+      attempts++;
+      result = await attempt(endpoint, event, deliveryId);
+      if(result.ok || !retry || attempts>retryDelays.length || !data.endpoints[endpoint.id]) break;
+      await sleep(retryDelays[attempts-1]);
+    }
+    const entry = { id:deliveryId, endpointId:endpoint.id, eventId:event.id, type:event.type, status: result.ok ? 'delivered' : 'failed',
+      attempts, responseStatus:result.responseStatus, error:result.error, at:new Date().toISOString() };
+    await logDelivery(entry);
+    return entry;
+  }
+
+  const subscribed = (endpoint, type) => endpoint.active!==false && (endpoint.events.includes('*') || endpoint.events.includes(type));
+  const unsubscribe = bus.on('*', event=>{
+    for(const endpoint of Object.values(data.endpoints)){
+      if(!subscribed(endpoint, event.type)) continue;
+      const p = deliver(endpoint, event).catch(err=>console.error('Webhook delivery error', err));
+      inFlight.add(p);
+      p.finally(()=>inFlight.delete(p));
+    }
+  });
+
+  return {
+    // Returns the stored endpoint, including the secret receivers verify signatures with.
+    async addEndpoint({ url, events=['*'], createdBy=null }){
+      const error = validateEndpoint(url, events);
+      if(error) return { error };
+      const id = crypto.randomBytes(4).toString('hex');
+      const endpoint = { id, url, events, secret: crypto.randomBytes(24).toString('hex'), active:true, createdBy, createdAt:new Date().toISOString() };
+      data.endpoints[id] = endpoint;
+      await save();
+      return { endpoint };
+    },
+    async removeEndpoint(id){
+      if(!data.endpoints[id]) return { error:`No webhook with ID ${id}` };
+      delete data.endpoints[id];
+      await save();
+      return { removed:id };
+    },
+    listEndpoints(){ return Object.values(data.endpoints); },
+    deliveries(endpointId, limit=10){ return data.deliveries.filter(d=>!endpointId || d.endpointId===endpointId).slice(0, limit); },
+    // Sends a webhook.test event once, without retries, and returns the log entry.
+    async test(id){
+      const endpoint = data.endpoints[id];
+      if(!endpoint) return { error:`No webhook with ID ${id}` };
+      const event = { id:crypto.randomUUID(), type:'webhook.test', occurredAt:new Date().toISOString(), data:{ endpointId:id } };
+      return { delivery: await deliver(endpoint, event, { retry:false }) };
+    },
+    // Resolves once every delivery started so far has finished (used by tests and shutdown).
+    idle(){ return Promise.all([...inFlight]); },
+    close(){ unsubscribe(); }
+  };
+}
@@ -0,0 +1,159 @@
+/* src/workflows.js - Status workflows: which statuses exist, which moves are allowed and who may make them
+   config.workflows = { guild: workflow|null, departments: { [name]: workflow } }
+   A task follows its department's workflow, else the guild's, else DEFAULT_WORKFLOW
+   (the built-in statuses, any move, by anyone who may update the task).
+   workflow = {
+     statuses: [name],               Pending and Done are always present; Blocked and Overdue
+                                     are added because the bot sets them on its own
+     transitions: [{ from, to, roles }]   `from` may be '*'; an empty list allows every move
+     review: boolean                 the In Review gate: Done only from In Review, and only the
+                                     task's creator or a manager may approve or send it back
+   }
+   Roles: anyone, assignee, creator, manager (update-any in the task's department), admin,
+   or any capability name (checked against the task's department).
+   Moves out of Blocked/Overdue (or a status the workflow no longer has) that no rule
+   mentions are allowed to any status, so such a task is never stuck.
+*/
+
+import { CAPABILITIES, can, canActOnTask, isAssignee } from './permissions.js';
+import { TASK_STATUSES } from './task-query.js';
+
+export const REVIEW_STATUS = 'In Review';
+export const REQUIRED_STATUSES = ['Pending', 'Done'];
+export const SYSTEM_STATUSES = ['Blocked', 'Overdue'];
+export const WORKFLOW_ROLES = ['anyone', 'assignee', 'creator', 'manager', 'admin'];
+export const REVIEWER_ROLES = ['creator', 'manager'];
+export const MAX_STATUSES = 20;
+const MAX_STATUS_LENGTH = 32;
+
+export const DEFAULT_WORKFLOW = Object.freeze({ statuses: TASK_STATUSES, transitions: [], review: false });
+
+export function workflowSettings(config){
+  const w = config.workflows = config.workflows || {};
+  w.guild = w.guild || null;
+  w.departments = w.departments || {};
+  return w;
+}
+
+export function workflowFor(config, department){
+  const w = config.workflows || {};
+  return (department && w.departments?.[department]) || w.guild || DEFAULT_WORKFLOW;
+}
+
+// Statuses in display order: the configured ones, In Review before Done when the gate is on, then the system ones.
+export function workflowStatuses(wf){
+  const list = [...wf.statuses];
+  if(wf.review && !list.includes(REVIEW_STATUS)) list.splice(Math.max(0, list.indexOf('Done')), 0, REVIEW_STATUS);
+  for(const s of SYSTEM_STATUSES) if(!list.includes(s)) list.push(s);
+  return list;
+}
+
+// Every status any workflow in this guild uses (list filters, dashboard columns).
+export function allStatuses(config){
+  const w = config.workflows || {};
+  const flows = [DEFAULT_WORKFLOW, ...(w.guild ? [w.guild] : []), ...Object.values(w.departments||{})];
+  return [...new Set(flows.flatMap(workflowStatuses))];
+}
+
+export function hasRole(perms, role, task){
+  if(role==='anyone') return true;
+  if(role==='assignee') return isAssignee(perms, task);
+  if(role==='creator') return task.createdById!=null && String(task.createdById)===String(perms.userId);
+  if(role==='manager') return can(perms, 'update-any', task.department ?? null);
+  if(role==='admin') return perms.roles?.has('admin') || false;
+  return can(perms, role, task.department ?? null);
+}
+export function isReviewer(perms, task){ return REVIEWER_ROLES.some(r=>hasRole(perms, r, task)); }
+// Who may try a status change at all: whoever may update the task, plus its reviewers
+// while it waits In Review. The workflow then decides which moves they may make.
+export function canChangeStatus(perms, task){
+  return canActOnTask(perms, 'update-any', task) || (task.status===REVIEW_STATUS && isReviewer(perms, task));
+}
+
+// The moves out of `from` as [{ to, roles }], before checking who is asking.
+function rulesFrom(wf, from){
+  const statuses = workflowStatuses(wf);
+  const explicit = wf.transitions.filter(r=>r.from===from || r.from==='*')
+    .sort((a,b)=>(a.from==='*')-(b.from==='*'));
+  const stranded = SYSTEM_STATUSES.includes(from) || !statuses.includes(from);
+  const free = !wf.transitions.length || (stranded && !explicit.length);
+  let rules = free ? statuses.map(to=>({ to, roles:['anyone'] })) : explicit.map(r=>({ to:r.to, roles:r.roles?.length ? r.roles : ['anyone'] }));
+  rules = rules.filter((r,i)=>r.to!==from && statuses.includes(r.to) && rules.findIndex(x=>x.to===r.to)===i);
+  if(!wf.review) return rules;
+  if(from===REVIEW_STATUS){
+    rules = rules.map(r=>({ to:r.to, roles:REVIEWER_ROLES }));
+    if(!rules.some(r=>r.to==='Done')) rules.push({ to:'Done', roles:REVIEWER_ROLES });
+    if(!rules.some(r=>r.to!=='Done')) rules.push({ to: statuses.includes('In Progress') ? 'In Progress' : 'Pending', roles:REVIEWER_ROLES });
+    return rules;
+  }
+  rules = rules.filter(r=>r.to!=='Done');
+  if(from!=='Done' && !rules.some(r=>r.to===REVIEW_STATUS)) rules.push({ to:REVIEW_STATUS, roles:['anyone'] });
+  return rules;
+}
+
+// The statuses `perms` may move `task` to (every allowed move when perms is null).
+export function nextStatuses(wf, task, perms){
+  return rulesFrom(wf, task.status).filter(r=>!perms || r.roles.some(role=>hasRole(perms, role, task))).map(r=>r.to);
+}
+
+// Where "send back" goes from In Review: the first allowed move that is not Done.
+export function sendBackStatus(wf, task){
+  return rulesFrom(wf, REVIEW_STATUS).find(r=>r.to!=='Done')?.to || 'Pending';
+}
+
+// null when the move is allowed; otherwise { error, code, allowed }.
+export function checkTransition(wf, task, to, perms){
+  if(to===task.status) return null;
+  const allowed = nextStatuses(wf, task, perms);
+  if(allowed.includes(to)) return null;
+  const list = allowed.length ? allowed.join(', ') : 'none';
+  const rule = rulesFrom(wf, task.status).find(r=>r.to===to);
+  if(rule) return { error:`Only ${rule.roles.join(' or ')} may move this task from ${task.status} to ${to}. You can move it to: ${list}`, code:'forbidden', allowed };
+  if(!workflowStatuses(wf).includes(to)) return { error:`Unknown status "${to}". Allowed next: ${list}`, code:'invalid', allowed };
+  return { error:`Cannot move from ${task.status} to ${to}. Allowed next: ${list}`, code:'invalid', allowed };
+}
+
+// ===== Editing =====
+function cleanStatus(s){ return String(s||'').trim().replace(/\s+/g,' '); }
+const isRole = r => WORKFLOW_ROLES.includes(r) || Object.hasOwn(CAPABILITIES, r);
+
+// Validates a workflow built by /workflow; returns { workflow } or { error }.
+export function normalizeWorkflow(input){
+  const statuses = [];
+  for(const raw of input.statuses||[]){
+    const s = cleanStatus(raw);
+    if(!s) continue;
+    if(s.length>MAX_STATUS_LENGTH) return { error:`Status names are at most ${MAX_STATUS_LENGTH} characters: ${s}` };
+    if(s==='*') return { error:'"*" cannot be a status' };
+    if(!statuses.includes(s)) statuses.push(s);
+  }
+  for(const s of REQUIRED_STATUSES) if(!statuses.includes(s)) statuses.splice(s==='Pending' ? 0 : statuses.length, 0, s);
+  if(statuses.length+SYSTEM_STATUSES.length+1>MAX_STATUSES) return { error:`A workflow has at most ${MAX_STATUSES} statuses` };
+  const review = !!input.review;
+  const known = workflowStatuses({ statuses, review });
+  const transitions = [];
+  for(const t of input.transitions||[]){
+    const from = cleanStatus(t.from), to = cleanStatus(t.to);
+    if(from!=='*' && !known.includes(from)) return { error:`Unknown status "${from}". Statuses: ${known.join(', ')}` };
+    if(!known.includes(to)) return { error:`Unknown status "${to}". Statuses: ${known.join(', ')}` };
+    const roles = [...new Set((t.roles||[]).map(r=>String(r).trim().toLowerCase()).filter(Boolean))];
+    const bad = roles.filter(r=>!isRole(r));
+    if(bad.length) return { error:`Unknown role(s): ${bad.join(', ')}. Use ${WORKFLOW_ROLES.join(', ')} or a capability` };
+    const i = transitions.findIndex(x=>x.from===from && x.to===to);
+    if(i>=0) transitions.splice(i, 1);
+    transitions.push({ from, to, roles: roles.length ? roles : ['anyone'] });
+  }
+  return { workflow:{ statuses, transitions, review } };
+}
+
+// One line per rule, for /workflow show.
+export function describeWorkflow(wf){
+  const rules = wf.transitions.length
+    ? wf.transitions.map(t=>`• ${t.from} → ${t.to} (${t.roles.join(', ')})`)
+    : ['• any status → any status (anyone who may update the task)'];
+  return [
+    `Statuses: ${workflowStatuses(wf).join(' · ')}`,
+    `Review gate: ${wf.review ? `on — Done only from ${REVIEW_STATUS}, approved or sent back by the creator or a manager` : 'off'}`,
+    'Transitions:', ...rules
+  ].join('\n');
+}
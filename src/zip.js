@@ -0,0 +1,72 @@
+/* src/zip.js - Minimal ZIP writer (deflate, no ZIP64) for the XLSX export
+   createZip([{ name, data }]) -> Buffer; data is a Buffer or string.
+*/
+
+import zlib from 'zlib';
+
+const CRC_TABLE = Array.from({ length:256 }, (_, n)=>{
+  let c = n;
+  for(let k=0; k<8; k++) c = c & 1 ? 0xEDB88320 ^ (c>>>1) : c>>>1;
+  return c>>>0;
+});
+export function crc32(buf){
+  let c = 0xFFFFFFFF;
+  for(const b of buf) c = CRC_TABLE[(c ^ b) & 0xFF] ^ (c>>>8);
+  return (c ^ 0xFFFFFFFF)>>>0;
+}
+
+function dosDateTime(d){
+  return {
+    time: (d.getHours()<<11) | (d.getMinutes()<<5) | Math.floor(d.getSeconds()/2),
+    date: ((d.getFullYear()-1980)<<9) | ((d.getMonth()+1)<<5) | d.getDate()
+  };
+}
+
+export function createZip(files, now=new Date()){
+  const { time, date } = dosDateTime(now);
+  const locals = [], central = [];
+  let offset = 0;
+  for(const file of files){
+    const name = Buffer.from(file.name, 'utf8');
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(String(file.data), 'utf8');
+    const packed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);          // version needed
+    local.writeUInt16LE(0x0800, 6);      // UTF-8 names
+    local.writeUInt16LE(8, 8);           // deflate
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+    locals.push(local, name, packed);
+
+    const entry = Buffer.alloc(46);
+    entry.writeUInt32LE(0x02014b50, 0);
+    entry.writeUInt16LE(20, 4);          // version made by
+    entry.writeUInt16LE(20, 6);
+    entry.writeUInt16LE(0x0800, 8);
+    entry.writeUInt16LE(8, 10);
+    entry.writeUInt16LE(time, 12);
+    entry.writeUInt16LE(date, 14);
+    entry.writeUInt32LE(crc, 16);
+    entry.writeUInt32LE(packed.length, 20);
+    entry.writeUInt32LE(data.length, 24);
+    entry.writeUInt16LE(name.length, 28);
+    entry.writeUInt32LE(offset, 42);     // extra/comment/disk/attributes stay 0
+    central.push(entry, name);
+    offset += local.length + name.length + packed.length;
+  }
+  const centralSize = central.reduce((n,b)=>n+b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...central, end]);
+}
@@ -0,0 +1,183 @@
+// REST API tests: a real service on a temp data dir, no Discord connection.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import { createTaskService } from '../src/service.js';
+import { createApiRouter, hashToken } from '../src/api.js';
+
+const ADMIN = 'test-admin-token';
+const SCOPED = 'test-scoped-token';
+let dir, server, base, service;
+
+async function call(method, url, { token=ADMIN, body }={}){
+  const res = await fetch(`${base}${url}`, {
+    method,
+    headers: { ...(token ? { authorization:`Bearer ${token}` } : {}), ...(body ? { 'content-type':'application/json' } : {}) },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const text = await res.text();
+  return { status: res.status, body: text ? JSON.parse(text) : null };
+}
+const readDoc = name => JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), 'utf8'));
+
+before(async ()=>{
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zans-api-'));
+  service = await createTaskService({ dir, type:'json' });
+  await service.addDepartment('Design', { members:['u1','u2'], lead:'u1' });
+  await service.addDepartment('Ops', { members:['u3'] });
+  service.config.apiTokens = { ops: { hash: hashToken(SCOPED), grants:['manager'], departments:['Ops'] } };
+  const app = express();
+  app.use('/api/v1', createApiRouter({ service, adminToken: ADMIN }));
+  await new Promise(resolve=>{ server = app.listen(0, resolve); });
+  base = `http://127.0.0.1:${server.address().port}/api/v1`;
+});
+after(async ()=>{
+  await new Promise(resolve=>server.close(resolve));
+  fs.rmSync(dir, { recursive:true, force:true });
+});
+
+test('rejects requests without a valid token', async ()=>{
+  assert.equal((await call('GET', '/tasks', { token:null })).status, 401);
+  assert.equal((await call('GET', '/tasks', { token:'wrong' })).status, 401);
+});
+
+test('serves the OpenAPI description without a token', async ()=>{
+  const { status, body } = await call('GET', '/openapi.json', { token:null });
+  assert.equal(status, 200);
+  assert.equal(body.openapi, '3.0.3');
+  assert.ok(body.paths['/tasks/{id}'].patch);
+});
+
+test('creates a task for a department, logged and saved like /task-assign', async ()=>{
+  const { status, body } = await call('POST', '/tasks', { body:{ title:'Logo', due:'2030-01-15 17:00', timezone:'UTC', department:'Design', priority:'high' } });
+  assert.equal(status, 201);
+  assert.equal(body.title, 'Logo');
+  assert.equal(body.due, '2030-01-15T17:00:00.000Z');
+  assert.deepEqual(body.assignedTo.sort(), ['u1','u2']);
+  assert.equal(body.status, 'Pending');
+  assert.match(body.logs[0].action, /^Assigned by admin \(API\)/);
+  const saved = readDoc('tasks');
+  const stored = Array.isArray(saved.tasks) ? saved.tasks : Object.values(saved.tasks);
+  assert.ok(stored.some(t=>String(t.id)===String(body.id)));
+});
+
+test('validates input with the same rules as the slash commands', async ()=>{
+  assert.equal((await call('POST', '/tasks', { body:{ title:'', assignees:['u1'] } })).status, 400);
+  assert.equal((await call('POST', '/tasks', { body:{ title:'x', due:'whenever', assignees:['u1'] } })).status, 400);
+  assert.equal((await call('POST', '/tasks', { body:{ title:'x', priority:'meh', assignees:['u1'] } })).status, 400);
+  assert.equal((await call('POST', '/tasks', { body:{ title:'x' } })).status, 400);
+  assert.equal((await call('POST', '/tasks', { body:{ title:'x', department:'Nope' } })).status, 400);
+});
+
+test('lists with filters, sorting and paging', async ()=>{
+  await call('POST', '/tasks', { body:{ title:'Rack servers', due:'2030-01-10 09:00', timezone:'UTC', department:'Ops', priority:'urgent' } });
+  await call('POST', '/tasks', { body:{ title:'Solo', assignees:['u9'] } });
+  let { status, body } = await call('GET', '/tasks?department=Ops');
+  assert.equal(status, 200);
+  assert.deepEqual(body.tasks.map(t=>t.title), ['Rack servers']);
+  ({ body } = await call('GET', '/tasks?sort=due'));
+  assert.deepEqual(body.tasks.map(t=>t.title), ['Rack servers','Logo','Solo']);
+  ({ body } = await call('GET', '/tasks?sort=priority&limit=1&offset=1'));
+  assert.equal(body.total, 3);
+  assert.deepEqual(body.tasks.map(t=>t.title), ['Logo']);
+  ({ body } = await call('GET', '/tasks?assignee=u9'));
+  assert.deepEqual(body.tasks.map(t=>t.title), ['Solo']);
+  ({ body } = await call('GET', '/tasks?dueBefore=2030-01-12&timezone=UTC'));
+  assert.deepEqual(body.tasks.map(t=>t.title), ['Rack servers']);
+  assert.equal((await call('GET', '/tasks?sort=random')).status, 400);
+});
+
+test('scoped tokens only see and change their departments', async ()=>{
+  const { body } = await call('GET', '/tasks', { token:SCOPED });
+  assert.deepEqual(body.tasks.map(t=>t.title), ['Rack servers']);
+  const logo = service.getAllTasks().find(t=>t.title==='Logo');
+  assert.equal((await call('GET', `/tasks/${logo.id}`, { token:SCOPED })).status, 403);
+  assert.equal((await call('DELETE', `/tasks/${logo.id}`, { token:SCOPED })).status, 403);
+  assert.equal((await call('POST', '/tasks', { token:SCOPED, body:{ title:'x', department:'Design' } })).status, 403);
+  assert.equal((await call('POST', '/departments', { token:SCOPED, body:{ name:'Sales' } })).status, 403);
+  const created = await call('POST', '/tasks', { token:SCOPED, body:{ title:'Patch kernel', department:'Ops' } });
+  assert.equal(created.status, 201);
+  assert.match(created.body.logs[0].action, /ops \(API\)/);
+});
+
+test('updates fields and status with change log entries', async ()=>{
+  const task = service.getAllTasks().find(t=>t.title==='Logo');
+  const { status, body } = await call('PATCH', `/tasks/${task.id}`, { body:{ title:'New logo', due:'2030-02-01 10:00', timezone:'UTC', status:'In Progress' } });
+  assert.equal(status, 200);
+  assert.equal(body.title, 'New logo');
+  assert.equal(body.status, 'In Progress');
+  const fields = body.logs.filter(l=>l.field).map(l=>l.field);
+  assert.deepEqual(fields, ['title','due','status']);
+  assert.equal(body.logs.find(l=>l.field==='title').by, 'api:admin');
+  assert.equal((await call('PATCH', `/tasks/${task.id}`, { body:{ status:'Sleeping' } })).status, 400);
+  assert.equal((await call('PATCH', `/tasks/${task.id}`, { body:{ department:'Nope' } })).status, 404);
+  assert.equal((await call('PATCH', '/tasks/123', { body:{ title:'x' } })).status, 404);
+});
+
+test('a refused status change saves none of the other edits', async ()=>{
+  const task = service.getAllTasks().find(t=>t.title==='New logo');
+  await service.updateWorkflow('Design', draft=>{ draft.review = true; });
+  try{
+    const before = JSON.stringify(task);
+    const { status, body } = await call('PATCH', `/tasks/${task.id}`, { body:{ title:'Skip the review', due:'2030-03-01 10:00', timezone:'UTC', status:'Done' } });
+    assert.equal(status, 400);
+    assert.match(body.error, /In Review/);
+    assert.equal(JSON.stringify(service.findTaskById(task.id)), before);
+    assert.ok(!fs.readFileSync(path.join(dir, 'tasks.json'), 'utf8').includes('Skip the review'));
+  } finally { await service.updateWorkflow('Design', null); }
+});
+
+test('adds and removes assignees', async ()=>{
+  const task = service.getAllTasks().find(t=>t.title==='Solo');
+  let { status, body } = await call('POST', `/tasks/${task.id}/assignees`, { body:{ add:['u4'], department:'Ops' } });
+  assert.equal(status, 200);
+  assert.deepEqual(body.assignedTo.sort(), ['u3','u4','u9']);
+  ({ body } = await call('POST', `/tasks/${task.id}/assignees`, { body:{ remove:['u9'] } }));
+  assert.deepEqual(body.assignedTo.sort(), ['u3','u4']);
+  assert.ok(body.logs.some(l=>l.action==='Assignees removed by admin (API)'));
+  assert.equal((await call('POST', `/tasks/${task.id}/assignees`, { body:{} })).status, 400);
+});
+
+test('deletes tasks', async ()=>{
+  const task = service.getAllTasks().find(t=>t.title==='Solo');
+  assert.equal((await call('DELETE', `/tasks/${task.id}`)).status, 204);
+  assert.equal((await call('GET', `/tasks/${task.id}`)).status, 404);
+  assert.equal(service.findTaskById(task.id), null);
+});
+
+test('manages departments', async ()=>{
+  let { status, body } = await call('POST', '/departments', { body:{ name:'Sales', members:['u5'], lead:'u6' } });
+  assert.equal(status, 201);
+  assert.deepEqual(body, { name:'Sales', members:['u5','u6'], lead:'u6', openTasks:0 });
+  assert.equal((await call('POST', '/departments', { body:{ name:'Sales' } })).status, 409);
+  ({ status, body } = await call('PATCH', '/departments/Design', { body:{ name:'Brand', addMembers:['u7'], updateTasks:true, lead:null } }));
+  assert.equal(status, 200);
+  assert.equal(body.name, 'Brand');
+  assert.equal(body.lead, null);
+  const logo = service.getAllTasks().find(t=>t.title==='New logo');
+  assert.equal(logo.department, 'Brand');
+  assert.ok(logo.assignedTo.includes('u7'));
+  assert.equal((await call('PATCH', '/departments/Brand', { body:{ name:'Ops' } })).status, 409);
+  ({ status, body } = await call('DELETE', '/departments/Brand?openTasks=reassign&toDepartment=Sales'));
+  assert.equal(status, 200);
+  assert.deepEqual(body.openTasks, [logo.id]);
+  assert.equal(logo.department, 'Sales');
+  ({ body } = await call('GET', '/departments'));
+  assert.deepEqual(body.map(d=>d.name).sort(), ['Ops','Sales']);
+  assert.ok(readDoc('departments').Sales);
+});
+
+test('manages managers', async ()=>{
+  let { status } = await call('PUT', '/managers/u8', { body:{ departments:['Ops'] } });
+  assert.equal(status, 200);
+  let { body } = await call('GET', '/managers');
+  assert.deepEqual(body.users, [{ id:'u8', departments:['Ops'] }]);
+  assert.equal((await call('PUT', '/managers/u8', { body:{ departments:['Nope'] } })).status, 400);
+  assert.equal((await call('PUT', '/managers/u9', { token:SCOPED, body:{} })).status, 403);
+  assert.equal((await call('DELETE', '/managers/u8')).status, 204);
+  assert.equal((await call('DELETE', '/managers/u8')).status, 404);
+  assert.deepEqual(readDoc('managers'), {});
+});
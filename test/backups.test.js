@@ -0,0 +1,126 @@
+// /backup list, diff and restore (src/backups.js), /undo, and the local git backup mirror.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { mirrorToGit } from '../src/storage/backup.js';
+import { createHarness, text } from './harness.js';
+
+const BOB = '100000000000000002';
+const tick = () => new Promise(r=>setTimeout(r, 5)); // backup IDs are millisecond stamps
+
+let h;
+before(async ()=>{ h = await createHarness(); });
+after(()=>h.close());
+
+const newest = () => h.service.getAllTasks().at(-1);
+
+test('/undo brings back a deleted task and removed assignees, once and only shortly after', async ()=>{
+  await h.run('task-assign', { options:{ title:'Keep me', users:BOB } });
+  const id = String(newest().id);
+  const [deleted] = await h.run('task-delete', { options:{ id } });
+  assert.match(text(deleted), /\/undo/);
+  assert.equal(h.service.findTaskById(id), null);
+
+  const [nothing] = await h.run('undo', { user:BOB });
+  assert.match(text(nothing), /Nothing to undo/);
+  const [undone] = await h.run('undo');
+  assert.match(text(undone), /Undone: deletion of “Keep me”/);
+  const task = h.service.findTaskById(id);
+  assert.deepEqual(task.assignedTo, [BOB]);
+  assert.match(task.logs.at(-1).action, /Undone by admin/);
+  assert.match(text((await h.run('undo'))[0]), /Nothing to undo/);
+
+  await h.run('task-remove-assignee', { options:{ id, users:BOB } });
+  await h.run('task-edit', { options:{ id, title:'Kept' } });
+  const [conflict] = await h.run('undo');
+  assert.match(text(conflict), /changed since/);
+  assert.deepEqual(h.service.findTaskById(id).assignedTo, []);
+
+  await h.run('task-add-assignee', { options:{ id, users:BOB } });
+  await h.run('task-remove-assignee', { options:{ id, users:BOB } });
+  h.advance(6*60*1000);
+  assert.match(text((await h.run('undo'))[0]), /Nothing to undo/);
+  h.advance(-6*60*1000);
+});
+
+test('/backup diff and restore, with a safety backup to go back', async ()=>{
+  await h.run('task-assign', { options:{ title:'Before', users:BOB } });
+  const before = String(newest().id);
+  await tick();
+  const [list] = await h.run('backup', { sub:'list' });
+  const id = text(list).match(/`([^`]+)`/)[1];
+  assert.match(text(list), /tasks\.json/);
+  assert.match(text((await h.run('backup', { user:BOB, sub:'list' }))[0]), /manage-backups/);
+
+  await h.run('task-delete', { options:{ id:before } });
+  await h.run('department-add', { options:{ name:'Later' } });
+  h.advance(1000); // task IDs come from the clock
+  await h.run('task-assign', { options:{ title:'After', users:BOB } });
+  const later = String(newest().id);
+  await tick();
+
+  const [diff] = await h.run('backup', { sub:'diff', options:{ id } });
+  assert.match(text(diff), /Tasks brought back\*\* \(1\)\n➕ “Before”/);
+  assert.match(text(diff), /Tasks removed \(created since\)\*\* \(1\)\n➖ “After”/);
+  assert.match(text(diff), /Settings that differ:\*\* departments/);
+  const [dry] = await h.run('backup', { sub:'restore', options:{ id } });
+  assert.match(text(dry), /confirm:True/);
+  assert.ok(h.service.findTaskById(later));
+
+  const departments = h.service.departments;
+  const [restored] = await h.run('backup', { sub:'restore', options:{ id, confirm:true } });
+  assert.match(text(restored), /Restored backup/);
+  assert.ok(h.service.findTaskById(before));
+  assert.equal(h.service.findTaskById(later), null);
+  assert.equal(h.service.departments, departments);
+  assert.equal(departments.Later, undefined);
+
+  const safety = text(restored).match(/in backup `([^`]+)`/)[1];
+  await tick();
+  await h.run('backup', { sub:'restore', options:{ id:safety, confirm:true } });
+  assert.ok(h.service.findTaskById(later));
+  assert.ok(departments.Later);
+  assert.match(text((await h.run('backup', { sub:'diff', options:{ id:'2000-01-01T00-00-00-000Z' } }))[0]), /No backup/);
+});
+
+test('restoring a point whose tasks backup was pruned keeps the tasks', async ()=>{
+  const own = await createHarness();
+  try{
+    own.service.config.backupRetention = 3;
+    for(let i=0; i<6; i++){ own.advance(1000); await own.run('task-create', { options:{ title:`Task ${i}` } }); await tick(); }
+    const oldest = own.service.listBackups().at(-1);
+    assert.ok(!oldest.files.includes('tasks.json'));
+    const [diff] = await own.run('backup', { sub:'diff', options:{ id:oldest.id } });
+    assert.doesNotMatch(text(diff), /Tasks/);
+    assert.match(text(diff), /left as they are: tasks/);
+    const [restored] = await own.run('backup', { sub:'restore', options:{ id:oldest.id, confirm:true } });
+    assert.equal(own.service.getAllTasks().length, 6);
+
+    // The safety backup is pinned, so later writes do not prune it.
+    const safety = text(restored).match(/in backup `([^`]+)`/)[1];
+    for(let i=0; i<5; i++){ own.advance(1000); await own.run('task-create', { options:{ title:`More ${i}` } }); await tick(); }
+    const kept = own.service.listBackups().find(b=>b.id===safety);
+    assert.ok(kept?.pinned);
+    assert.ok(kept.files.includes('tasks.json'));
+    assert.match(text((await own.run('backup', { sub:'list' }))[0]), new RegExp(`📌 \`${safety}\``));
+  } finally { own.close(); }
+});
+
+test('backed-up files are committed to a local git repository', ()=>{
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zans-git-'));
+  try{
+    const repo = path.join(dir, 'repo'), file = path.join(dir, 'tasks.json');
+    fs.writeFileSync(file, '{"a":1}');
+    mirrorToGit(file, repo);
+    mirrorToGit(file, repo); // unchanged: no new commit
+    fs.writeFileSync(file, '{"a":2}');
+    mirrorToGit(file, repo);
+    const log = execFileSync('git', ['-C', repo, 'log', '--format=%s'], { encoding:'utf8' }).trim().split('\n');
+    assert.equal(log.length, 2);
+    assert.match(log[0], /^Backup tasks\.json @/);
+    assert.equal(fs.readFileSync(path.join(repo, 'tasks.json'), 'utf8'), '{"a":2}');
+  } finally { fs.rmSync(dir, { recursive:true, force:true }); }
+});
@@ -0,0 +1,174 @@
+// Slash commands end to end: fake interactions (test/harness.js) against a temp data dir.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { createHarness, text } from './harness.js';
+import { COMMANDS, commandData } from '../src/commands/index.js';
+import { editModal } from '../src/cards.js';
+import { MAX_TITLE_LENGTH } from '../src/task-query.js';
+
+const BOB = '100000000000000002';
+let h;
+before(async ()=>{ h = await createHarness({ now:'2030-03-01T12:00:00Z' }); });
+after(()=>h.close());
+
+const readTasks = ()=>Object.values(JSON.parse(fs.readFileSync(path.join(h.dir, 'tasks.json'), 'utf8')).tasks);
+
+test('/task-create saves a task stamped with the injected clock', async ()=>{
+  const [reply] = await h.run('task-create', { user:BOB, options:{ title:'Write tests', due:'2030-03-05 17:00', priority:'high' } });
+  assert.match(text(reply), /^✅ Task created: \*\*Write tests\*\*/);
+  const [task] = h.service.getAllTasks();
+  assert.equal(task.id, Date.parse('2030-03-01T12:00:00Z'));
+  assert.equal(task.createdAt, '2030-03-01T12:00:00.000Z');
+  assert.equal(task.due, '2030-03-05T17:00:00.000Z');
+  assert.deepEqual(task.assignedTo, [BOB]);
+  assert.ok(readTasks().some(t=>t.title==='Write tests'), 'written to tasks.json');
+
+  const [bad] = await h.run('task-create', { options:{ title:'Never', due:'not a date' } });
+  assert.match(text(bad), /^⚠️/);
+});
+
+test('/task-edit records field changes that /task-history shows', async ()=>{
+  const [task] = h.service.getAllTasks();
+  h.advance(60*60*1000);
+  const [edited] = await h.run('task-edit', { user:BOB, options:{ id:task.id, title:'Write more tests' } });
+  assert.equal(text(edited), '✏️ Updated title');
+  const entry = h.service.findTaskById(task.id).logs.at(-1);
+  assert.equal(entry.date, '2030-03-01T13:00:00.000Z');
+
+  const [history] = await h.run('task-history', { user:BOB, options:{ id:task.id } });
+  assert.match(text(history), /History of \*\*Write more tests\*\*/);
+  assert.match(text(history), /Write tests/);
+});
+
+test('the edit dialog takes titles as long as the service allows', ()=>{
+  const title = 'x'.repeat(MAX_TITLE_LENGTH);
+  const field = editModal({ id:1, title }).toJSON().components[0].components[0];
+  assert.equal(field.max_length, MAX_TITLE_LENGTH);
+  assert.equal(field.value, title);
+});
+
+test('/task-list shows the caller only what they may see', async ()=>{
+  await h.run('task-create', { options:{ title:'Admin only' } });
+  const [mine] = await h.run('task-list', { user:BOB });
+  assert.match(text(mine), /Write more tests/);
+  assert.doesNotMatch(text(mine), /Admin only/);
+  const [all] = await h.run('task-list');
+  assert.match(text(all), /Admin only/);
+  assert.match(text(all), /Write more tests/);
+});
+
+test('/task-delete removes the task from storage', async ()=>{
+  const task = h.service.getAllTasks().find(t=>t.title==='Admin only');
+  const [denied] = await h.run('task-delete', { user:BOB, options:{ id:task.id } });
+  assert.equal(text(denied), '❌ You are not assigned to this task');
+  const [reply] = await h.run('task-delete', { options:{ id:task.id } });
+  assert.equal(text(reply), '🗑️ Deleted: Admin only — /undo brings it back');
+  assert.equal(h.service.findTaskById(task.id), null);
+  assert.ok(!readTasks().some(t=>t.id===task.id));
+});
+
+test('/task-depends only links blockers the caller may see', async ()=>{
+  h.advance(1000); // task IDs come from the clock
+  await h.run('task-create', { options:{ title:'Secret plan' } });
+  const secret = h.service.getAllTasks().at(-1);
+  h.advance(1000);
+  await h.run('task-create', { user:BOB, options:{ title:'Waits on something' } });
+  const task = h.service.getAllTasks().at(-1);
+  const [hidden] = await h.run('task-depends', { user:BOB, options:{ action:'add', id:task.id, blocker:secret.id } });
+  assert.equal(text(hidden), 'Blocking task not found');
+  assert.ok(!task.blockedBy?.length);
+
+  const own = h.service.getAllTasks().find(t=>t.title==='Write more tests');
+  const [linked] = await h.run('task-depends', { user:BOB, options:{ action:'add', id:task.id, blocker:own.id } });
+  assert.match(text(linked), /now waits on Write more tests/);
+  assert.deepEqual(task.blockedBy, [own.id]);
+});
+
+test('unknown commands are ignored and missing tasks are reported', async ()=>{
+  assert.deepEqual(await h.run('no-such-command'), []);
+  const [reply] = await h.run('task-update', { options:{ id:12345, status:'Done' } });
+  assert.equal(text(reply), 'Task not found');
+});
+
+test('/help lists every registered command and explains one in detail', async ()=>{
+  const replies = await h.run('help', { user:BOB });
+  const all = replies.map(text).join('\n');
+  for(const command of COMMANDS) assert.ok(all.includes(`/${command.data.name} — `), `/${command.data.name} listed`);
+  assert.match(all, /\/task-add-assignee — .* 🔒/, 'marks commands bob may not run');
+  assert.ok(replies.every(r=>text(r).length<=2000));
+
+  const [detail] = await h.run('help', { options:{ command:'task-update' } });
+  assert.match(text(detail), /• status \(required\): New status \(suggestions as you type\)/);
+  const [suggestions] = await h.run('help', { focused:'command', options:{ command:'assignee' } });
+  assert.deepEqual(suggestions.map(s=>s.value), ['task-add-assignee', 'task-remove-assignee']);
+});
+
+test('the registry checks a command\'s permission before running it', async ()=>{
+  const names = commandData().map(c=>c.name);
+  assert.equal(new Set(names).size, names.length);
+  const [reply] = await h.run('manager-add', { user:BOB, options:{ users:BOB } });
+  assert.equal(text(reply), '❌ Missing permission: manage-managers');
+});
+
+test('autocomplete suggests tasks the caller may act on, departments and statuses', async ()=>{
+  await h.run('department-add', { options:{ name:'Design' } });
+  await h.run('department-add', { options:{ name:'Research' } });
+  await h.run('task-assign', { options:{ title:'Draft the brochure', users:BOB } });
+  await h.run('task-create', { options:{ title:'Draft the budget' } });
+  const brochure = h.service.getAllTasks().find(t=>t.title==='Draft the brochure');
+
+  const [forBob] = await h.run('task-update', { user:BOB, focused:'id', options:{ id:'brochure' } });
+  assert.equal(forBob[0].value, String(brochure.id));
+  assert.match(forBob[0].name, /^Draft the brochure — Pending \(ID:\d+\)$/);
+  assert.ok(!forBob.some(c=>c.name.startsWith('Draft the budget')), 'not bob\'s task');
+  const [forAdmin] = await h.run('task-delete', { focused:'id', options:{ id:'draft' } });
+  assert.ok(forAdmin.some(c=>c.name.startsWith('Draft the budget')));
+  const [byId] = await h.run('task-history', { focused:'id', options:{ id:String(brochure.id) } });
+  assert.equal(byId[0].value, String(brochure.id));
+
+  const [depts] = await h.run('task-list', { focused:'department', options:{ department:'re' } });
+  assert.deepEqual(depts, [{ name:'Research', value:'Research' }]);
+  const [statuses] = await h.run('task-update', { focused:'status', options:{ id:String(brochure.id), status:'' } });
+  assert.deepEqual(statuses.map(c=>c.value), ['In Progress', 'Done', 'Blocked', 'Overdue']);
+
+  const [done] = await h.run('task-update', { user:BOB, options:{ id:String(brochure.id), status:'Done' } });
+  assert.match(text(done), /Draft the brochure -> Done/);
+});
+
+test('/task-comment stores the thread, DMs mentions and assignees, and feeds search and exports', async ()=>{
+  const CAROL = '100000000000000003';
+  await h.run('task-assign', { options:{ title:'Print the flyers', users:BOB } });
+  const task = h.service.getAllTasks().find(t=>t.title==='Print the flyers');
+  const id = String(task.id);
+  h.dms.length = 0;
+
+  const file = { name:'proof.pdf', url:'https://cdn.discordapp.com/attachments/1/2/proof.pdf', contentType:'application/pdf', size:1200 };
+  const [added] = await h.run('task-comment', { user:BOB, options:{ id, text:`<@${CAROL}> can you check the bleed margins?`, attachment:file } });
+  assert.match(text(added), /Comment added — notified <@100000000000000003>/);
+  await h.run('task-comment', { options:{ id, text:'Looks fine to me' } });
+  await new Promise(resolve=>setImmediate(resolve));
+  assert.deepEqual(task.comments.map(c=>[c.by, c.text, c.mentions, c.attachments.length]), [
+    [BOB, `<@${CAROL}> can you check the bleed margins?`, [CAROL], 1], ['100000000000000001', 'Looks fine to me', [], 0]
+  ]);
+  assert.deepEqual(h.dms.map(m=>[m.userId, m.content.split(':')[0]]), [
+    [CAROL, '💬 bob mentioned you on **Print the flyers** (ID'], [BOB, '💬 admin commented on **Print the flyers** (ID']
+  ]);
+  assert.equal(readTasks().find(t=>t.id===task.id).comments.length, 2);
+
+  const [thread] = await h.run('task-comment', { user:BOB, options:{ id } });
+  assert.match(text(thread), /\*\*bob\*\* <t:\d+:R>: .*bleed margins\? 📎 \[proof\.pdf\]\(https:/);
+  const [empty] = await h.run('task-comment', { user:BOB, options:{ id, text:'   ' } });
+  assert.match(text(empty), /Comments on \*\*Print the flyers\*\*/);
+  const [hidden] = await h.run('task-comment', { user:CAROL, options:{ id, text:'hi' } });
+  assert.equal(text(hidden), '❌ You are not assigned to this task');
+
+  const [found] = await h.run('task-search', { options:{ q:'bleed margins' } });
+  assert.match(text(found), /Print the flyers/);
+  const [json] = await h.run('export', { options:{ format:'json', assignee:BOB } });
+  const exported = JSON.parse(json.files[0].attachment.toString('utf8')).find(t=>t.id===task.id);
+  assert.equal(exported.comments[1].byName, 'admin');
+  const [html] = await h.run('export', { options:{ format:'html', assignee:BOB } });
+  assert.match(html.files[0].attachment.toString('utf8'), /<a href="https:\/\/cdn\.discordapp\.com\/attachments\/1\/2\/proof\.pdf">📎 proof\.pdf<\/a>/);
+});
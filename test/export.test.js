@@ -0,0 +1,99 @@
+// Export writers (src/export.js): escaping, name substitution and the /export command.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { tasksToCSV, tasksToHTML, tasksToMarkdown, tasksToICS, renderExport, exportUserIds } from '../src/export.js';
+import { createHarness, ADMIN, text } from './harness.js';
+
+const BOB = '100000000000000002';
+const nasty = {
+  id:1, title:'Quote "this", then <b>bold</b>', description:'line one\nline two, with comma',
+  due:'2030-01-02T10:00:00.000Z', status:'Pending', priority:'high', createdBy:'alice_before', createdById:'u1', assignedTo:['u1', 'u2'],
+  department:'R&D', logs:[{ date:'2030-01-01T00:00:00.000Z', action:'Created <script>alert(1)</script>' }]
+};
+const ctx = { names:new Map([['u1', 'alice'], ['u2', 'o\'brien']]), zone:'UTC' };
+
+// Minimal RFC 4180 reader, enough to check the round trip.
+function parseCSV(s){
+  const rows = [[]]; let field = '', quoted = false;
+  for(let i=0; i<s.length; i++){
+    const c = s[i];
+    if(quoted){
+      if(c==='"' && s[i+1]==='"'){ field += '"'; i++; }
+      else if(c==='"') quoted = false;
+      else field += c;
+    } else if(c==='"') quoted = true;
+    else if(c===','){ rows.at(-1).push(field); field = ''; }
+    else if(c==='\n'){ rows.at(-1).push(field); field = ''; rows.push([]); }
+    else field += c;
+  }
+  rows.at(-1).push(field);
+  return rows;
+}
+
+test('CSV quotes commas, quotes and newlines and round-trips', ()=>{
+  const csv = tasksToCSV([nasty], ctx);
+  assert.ok(csv.includes('"Quote ""this"", then <b>bold</b>"'));
+  const [header, row] = parseCSV(csv);
+  assert.equal(row.length, header.length);
+  const get = name => row[header.indexOf(name)];
+  assert.equal(get('title'), nasty.title);
+  assert.equal(get('description'), nasty.description);
+  assert.equal(get('assignedTo'), "alice;o'brien");
+  assert.equal(get('createdBy'), 'alice');
+  assert.equal(get('department'), 'R&D');
+});
+
+test('creators are looked up by ID; older tasks show the stored username', ()=>{
+  const older = { ...nasty, id:2, createdBy:'carol', createdById:undefined };
+  assert.deepEqual(exportUserIds([nasty, older]), ['u1', 'u2']);
+  const [header, , row] = parseCSV(tasksToCSV([nasty, older], ctx));
+  assert.equal(row[header.indexOf('createdBy')], 'carol');
+});
+
+test('HTML escapes every user-supplied field', ()=>{
+  const html = tasksToHTML([nasty], { ...ctx, title:'Export <x>', summary:'a & b' });
+  assert.ok(!html.includes('<script>'));
+  assert.ok(!html.includes('<b>bold'));
+  assert.ok(html.includes('Quote &quot;this&quot;, then &lt;b&gt;bold&lt;/b&gt;'));
+  assert.ok(html.includes('Created &lt;script&gt;alert(1)&lt;/script&gt;'));
+  assert.ok(html.includes('R&amp;D'));
+  assert.ok(html.includes('o&#39;brien'));
+  assert.ok(html.includes('<title>Export &lt;x&gt;</title>'));
+  assert.ok(html.includes('<p>a &amp; b</p>'));
+});
+
+test('Markdown and iCalendar escape their own special characters', ()=>{
+  const md = tasksToMarkdown([{ ...nasty, title:'a | b' }], ctx);
+  assert.ok(md.includes('a \\| b'));
+  const ics = tasksToICS([{ ...nasty, title:'a, b; c' }], ctx, new Date('2030-01-01T00:00:00Z'));
+  assert.ok(ics.includes('SUMMARY:a\\, b\\; c'));
+  assert.ok(ics.includes('UID:task-1@zans-task-manager'));
+  assert.ok(ics.split('\r\n').every(line=>Buffer.byteLength(line)<=75));
+});
+
+test('renderExport returns a Buffer and rejects unknown formats', ()=>{
+  assert.ok(Buffer.isBuffer(renderExport('csv', [nasty], ctx)));
+  const xlsx = renderExport('xlsx', [nasty], ctx);
+  assert.equal(xlsx.readUInt32LE(0), 0x04034b50, 'a ZIP archive');
+  assert.throws(()=>renderExport('pdf', [nasty], ctx));
+});
+
+// ===== /export through the bot =====
+let h;
+before(async ()=>{ h = await createHarness(); });
+after(()=>h.close());
+
+test('/export attaches the filtered tasks with usernames', async ()=>{
+  await h.run('task-assign', { options:{ title:'For bob, "urgent"', users:BOB } });
+  await h.run('task-assign', { options:{ title:'Mine', users:ADMIN } });
+  const [reply] = await h.run('export', { options:{ format:'csv', assignee:BOB } });
+  assert.match(text(reply), /^📤 Export \(csv, 1 task\)/);
+  const csv = reply.files[0].attachment.toString('utf8');
+  const [header, row] = parseCSV(csv);
+  assert.equal(row[header.indexOf('title')], 'For bob, "urgent"');
+  assert.equal(row[header.indexOf('assignedTo')], 'bob');
+  assert.equal(reply.files[0].name, `tasks-${h.now().getTime()}.csv`);
+
+  const [none] = await h.run('export', { user:BOB, options:{ format:'ics' } });
+  assert.equal(text(none), 'None of these tasks has a due date, so the calendar would be empty');
+});
@@ -0,0 +1,121 @@
+// Multi-guild partitions (src/guilds.js): isolation, command deploys and the legacy data move.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createGuilds, guildDir } from '../src/guilds.js';
+import { createTaskService } from '../src/service.js';
+import { ADMIN, createClient, createInteraction, text } from './harness.js';
+
+const G1 = '200000000000000001', G2 = '200000000000000002', G3 = '200000000000000003';
+
+function setup(guildIds, options={}){
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zans-guilds-'));
+  const deployed = [];
+  const guild = id => ({ id, commands:{ set: async data=>{ deployed.push({ id, count:data.length }); } } });
+  const client = createClient();
+  client.guilds.cache = new Map(guildIds.map(id=>[id, guild(id)]));
+  const make = (opts={}) => createGuilds({ dir, client, adminIds:[ADMIN], defaultGuildId:null, deployCommands:true, now:()=>new Date('2030-01-01T09:00:00Z'), ...options, ...opts });
+  const guilds = make();
+  async function run(guildId, commandName, args={}){
+    const replies = [];
+    await guilds.handleInteraction(createInteraction(commandName, { ...args, guildId }, replies));
+    return replies;
+  }
+  return { dir, client, deployed, guild, guilds, make, run, cleanup(){ guilds.close(); fs.rmSync(dir, { recursive:true, force:true }); } };
+}
+
+test('each guild keeps its own tasks, departments and managers', async ()=>{
+  const s = setup([G1, G2]);
+  try{
+    await s.guilds.onReady();
+    assert.deepEqual(s.deployed.map(d=>d.id), [G1, G2]);
+    assert.ok(s.deployed[0].count > 10);
+
+    await s.run(G1, 'department-add', { options:{ name:'Ops' } });
+    await s.run(G1, 'task-assign', { options:{ title:'Only in one', users:ADMIN, department:'Ops' } });
+    await s.run(G2, 'task-assign', { options:{ title:'Only in two', users:ADMIN } });
+    const one = (await s.guilds.get(G1)).service, two = (await s.guilds.get(G2)).service;
+    assert.deepEqual(one.getAllTasks().map(t=>t.title), ['Only in one']);
+    assert.deepEqual(two.getAllTasks().map(t=>t.title), ['Only in two']);
+    assert.ok(one.departments.Ops);
+    assert.equal(two.departments.Ops, undefined);
+    // Both got ID 1: IDs are per guild too.
+    assert.equal(one.getAllTasks()[0].id, two.getAllTasks()[0].id);
+    assert.ok(fs.existsSync(path.join(guildDir(s.dir, G1), 'departments.json')));
+
+    const [missing] = await s.run(G2, 'department-edit', { options:{ name:'Ops', action:'rename', new_name:'Dev' } });
+    assert.match(text(missing), /not found|Unknown/i);
+
+    const [dm] = await s.run(null, 'task-list');
+    assert.match(text(dm), /inside a server/);
+
+    await s.guilds.onGuildCreate(s.guild(G3));
+    assert.equal(s.deployed.at(-1).id, G3);
+    assert.ok(fs.existsSync(guildDir(s.dir, G3)));
+  } finally { s.cleanup(); }
+});
+
+test('data from a single-server install moves into the original guild', async ()=>{
+  const s = setup([G1, G2]);
+  try{
+    const legacy = await createTaskService({ dir:s.dir });
+    const actor = { id:ADMIN, username:'admin' };
+    await legacy.createTask(legacy.prepareTask({ title:'From before' }, actor), actor);
+
+    // Two servers and no GUILD_ID: nothing moves and commands are refused.
+    await s.guilds.onReady();
+    assert.equal(s.guilds.migrationPending, true);
+    assert.equal(s.deployed.length, 0);
+    const [refused] = await s.run(G1, 'task-list');
+    assert.match(text(refused), /GUILD_ID/);
+    assert.ok(fs.existsSync(path.join(s.dir, 'tasks.json')));
+    assert.equal(fs.existsSync(path.join(s.dir, 'guilds')), false);
+    s.guilds.close();
+
+    const restarted = s.make({ defaultGuildId:G2 });
+    try{
+      await restarted.onReady();
+      assert.equal(restarted.migrationPending, false);
+      assert.equal(fs.existsSync(path.join(s.dir, 'tasks.json')), false);
+      assert.deepEqual((await restarted.get(G2)).service.getAllTasks().map(t=>t.title), ['From before']);
+      assert.deepEqual((await restarted.get(G1)).service.getAllTasks(), []);
+    } finally { restarted.close(); }
+  } finally { s.cleanup(); }
+});
+
+test('legacy files that come back after the move do not block the bot again', async ()=>{
+  const s = setup([G1, G2], { defaultGuildId:G1 });
+  try{
+    const legacy = await createTaskService({ dir:s.dir });
+    const actor = { id:ADMIN, username:'admin' };
+    await legacy.createTask(legacy.prepareTask({ title:'Moved' }, actor), actor);
+    const tracked = fs.readFileSync(path.join(s.dir, 'tasks.json'));
+    await s.guilds.onReady();
+    assert.equal(s.guilds.migrationPending, false);
+    s.guilds.close();
+
+    // e.g. `git pull` restores the tracked tasks.json
+    fs.writeFileSync(path.join(s.dir, 'tasks.json'), tracked);
+    const restarted = s.make({ defaultGuildId:G1 });
+    try{
+      await restarted.onReady();
+      assert.equal(restarted.migrationPending, false);
+      const replies = [];
+      await restarted.handleInteraction(createInteraction('task-list', { guildId:G1 }, replies));
+      assert.doesNotMatch(text(replies[0]), /GUILD_ID/);
+      assert.deepEqual((await restarted.get(G1)).service.getAllTasks().map(t=>t.title), ['Moved']);
+    } finally { restarted.close(); }
+  } finally { s.cleanup(); }
+});
+
+test('empty data files from a fresh install are not waiting to move', async ()=>{
+  const s = setup([G1, G2]);
+  try{
+    for(const name of ['tasks', 'config', 'departments', 'managers']) fs.writeFileSync(path.join(s.dir, `${name}.json`), '{}');
+    await s.guilds.onReady();
+    assert.equal(s.guilds.migrationPending, false);
+    assert.deepEqual(s.deployed.map(d=>d.id), [G1, G2]);
+  } finally { s.cleanup(); }
+});
@@ -0,0 +1,90 @@
+// Fake Discord client and interactions for driving src/bot.js in tests.
+// createHarness() builds a real task service on a temp data dir with a fake clock;
+// run('task-assign', { user, options }) invokes a slash command and returns its replies.
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createTaskService } from '../src/service.js';
+import { createBot } from '../src/bot.js';
+
+export const ADMIN = '100000000000000001';
+export const USERS = { [ADMIN]:'admin', '100000000000000002':'bob', '100000000000000003':'carol' };
+
+// Mentionable options: pass a user ID, or { role:{ id, name } }.
+function mentionable(value){
+  if(value==null) return null;
+  if(value.role) return value.role;
+  return { id:String(value), username: USERS[value] || String(value) };
+}
+
+// A client whose DMs and channel posts land in `dms` and `posts`.
+export function createClient({ dms=[], posts=[], closedDMs=new Set() }={}){
+  return {
+    users: { fetch: async id=>{
+      if(!USERS[id]) throw new Error(`Unknown user ${id}`);
+      return { id, username: USERS[id], send: async msg=>{
+        if(closedDMs.has(id)) throw new Error('Cannot send messages to this user');
+        dms.push({ userId:id, content: msg?.content ?? msg });
+      } };
+    } },
+    channels: { fetch: async id=>({ id, isTextBased: ()=>true, send: async msg=>{ posts.push({ channelId:id, content: msg?.content ?? msg }); } }) },
+    guilds: { cache: new Map() }
+  };
+}
+
+// A slash command (or, with `focused`, autocomplete) interaction; replies are pushed to `replies`.
+export function createInteraction(commandName, { user=ADMIN, sub=null, options={}, roles=[], admin=false, guildOwner='0', focused=null, guildId='guild-1' }={}, replies=[]){
+  const get = name => options[name] ?? null;
+  const interaction = {
+    commandName, guildId, replied:false, deferred:false,
+    user: { id:user, username: USERS[user] || user },
+    member: { roles }, guild: { ownerId: guildOwner }, memberPermissions: { has: ()=>admin },
+    isChatInputCommand: ()=>!focused, isAutocomplete: ()=>!!focused, isMessageComponent: ()=>false, isModalSubmit: ()=>false,
+    options: {
+      getString: get, getInteger: get, getNumber: get, getBoolean: get, getChannel: get, getAttachment: get,
+      getUser: name => options[name] ? { id:String(options[name]), username: USERS[options[name]] } : null,
+      getMentionable: name => mentionable(options[name]),
+      get: name => { const m = mentionable(options[name]); return m && (options[name].role ? { role:m } : { user:m }); },
+      getSubcommand: ()=>sub,
+      getFocused: full => full ? { name:focused, value: options[focused] ?? '' } : options[focused] ?? ''
+    },
+    async reply(r){ replies.push(r); interaction.replied = true; },
+    async deferReply(){ interaction.deferred = true; },
+    async editReply(r){ replies.push(r); },
+    async followUp(r){ replies.push(r); },
+    async respond(choices){ replies.push(choices); }
+  };
+  return interaction;
+}
+
+export async function createHarness({ now='2030-01-01T09:00:00Z', adminIds=[ADMIN], type='json' }={}){
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zans-bot-'));
+  let current = new Date(now).getTime();
+  const clock = ()=>new Date(current);
+  const service = await createTaskService({ dir, type, clock });
+
+  const dms = [], posts = [];
+  const closedDMs = new Set(); // user IDs whose DMs fail, to exercise the channel fallback
+  const client = createClient({ dms, posts, closedDMs });
+  const bot = createBot({ service, client, adminIds, now: clock, publicUrl:'http://localhost:3000' });
+
+  // Runs one slash command as `user`; resolves with everything the bot replied.
+  // With `focused` (an option name) it is an autocomplete request instead and
+  // resolves with the suggestion lists the bot responded with.
+  async function run(commandName, args={}){
+    const replies = [];
+    await bot.handleInteraction(createInteraction(commandName, args, replies));
+    return replies;
+  }
+
+  return {
+    dir, service, bot, client, dms, posts, closedDMs, run,
+    now: clock,
+    setTime(t){ current = new Date(t).getTime(); },
+    advance(ms){ current += ms; },
+    close(){ bot.stopJobs(); bot.webhooks.close(); bot.notifier.close(); fs.rmSync(dir, { recursive:true, force:true }); }
+  };
+}
+
+// The text of a reply, whether it was sent as a string or as { content }.
+export const text = reply => typeof reply==='string' ? reply : reply?.content ?? '';
@@ -0,0 +1,151 @@
+// Import (src/import.js): our own exports read back, Trello boards, user mapping and the /import dry run.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseImport, validateDrafts } from '../src/import.js';
+import { tasksToJSON, tasksToCSV } from '../src/export.js';
+import { createHarness, createInteraction, ADMIN, USERS, text } from './harness.js';
+
+const BOB = '100000000000000002', CAROL = '100000000000000003';
+const actor = { id:ADMIN, username:'admin' };
+
+const exported = [
+  { id:11, title:'Parent, with "quotes"', description:'two\nlines', due:'2030-01-05T10:00:00.000Z', status:'In Progress', priority:'high',
+    createdBy:ADMIN, assignedTo:[BOB], department:'Ops', checklist:[{ id:1, text:'Step', done:true }],
+    logs:[{ date:'2030-01-01T00:00:00.000Z', action:'Created by admin' }] },
+  { id:12, title:'Child', description:'', due:null, status:'Pending', priority:'low', createdBy:ADMIN, assignedTo:[BOB, CAROL],
+    department:null, parentId:11, blockedBy:[11], logs:[] }
+];
+const names = new Map(Object.entries(USERS));
+const byName = new Map(Object.entries(USERS).map(([id, name])=>[name, id]));
+
+let h;
+before(async ()=>{
+  h = await createHarness();
+  await h.run('department-add', { options:{ name:'Ops' } });
+});
+after(()=>h.close());
+
+const validationCtx = (service, resolveUser) => ({
+  resolveUser, departments: service.departments, parseDue: input=>service.parseDue(input, ADMIN),
+  canAssign: ()=>true, actorId: ADMIN, taskExists: id=>!!service.findTaskById(id)
+});
+
+// Runs /import with `content` as the attachment; the guild's members are USERS.
+async function runImport(content, { name='tasks.json', user=ADMIN }={}){
+  const file = { name, size:content.length, url:`data:text/plain;base64,${Buffer.from(content).toString('base64')}` };
+  const replies = [];
+  const interaction = createInteraction('import', { user, options:{ file } }, replies);
+  interaction.guild.members = { search: async ({ query })=>new Map(Object.entries(USERS).filter(([, n])=>n.includes(query))
+    .map(([id, username])=>[id, { user:{ id, username }, displayName:username }])) };
+  await h.bot.handleInteraction(interaction);
+  return replies;
+}
+
+for(const format of ['json', 'csv']){
+  test(`our own ${format.toUpperCase()} export imports back`, async ()=>{
+    const own = await createHarness();
+    try{
+      await own.run('department-add', { options:{ name:'Ops' } });
+      const file = format==='json' ? tasksToJSON(exported, { names }) : tasksToCSV(exported, { names });
+      const parsed = parseImport(file, format);
+      assert.equal(parsed.error, undefined);
+      // The CSV names assignees; the JSON keeps their IDs.
+      const { rows, errors, warnings } = await validateDrafts(parsed.drafts, validationCtx(own.service, async ref=>byName.get(ref) || (USERS[ref] ? ref : null)));
+      assert.deepEqual(errors, []);
+      assert.deepEqual(warnings, []);
+      const [parent, child] = await own.service.importTasks(rows, actor, { source:format });
+
+      assert.equal(parent.title, exported[0].title);
+      assert.equal(parent.description, exported[0].description);
+      assert.equal(parent.due, exported[0].due);
+      assert.equal(parent.status, 'In Progress');
+      assert.equal(parent.priority, 'high');
+      assert.equal(parent.department, 'Ops');
+      assert.deepEqual(parent.assignedTo, [BOB]);
+      assert.deepEqual(child.assignedTo, [BOB, CAROL]);
+      assert.equal(child.priority, 'low');
+      assert.equal(child.due, null);
+      // Links point at the new tasks, not the source IDs.
+      assert.equal(child.parentId, parent.id);
+      assert.deepEqual(child.blockedBy, [parent.id]);
+      assert.match(parent.logs.at(-1).action, /source ID 11/);
+      if(format==='json'){
+        assert.deepEqual(parent.checklist.map(c=>[c.text, c.done]), [['Step', true]]);
+        assert.equal(parent.logs[0].action, 'Created by admin');
+      }
+    } finally { own.close(); }
+  });
+}
+
+test('a Trello board becomes drafts: lists as statuses, labels, members and checklists', async ()=>{
+  const board = {
+    lists:[{ id:'l1', name:'Doing' }, { id:'l2', name:'Archive', closed:true }, { id:'l3', name:'Backlog' }],
+    members:[{ id:'m1', username:'bob' }],
+    labels:[{ id:'lb1', name:'Ops' }, { id:'lb2', name:'High' }],
+    checklists:[{ id:'c1', checkItems:[{ name:'Second', state:'incomplete', pos:2 }, { name:'First', state:'complete', pos:1 }] }],
+    cards:[
+      { id:'a', name:'Ship it', desc:'Soon', idList:'l1', due:'2030-02-01T12:00:00.000Z', idMembers:['m1'], labels:[{ name:'Ops' }, { name:'High' }], idChecklists:['c1'] },
+      { id:'b', name:'Finished early', idList:'l3', dueComplete:true, idMembers:['unknown-member'] },
+      { id:'c', name:'Archived card', idList:'l1', closed:true },
+      { id:'d', name:'In a closed list', idList:'l2' }
+    ]
+  };
+  const { drafts } = parseImport(JSON.stringify(board), 'trello');
+  assert.deepEqual(drafts.map(d=>d.title), ['Ship it', 'Finished early']);
+  const { rows, errors, warnings } = await validateDrafts(drafts, validationCtx(h.service, async ref=>byName.get(ref) || null));
+  assert.deepEqual(errors, []);
+  const [ship, early] = rows;
+  assert.equal(ship.status, 'In Progress');
+  assert.equal(ship.priority, 'high');
+  assert.equal(ship.department, 'Ops');
+  assert.equal(ship.due, '2030-02-01T12:00:00.000Z');
+  assert.deepEqual(ship.assignedTo, [BOB]);
+  assert.deepEqual(ship.checklist, [{ text:'First', done:true }, { text:'Second', done:false }]);
+  assert.equal(early.status, 'Done');
+  assert.deepEqual(early.assignedTo, [ADMIN]);
+  assert.deepEqual(warnings, [{ line:2, message:'Unknown user "unknown-member" — not assigned' }]);
+  assert.match(parseImport('{"cards":[]}', 'trello').error, /Not a Trello board/);
+});
+
+test('/import maps assignees by username or mention and saves nothing before the Import button', async ()=>{
+  const before = h.service.getAllTasks().length;
+  const csv = [
+    'title,assignedTo,department,due,status',
+    'By name,bob,,,',
+    'By mention,"<@100000000000000003>;@Bob",Ops,,Done',
+    'Nobody we know,dave,,,',
+    ',bob,,,',
+    'Bad department,,Nowhere,,',
+    'Bad date,,,not a date,'
+  ].join('\n');
+  const [preview] = await runImport(csv, { name:'tasks.csv' });
+  const content = text(preview);
+  assert.match(content, /dry run/);
+  assert.match(content, /3 task\(s\) ready · ⚠️ 1 warning\(s\) · ❌ 3 row\(s\) with errors/);
+  assert.match(content, /By name — Pending, 1 assignee\n/);
+  assert.match(content, /By mention — Done, Ops, 2 assignees/);
+  assert.match(content, /row 4: Unknown user "dave"/);
+  assert.match(content, /row 5: Missing title/);
+  assert.match(content, /row 6: Unknown department "Nowhere"/);
+  assert.match(content, /row 7: Due date "not a date"/);
+  assert.match(preview.components[0].components[0].data.label, /Import 3 tasks/);
+  assert.equal(h.service.getAllTasks().length, before);
+
+  // Without assign, rows for other people are errors rather than imported for them.
+  const [denied] = await runImport(csv, { name:'tasks.csv', user:BOB });
+  assert.match(text(denied), /2 task\(s\) ready/);
+  assert.match(text(denied), /Missing permission: assign/);
+  assert.equal(h.service.getAllTasks().length, before);
+});
+
+test('/import keeps the statuses of the department\'s workflow', async ()=>{
+  await h.service.updateWorkflow('Ops', draft=>{ draft.statuses = ['Pending', 'QA', 'Done']; draft.review = true; });
+  try{
+    const csv = ['title,department,status', 'Testing,Ops,QA', 'Waiting,Ops,In Review', 'Nowhere to wait,,In Review'].join('\n');
+    const content = text((await runImport(csv, { name:'tasks.csv' }))[0]);
+    assert.match(content, /Testing — QA, Ops/);
+    assert.match(content, /Waiting — In Review, Ops/);
+    assert.match(content, /Nowhere to wait — Pending/);
+    assert.match(content, /row 4: Unknown status "In Review" — using Pending/);
+  } finally { await h.service.updateWorkflow('Ops', null); }
+});
@@ -0,0 +1,129 @@
+// Permission model (src/permissions.js) and how the bot's commands enforce it.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolvePermissions, can, canActOnTask, describeScope } from '../src/permissions.js';
+import { createHarness, ADMIN, text } from './harness.js';
+
+const BOB = '100000000000000002', CAROL = '100000000000000003';
+
+test('members can only create; admins get every capability', ()=>{
+  const member = resolvePermissions({ userId:'u1' });
+  assert.ok(can(member, 'create'));
+  assert.ok(!can(member, 'assign'));
+  const owner = resolvePermissions({ userId:'u1', ownerId:'u1' });
+  const listed = resolvePermissions({ userId:'u2', adminIds:['u2'] });
+  const guildAdmin = resolvePermissions({ userId:'u3', isGuildAdmin:true });
+  for(const perms of [owner, listed, guildAdmin]){
+    assert.ok(perms.roles.has('admin'));
+    assert.ok(can(perms, 'manage-permissions', 'Any'));
+  }
+});
+
+test('manager and lead capabilities are limited to their departments', ()=>{
+  const manager = resolvePermissions({ userId:'u1', managers:{ u1:{ departments:['Design'] } } });
+  assert.ok(can(manager, 'assign', 'Design'));
+  assert.ok(!can(manager, 'assign', 'Ops'));
+  assert.ok(!can(manager, 'assign', null), 'tasks without a department need an unscoped grant');
+  assert.ok(can(manager, 'assign'), 'undefined asks whether they may assign anywhere');
+  assert.equal(describeScope(manager, 'assign'), 'Design');
+
+  const legacy = resolvePermissions({ userId:'u1', managers:{ u1:true } });
+  assert.ok(can(legacy, 'assign', 'Ops'));
+
+  const lead = resolvePermissions({ userId:'u2', leadOf:['Ops'] });
+  assert.ok(lead.roles.has('lead'));
+  assert.ok(can(lead, 'delete-any', 'Ops'));
+  assert.ok(!can(lead, 'delete-any', 'Design'));
+});
+
+test('role and user grants combine, widening scopes', ()=>{
+  const permissions = {
+    roles: { r1:{ grants:['view-all'], departments:['Design'] }, r2:{ grants:['manager'] } },
+    users: { u1:{ grants:['view-all'], departments:['Ops'] } }
+  };
+  const perms = resolvePermissions({ userId:'u1', roleIds:['r1'], permissions });
+  assert.deepEqual([...perms.caps.get('view-all')].sort(), ['Design', 'Ops']);
+  assert.ok(!can(perms, 'assign', 'Ops'));
+  const withManagerRole = resolvePermissions({ userId:'u1', roleIds:['r1','r2'], permissions });
+  assert.ok(withManagerRole.roles.has('manager'));
+  assert.equal(withManagerRole.caps.get('view-all'), null);
+  assert.ok(!can(resolvePermissions({ userId:'u1', permissions:{ roles:{ r1:{ grants:['admin'] } } } }), 'assign'), 'role grants need the role');
+});
+
+test('assignees may act on their own tasks without the capability', ()=>{
+  const member = resolvePermissions({ userId:'u1' });
+  assert.ok(canActOnTask(member, 'update-any', { assignedTo:['u1'], department:'Ops' }));
+  assert.ok(!canActOnTask(member, 'update-any', { assignedTo:['u2'], department:'Ops' }));
+});
+
+// ===== Enforcement by the bot's commands =====
+let h;
+before(async ()=>{ h = await createHarness(); });
+after(()=>h.close());
+
+test('commands deny what the caller is not allowed to do', async ()=>{
+  const [denied] = await h.run('task-assign', { user:BOB, options:{ title:'Nope', users:CAROL } });
+  assert.equal(text(denied), '❌ Missing permission: assign');
+  assert.equal(h.service.getAllTasks().length, 0);
+
+  const [assigned] = await h.run('task-assign', { options:{ title:'For carol', users:CAROL } });
+  assert.match(text(assigned), /^✅ Task assigned: For carol/);
+  const task = h.service.getAllTasks()[0];
+
+  const [notYours] = await h.run('task-update', { user:BOB, options:{ id:task.id, status:'Done' } });
+  assert.equal(text(notYours), '❌ You are not assigned to this task');
+  const [own] = await h.run('task-update', { user:CAROL, options:{ id:task.id, status:'In Progress' } });
+  assert.match(text(own), /Task updated: For carol -> In Progress/);
+  assert.equal(h.service.findTaskById(task.id).status, 'In Progress');
+});
+
+test('a role grant from /permissions takes effect for members with the role', async ()=>{
+  const [granted] = await h.run('permissions', { sub:'grant', options:{ target:{ role:{ id:'role-1', name:'Leads' } }, permission:'assign' } });
+  assert.equal(text(granted), '✅ Granted assign to @Leads');
+  const [ok] = await h.run('task-assign', { user:BOB, roles:['role-1'], options:{ title:'Delegated', users:CAROL } });
+  assert.match(text(ok), /^✅ Task assigned: Delegated/);
+  const [stillDenied] = await h.run('task-assign', { user:BOB, options:{ title:'Again', users:CAROL } });
+  assert.equal(text(stillDenied), '❌ Missing permission: assign');
+});
+
+test('admins come from the adminIds the bot was created with', async ()=>{
+  const [reply] = await h.run('department-add', { user:ADMIN, options:{ name:'Design' } });
+  assert.equal(text(reply), '✅ Department Design added (no members)');
+  const [denied] = await h.run('department-add', { user:BOB, options:{ name:'Ops' } });
+  assert.equal(text(denied), '❌ Missing permission: manage-departments');
+});
+
+test('manage-permissions for some departments only reaches grants inside them', async ()=>{
+  await h.run('department-add', { options:{ name:'Scoped' } });
+  await h.run('department-add', { options:{ name:'Elsewhere' } });
+  await h.run('permissions', { sub:'grant', options:{ target:BOB, permission:'manage-permissions', departments:'Scoped' } });
+  const grant = options => h.run('permissions', { user:BOB, sub:'grant', options:{ target:CAROL, ...options } }).then(r=>text(r[0]));
+  assert.match(await grant({ permission:'admin', departments:'Scoped' }), /manage-permissions for all departments/);
+  assert.match(await grant({ permission:'assign' }), /manage-permissions for all departments/);
+  assert.match(await grant({ permission:'assign', departments:'Elsewhere' }), /manage-permissions in Elsewhere/);
+  assert.equal(await grant({ permission:'assign', departments:'Scoped' }), '✅ Granted assign to carol (departments: Scoped)');
+  assert.deepEqual(h.service.config.permissions.users[CAROL], { grants:['assign'], departments:['Scoped'] });
+  const [revoke] = await h.run('permissions', { user:BOB, sub:'revoke', options:{ target:{ role:{ id:'role-1', name:'Leads' } }, permission:'assign' } });
+  assert.match(text(revoke), /manage-permissions for all departments/);
+  const [own] = await h.run('permissions', { user:BOB, sub:'revoke', options:{ target:CAROL, permission:'assign' } });
+  assert.equal(text(own), '✅ Revoked assign from carol');
+});
+
+test('scoped grants never give server-wide capabilities', async ()=>{
+  await h.run('department-add', { options:{ name:'Narrow' } });
+  await h.run('permissions', { sub:'grant', options:{ target:CAROL, permission:'manage-permissions', departments:'Narrow' } });
+  for(const permission of ['manage-managers', 'manage-backups', 'manage-config', 'manage-permissions']){
+    const [reply] = await h.run('permissions', { user:CAROL, sub:'grant', options:{ target:CAROL, permission, departments:'Narrow' } });
+    assert.match(text(reply), /manage-permissions for all departments/, permission);
+  }
+  assert.match(text((await h.run('api-token', { user:CAROL, sub:'create', options:{ name:'mine', permissions:'admin' } }))[0]), /Missing permission: manage-permissions/);
+
+  // Even when an admin stores them with departments, they count for nothing.
+  await h.run('permissions', { sub:'grant', options:{ target:CAROL, permission:'manage-managers', departments:'Narrow' } });
+  await h.run('permissions', { sub:'grant', options:{ target:CAROL, permission:'manage-backups', departments:'Narrow' } });
+  const perms = await h.bot.memberPermissions(CAROL, 'guild-1');
+  assert.ok(!can(perms, 'manage-managers', null));
+  assert.match(text((await h.run('manager-add', { user:CAROL, options:{ users:CAROL } }))[0]), /Missing permission: manage-managers/);
+  assert.equal(h.service.managers[CAROL], undefined);
+  assert.match(text((await h.run('backup', { user:CAROL, sub:'list' }))[0]), /Missing permission: manage-backups/);
+});
@@ -0,0 +1,117 @@
+// Reminder windows, overdue notices and overdue marking, run by the bot against a fake clock.
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWindowToMinutes, reminderWindows, parseQuietHours } from '../src/notifications.js';
+import { createHarness, text } from './harness.js';
+
+const BOB = '100000000000000002', CAROL = '100000000000000003';
+
+test('reminder offsets parse to minutes and drop what cannot be read', ()=>{
+  assert.equal(parseWindowToMinutes('24h'), 1440);
+  assert.equal(parseWindowToMinutes('30m'), 30);
+  assert.equal(parseWindowToMinutes('2d'), 2880);
+  assert.deepEqual(reminderWindows(['1h', 'soon', ' 2d ']), [{ key:'1h', mins:60 }, { key:'2d', mins:2880 }]);
+  assert.deepEqual(parseQuietHours('22:00', '7:00'), { quiet:{ start:'22:00', end:'07:00' } });
+  assert.ok(parseQuietHours('22:00', '22:00').error);
+});
+
+let h;
+beforeEach(async ()=>{ h = await createHarness({ now:'2030-01-01T09:00:00Z' }); });
+afterEach(()=>h.close());
+
+async function assignDue(title, due, users=BOB){
+  const [reply] = await h.run('task-assign', { options:{ title, due, users } });
+  assert.match(text(reply), /^✅ Task assigned/);
+  return h.service.getAllTasks().find(t=>t.title===title);
+}
+const dmsTo = id => h.dms.filter(m=>m.userId===id).map(m=>m.content);
+
+test('each reminder window fires once, when it is reached', async ()=>{
+  const task = await assignDue('Report', '2030-01-02 10:00');
+
+  assert.deepEqual(await h.bot.runReminders(), [], 'more than 24h out: nothing yet');
+  h.setTime('2030-01-01T10:30:00Z');
+  await h.bot.runReminders();
+  assert.equal(dmsTo(BOB).length, 1);
+  assert.match(dmsTo(BOB)[0], /^⏰ Reminder: Task "Report" due in ~1410 minutes/);
+
+  await h.bot.runReminders();
+  assert.equal(dmsTo(BOB).length, 1, 'the 24h window is not sent twice');
+
+  h.setTime('2030-01-02T09:15:00Z');
+  await h.bot.runReminders();
+  assert.equal(dmsTo(BOB).length, 2);
+  assert.match(dmsTo(BOB)[1], /due in ~45 minutes/);
+  assert.deepEqual(h.service.findTaskById(task.id).remindersSent, [`24h:${BOB}`, `1h:${BOB}`]);
+  assert.equal(h.service.findTaskById(task.id).logs.at(-1).date, '2030-01-02T09:15:00.000Z', 'logs use the injected clock');
+});
+
+test('windows that open together collapse into one message', async ()=>{
+  await assignDue('Late add', '2030-01-01 09:30');
+  await h.bot.runReminders();
+  assert.equal(dmsTo(BOB).length, 1);
+  assert.match(dmsTo(BOB)[0], /due in ~30 minutes/);
+});
+
+test('per-user offsets, quiet hours and the guild default', async ()=>{
+  const [set] = await h.run('notify-settings', { user:CAROL, sub:'reminders', options:{ offsets:'3h' } });
+  assert.match(text(set), /^✅ Your reminders: 3h/);
+  const shared = await assignDue('Shared', '2030-01-01 20:00');
+  await h.run('task-add-assignee', { options:{ id:shared.id, users:CAROL } });
+
+  h.setTime('2030-01-01T16:30:00Z');
+  await h.bot.runReminders();
+  assert.equal(dmsTo(CAROL).length, 0, 'carol only wants 3h notice');
+  assert.equal(dmsTo(BOB).length, 1, 'bob gets the 24h default');
+
+  const [quiet] = await h.run('notify-settings', { user:CAROL, sub:'quiet-hours', options:{ start:'17:00', end:'18:00' } });
+  assert.match(text(quiet), /^✅ Quiet hours 17:00–18:00/);
+  h.setTime('2030-01-01T17:10:00Z');
+  await h.bot.runReminders();
+  assert.equal(dmsTo(CAROL).length, 0, 'held during quiet hours');
+  h.setTime('2030-01-01T18:05:00Z');
+  await h.bot.runReminders();
+  assert.equal(dmsTo(CAROL).length, 1);
+  assert.match(dmsTo(CAROL)[0], /due in ~115 minutes/);
+});
+
+test('a passed due date sends one overdue notice per assignee', async ()=>{
+  const task = await assignDue('Missed', '2030-01-01 10:00');
+  h.setTime('2030-01-01T10:05:00Z');
+  await h.bot.runReminders();
+  await h.bot.runReminders();
+  const overdue = dmsTo(BOB).filter(m=>m.startsWith('⚠️'));
+  assert.equal(overdue.length, 1);
+  assert.match(overdue[0], /^⚠️ Task "Missed" is OVERDUE/);
+  assert.ok(h.service.findTaskById(task.id).remindersSent.includes('overdue-notice'));
+});
+
+test('DMs that fail fall back to a mention in the notification channel', async ()=>{
+  await h.run('notifications', { sub:'channel', options:{ channel:{ id:'chan-1', isTextBased:()=>true } } });
+  h.closedDMs.add(BOB);
+  await assignDue('Fallback', '2030-01-01 09:30');
+  await h.bot.runReminders();
+  assert.equal(dmsTo(BOB).length, 0);
+  assert.ok(h.posts.some(p=>p.channelId==='chan-1' && p.content.includes(`<@${BOB}>`) && p.content.includes('"Fallback"')));
+});
+
+test('markOverdueTasks marks open tasks past due and skips done ones', async ()=>{
+  const late = await assignDue('Late', '2030-01-01 10:00');
+  const done = await assignDue('Finished', '2030-01-01 10:00');
+  const later = await assignDue('Later', '2030-01-03 10:00');
+  await h.run('task-update', { options:{ id:done.id, status:'Done' } });
+  const changes = [];
+  h.service.events.on('task.status_changed', e=>changes.push(e));
+
+  h.setTime('2030-01-02T00:00:00Z');
+  const changed = await h.bot.markOverdueTasks();
+  assert.deepEqual(changed, [late.id]);
+  assert.equal(h.service.findTaskById(late.id).status, 'Overdue');
+  assert.equal(h.service.findTaskById(done.id).status, 'Done');
+  assert.equal(h.service.findTaskById(later.id).status, 'Pending');
+  assert.deepEqual(h.service.findTaskById(late.id).logs.at(-1), { date:'2030-01-02T00:00:00.000Z', action:'Auto-marked overdue on startup' });
+  assert.equal(changes.length, 1);
+  assert.equal(changes[0].data.reason, 'overdue');
+  assert.equal(changes[0].occurredAt, '2030-01-02T00:00:00.000Z');
+  assert.deepEqual(await h.bot.markOverdueTasks(), [], 'already overdue');
+});
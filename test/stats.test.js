@@ -0,0 +1,81 @@
+// Productivity stats (src/stats.js) rebuilt from task logs, old and new, and the /stats command.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeStats, statusTimeline, statsToCSV, statsToHTML } from '../src/stats.js';
+import { createHarness, text } from './harness.js';
+
+const BOB = '100000000000000002';
+const at = iso => Date.parse(iso);
+const tasks = [
+  // Logged before status changes carried field/from/to.
+  { id:1, title:'Legacy', status:'Done', createdAt:'2030-03-04T00:00:00.000Z', due:'2030-03-07T00:00:00.000Z', assignedTo:['u1'], logs:[
+    { date:'2030-03-04T00:00:00.000Z', action:'Created by bob' },
+    { date:'2030-03-05T00:00:00.000Z', action:'Status set to In Progress by bob' },
+    { date:'2030-03-06T00:00:00.000Z', action:'Status set to Done by bob' }] },
+  { id:2, title:'Late', status:'Done', createdAt:'2030-03-11T00:00:00.000Z', due:'2030-03-11T12:00:00.000Z', assignedTo:['u1'], logs:[
+    { date:'2030-03-12T00:00:00.000Z', action:'Status set to Done by bob', field:'status', from:'Pending', to:'Done', by:'u1' }] },
+  { id:3, title:'Open <b>', status:'Overdue', createdAt:'2030-03-12T12:00:00.000Z', due:'2030-03-13T00:00:00.000Z', assignedTo:['u1', 'u2'], logs:[
+    { date:'2030-03-13T00:00:00.000Z', action:'Task became overdue' }] },
+  // Imported as Done: no completion time, so it is left out of throughput and the overdue rate.
+  { id:4, title:'Imported', status:'Done', createdAt:'2030-03-01T00:00:00.000Z', due:'2030-03-05T00:00:00.000Z', assignedTo:['u2'], logs:[] },
+  { id:5, title:'Long haul', status:'In Progress', createdAt:'2030-02-01T00:00:00.000Z', assignedTo:['u2'], logs:[
+    { date:'2030-02-02T00:00:00.000Z', action:'Status set to In Progress by carol', field:'status', from:'Pending', to:'In Progress' }] }
+];
+const now = new Date('2030-03-13T12:00:00Z');
+
+test('status timelines read both log formats', ()=>{
+  assert.deepEqual(statusTimeline(tasks[0], now.getTime()).map(s=>[s.status, s.end-s.start]), [['Pending', 864e5], ['In Progress', 864e5], ['Done', 7.5*864e5]]);
+  assert.deepEqual(statusTimeline(tasks[3], now.getTime()).map(s=>s.status), ['Done']);
+});
+
+test('computeStats covers throughput, time to Done, time in status, overdue rate and workload', ()=>{
+  const report = computeStats(tasks, { now, weeks:2, zone:'UTC' });
+  assert.equal(report.from, '2030-03-04T00:00:00.000Z');
+  assert.deepEqual(report.perWeek, [{ start:'2030-03-04', completed:1 }, { start:'2030-03-11', completed:1 }]);
+  assert.equal(report.completed, 2);
+  assert.equal(report.avgHoursToDone, 36);
+  assert.deepEqual(report.statusHours, { 'Pending':60, 'In Progress':24+228, 'Blocked':0, 'Overdue':12 });
+  assert.deepEqual(report.overdue, { due:3, late:2, rate:2/3 });
+  assert.deepEqual(report.workload, [{ userId:'u2', open:2, overdue:1 }, { userId:'u1', open:1, overdue:1 }]);
+  assert.deepEqual(computeStats(tasks, { now, weeks:2, zone:'UTC', assignee:'u1' }).workload, [{ userId:'u1', open:1, overdue:1 }]);
+});
+
+test('CSV and HTML reports', ()=>{
+  const report = computeStats(tasks, { now, weeks:2, zone:'UTC' });
+  const ctx = { names:new Map([['u1', 'alice'], ['u2', 'o\'brien']]), zone:'UTC' };
+  const csv = statsToCSV(report, ctx).split('\n');
+  assert.equal(csv[0], 'section,label,value');
+  assert.ok(csv.includes('completed_per_week,2030-03-11,1'));
+  assert.ok(csv.includes('summary,overdue_rate,0.67'));
+  assert.ok(csv.includes('open_tasks,o\'brien,2'));
+  const html = statsToHTML(report, tasks, { ...ctx, title:'Stats <x>' });
+  assert.ok(html.includes('<title>Stats &lt;x&gt;</title>'));
+  assert.ok(html.includes('<h2>Completed per week</h2>'));
+  assert.ok(html.includes('o&#39;brien'));
+  assert.ok(html.indexOf('class="chart"') < html.indexOf('<th>Title</th>'), 'charts above the task table');
+  assert.ok(html.includes('Open &lt;b&gt;') && !html.includes('Open <b>'));
+});
+
+// ===== /stats through the bot =====
+let h;
+before(async ()=>{ h = await createHarness({ now:'2030-03-11T09:00:00Z' }); });
+after(()=>h.close());
+
+test('/stats reports from status changes made through the bot', async ()=>{
+  await h.run('task-assign', { options:{ title:'Ship it', users:BOB, due:'2030-03-12 09:00' } });
+  const task = h.service.getAllTasks()[0];
+  h.advance(2*36e5);
+  await h.run('task-update', { user:BOB, options:{ id:String(task.id), status:'In Progress' } });
+  h.advance(4*36e5);
+  await h.run('task-update', { user:BOB, options:{ id:String(task.id), status:'Done' } });
+
+  const [reply] = await h.run('stats', { user:BOB, options:{ weeks:1 } });
+  assert.match(text(reply), /^📊 Stats — your tasks, last 1 week/);
+  assert.match(text(reply), /Completed: 1 · Avg time to Done: 6h · Overdue rate: — \(0 of 0 due\)/);
+  assert.match(text(reply), /Pending 2h · In Progress 4h/);
+
+  const [file] = await h.run('stats', { options:{ user:BOB, format:'csv' } });
+  assert.match(text(file), /^📊 Stats report \(csv\) — @bob, last 8 weeks/);
+  assert.ok(file.files[0].attachment.toString('utf8').includes('avg_hours_to_done,6'));
+  assert.equal(file.files[0].name, `stats-${h.now().getTime()}.csv`);
+});
@@ -0,0 +1,101 @@
+// Storage adapters (src/storage): the JSON files and SQLite pass the same interface checks.
+// The SQLite runs are skipped when neither better-sqlite3 nor node:sqlite (Node 22.5+) is available.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createStorage } from '../src/storage/index.js';
+
+async function sqliteDriver(){
+  try{ await import('better-sqlite3'); return 'better-sqlite3'; }catch{}
+  try{ await import('node:sqlite'); return 'node:sqlite'; }catch{}
+  return null;
+}
+const driver = await sqliteDriver();
+const ADAPTERS = [
+  { type:'json' },
+  { type:'sqlite', skip: !driver && 'no SQLite driver (install better-sqlite3 or use Node 22.5+)' }
+];
+
+const tick = () => new Promise(r=>setTimeout(r, 5)); // backup IDs are millisecond stamps
+const byId = list => [...list].sort((a,b)=>String(a.id).localeCompare(String(b.id)));
+const task = (id, fields={}) => ({ id, title:`Task ${id}`, status:'Pending', due:null, priority:'normal', assignedTo:['u1'], logs:[], ...fields });
+
+// Runs fn with a fresh storage of `type` in a temp dir; `reopen()` closes it and opens the same data again.
+async function withStorage(type, fn){
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `zans-storage-${type}-`));
+  let storage = await createStorage({ type, dir });
+  const reopen = async ()=>{ storage.close(); storage = await createStorage({ type, dir }); return storage; };
+  try{ await fn(storage, reopen); }
+  finally{ storage.close(); fs.rmSync(dir, { recursive:true, force:true }); }
+}
+
+for(const { type, skip } of ADAPTERS){
+  test(`${type}: tasks save in full or by change hints and survive a restart`, { skip }, ()=>withStorage(type, async (storage, reopen)=>{
+    assert.deepEqual(storage.loadTasks(), []);
+    const a = task(1), b = task(2, { department:'Ops', due:'2030-01-02T10:00:00.000Z' });
+    storage.saveTasks([a, b]);
+    assert.deepEqual(byId(storage.loadTasks()), [a, b]);
+
+    const edited = { ...b, status:'Done' }, c = task(3, { checklist:[{ id:1, text:'Step', done:false }] });
+    storage.saveTasks([edited, c], { changed:[2, 3], removed:[1] });
+    assert.deepEqual(byId(storage.loadTasks()), [edited, c]);
+
+    storage.saveTasks([c]);
+    storage = await reopen();
+    assert.deepEqual(storage.loadTasks(), [c]);
+  }));
+
+  test(`${type}: documents start empty, save and survive a restart`, { skip }, ()=>withStorage(type, async (storage, reopen)=>{
+    assert.deepEqual(storage.loadDocument('departments'), {});
+    const departments = { Ops:{ members:['u1'], lead:'u1' } };
+    storage.saveDocument('departments', departments);
+    storage.saveDocument('config', { timezone:'UTC' });
+    storage = await reopen();
+    assert.deepEqual(storage.loadDocument('departments'), departments);
+    assert.deepEqual(storage.loadDocument('config'), { timezone:'UTC' });
+  }));
+
+  test(`${type}: transactions run one at a time and a failed one does not block the next`, { skip }, ()=>withStorage(type, async storage=>{
+    const order = [];
+    const slow = storage.transaction(async ()=>{ order.push('a'); await tick(); storage.saveTasks([task(1)]); order.push('a done'); });
+    const fast = storage.transaction(()=>{ order.push('b'); return storage.loadTasks().length; });
+    assert.equal(await fast, 1);
+    await slow;
+    assert.deepEqual(order, ['a', 'a done', 'b']);
+
+    await assert.rejects(storage.transaction(()=>{ storage.saveTasks([task(2)]); throw new Error('boom'); }), /boom/);
+    assert.equal(await storage.transaction(()=>'next'), 'next');
+    // SQLite rolls the failed transaction back; the JSON files have no rollback.
+    if(type==='sqlite') assert.deepEqual(storage.loadTasks(), [task(1)]);
+  }));
+
+  test(`${type}: backup() makes a point that listBackups() shows and readBackup() reads`, { skip }, ()=>withStorage(type, async storage=>{
+    const before = task(1);
+    storage.saveTasks([before]);
+    storage.saveDocument('departments', { Ops:{ members:[] } });
+    await tick();
+    const id = storage.backup();
+    assert.ok(id);
+    await tick();
+    storage.saveTasks([task(2)]);
+    storage.saveDocument('departments', {});
+    await tick();
+    const pinned = storage.backup({ pinned:true });
+
+    const list = storage.listBackups();
+    assert.deepEqual(list.map(b=>b.id), [...list.map(b=>b.id)].sort().reverse());
+    assert.equal(list.find(b=>b.id===id).pinned, false);
+    assert.equal(list.find(b=>b.id===pinned).pinned, true);
+    assert.ok(list.every(b=>b.date instanceof Date && b.files.length));
+
+    const snapshot = await storage.readBackup(id);
+    assert.equal(snapshot.id, id);
+    assert.deepEqual(snapshot.tasks, [before]);
+    assert.deepEqual(snapshot.documents.departments, { Ops:{ members:[] } });
+    assert.deepEqual(snapshot.missing, []);
+    assert.deepEqual(storage.loadTasks(), [task(2)]); // reading a backup does not restore it
+    assert.equal(await storage.readBackup('2000-01-01T00-00-00-000Z'), null);
+  }));
+}
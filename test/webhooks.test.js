@@ -0,0 +1,80 @@
+// Outgoing webhooks (src/webhooks.js): signed deliveries, retries with backoff and the delivery log.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createEventBus } from '../src/events.js';
+import { createWebhookDispatcher, signPayload, RETRY_DELAYS, MAX_LOG } from '../src/webhooks.js';
+
+// A dispatcher whose fetch answers with `statuses` in turn (the last one repeats) and whose sleeps are recorded.
+function setup(statuses=[200]){
+  const bus = createEventBus();
+  const data = { endpoints:{}, deliveries:[] };
+  const requests = [], slept = [];
+  let saves = 0;
+  const fetch = async (url, init)=>{
+    requests.push({ url, ...init });
+    const status = statuses[Math.min(requests.length-1, statuses.length-1)];
+    if(status instanceof Error) throw status;
+    return { ok: status>=200 && status<300, status };
+  };
+  const webhooks = createWebhookDispatcher({ bus, data, save:()=>{ saves++; }, fetch, sleep: async ms=>{ slept.push(ms); } });
+  return { bus, data, requests, slept, webhooks, saves: ()=>saves };
+}
+
+test('deliveries are signed with the endpoint secret over timestamp and body', async ()=>{
+  const s = setup();
+  const { endpoint } = await s.webhooks.addEndpoint({ url:'https://example.test/hook', events:['task.created'] });
+  s.bus.publish('task.deleted', { task:{ id:1 } });
+  s.bus.publish('task.created', { task:{ id:2 } });
+  await s.webhooks.idle();
+  assert.equal(s.requests.length, 1);
+  const { url, body, headers } = s.requests[0];
+  assert.equal(url, 'https://example.test/hook');
+  assert.equal(headers['x-zans-event'], 'task.created');
+  assert.equal(JSON.parse(body).data.task.id, 2);
+  assert.equal(headers['x-zans-signature'], signPayload(endpoint.secret, headers['x-zans-timestamp'], body));
+  assert.match(headers['x-zans-signature'], /^sha256=[0-9a-f]{64}$/);
+  assert.notEqual(signPayload('other secret', headers['x-zans-timestamp'], body), headers['x-zans-signature']);
+  assert.equal(s.data.deliveries[0].status, 'delivered');
+  assert.equal(s.data.deliveries[0].id, headers['x-zans-delivery']);
+  s.webhooks.close();
+});
+
+test('non-2xx responses and network errors are retried with backoff until one succeeds', async ()=>{
+  const s = setup([500, new Error('connection reset'), 204]);
+  await s.webhooks.addEndpoint({ url:'https://example.test/hook' });
+  s.bus.publish('task.created', { task:{ id:1 } });
+  await s.webhooks.idle();
+  assert.equal(s.requests.length, 3);
+  assert.deepEqual(s.slept, RETRY_DELAYS.slice(0, 2));
+  // One delivery ID for every attempt, so receivers can drop duplicates.
+  assert.equal(new Set(s.requests.map(r=>r.headers['x-zans-delivery'])).size, 1);
+  assert.deepEqual(s.data.deliveries.map(d=>[d.status, d.attempts, d.responseStatus]), [['delivered', 3, 204]]);
+  s.webhooks.close();
+});
+
+test('a delivery gives up after the last retry and logs the failure', async ()=>{
+  const s = setup([503]);
+  await s.webhooks.addEndpoint({ url:'https://example.test/hook' });
+  s.bus.publish('task.created', { task:{ id:1 } });
+  await s.webhooks.idle();
+  assert.equal(s.requests.length, RETRY_DELAYS.length+1);
+  assert.deepEqual(s.slept, RETRY_DELAYS);
+  const [entry] = s.data.deliveries;
+  assert.equal(entry.status, 'failed');
+  assert.equal(entry.attempts, RETRY_DELAYS.length+1);
+  assert.equal(entry.error, 'HTTP 503');
+  s.webhooks.close();
+});
+
+test('the delivery log keeps the newest MAX_LOG entries', async ()=>{
+  const s = setup([200]);
+  const { endpoint } = await s.webhooks.addEndpoint({ url:'https://example.test/hook' });
+  for(let i=0; i<MAX_LOG+5; i++) s.bus.publish('task.created', { task:{ id:i } });
+  await s.webhooks.idle();
+  assert.equal(s.data.deliveries.length, MAX_LOG);
+  const newest = JSON.parse(s.requests.at(-1).body).id;
+  assert.equal(s.data.deliveries[0].eventId, newest);
+  assert.equal(s.webhooks.deliveries(endpoint.id, 3).length, 3);
+  assert.ok(s.saves() > MAX_LOG);
+  s.webhooks.close();
+});
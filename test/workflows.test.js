@@ -0,0 +1,121 @@
+// Status workflows (src/workflows.js): transition rules, the review gate and /workflow.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkTransition, nextStatuses, normalizeWorkflow, workflowStatuses, REVIEW_STATUS } from '../src/workflows.js';
+import { createHarness, text } from './harness.js';
+
+const BOB = '100000000000000002', CAROL = '100000000000000003';
+const perms = (userId, caps=[]) => ({ userId, roles:new Set(), caps:new Map(caps.map(c=>[c, null])) });
+
+let h;
+before(async ()=>{
+  h = await createHarness();
+  await h.run('permissions', { sub:'grant', options:{ target:CAROL, permission:'assign' } });
+});
+after(()=>h.close());
+
+// Made the way production makes it: carol assigns it to bob with /task-assign.
+async function carolsTask(title){
+  await h.run('task-assign', { user:CAROL, options:{ title, users:BOB } });
+  return h.service.getAllTasks().at(-1);
+}
+
+test('transition rules limit moves and say which are allowed', ()=>{
+  const { workflow } = normalizeWorkflow({
+    statuses:['Pending', 'In Progress', 'QA', 'Done'],
+    transitions:[{ from:'Pending', to:'In Progress' }, { from:'In Progress', to:'QA', roles:['assignee'] }, { from:'QA', to:'Done', roles:['creator'] }]
+  });
+  assert.deepEqual(workflowStatuses(workflow), ['Pending', 'In Progress', 'QA', 'Done', 'Blocked', 'Overdue']);
+  const task = { id:1, status:'Pending', assignedTo:[BOB], createdById:CAROL };
+  assert.equal(checkTransition(workflow, task, 'In Progress', perms(BOB)), null);
+  const skip = checkTransition(workflow, task, 'Done', perms(BOB));
+  assert.equal(skip.code, 'invalid');
+  assert.match(skip.error, /Allowed next: In Progress/);
+  const qa = { ...task, status:'QA' };
+  assert.equal(checkTransition(workflow, qa, 'Done', perms(BOB)).code, 'forbidden');
+  assert.equal(checkTransition(workflow, qa, 'Done', perms(CAROL)), null);
+  // Stranded in a system status with no rule: free to go anywhere.
+  assert.ok(nextStatuses(workflow, { ...task, status:'Overdue' }, perms(BOB)).includes('QA'));
+  assert.match(normalizeWorkflow({ statuses:['Pending'], transitions:[{ from:'Pending', to:'Nope' }] }).error, /Unknown status "Nope"/);
+  assert.match(normalizeWorkflow({ statuses:['Pending'], transitions:[{ from:'Pending', to:'Done', roles:['boss'] }] }).error, /Unknown role/);
+});
+
+
+test('the review gate sends Done through In Review and its reviewers', async ()=>{
+  const workflow = normalizeWorkflow({ statuses:['Pending', 'In Progress', 'Done'], review:true }).workflow;
+  const task = { ...await carolsTask('Gate'), status:'In Progress' };
+  assert.deepEqual(nextStatuses(workflow, task, perms(BOB)), ['Pending', REVIEW_STATUS, 'Blocked', 'Overdue']);
+  const review = { ...task, status:REVIEW_STATUS };
+  assert.deepEqual(nextStatuses(workflow, review, perms(BOB)), []);
+  assert.deepEqual(nextStatuses(workflow, review, perms(CAROL)), ['Pending', 'In Progress', 'Done', 'Blocked', 'Overdue']);
+  assert.ok(nextStatuses(workflow, review, perms('someone', ['update-any'])).includes('Done'));
+});
+
+test('/workflow review and /task-update enforce approval through the bot', async ()=>{
+  const [on] = await h.run('workflow', { sub:'review', options:{ enabled:true } });
+  assert.match(text(on), /review step turned on/);
+  assert.match(text((await h.run('workflow', { user:BOB, sub:'review', options:{ enabled:false } }))[0]), /manage-config/);
+
+  await h.run('task-assign', { options:{ title:'Ship it', users:BOB } });
+  const task = h.service.getAllTasks().at(-1);
+  const id = String(task.id);
+
+  const [early] = await h.run('task-update', { user:BOB, options:{ id, status:'Done' } });
+  assert.match(text(early), /Allowed next: .*In Review/);
+  await h.run('task-update', { user:BOB, options:{ id, status:REVIEW_STATUS } });
+  assert.equal(task.status, REVIEW_STATUS);
+  assert.match(task.logs.at(-1).action, /Submitted for review by bob/);
+
+  const [self] = await h.run('task-update', { user:BOB, options:{ id, status:'Done' } });
+  assert.match(text(self), /Only creator or manager/);
+  const [silent] = await h.run('task-update', { options:{ id, status:'In Progress' } });
+  assert.match(text(silent), /needs a comment/);
+  await h.run('task-update', { options:{ id, status:'In Progress', comment:'Add the changelog' } });
+  assert.equal(task.status, 'In Progress');
+  assert.equal(task.logs.at(-1).comment, 'Add the changelog');
+  const history = await h.run('task-history', { options:{ id } });
+  assert.match(history.map(text).join('\n'), /Add the changelog/);
+
+  await h.run('task-update', { user:BOB, options:{ id, status:REVIEW_STATUS } });
+  const [suggested] = await h.run('task-update', { focused:'status', options:{ id } });
+  assert.ok(suggested.some(c=>c.value==='Done'));
+  await h.run('task-update', { options:{ id, status:'Done' } });
+  assert.equal(task.status, 'Done');
+  assert.match(task.logs.at(-1).action, /Approved by admin/);
+});
+
+test('the creator is asked to review and approves through the bot', async ()=>{
+  const task = await carolsTask('Write the notes');
+  const id = String(task.id);
+  h.dms.length = 0;
+  await h.run('task-update', { user:BOB, options:{ id, status:REVIEW_STATUS } });
+  assert.deepEqual(h.dms.map(d=>d.userId), [CAROL]);
+  assert.match(h.dms[0].content, /Write the notes\*\* \(ID:\d+\) is waiting for your review \(submitted by bob\)/);
+  const [approved] = await h.run('task-update', { user:CAROL, options:{ id, status:'Done' } });
+  assert.doesNotMatch(text(approved), /❌|⚠️/);
+  assert.equal(task.status, 'Done');
+  assert.match(task.logs.at(-1).action, /Approved by carol/);
+});
+
+test('/workflow statuses and transitions per department', async ()=>{
+  await h.run('department-add', { options:{ name:'Ops' } });
+  await h.run('workflow', { sub:'statuses', options:{ department:'Ops', statuses:'Pending, Doing, Done' } });
+  const [allow] = await h.run('workflow', { sub:'allow', options:{ department:'Ops', from:'Pending', to:'Doing' } });
+  assert.match(text(allow), /Pending → Doing \(anyone\)/);
+  const [bad] = await h.run('workflow', { sub:'allow', options:{ department:'Ops', from:'Pending', to:'Shipping' } });
+  assert.match(text(bad), /Unknown status "Shipping"/);
+
+  await h.run('task-assign', { options:{ title:'Rotate keys', users:BOB, department:'Ops' } });
+  const id = String(h.service.getAllTasks().at(-1).id);
+  const [refused] = await h.run('task-update', { user:BOB, options:{ id, status:'Done' } });
+  assert.match(text(refused), /Allowed next: Doing/);
+  const [shown] = await h.run('workflow', { user:CAROL, sub:'show', options:{ department:'Ops' } });
+  assert.match(text(shown), /Statuses: Pending · Doing · In Review · Done/);
+
+  await h.run('task-update', { user:BOB, options:{ id, status:'Doing' } });
+  assert.equal(h.service.findTaskById(id).status, 'Doing');
+
+  const [reset] = await h.run('workflow', { sub:'reset', options:{ department:'Ops' } });
+  assert.match(text(reset), /follows the guild workflow/);
+  assert.match(text(reset), /1 task\(s\) are in a status/);
+});